@@ -0,0 +1,263 @@
+/**
+ * Desktop Mode Component
+ *
+ * Runs the app in a normal browser without a headset, for development and demos.
+ * Adds a virtual room with a simulated wall (and a picture on it to measure), a
+ * desktop-pointer that pinches with the mouse, right-drag to look around, and
+ * keyboard shortcuts for the menus and undo/redo. Enabled with ?desktop in the URL.
+ */
+
+import { events, interaction } from '../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { isTextInput } = interaction;
+
+// Virtual room: floor, the simulated wall straight ahead and two side walls (meters)
+const ROOM = { width: 4, depth: 4, height: 2.7, wallZ: -2 };
+
+// Picture frame hanging on the simulated wall (meters, center position)
+const PICTURE = { x: 0.8, y: 1.4, width: 0.6, height: 0.45, border: 0.04 };
+
+// Keys that open menus, as menu actions for the menu manager
+const MENU_SHORTCUTS = {
+  Escape: 'back-to-previous-menu',
+  m: 'back-to-main-menu',
+  c: 'wall-calibration',
+  o: 'object-definition',
+  v: 'view-items',
+  p: 'project',
+  s: 'settings'
+};
+
+// Camera turn per pixel of right-drag (radians)
+const LOOK_SPEED = 0.004;
+
+AFRAME.registerComponent('desktop-mode', {
+  schema: {
+    enabled: { type: 'boolean', default: true }
+  },
+  
+  init: function() {
+    console.log('Desktop Mode: Initializing');
+    
+    this.looking = false;
+    this.lastMouse = { x: 0, y: 0 };
+    
+    this.createRoom();
+    this.createPointer();
+    
+    // Bind methods
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onMouseDown = this.onMouseDown.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onMouseUp = this.onMouseUp.bind(this);
+    this.onContextMenu = this.onContextMenu.bind(this);
+    this.onEnterVR = this.onEnterVR.bind(this);
+    this.onExitVR = this.onExitVR.bind(this);
+    this.attachCanvas = this.attachCanvas.bind(this);
+    
+    // The canvas only exists once the renderer has started
+    if (this.el.canvas) {
+      this.attachCanvas();
+    } else {
+      this.el.addEventListener('renderstart', this.attachCanvas);
+    }
+    
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('mousemove', this.onMouseMove);
+    window.addEventListener('mouseup', this.onMouseUp);
+    
+    // The room and mouse are only for the browser window, not for a headset session
+    this.el.addEventListener('enter-vr', this.onEnterVR);
+    this.el.addEventListener('exit-vr', this.onExitVR);
+    
+    console.log('Desktop Mode: Ready - left click or space to pinch, right-drag to look around');
+  },
+  
+  // Build the floor, walls and picture the mouse pointer lands on
+  createRoom: function() {
+    this.room = document.createElement('a-entity');
+    this.room.setAttribute('id', 'desktopRoom');
+    
+    const centerZ = ROOM.wallZ + ROOM.depth / 2;
+    const surfaces = [
+      // Floor
+      { width: ROOM.width, height: ROOM.depth, color: '#8C8C8C',
+        position: `0 0 ${centerZ}`, rotation: '-90 0 0' },
+      // Simulated wall, straight ahead
+      { id: 'desktopWall', width: ROOM.width, height: ROOM.height, color: '#D8D4CC',
+        position: `0 ${ROOM.height / 2} ${ROOM.wallZ}`, rotation: '0 0 0' },
+      // Side walls
+      { width: ROOM.depth, height: ROOM.height, color: '#C8C4BC',
+        position: `${-ROOM.width / 2} ${ROOM.height / 2} ${centerZ}`, rotation: '0 90 0' },
+      { width: ROOM.depth, height: ROOM.height, color: '#C8C4BC',
+        position: `${ROOM.width / 2} ${ROOM.height / 2} ${centerZ}`, rotation: '0 -90 0' },
+      // Picture to measure: frame and canvas, just in front of the wall
+      { width: PICTURE.width, height: PICTURE.height, color: '#4A3728',
+        position: `${PICTURE.x} ${PICTURE.y} ${ROOM.wallZ + 0.002}`, rotation: '0 0 0' },
+      { width: PICTURE.width - PICTURE.border * 2, height: PICTURE.height - PICTURE.border * 2, color: '#7A9CB8',
+        position: `${PICTURE.x} ${PICTURE.y} ${ROOM.wallZ + 0.003}`, rotation: '0 0 0' }
+    ];
+    
+    surfaces.forEach(surface => {
+      const plane = document.createElement('a-plane');
+      if (surface.id) {
+        plane.setAttribute('id', surface.id);
+      }
+      plane.classList.add('desktop-room');
+      plane.setAttribute('width', surface.width);
+      plane.setAttribute('height', surface.height);
+      plane.setAttribute('color', surface.color);
+      plane.setAttribute('position', surface.position);
+      plane.setAttribute('rotation', surface.rotation);
+      this.room.appendChild(plane);
+    });
+    
+    this.el.appendChild(this.room);
+  },
+  
+  // Add the mouse pointer as an input source
+  createPointer: function() {
+    this.pointer = document.createElement('a-entity');
+    this.pointer.setAttribute('id', 'desktopPointer');
+    this.pointer.setAttribute('desktop-pointer', { hand: 'right' });
+    this.pointer.setAttribute('input-source', { hand: 'right', rayDirection: { x: 0, y: 0, z: -1 } });
+    this.el.appendChild(this.pointer);
+  },
+  
+  // Listen for right-drags on the scene canvas
+  attachCanvas: function() {
+    this.canvas = this.el.canvas;
+    this.canvas.addEventListener('mousedown', this.onMouseDown);
+    this.canvas.addEventListener('contextmenu', this.onContextMenu);
+    
+    // The left button pinches, so look-controls must not turn the camera with it
+    const cameraEl = this.getCameraEl();
+    if (cameraEl && cameraEl.hasAttribute('look-controls')) {
+      cameraEl.setAttribute('look-controls', 'mouseEnabled', false);
+    }
+  },
+  
+  // The camera entity, also before the scene has set its active camera
+  getCameraEl: function() {
+    return this.el.camera ? this.el.camera.el : this.el.querySelector('[camera]');
+  },
+  
+  // The menu manager the shortcuts drive
+  getMenuManager: function() {
+    const menuEl = this.el.querySelector('[menu-manager]');
+    return menuEl ? menuEl.components['menu-manager'] : null;
+  },
+  
+  // Run menu actions and undo/redo from the keyboard
+  onKeyDown: function(event) {
+    if (!this.data.enabled || event.repeat || event.altKey || event.metaKey || isTextInput(event.target)) return;
+    
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    
+    if (event.ctrlKey) {
+      if (key === 'z' || key === 'y') {
+        event.preventDefault();
+        emitEvent(this.el, key === 'y' || event.shiftKey ? EVENTS.HISTORY.REDO : EVENTS.HISTORY.UNDO);
+      }
+      return;
+    }
+    
+    const action = MENU_SHORTCUTS[key];
+    if (!action) return;
+    
+    // Opening the menu that is already shown would put it on the back stack twice
+    const menuManager = this.getMenuManager();
+    const menuId = action === 'back-to-main-menu' ? 'main' : action;
+    if (menuManager && menuManager.currentMenu === menuId) return;
+    
+    console.log('Desktop Mode: Shortcut', key, '-', action);
+    emitEvent(this.el, EVENTS.MENU.ACTION, { action });
+  },
+  
+  // The right button turns the camera
+  onMouseDown: function(event) {
+    if (event.button !== 2 || !this.data.enabled) return;
+    
+    this.looking = true;
+    this.lastMouse = { x: event.clientX, y: event.clientY };
+  },
+  
+  // Turn the camera while the right button is held
+  onMouseMove: function(event) {
+    if (!this.looking) return;
+    
+    const dx = event.clientX - this.lastMouse.x;
+    const dy = event.clientY - this.lastMouse.y;
+    this.lastMouse = { x: event.clientX, y: event.clientY };
+    
+    // Turn through look-controls so it does not undo the rotation on its next tick
+    const cameraEl = this.getCameraEl();
+    const lookControls = cameraEl ? cameraEl.components['look-controls'] : null;
+    if (!lookControls) return;
+    
+    lookControls.yawObject.rotation.y -= dx * LOOK_SPEED;
+    lookControls.pitchObject.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2,
+      lookControls.pitchObject.rotation.x - dy * LOOK_SPEED));
+  },
+  
+  // Stop turning when the right button is released anywhere
+  onMouseUp: function(event) {
+    if (event.button === 2) {
+      this.looking = false;
+    }
+  },
+  
+  // Keep the browser menu from opening on right-drags
+  onContextMenu: function(event) {
+    event.preventDefault();
+  },
+  
+  // Hide the room and park the mouse while a headset session runs
+  onEnterVR: function() {
+    this.setRoomActive(false);
+  },
+  
+  // Bring the room and mouse back after the session
+  onExitVR: function() {
+    this.setRoomActive(this.data.enabled);
+  },
+  
+  // Show or hide the room and switch the mouse pointer on or off
+  setRoomActive: function(active) {
+    this.room.setAttribute('visible', active);
+    this.pointer.setAttribute('visible', active);
+    this.pointer.setAttribute('desktop-pointer', 'enabled', active);
+  },
+  
+  // Switch desktop mode on or off
+  update: function(oldData) {
+    // Skip on first initialization
+    if (Object.keys(oldData).length === 0) return;
+    
+    if (oldData.enabled !== this.data.enabled) {
+      this.setRoomActive(this.data.enabled && !this.el.is('vr-mode'));
+    }
+  },
+  
+  // Remove event listeners, the room and the pointer
+  remove: function() {
+    this.el.removeEventListener('renderstart', this.attachCanvas);
+    if (this.canvas) {
+      this.canvas.removeEventListener('mousedown', this.onMouseDown);
+      this.canvas.removeEventListener('contextmenu', this.onContextMenu);
+    }
+    
+    window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('mousemove', this.onMouseMove);
+    window.removeEventListener('mouseup', this.onMouseUp);
+    this.el.removeEventListener('enter-vr', this.onEnterVR);
+    this.el.removeEventListener('exit-vr', this.onExitVR);
+    
+    [this.room, this.pointer].forEach(element => {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+  }
+});
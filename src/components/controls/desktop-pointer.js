@@ -0,0 +1,226 @@
+/**
+ * Desktop Pointer Component
+ *
+ * Mouse stand-in for a hand when running in a normal browser (desktop mode).
+ * The entity follows the ray from the camera through the mouse cursor and sends
+ * synthetic pinch events: holding the left button or the space bar pinches at the
+ * point where the ray meets the virtual room. Together with input-source on the
+ * same entity the tools see it like any other hand; menu buttons are pressed by
+ * pointing at them, and clicks elsewhere on a menu panel are ignored.
+ */
+
+import { events, interaction } from '../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { isTextInput } = interaction;
+
+AFRAME.registerComponent('desktop-pointer', {
+  schema: {
+    enabled: { type: 'boolean', default: true },
+    hand: { type: 'string', default: 'right', oneOf: ['left', 'right'] },
+    objects: { type: 'string', default: '.desktop-room' }, // Surfaces the pointer lands on
+    blockers: { type: 'string', default: '[menu-manager]' }, // Panels that catch clicks before the surfaces behind them
+    fallbackDistance: { type: 'number', default: 1 }, // Distance of the point when no surface is hit (m)
+    cursorColor: { type: 'color', default: '#15ACCF' }
+  },
+  
+  init: function() {
+    this.raycaster = new THREE.Raycaster();
+    this.mouse = new THREE.Vector2();
+    this.forward = new THREE.Vector3(0, 0, -1);
+    this.hitPosition = new THREE.Vector3();
+    
+    this.hasMouse = false; // No ray until the mouse has been over the canvas
+    this.pressed = false;
+    this.blocked = false; // The mouse is over a menu panel
+    this.canvas = null;
+    
+    // Dot showing where a pinch would land
+    this.cursor = document.createElement('a-ring');
+    this.cursor.setAttribute('radius-inner', 0.006);
+    this.cursor.setAttribute('radius-outer', 0.01);
+    this.cursor.setAttribute('material', { color: this.data.cursorColor, shader: 'flat', side: 'double' });
+    this.cursor.setAttribute('visible', false);
+    this.el.sceneEl.appendChild(this.cursor);
+    
+    // Bind methods
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onMouseDown = this.onMouseDown.bind(this);
+    this.onMouseUp = this.onMouseUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.attachCanvas = this.attachCanvas.bind(this);
+    
+    // The canvas only exists once the renderer has started
+    if (this.el.sceneEl.canvas) {
+      this.attachCanvas();
+    } else {
+      this.el.sceneEl.addEventListener('renderstart', this.attachCanvas);
+    }
+    
+    window.addEventListener('mouseup', this.onMouseUp);
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('keyup', this.onKeyUp);
+    
+    console.log('Desktop Pointer: Initialized');
+  },
+  
+  // Listen for the mouse on the scene canvas
+  attachCanvas: function() {
+    this.canvas = this.el.sceneEl.canvas;
+    this.canvas.addEventListener('mousemove', this.onMouseMove);
+    this.canvas.addEventListener('mousedown', this.onMouseDown);
+  },
+  
+  // Follow the camera as well as the mouse, and keep a held pinch moving
+  tick: function() {
+    if (!this.data.enabled || !this.hasMouse) return;
+    
+    this.updateRay();
+    
+    if (this.pressed) {
+      this.emitPinch('pinchmoved');
+    }
+  },
+  
+  // Remember the mouse position in normalized device coordinates
+  onMouseMove: function(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    this.mouse.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.hasMouse = true;
+  },
+  
+  // The left button pinches
+  onMouseDown: function(event) {
+    if (event.button !== 0) return;
+    
+    this.onMouseMove(event);
+    this.press();
+  },
+  
+  // Releasing the button anywhere ends the pinch
+  onMouseUp: function(event) {
+    if (event.button !== 0) return;
+    
+    this.release();
+  },
+  
+  // The space bar pinches too, unless a text field has the focus
+  onKeyDown: function(event) {
+    if (event.code !== 'Space' || event.repeat || isTextInput(event.target)) return;
+    
+    event.preventDefault();
+    this.press();
+  },
+  
+  // Releasing the space bar ends the pinch
+  onKeyUp: function(event) {
+    if (event.code !== 'Space') return;
+    
+    this.release();
+  },
+  
+  // Start a pinch at the point under the mouse
+  press: function() {
+    if (this.pressed || !this.data.enabled || !this.hasMouse) return;
+    
+    // A click on a menu panel only presses its buttons and never reaches the wall behind it
+    this.updateRay();
+    if (this.blocked && !this.isPointingAtButton()) return;
+    
+    this.pressed = true;
+    this.emitPinch(EVENTS.INTERACTION.PINCH_STARTED);
+  },
+  
+  // End the pinch
+  release: function() {
+    if (!this.pressed) return;
+    
+    this.pressed = false;
+    this.emitPinch(EVENTS.INTERACTION.PINCH_ENDED);
+  },
+  
+  // Point the entity along the mouse ray and find where it meets the room
+  updateRay: function() {
+    const camera = this.el.sceneEl.camera;
+    if (!camera) return;
+    
+    camera.updateMatrixWorld();
+    this.raycaster.setFromCamera(this.mouse, camera);
+    
+    const ray = this.raycaster.ray;
+    this.el.object3D.position.copy(ray.origin);
+    this.el.object3D.quaternion.setFromUnitVectors(this.forward, ray.direction);
+    
+    const surfaceHit = this.raycaster.intersectObjects(this.getVisibleObjects(this.data.objects), true)[0];
+    const blockerHit = this.raycaster.intersectObjects(this.getVisibleObjects(this.data.blockers), true)[0];
+    this.blocked = !!blockerHit && (!surfaceHit || blockerHit.distance < surfaceHit.distance);
+    const hit = this.blocked ? blockerHit : surfaceHit;
+    
+    if (hit) {
+      this.hitPosition.copy(hit.point);
+      
+      // Lay the cursor flat on the surface
+      const normal = hit.face
+        ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+        : ray.direction.clone().negate();
+      this.cursor.object3D.position.copy(hit.point).addScaledVector(normal, 0.002);
+      this.cursor.object3D.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+    } else {
+      ray.at(this.data.fallbackDistance, this.hitPosition);
+    }
+    
+    this.cursor.object3D.visible = !!hit;
+  },
+  
+  // The 3D objects of the visible entities matching a selector
+  getVisibleObjects: function(selector) {
+    return Array.from(this.el.sceneEl.querySelectorAll(selector))
+      .filter(el => el.object3D.visible)
+      .map(el => el.object3D);
+  },
+  
+  // Whether a menu button is under the mouse, as tracked by pressable
+  isPointingAtButton: function() {
+    const source = this.el.components['input-source'];
+    return !!source && source.pointedButtons.size > 0;
+  },
+  
+  // Send a pinch event with the point under the mouse, as hand-tracking-controls would
+  emitPinch: function(eventName) {
+    emitEvent(this.el, eventName, {
+      hand: this.data.hand,
+      position: this.hitPosition.clone()
+    });
+  },
+  
+  // Let go and hide the cursor when switched off
+  update: function(oldData) {
+    if (oldData.enabled && !this.data.enabled) {
+      this.release();
+      this.cursor.object3D.visible = false;
+    }
+  },
+  
+  // Remove event listeners and the cursor
+  remove: function() {
+    this.release();
+    
+    this.el.sceneEl.removeEventListener('renderstart', this.attachCanvas);
+    if (this.canvas) {
+      this.canvas.removeEventListener('mousemove', this.onMouseMove);
+      this.canvas.removeEventListener('mousedown', this.onMouseDown);
+    }
+    
+    window.removeEventListener('mouseup', this.onMouseUp);
+    window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('keyup', this.onKeyUp);
+    
+    if (this.cursor.parentNode) {
+      this.cursor.parentNode.removeChild(this.cursor);
+    }
+  }
+});
@@ -0,0 +1,222 @@
+/**
+ * Input Source Component
+ *
+ * Turns a tracked hand or a controller into the same select/drag events so the
+ * tools work with either. Hands select by pinching; controllers (laser-controls,
+ * meta-touch-controls) select with the trigger; the desktop-pointer mouse sends
+ * synthetic pinches. Every event carries the hand,
+ * the kind of source, the world point (fingertip or controller tip) and the
+ * world pointing ray.
+ *
+ * Buttons query the sources directly through getPointerPosition, getRay and
+ * isSelecting, so they can be poked with a fingertip or pointed at with a laser.
+ */
+
+import { events } from '../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+
+AFRAME.registerComponent('input-source', {
+  schema: {
+    hand: { type: 'string', default: 'right', oneOf: ['left', 'right'] },
+    rayOrigin: { type: 'vec3', default: { x: 0, y: 0, z: 0 } }, // Local ray origin when the entity has no raycaster
+    rayDirection: { type: 'vec3', default: { x: 0, y: -1, z: 0 } }, // Local ray direction when the entity has no raycaster
+    tipOffset: { type: 'number', default: 0.05 } // Distance of the controller tip along the ray (m)
+  },
+  
+  init: function() {
+    // Hands pinch, the desktop mouse pinches like a hand, everything else is a controller with a trigger
+    if (this.el.hasAttribute('hand-tracking-controls')) {
+      this.kind = 'hand';
+    } else if (this.el.hasAttribute('desktop-pointer')) {
+      this.kind = 'mouse';
+    } else {
+      this.kind = 'controller';
+    }
+    
+    // Controllers only count once the headset reports them; hands are read whenever tracked
+    this.connected = this.kind !== 'controller';
+    this.selecting = false;
+    
+    // Buttons the laser points at, kept up to date by pressable. A trigger pull
+    // on a button only presses the button and sends no input events
+    this.pointedButtons = new Set();
+    this.pressingButton = false;
+    
+    this.ray = new THREE.Ray();
+    this.tipPosition = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+    
+    // Bind methods
+    this.onSelectStarted = this.onSelectStarted.bind(this);
+    this.onSelectMoved = this.onSelectMoved.bind(this);
+    this.onSelectEnded = this.onSelectEnded.bind(this);
+    this.onConnected = this.onConnected.bind(this);
+    this.onDisconnected = this.onDisconnected.bind(this);
+    
+    this.events = this.kind === 'controller'
+      ? { start: 'triggerdown', end: 'triggerup' }
+      : { start: EVENTS.INTERACTION.PINCH_STARTED, end: EVENTS.INTERACTION.PINCH_ENDED, move: 'pinchmoved' };
+    
+    // Setup event listeners
+    this.el.addEventListener(this.events.start, this.onSelectStarted);
+    this.el.addEventListener(this.events.end, this.onSelectEnded);
+    if (this.events.move) {
+      this.el.addEventListener(this.events.move, this.onSelectMoved);
+    }
+    this.el.addEventListener('controllerconnected', this.onConnected);
+    this.el.addEventListener('controllerdisconnected', this.onDisconnected);
+    
+    console.log(`Input Source: ${this.data.hand} ${this.kind} ready`);
+  },
+  
+  // Controllers move continuously, so drags are sent every frame while the trigger is held
+  tick: function() {
+    if (this.kind === 'controller' && this.selecting && !this.pressingButton) {
+      this.emitInput(EVENTS.INPUT.DRAGGED);
+    }
+  },
+  
+  // The headset reports a controller
+  onConnected: function() {
+    this.connected = true;
+  },
+  
+  // Controllers disconnect when put down or when hand tracking takes over
+  onDisconnected: function() {
+    // Release what a controller held when it goes away mid-drag
+    if (this.kind === 'controller' && this.selecting) {
+      this.onSelectEnded();
+    }
+    
+    this.connected = this.kind !== 'controller';
+  },
+  
+  // Pinch or trigger pressed
+  onSelectStarted: function(event) {
+    if (!this.isActive()) return;
+    
+    this.selecting = true;
+    this.pressingButton = this.pointedButtons.size > 0;
+    if (this.pressingButton) return;
+    
+    this.emitInput(EVENTS.INPUT.SELECT_STARTED, event);
+  },
+  
+  // Hand moved while pinching
+  onSelectMoved: function(event) {
+    if (!this.selecting) return;
+    
+    this.emitInput(EVENTS.INPUT.DRAGGED, event);
+  },
+  
+  // Pinch or trigger released
+  onSelectEnded: function(event) {
+    if (!this.selecting) return;
+    
+    this.selecting = false;
+    if (this.pressingButton) {
+      this.pressingButton = false;
+      return;
+    }
+    
+    this.emitInput(EVENTS.INPUT.SELECT_ENDED, event);
+  },
+  
+  // Send an input event from this entity; it bubbles up to the scene.
+  // The position is null when the source lost tracking (releases are still sent)
+  emitInput: function(eventName, sourceEvent) {
+    // Pinch events carry the pinch point, controllers use their tip
+    const pinchPosition = sourceEvent && sourceEvent.detail ? sourceEvent.detail.position : null;
+    const position = pinchPosition
+      ? new THREE.Vector3(pinchPosition.x, pinchPosition.y, pinchPosition.z)
+      : this.getPointerPosition();
+    
+    emitEvent(this.el, eventName, {
+      hand: this.data.hand,
+      source: this.kind,
+      position: position ? position.clone() : null,
+      ray: this.getRay().clone()
+    });
+  },
+  
+  /**
+   * Check whether this source is tracked and can be used
+   * @returns {Boolean} True for tracked hands and connected controllers
+   */
+  isActive: function() {
+    return this.connected && this.el.object3D.visible;
+  },
+  
+  /**
+   * Check whether the pinch or trigger is held
+   * @returns {Boolean} True while selecting
+   */
+  isSelecting: function() {
+    return this.selecting;
+  },
+  
+  /**
+   * Get the world point this source touches things with
+   * @returns {THREE.Vector3|null} Index fingertip for hands, the tip in front of the
+   *   controller for controllers, the point under the mouse in desktop mode, or null
+   *   when not tracked
+   */
+  getPointerPosition: function() {
+    if (!this.isActive()) return null;
+    
+    if (this.kind === 'hand') {
+      const controls = this.el.components['hand-tracking-controls'];
+      return controls && controls.indexTipPosition ? controls.indexTipPosition : null;
+    }
+    
+    if (this.kind === 'mouse') {
+      return this.el.components['desktop-pointer'].hitPosition;
+    }
+    
+    const ray = this.getRay();
+    return ray.at(this.data.tipOffset, this.tipPosition);
+  },
+  
+  /**
+   * Get the ray this source points along, in the entity's own space
+   * Follows the entity's raycaster (laser-controls sets one up per controller model)
+   * and falls back to rayOrigin/rayDirection, pointing down from the hand by default.
+   * @returns {Object} { origin, direction } as {x, y, z} objects
+   */
+  getLocalRay: function() {
+    const raycaster = this.el.getAttribute('raycaster');
+    return raycaster
+      ? { origin: raycaster.origin, direction: raycaster.direction }
+      : { origin: this.data.rayOrigin, direction: this.data.rayDirection };
+  },
+  
+  /**
+   * Get the world ray this source points along
+   * @returns {THREE.Ray} World ray, updated in place on every call
+   */
+  getRay: function() {
+    const { origin, direction } = this.getLocalRay();
+    
+    const object3D = this.el.object3D;
+    object3D.updateMatrixWorld();
+    
+    this.ray.origin.set(origin.x, origin.y, origin.z).applyMatrix4(object3D.matrixWorld);
+    this.ray.direction.set(direction.x, direction.y, direction.z)
+      .applyQuaternion(object3D.getWorldQuaternion(this.quaternion))
+      .normalize();
+    
+    return this.ray;
+  },
+  
+  // Remove event listeners
+  remove: function() {
+    this.el.removeEventListener(this.events.start, this.onSelectStarted);
+    this.el.removeEventListener(this.events.end, this.onSelectEnded);
+    if (this.events.move) {
+      this.el.removeEventListener(this.events.move, this.onSelectMoved);
+    }
+    this.el.removeEventListener('controllerconnected', this.onConnected);
+    this.el.removeEventListener('controllerdisconnected', this.onDisconnected);
+  }
+});
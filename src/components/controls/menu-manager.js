@@ -150,6 +150,11 @@ AFRAME.registerComponent('menu-manager', {
         this.pushMenu('wall-adjustment', params);
         break;
         
+      case 'verify-wall':
+        // Push current menu to stack for back navigation
+        this.pushMenu('wall-verification', params);
+        break;
+        
       case 'object-definition':
         // Push current menu to stack for back navigation
         this.pushMenu('object-definition', params);
@@ -166,11 +171,41 @@ AFRAME.registerComponent('menu-manager', {
         this.showMenu('object-definition', params);
         break;
         
+      case 'object-edit':
+        // Navigate to the object editor with the object to edit
+        this.pushMenu('object-edit', params);
+        break;
+        
+      case 'object-copy':
+        // Navigate to the duplicate/mirror/array options for an object
+        this.pushMenu('object-copy', params);
+        break;
+        
       case 'view-items':
         // Navigate to the view items menu
         this.pushMenu('view-items', params);
         break;
         
+      case 'gallery-layout':
+        // Navigate to the gallery layout generator
+        this.pushMenu('gallery-layout', params);
+        break;
+        
+      case 'project':
+        // Navigate to project export/import menu
+        this.pushMenu('project', params);
+        break;
+        
+      case 'settings':
+        // Navigate to the settings menu
+        this.pushMenu('settings', params);
+        break;
+        
+      case 'grid-settings':
+        // Navigate to the wall grid options
+        this.pushMenu('grid-settings', params);
+        break;
+        
       case 'back-to-main-menu':
         // Navigate back to main menu
         this.showMenu('main');
@@ -6,6 +6,11 @@
 
 import BaseMenu from './base-menu.js';
 import MenuRegistry from './menu-registry.js';
+import { anchors, events, units } from '../../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { ANCHOR_TEMPLATES, ANCHOR_TYPES, ANCHOR_LABELS, WIRE_LENGTH_STEPS } = anchors;
+const { formatLength, getSceneUnits, pickForUnits } = units;
 
 // Direct definition of colors for clarity
 const Colors = {
@@ -26,9 +31,19 @@ AnchorPlacementMenu.init = function(container, data, sceneEl) {
   modifiedData.height = 0.42; // Increase height for this menu only (default is ~0.3)
   BaseMenu.init.call(this, container, modifiedData, sceneEl);
   
-  // Store anchor count
+  // Store anchor count - follows the anchor placement component, which may have loaded saved anchors
   this.anchorCount = 2; // Default to 2 anchors
   
+  // Anchor picked with the laser or the < > buttons: { index, label, type }
+  this.selectedAnchor = null;
+  
+  // Selected hanging hardware template
+  this.templateIndex = 0;
+  
+  // Hanging wire between two anchors, as reported by the anchor placement component
+  this.wireEnabled = false;
+  this.wireLength = 0;
+  
   // Store current objectId from navigation parameters
   this.objectId = null;
   
@@ -45,11 +60,11 @@ AnchorPlacementMenu.init = function(container, data, sceneEl) {
   this.sceneEl.addEventListener('anchor-status', this.onAnchorStatus);
   
   // Activate anchor placement component when this menu is shown
+  // It reports its anchor count back, so the count isn't passed here
   const anchorPlacement = document.getElementById('anchorPlacement');
   if (anchorPlacement) {
     anchorPlacement.setAttribute('anchor-placement', {
       active: true,
-      anchorCount: this.anchorCount,
       objectId: this.objectId || '' // Pass objectId to keep stateless communication
     });
   }
@@ -95,48 +110,213 @@ AnchorPlacementMenu.render = function() {
   // Add anchor count selector
   this.createAnchorCountSelector();
   
+  // Add controls for the selected anchor
+  this.createAnchorEditor();
+  
   // Add action buttons
   this.createActionButtons();
+  
+  // Add hanging hardware template selector
+  this.createTemplateSelector();
+  
+  // Add hanging wire controls
+  this.createWireControls();
+  
+  // Follow changes to the user-defined templates
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    if (event.detail.path === 'settings.anchorTemplates') {
+      this.updateTemplateButtons();
+    }
+  });
 };
 
-// Create anchor count selector (1-4)
+// Create anchor count selector: any number of anchors, one more or fewer per press
 AnchorPlacementMenu.createAnchorCountSelector = function() {
   const { height } = this.data;
+  const y = height/2 - 0.14;
   
   // Create label
   const label = this.createElement('a-text');
   label.setAttribute('value', 'Number of anchors:');
-  label.setAttribute('align', 'center');
-  label.setAttribute('position', `0 ${height/2 - 0.14} 0`); // Adjusted position
+  label.setAttribute('align', 'left');
+  label.setAttribute('position', `-0.115 ${y} 0`);
   label.setAttribute('color', '#FFFFFF');
-  label.setAttribute('scale', '0.03 0.03 0.03');
+  label.setAttribute('scale', '0.025 0.025 0.025');
   this.container.appendChild(label);
   
-  // Create number buttons with better spacing
-  const buttonWidth = 0.035;
-  const spacing = 0.05;  // Increased spacing between buttons
-  const yPos = height/2 - 0.19; // Adjusted position
+  const fewerBtn = this.createButton({
+    label: '-',
+    width: 0.03,
+    height: 0.03,
+    color: Colors.SECONDARY,
+    position: `0.025 ${y} 0`,
+    handler: () => this.handleAnchorCountChange(Math.max(1, this.anchorCount - 1))
+  });
+  this.container.appendChild(fewerBtn);
+  
+  this.countText = this.createElement('a-text');
+  this.countText.setAttribute('align', 'center');
+  this.countText.setAttribute('position', `0.065 ${y} 0`);
+  this.countText.setAttribute('color', '#FFFFFF');
+  this.countText.setAttribute('scale', '0.035 0.035 0.035');
+  this.container.appendChild(this.countText);
+  
+  const moreBtn = this.createButton({
+    label: '+',
+    width: 0.03,
+    height: 0.03,
+    color: Colors.SECONDARY,
+    position: `0.105 ${y} 0`,
+    handler: () => this.handleAnchorCountChange(this.anchorCount + 1)
+  });
+  this.container.appendChild(moreBtn);
+  
+  this.updateCountDisplay();
+};
+
+// Show the selected anchor count
+AnchorPlacementMenu.updateCountDisplay = function() {
+  if (this.countText) {
+    this.countText.setAttribute('value', `${this.anchorCount}`);
+  }
+};
+
+// Create the selected anchor row: previous/next anchor, hardware type, label and delete
+AnchorPlacementMenu.createAnchorEditor = function() {
+  const { height } = this.data;
+  const y = height/2 - 0.19;
+  
+  const previousBtn = this.createButton({
+    label: '<',
+    width: 0.025,
+    height: 0.025,
+    color: '#999999',
+    position: `-0.105 ${y} 0`,
+    handler: () => this.handleSelectAnchor(-1)
+  });
+  this.container.appendChild(previousBtn);
+  
+  this.selectedText = this.createElement('a-text');
+  this.selectedText.setAttribute('align', 'center');
+  this.selectedText.setAttribute('position', `-0.075 ${y} 0`);
+  this.selectedText.setAttribute('color', '#FFFFFF');
+  this.selectedText.setAttribute('scale', '0.025 0.025 0.025');
+  this.container.appendChild(this.selectedText);
+  
+  const nextBtn = this.createButton({
+    label: '>',
+    width: 0.025,
+    height: 0.025,
+    color: '#999999',
+    position: `-0.045 ${y} 0`,
+    handler: () => this.handleSelectAnchor(1)
+  });
+  this.container.appendChild(nextBtn);
+  
+  this.anchorTypeButton = this.createButton({
+    label: 'Type',
+    width: 0.055,
+    height: 0.025,
+    color: Colors.DISABLED,
+    position: `0.003 ${y} 0`,
+    enabled: false,
+    handler: () => this.handleAnchorTypeChange()
+  });
+  this.container.appendChild(this.anchorTypeButton);
+  
+  this.anchorLabelButton = this.createButton({
+    label: 'Label',
+    width: 0.05,
+    height: 0.025,
+    color: Colors.DISABLED,
+    position: `0.061 ${y} 0`,
+    enabled: false,
+    handler: () => this.handleAnchorLabelChange()
+  });
+  this.container.appendChild(this.anchorLabelButton);
+  
+  this.deleteAnchorButton = this.createButton({
+    label: 'Del',
+    width: 0.035,
+    height: 0.025,
+    color: Colors.DISABLED,
+    position: `0.107 ${y} 0`,
+    enabled: false,
+    handler: () => this.handleDeleteAnchor()
+  });
+  this.container.appendChild(this.deleteAnchorButton);
   
-  // Calculate total width and starting position
-  const totalWidth = spacing * 3;  // 3 spaces between 4 buttons
-  const startX = -totalWidth / 2;
+  this.updateAnchorEditor();
+};
+
+// Show the selected anchor; its buttons only work while an anchor is selected
+AnchorPlacementMenu.updateAnchorEditor = function() {
+  const anchor = this.selectedAnchor;
   
-  for (let i = 1; i <= 4; i++) {
-    const isActive = i === this.anchorCount;
-    const xPos = startX + (i-1) * spacing;
-    
-    const btn = this.createButton({
-      label: `${i}`,
-      width: buttonWidth,
-      height: buttonWidth,
-      color: isActive ? Colors.PRIMARY : Colors.SECONDARY,
-      position: `${xPos} ${yPos} 0`,
-      id: `anchor-count-${i}`,
-      handler: () => this.handleAnchorCountChange(i)
-    });
-    
-    this.container.appendChild(btn);
+  if (this.selectedText) {
+    this.selectedText.setAttribute('value', anchor ? `#${anchor.index + 1}` : '--');
   }
+  
+  const update = (button, label, color) => {
+    if (button) {
+      button.setAttribute('button', {
+        label: label,
+        enabled: !!anchor,
+        color: anchor ? color : Colors.DISABLED
+      });
+    }
+  };
+  
+  update(this.anchorTypeButton, anchor && ANCHOR_TYPES[anchor.type] ? ANCHOR_TYPES[anchor.type].label : 'Type', Colors.PRIMARY);
+  update(this.anchorLabelButton, anchor && anchor.label ? anchor.label : 'Label', Colors.PRIMARY);
+  update(this.deleteAnchorButton, 'Del', Colors.ERROR);
+};
+
+// Select the next or previous placed anchor
+AnchorPlacementMenu.handleSelectAnchor = function(step) {
+  this.sceneEl.emit('anchor-action', {
+    action: 'select-anchor',
+    step: step,
+    objectId: this.objectId
+  });
+};
+
+// Cycle the selected anchor through no type and the hardware types
+AnchorPlacementMenu.handleAnchorTypeChange = function() {
+  if (!this.selectedAnchor) return;
+  
+  const types = [''].concat(Object.keys(ANCHOR_TYPES));
+  const next = types[(types.indexOf(this.selectedAnchor.type || '') + 1) % types.length];
+  
+  this.sceneEl.emit('anchor-action', {
+    action: 'set-anchor-details',
+    type: next,
+    objectId: this.objectId
+  });
+};
+
+// Cycle the selected anchor through no label and the preset labels
+AnchorPlacementMenu.handleAnchorLabelChange = function() {
+  if (!this.selectedAnchor) return;
+  
+  const labels = [''].concat(ANCHOR_LABELS);
+  const next = labels[(labels.indexOf(this.selectedAnchor.label || '') + 1) % labels.length];
+  
+  this.sceneEl.emit('anchor-action', {
+    action: 'set-anchor-details',
+    label: next,
+    objectId: this.objectId
+  });
+};
+
+// Delete the selected anchor
+AnchorPlacementMenu.handleDeleteAnchor = function() {
+  if (!this.selectedAnchor) return;
+  
+  this.sceneEl.emit('anchor-action', {
+    action: 'delete-anchor',
+    objectId: this.objectId
+  });
 };
 
 // Handle anchor count change
@@ -144,15 +324,8 @@ AnchorPlacementMenu.handleAnchorCountChange = function(count) {
   // Update local state
   this.anchorCount = count;
   
-  // Update button colors
-  for (let i = 1; i <= 4; i++) {
-    const btn = document.getElementById(`anchor-count-${i}`);
-    if (btn) {
-      btn.setAttribute('button', {
-        color: i === count ? Colors.PRIMARY : Colors.SECONDARY
-      });
-    }
-  }
+  // Update the count shown
+  this.updateCountDisplay();
   
   // Emit direct anchor action event
   this.sceneEl.emit('anchor-action', { 
@@ -185,7 +358,7 @@ AnchorPlacementMenu.createActionButtons = function() {
     width: 0.08,
     height: 0.04,
     color: Colors.DISABLED, // Start with disabled color
-    position: '-0.08 -0.14 0', // Left position
+    position: '-0.08 -0.18 0', // Left position
     id: 'complete-button', // Keep same ID for consistent handling
     enabled: false, // Start disabled
     handler: () => this.handleCompleteButton()
@@ -198,7 +371,7 @@ AnchorPlacementMenu.createActionButtons = function() {
     width: 0.07,
     height: 0.04,
     color: Colors.WARNING,
-    position: '0 -0.14 0', // Center position
+    position: '0 -0.18 0', // Center position
     id: 'reset-button',
     handler: () => this.handleResetButton()
   });
@@ -210,7 +383,7 @@ AnchorPlacementMenu.createActionButtons = function() {
     width: 0.07,
     height: 0.04,
     color: Colors.ERROR, // Red for cancel
-    position: '0.08 -0.14 0', // Right position
+    position: '0.08 -0.18 0', // Right position
     id: 'cancel-button',
     handler: () => this.handleBackButton() // Use back button handler for cancel
   });
@@ -228,6 +401,224 @@ AnchorPlacementMenu.createActionButtons = function() {
   this.container.appendChild(backBtn);
 };
 
+// Create the template selector: previous/next, apply, save the placed anchors as a template and delete
+AnchorPlacementMenu.createTemplateSelector = function() {
+  // Template name with previous and next buttons
+  const previousBtn = this.createButton({
+    label: '<',
+    width: 0.03,
+    height: 0.025,
+    color: '#999999',
+    position: '-0.085 -0.07 0',
+    handler: () => this.selectTemplate(this.templateIndex - 1)
+  });
+  this.container.appendChild(previousBtn);
+  
+  this.templateButton = this.createButton({
+    label: '',
+    width: 0.13,
+    height: 0.025,
+    color: Colors.SECONDARY,
+    position: '0 -0.07 0',
+    handler: () => this.handleApplyTemplate()
+  });
+  this.container.appendChild(this.templateButton);
+  
+  const nextBtn = this.createButton({
+    label: '>',
+    width: 0.03,
+    height: 0.025,
+    color: '#999999',
+    position: '0.085 -0.07 0',
+    handler: () => this.selectTemplate(this.templateIndex + 1)
+  });
+  this.container.appendChild(nextBtn);
+  
+  // Apply, save and delete buttons
+  const applyBtn = this.createButton({
+    label: 'Apply',
+    width: 0.07,
+    height: 0.025,
+    color: Colors.PRIMARY,
+    position: '-0.08 -0.102 0',
+    handler: () => this.handleApplyTemplate()
+  });
+  this.container.appendChild(applyBtn);
+  
+  const saveTemplateBtn = this.createButton({
+    label: 'Save New',
+    width: 0.07,
+    height: 0.025,
+    color: Colors.SECONDARY,
+    position: '0 -0.102 0',
+    handler: () => this.handleSaveTemplate()
+  });
+  this.container.appendChild(saveTemplateBtn);
+  
+  this.deleteTemplateButton = this.createButton({
+    label: 'Delete',
+    width: 0.07,
+    height: 0.025,
+    color: Colors.DISABLED,
+    position: '0.08 -0.102 0',
+    enabled: false,
+    handler: () => this.handleDeleteTemplate()
+  });
+  this.container.appendChild(this.deleteTemplateButton);
+  
+  this.updateTemplateButtons();
+};
+
+// Create the wire row: on/off toggle and the wire length with shorter/longer buttons
+AnchorPlacementMenu.createWireControls = function() {
+  const y = -0.137;
+  
+  this.wireButton = this.createButton({
+    label: '',
+    width: 0.075,
+    height: 0.025,
+    color: '#999999',
+    position: `-0.075 ${y} 0`,
+    handler: () => this.handleWireToggle()
+  });
+  this.container.appendChild(this.wireButton);
+  
+  const shorterBtn = this.createButton({
+    label: '-',
+    width: 0.03,
+    height: 0.025,
+    color: '#999999',
+    position: `0 ${y} 0`,
+    handler: () => this.handleWireLengthChange(-1)
+  });
+  this.container.appendChild(shorterBtn);
+  
+  this.wireLengthText = this.createElement('a-text');
+  this.wireLengthText.setAttribute('align', 'center');
+  this.wireLengthText.setAttribute('position', `0.045 ${y} 0`);
+  this.wireLengthText.setAttribute('color', '#FFFFFF');
+  this.wireLengthText.setAttribute('scale', '0.025 0.025 0.025');
+  this.container.appendChild(this.wireLengthText);
+  
+  const longerBtn = this.createButton({
+    label: '+',
+    width: 0.03,
+    height: 0.025,
+    color: '#999999',
+    position: `0.09 ${y} 0`,
+    handler: () => this.handleWireLengthChange(1)
+  });
+  this.container.appendChild(longerBtn);
+  
+  this.updateWireControls();
+};
+
+// Show whether the wire is on and its length
+AnchorPlacementMenu.updateWireControls = function() {
+  if (this.wireButton) {
+    this.wireButton.setAttribute('button', {
+      label: this.wireEnabled ? 'Wire: On' : 'Wire: Off',
+      color: this.wireEnabled ? Colors.PRIMARY : '#999999'
+    });
+  }
+  
+  if (this.wireLengthText) {
+    this.wireLengthText.setAttribute('value', this.wireEnabled && this.wireLength > 0
+      ? formatLength(this.wireLength, getSceneUnits(this.sceneEl))
+      : '--');
+  }
+};
+
+// Turn the hanging wire on or off - a wire needs two anchors
+AnchorPlacementMenu.handleWireToggle = function() {
+  this.sceneEl.emit('anchor-action', {
+    action: 'set-wire',
+    enabled: !this.wireEnabled,
+    objectId: this.objectId
+  });
+};
+
+// Lengthen or shorten the wire by one step of the selected unit system
+AnchorPlacementMenu.handleWireLengthChange = function(direction) {
+  const step = pickForUnits(WIRE_LENGTH_STEPS, getSceneUnits(this.sceneEl));
+  
+  this.sceneEl.emit('anchor-action', {
+    action: 'change-wire-length',
+    delta: direction * step,
+    objectId: this.objectId
+  });
+};
+
+// Built-in templates followed by the user's own
+AnchorPlacementMenu.getTemplates = function() {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  return sceneState ? sceneState.getAnchorTemplates() : ANCHOR_TEMPLATES;
+};
+
+// Select a template, wrapping around at either end
+AnchorPlacementMenu.selectTemplate = function(index) {
+  const count = this.getTemplates().length;
+  this.templateIndex = ((index % count) + count) % count;
+  this.updateTemplateButtons();
+};
+
+// Show the selected template; only user-defined templates can be deleted
+AnchorPlacementMenu.updateTemplateButtons = function() {
+  const templates = this.getTemplates();
+  this.templateIndex = Math.min(this.templateIndex, templates.length - 1);
+  const template = templates[this.templateIndex];
+  
+  if (this.templateButton) {
+    this.templateButton.setAttribute('button', {
+      label: `${template.name} (${template.anchors.length})`
+    });
+  }
+  
+  if (this.deleteTemplateButton) {
+    const isUserTemplate = this.templateIndex >= ANCHOR_TEMPLATES.length;
+    this.deleteTemplateButton.setAttribute('button', {
+      enabled: isUserTemplate,
+      color: isUserTemplate ? Colors.ERROR : Colors.DISABLED
+    });
+  }
+};
+
+// Place anchors from the selected template
+AnchorPlacementMenu.handleApplyTemplate = function() {
+  const template = this.getTemplates()[this.templateIndex];
+  console.log('Anchor Placement Menu: Applying template', template.id, 'for objectId:', this.objectId);
+  
+  this.sceneEl.emit('anchor-action', {
+    action: 'apply-anchor-template',
+    templateId: template.id,
+    objectId: this.objectId
+  });
+};
+
+// Save the placed anchors as a new user-defined template
+AnchorPlacementMenu.handleSaveTemplate = function() {
+  this.sceneEl.emit('anchor-action', {
+    action: 'save-anchor-template',
+    objectId: this.objectId
+  });
+};
+
+// Delete the selected user-defined template
+AnchorPlacementMenu.handleDeleteTemplate = function() {
+  const template = this.getTemplates()[this.templateIndex];
+  if (this.templateIndex < ANCHOR_TEMPLATES.length) return;
+  
+  emitEvent(this.sceneEl, EVENTS.SETTINGS.ACTION, {
+    action: 'delete-anchor-template',
+    templateId: template.id
+  });
+  
+  const statusElement = document.getElementById('anchor-status');
+  if (statusElement) {
+    statusElement.setAttribute('value', `Deleted template "${template.name}"`);
+  }
+};
+
 // Handle Auto-place button
 AnchorPlacementMenu.handleAutoPlaceAnchors = function() {
   console.log('Anchor Placement Menu: Auto-place button clicked, emitting event with objectId:', this.objectId);
@@ -306,7 +697,34 @@ AnchorPlacementMenu.handleBackButton = function() {
 
 // Handle anchor status updates
 AnchorPlacementMenu.onAnchorStatus = function(event) {
-  const { status, message, anchorCount } = event.detail;
+  const { status, message, anchorCount, targetCount, templateId, wireEnabled, wireLength } = event.detail;
+  
+  // Follow the anchor count - templates, saved anchors, deleting and the wire change it
+  if (targetCount !== undefined) {
+    this.anchorCount = targetCount;
+    this.updateCountDisplay();
+  }
+  
+  // Follow the selected anchor
+  if (event.detail.selectedAnchor !== undefined) {
+    this.selectedAnchor = event.detail.selectedAnchor;
+    this.updateAnchorEditor();
+  }
+  
+  // Follow the wire
+  if (wireEnabled !== undefined) {
+    this.wireEnabled = wireEnabled;
+    this.wireLength = wireLength;
+    this.updateWireControls();
+  }
+  
+  // Select a template that was just saved
+  if (templateId && status === 'template-saved') {
+    const index = this.getTemplates().findIndex(template => template.id === templateId);
+    if (index >= 0) {
+      this.selectTemplate(index);
+    }
+  }
   
   // Update status text if a message is provided
   const statusElement = document.getElementById('anchor-status');
@@ -360,6 +778,16 @@ AnchorPlacementMenu.cleanup = function() {
   // Remove event listeners
   this.sceneEl.removeEventListener('anchor-status', this.onAnchorStatus);
   
+  this.templateButton = null;
+  this.deleteTemplateButton = null;
+  this.wireButton = null;
+  this.wireLengthText = null;
+  this.countText = null;
+  this.selectedText = null;
+  this.anchorTypeButton = null;
+  this.anchorLabelButton = null;
+  this.deleteAnchorButton = null;
+  
   // Deactivate anchor placement component when this menu is closed
   const anchorPlacement = document.getElementById('anchorPlacement');
   if (anchorPlacement) {
@@ -5,9 +5,14 @@
  * Provides common functionality for menu rendering and event handling
  */
 
-import { events, Colors } from '../../../utils/index.js';
+import { events, interaction, Colors } from '../../../utils/index.js';
 
 const { EVENTS, emitEvent } = events;
+const { POINT_SOURCES } = interaction;
+
+// Keys of the numeric keypad (lengths) and the keyboard (names, notes and search)
+const NUMBER_KEYS = ['123', '456', '789', ['.', '0', 'Del']];
+const TEXT_KEYS = ['1234567890', 'QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM', ['Space', '-', 'Del', 'Clear']];
 
 // Base menu component
 const BaseMenu = {
@@ -22,6 +27,7 @@ const BaseMenu = {
     this.data = data;
     this.sceneEl = sceneEl;
     this.elements = []; // Keep track of created elements for cleanup
+    this.sceneListeners = []; // Keep track of scene listeners for cleanup
   },
   
   /**
@@ -56,6 +62,12 @@ const BaseMenu = {
     
     // Clear elements array
     this.elements = [];
+    
+    // Remove scene listeners
+    (this.sceneListeners || []).forEach(({ event, handler }) => {
+      this.sceneEl.removeEventListener(event, handler);
+    });
+    this.sceneListeners = [];
   },
   
   /**
@@ -87,6 +99,17 @@ const BaseMenu = {
     el.addEventListener(event, handler);
   },
   
+  /**
+   * Helper to add a scene event listener that is removed on cleanup
+   * @param {string} event - The event name
+   * @param {Function} handler - The event handler
+   */
+  addSceneListener: function(event, handler) {
+    this.sceneListeners = this.sceneListeners || [];
+    this.sceneListeners.push({ event, handler });
+    this.sceneEl.addEventListener(event, handler);
+  },
+  
   /**
    * Helper to create a title element
    * @param {string} text - The title text
@@ -153,7 +176,8 @@ const BaseMenu = {
       width: config.width || 0.10,
       height: config.height || 0.03,
       color: config.color || Colors.PRIMARY,
-      textColor: config.textColor || '#FFFFFF'
+      textColor: config.textColor || '#FFFFFF',
+      enabled: config.enabled !== false
     });
     button.setAttribute('position', config.position);
     
@@ -168,6 +192,193 @@ const BaseMenu = {
     return button;
   },
   
+  /**
+   * Helper to create undo/redo buttons that follow the history state
+   * @param {string} position - Position of the button pair's center
+   * @returns {Element} - Entity containing both buttons
+   */
+  createHistoryButtons: function(position) {
+    const group = this.createElement('a-entity');
+    group.setAttribute('position', position);
+    
+    const configs = [
+      { label: 'Undo', key: 'canUndo', event: EVENTS.HISTORY.UNDO, x: -0.0225 },
+      { label: 'Redo', key: 'canRedo', event: EVENTS.HISTORY.REDO, x: 0.0225 }
+    ];
+    
+    const sceneState = this.sceneEl.systems['scene-state'];
+    const status = sceneState ? sceneState.history.getStatus() : {};
+    
+    const buttons = configs.map(config => {
+      const enabled = !!status[config.key];
+      const button = this.createButton({
+        label: config.label,
+        width: 0.04,
+        height: 0.025,
+        color: enabled ? Colors.NEUTRAL : Colors.BORDER,
+        position: `${config.x} 0 0`,
+        enabled: enabled,
+        handler: () => emitEvent(this.sceneEl, config.event)
+      });
+      group.appendChild(button);
+      return { button, key: config.key };
+    });
+    
+    // Enable/disable the buttons when history changes
+    this.addSceneListener(EVENTS.HISTORY.CHANGED, (event) => {
+      buttons.forEach(({ button, key }) => {
+        const enabled = !!event.detail[key];
+        button.setAttribute('button', {
+          enabled: enabled,
+          color: enabled ? Colors.NEUTRAL : Colors.BORDER
+        });
+      });
+    });
+    
+    return group;
+  },
+  
+  /**
+   * Helper to create a button that switches point placement between fingertip and hit-test surface
+   * @param {string} position - Position of the button
+   * @param {number} width - Button width
+   * @returns {Element} - The created button
+   */
+  createPointSourceButton: function(position, width = 0.065) {
+    const sceneState = this.sceneEl.systems['scene-state'];
+    const getPointSource = () => sceneState ? sceneState.getPointSource() : 'fingertip';
+    
+    const getConfig = (pointSource) => ({
+      label: POINT_SOURCES[pointSource].label,
+      color: pointSource === 'surface' ? Colors.SECONDARY : Colors.NEUTRAL
+    });
+    
+    const button = this.createButton({
+      ...getConfig(getPointSource()),
+      width: width,
+      height: 0.025,
+      position: position,
+      handler: () => emitEvent(this.sceneEl, EVENTS.SETTINGS.ACTION, {
+        action: 'set-point-source',
+        pointSource: getPointSource() === 'surface' ? 'fingertip' : 'surface'
+      })
+    });
+    
+    // Follow the setting when it changes
+    this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+      if (event.detail.path === 'settings.pointSource') {
+        button.setAttribute('button', getConfig(getPointSource()));
+      }
+    });
+    
+    return button;
+  },
+  
+  /**
+   * Helper to create a row with a caption on the left and a button per option
+   * @param {string} caption - Caption shown left of the buttons
+   * @param {number} y - Vertical position of the row
+   * @param {Array} options - Label, value and handler of each button
+   * @returns {Array} - The created buttons with their values
+   */
+  createOptionRow: function(caption, y, options) {
+    const captionText = this.createElement('a-text');
+    captionText.setAttribute('value', caption);
+    captionText.setAttribute('align', 'left');
+    captionText.setAttribute('position', `-0.115 ${y} 0`);
+    captionText.setAttribute('color', '#AAAAAA');
+    captionText.setAttribute('scale', '0.022 0.022 0.022');
+    this.container.appendChild(captionText);
+    
+    // Buttons share the space right of the caption
+    const left = -0.055;
+    const right = 0.115;
+    const gap = 0.004;
+    const width = (right - left - gap * (options.length - 1)) / options.length;
+    
+    return options.map((option, index) => {
+      const button = this.createButton({
+        label: option.label || '',
+        width: width,
+        height: 0.026,
+        color: Colors.NEUTRAL,
+        position: `${left + width / 2 + index * (width + gap)} ${y} 0`,
+        handler: option.handler
+      });
+      this.container.appendChild(button);
+      
+      return { button, value: option.value };
+    });
+  },
+  
+  /**
+   * Helper to create the numeric keypad or the keyboard
+   * Each key is a button labeled with its key; the rows are centred on the returned entity.
+   * @param {boolean} numeric - Numeric keypad instead of the keyboard
+   * @param {Function} handler - Called with the key ('A', '7', 'Space', 'Del', 'Clear'...) when pressed
+   * @returns {Element} - Entity containing the keys, its top row at y = 0
+   */
+  createKeyboard: function(numeric, handler) {
+    const keyboard = this.createElement('a-entity');
+    
+    const rows = numeric ? NUMBER_KEYS : TEXT_KEYS;
+    const keyWidth = numeric ? 0.05 : 0.021;
+    const keyHeight = numeric ? 0.03 : 0.026;
+    const rowSpacing = numeric ? 0.035 : 0.03;
+    const gap = numeric ? 0.005 : 0.002;
+    
+    rows.forEach((row, rowIndex) => {
+      const keys = Array.from(row);
+      
+      // Keys with words are wider; every row is centred
+      const widths = keys.map(key => (key.length > 1 && !numeric ? keyWidth * 2.5 : keyWidth));
+      const rowWidth = widths.reduce((sum, width) => sum + width, 0) + gap * (keys.length - 1);
+      let x = -rowWidth / 2;
+      
+      keys.forEach((key, index) => {
+        const button = this.createButton({
+          label: key,
+          width: widths[index],
+          height: keyHeight,
+          color: key.length > 1 ? Colors.BORDER : '#555555',
+          position: `${x + widths[index] / 2} ${-rowIndex * rowSpacing} 0`,
+          handler: () => handler(key)
+        });
+        keyboard.appendChild(button);
+        
+        x += widths[index] + gap;
+      });
+    });
+    
+    return keyboard;
+  },
+  
+  /**
+   * Helper to apply a key of the keypad or keyboard to typed text
+   * Words typed on the keyboard start with a capital.
+   * @param {string} text - Text typed so far
+   * @param {string} key - Pressed key
+   * @returns {string} - The new text
+   */
+  typeKey: function(text, key) {
+    switch (key) {
+      case 'Del':
+        return text.slice(0, -1);
+      
+      case 'Clear':
+        return '';
+      
+      case 'Space':
+        return text + ' ';
+      
+      default:
+        if (/[A-Z]/.test(key) && text.length > 0 && !text.endsWith(' ')) {
+          return text + key.toLowerCase();
+        }
+        return text + key;
+    }
+  },
+  
   /**
    * Helper to emit a global menu action event
    * @param {string} action - The action name
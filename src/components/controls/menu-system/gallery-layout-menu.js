@@ -0,0 +1,202 @@
+/**
+ * Gallery Layout Menu Component
+ *
+ * Proposes arrangements for all measured objects on the active wall - a grid,
+ * a salon-style cluster or a single row - with a gap between the objects and
+ * a height for the centre of the layout. Applied layouts stay draggable.
+ */
+
+import BaseMenu from './base-menu.js';
+import MenuRegistry from './menu-registry.js';
+import { events, layouts, units, Colors } from '../../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { LAYOUT_TYPES, LAYOUT_SPACINGS, LAYOUT_CENTER_HEIGHTS } = layouts;
+const { formatLength, getSceneUnits, pickForUnits } = units;
+
+// Gallery layout menu implementation
+const GalleryLayoutMenu = Object.create(BaseMenu);
+
+// Override render method with gallery layout menu content
+GalleryLayoutMenu.render = function() {
+  const { width, height, borderColor } = this.data;
+  
+  // Chosen options - spacings and heights are kept by index so they follow unit changes
+  this.layoutOptions = { layout: 'grid', spacingIndex: 1, heightIndex: 1 };
+  
+  // Add title
+  const title = this.createTitle('Gallery Layout', height);
+  this.container.appendChild(title);
+  
+  // Add subtitle with the objects and wall the layout applies to
+  this.subtitle = this.createSubtitle('', height);
+  this.container.appendChild(this.subtitle);
+  
+  // Add divider
+  const divider = this.createDivider(width, height, borderColor);
+  this.container.appendChild(divider);
+  
+  // Add option rows
+  const startY = height/2 - 0.075;
+  const rowSpacing = 0.035;
+  
+  this.layoutButtons = this.createOptionRow('Layout', startY, Object.keys(LAYOUT_TYPES).map(layout => ({
+    value: layout,
+    label: LAYOUT_TYPES[layout].label,
+    handler: () => this.setOption('layout', layout)
+  })));
+  
+  this.spacingButtons = this.createOptionRow('Gap', startY - rowSpacing, this.getUnitOptions(LAYOUT_SPACINGS).map((spacing, index) => ({
+    value: index,
+    handler: () => this.setOption('spacingIndex', index)
+  })));
+  
+  this.heightButtons = this.createOptionRow('Centre', startY - rowSpacing * 2, this.getUnitOptions(LAYOUT_CENTER_HEIGHTS).map((centerHeight, index) => ({
+    value: index,
+    handler: () => this.setOption('heightIndex', index)
+  })));
+  
+  // Status text for the result of applying a layout
+  this.statusText = this.createElement('a-text');
+  this.statusText.setAttribute('value', '');
+  this.statusText.setAttribute('align', 'center');
+  this.statusText.setAttribute('position', `0 ${startY - rowSpacing * 3} 0`);
+  this.statusText.setAttribute('color', '#AAAAAA');
+  this.statusText.setAttribute('scale', '0.022 0.022 0.022');
+  this.statusText.setAttribute('wrap-count', 40);
+  this.container.appendChild(this.statusText);
+  
+  // Create apply and back buttons
+  this.createBottomButtons();
+  
+  // Follow unit and object changes
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    const path = event.detail.path;
+    if (path === 'settings.units' || path === 'objects' || path.startsWith('calibration')) {
+      this.updateButtons();
+    }
+  });
+  
+  // Show the result of applying a layout
+  this.addSceneListener(EVENTS.OBJECT.STATUS, (event) => {
+    const { action, status, message } = event.detail;
+    if (action !== 'apply-layout') return;
+    
+    const colors = { applied: Colors.SECONDARY, warning: Colors.WARNING, error: Colors.ERROR };
+    this.setStatus(message, colors[status]);
+  });
+  
+  this.updateButtons();
+};
+
+// Options that suit the selected unit system
+GalleryLayoutMenu.getUnitOptions = function(options) {
+  return pickForUnits(options, getSceneUnits(this.sceneEl));
+};
+
+// Create apply and back buttons
+GalleryLayoutMenu.createBottomButtons = function() {
+  const { height } = this.data;
+  
+  const y = -height/2 + 0.025;
+  
+  // Apply the layout to the objects
+  this.applyButton = this.createButton({
+    label: 'Apply',
+    width: 0.1,
+    height: 0.025,
+    color: Colors.PRIMARY,
+    position: `-0.055 ${y} 0`,
+    handler: () => this.applyLayout()
+  });
+  this.container.appendChild(this.applyButton);
+  
+  // Back button
+  const backButton = this.createButton({
+    label: 'Back',
+    width: 0.1,
+    height: 0.025,
+    color: '#999999',
+    position: `0.055 ${y} 0`,
+    handler: () => this.emitMenuAction('back-to-previous-menu')
+  });
+  this.container.appendChild(backButton);
+};
+
+// Remember an option and show it as selected
+GalleryLayoutMenu.setOption = function(key, value) {
+  this.layoutOptions[key] = value;
+  this.updateButtons();
+};
+
+// Update status text
+GalleryLayoutMenu.setStatus = function(message, color = '#AAAAAA') {
+  if (this.statusText) {
+    this.statusText.setAttribute('value', message);
+    this.statusText.setAttribute('color', color);
+  }
+};
+
+// Label the gap and height buttons in the selected units, highlight the chosen options
+// and describe what the layout applies to
+GalleryLayoutMenu.updateButtons = function() {
+  const unitSystem = getSceneUnits(this.sceneEl);
+  
+  const update = (buttons, selected, values) => {
+    (buttons || []).forEach(({ button, value }) => {
+      const config = { color: value === selected ? Colors.PRIMARY : Colors.NEUTRAL };
+      if (values) {
+        config.label = formatLength(values[value], unitSystem);
+      }
+      button.setAttribute('button', config);
+    });
+  };
+  
+  update(this.layoutButtons, this.layoutOptions.layout);
+  update(this.spacingButtons, this.layoutOptions.spacingIndex, this.getUnitOptions(LAYOUT_SPACINGS));
+  update(this.heightButtons, this.layoutOptions.heightIndex, this.getUnitOptions(LAYOUT_CENTER_HEIGHTS));
+  
+  if (this.subtitle) {
+    const sceneState = this.sceneEl.systems['scene-state'];
+    const wall = sceneState ? sceneState.getWall(sceneState.getActiveWallId()) : null;
+    const count = sceneState ? (sceneState.getState('objects') || []).length : 0;
+    
+    this.subtitle.setAttribute('value', wall && wall.isCalibrated
+      ? `${count} object${count === 1 ? '' : 's'} on ${wall.name}`
+      : 'Calibrate a wall first');
+  }
+};
+
+// Ask the object renderer to arrange the objects on the active wall
+GalleryLayoutMenu.applyLayout = function() {
+  const options = {
+    layout: this.layoutOptions.layout,
+    spacing: this.getUnitOptions(LAYOUT_SPACINGS)[this.layoutOptions.spacingIndex],
+    centerHeight: this.getUnitOptions(LAYOUT_CENTER_HEIGHTS)[this.layoutOptions.heightIndex]
+  };
+  
+  console.log('Gallery Layout Menu: Applying layout -', options);
+  
+  emitEvent(this.sceneEl, EVENTS.OBJECT.ACTION, {
+    action: 'apply-layout',
+    ...options
+  });
+};
+
+// Override cleanup to drop element references
+GalleryLayoutMenu.cleanup = function() {
+  // Call parent cleanup
+  BaseMenu.cleanup.call(this);
+  
+  this.subtitle = null;
+  this.layoutButtons = null;
+  this.spacingButtons = null;
+  this.heightButtons = null;
+  this.statusText = null;
+  this.applyButton = null;
+};
+
+// Register this menu with the registry
+MenuRegistry.register('gallery-layout', GalleryLayoutMenu);
+
+export default GalleryLayoutMenu;
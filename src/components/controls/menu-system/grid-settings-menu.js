@@ -0,0 +1,161 @@
+/**
+ * Grid Settings Menu Component
+ *
+ * Lets the user choose the wall grid spacing, how often major lines appear,
+ * where grid coordinates start and whether lines are labelled
+ */
+
+import BaseMenu from './base-menu.js';
+import MenuRegistry from './menu-registry.js';
+import { events, units, walls, Colors } from '../../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { formatLength, getSceneUnits, pickForUnits } = units;
+const { GRID_SPACINGS, GRID_ORIGINS, DEFAULT_GRID } = walls;
+
+// Major line options: every nth line
+const MAJOR_OPTIONS = [2, 4, 5, 10];
+
+// Grid settings menu implementation
+const GridSettingsMenu = Object.create(BaseMenu);
+
+// Override render method with grid settings menu content
+GridSettingsMenu.render = function() {
+  const { height } = this.data;
+  
+  // Add title
+  const title = this.createTitle('Wall Grid', height);
+  this.container.appendChild(title);
+  
+  // Add option rows
+  const startY = height/2 - 0.05;
+  const rowSpacing = 0.035;
+  
+  // Spacing buttons are relabelled when the units change, so they look their value up when pressed
+  this.spacingButtons = this.createOptionRow('Spacing', startY, this.getSpacingOptions().map((spacing, index) => ({
+    value: spacing,
+    handler: () => this.setGrid({ spacing: this.getSpacingOptions()[index] })
+  })));
+  
+  this.majorButtons = this.createOptionRow('Major', startY - rowSpacing, MAJOR_OPTIONS.map(majorEvery => ({
+    value: majorEvery,
+    label: `1 in ${majorEvery}`,
+    handler: () => this.setGrid({ majorEvery })
+  })));
+  
+  this.originButtons = this.createOptionRow('Origin', startY - rowSpacing * 2, Object.keys(GRID_ORIGINS).map(origin => ({
+    value: origin,
+    label: GRID_ORIGINS[origin].label,
+    handler: () => this.setGrid({ origin })
+  })));
+  
+  // Create labels toggle and back button
+  this.createBottomButtons();
+  
+  // Follow grid and unit changes
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    if (event.detail.path === 'settings.grid' || event.detail.path === 'settings.units') {
+      this.updateButtons();
+    }
+  });
+  
+  this.updateButtons();
+};
+
+// Spacings that suit the selected unit system
+GridSettingsMenu.getSpacingOptions = function() {
+  return pickForUnits(GRID_SPACINGS, getSceneUnits(this.sceneEl));
+};
+
+// Create labels toggle and back button
+GridSettingsMenu.createBottomButtons = function() {
+  const { height } = this.data;
+  
+  const y = -height/2 + 0.025;
+  
+  // Coordinate labels toggle
+  this.labelsButton = this.createButton({
+    label: 'Labels',
+    width: 0.1,
+    height: 0.025,
+    color: Colors.NEUTRAL,
+    position: `-0.055 ${y} 0`,
+    handler: () => this.setGrid({ labels: !this.getGrid().labels })
+  });
+  this.container.appendChild(this.labelsButton);
+  
+  // Back button
+  const backButton = this.createButton({
+    label: 'Back',
+    width: 0.1,
+    height: 0.025,
+    color: '#999999',
+    position: `0.055 ${y} 0`,
+    handler: () => this.emitMenuAction('back-to-previous-menu')
+  });
+  this.container.appendChild(backButton);
+};
+
+// Current grid settings
+GridSettingsMenu.getGrid = function() {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  return sceneState ? sceneState.getGrid() : DEFAULT_GRID;
+};
+
+// Label the spacing buttons in the selected units and highlight the current options
+GridSettingsMenu.updateButtons = function() {
+  const grid = this.getGrid();
+  const unitSystem = getSceneUnits(this.sceneEl);
+  
+  const highlight = (buttons, selected) => {
+    (buttons || []).forEach(({ button, value }) => {
+      button.setAttribute('button', {
+        color: value === selected ? Colors.PRIMARY : Colors.NEUTRAL
+      });
+    });
+  };
+  
+  // Spacing options follow the unit system (metric or imperial)
+  const spacings = this.getSpacingOptions();
+  (this.spacingButtons || []).forEach((entry, index) => {
+    entry.value = spacings[index];
+    entry.button.setAttribute('button', { label: formatLength(entry.value, unitSystem) });
+  });
+  
+  highlight(this.spacingButtons, grid.spacing);
+  highlight(this.majorButtons, grid.majorEvery);
+  highlight(this.originButtons, grid.origin);
+  
+  if (this.labelsButton) {
+    this.labelsButton.setAttribute('button', {
+      label: grid.labels ? 'Labels: On' : 'Labels: Off',
+      color: grid.labels ? Colors.PRIMARY : Colors.NEUTRAL
+    });
+  }
+};
+
+// Change some grid options - scene-state stores them and the walls redraw their grids
+GridSettingsMenu.setGrid = function(grid) {
+  console.log('Grid Settings: Changing grid -', grid);
+  
+  emitEvent(this.sceneEl, EVENTS.SETTINGS.ACTION, {
+    action: 'set-grid',
+    grid: grid
+  });
+};
+
+// Override cleanup to drop element references
+GridSettingsMenu.cleanup = function() {
+  // Call parent cleanup
+  BaseMenu.cleanup.call(this);
+  
+  this.spacingButtons = null;
+  this.majorButtons = null;
+  this.originButtons = null;
+  this.labelsButton = null;
+};
+
+// Register this menu with the registry
+MenuRegistry.register('grid-settings', GridSettingsMenu);
+
+export default GridSettingsMenu;
@@ -17,9 +17,16 @@ import './main-menu.js';
 import './wall-calibration-menu.js';
 import './wall-adjustment-menu.js';
 import './wall-point-selection-menu.js';
+import './wall-verification-menu.js';
 import './object-definition-menu.js';
 import './anchor-placement-menu.js';
+import './object-edit-menu.js';
+import './object-copy-menu.js';
 import './view-items-menu.js';
+import './project-menu.js';
+import './settings-menu.js';
+import './grid-settings-menu.js';
+import './gallery-layout-menu.js';
 
 // Export for use by the menu manager
 export { MenuRegistry, BaseMenu };
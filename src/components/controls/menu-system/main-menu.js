@@ -30,6 +30,21 @@ MainMenu.render = function() {
   
   // Add menu buttons
   this.createMenuButtons();
+  
+  // Add undo/redo buttons in the top right corner
+  const historyButtons = this.createHistoryButtons(`${width/2 - 0.05} ${height/2 - 0.02} 0`);
+  this.container.appendChild(historyButtons);
+  
+  // Add settings button in the top left corner
+  const settingsButton = this.createButton({
+    label: 'Settings',
+    width: 0.055,
+    height: 0.025,
+    color: Colors.NEUTRAL,
+    position: `${-width/2 + 0.0375} ${height/2 - 0.02} 0`,
+    handler: (event) => this.handleButtonPress('settings', event)
+  });
+  this.container.appendChild(settingsButton);
 };
 
 // Create main menu buttons
@@ -59,6 +74,12 @@ MainMenu.createMenuButtons = function() {
       color: Colors.WARNING, 
       position: `0 ${startY - spacing*2} 0`,
       handler: (event) => this.handleButtonPress('wall-calibration', event)
+    },
+    { 
+      label: 'Project', 
+      color: Colors.NEUTRAL, 
+      position: `0 ${startY - spacing*3} 0`,
+      handler: (event) => this.handleButtonPress('project', event)
     }
   ];
   
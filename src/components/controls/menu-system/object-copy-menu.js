@@ -0,0 +1,234 @@
+/**
+ * Object Copy Menu Component
+ *
+ * Adds copies of a saved object for pairs and sets of identical frames: a
+ * duplicate, a mirrored copy or a row of several copies. Copies keep their
+ * anchors and are placed beside the original on its wall with the chosen gap.
+ */
+
+import BaseMenu from './base-menu.js';
+import MenuRegistry from './menu-registry.js';
+import { events, layouts, library, units, Colors } from '../../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { LAYOUT_SPACINGS, MAX_ARRAY_COPIES } = layouts;
+const { getObjectTitle } = library;
+const { formatLength, formatObjectSize, getSceneUnits, pickForUnits } = units;
+
+// Kinds of copies, in the order they are offered
+const COPY_MODES = {
+  'duplicate-object': { label: 'Duplicate' },
+  'mirror-object': { label: 'Mirror' },
+  'array-object': { label: 'Array' }
+};
+
+// Fewest copies an array can have
+const MIN_ARRAY_COUNT = 2;
+
+// Object copy menu implementation
+const ObjectCopyMenu = Object.create(BaseMenu);
+
+// Override init to remember the object to copy
+ObjectCopyMenu.init = function(container, data, sceneEl) {
+  BaseMenu.init.call(this, container, data, sceneEl);
+  
+  this.objectId = data && data.params ? data.params.objectId : null;
+};
+
+// Override render method with object copy menu content
+ObjectCopyMenu.render = function() {
+  const { width, height, borderColor } = this.data;
+  
+  // Chosen options - the gap is kept by index so it follows unit changes
+  this.copyOptions = { mode: 'duplicate-object', spacingIndex: 0, count: 3 };
+  
+  // Add title
+  const title = this.createTitle('Copy Object', height);
+  this.container.appendChild(title);
+  
+  // Add subtitle with the object being copied
+  this.subtitle = this.createSubtitle('', height);
+  this.container.appendChild(this.subtitle);
+  
+  // Add divider
+  const divider = this.createDivider(width, height, borderColor);
+  this.container.appendChild(divider);
+  
+  // Add option rows
+  const startY = height/2 - 0.065;
+  const rowSpacing = 0.03;
+  
+  this.modeButtons = this.createOptionRow('Copy', startY, Object.keys(COPY_MODES).map(mode => ({
+    value: mode,
+    label: COPY_MODES[mode].label,
+    handler: () => this.setOption('mode', mode)
+  })));
+  
+  this.spacingButtons = this.createOptionRow('Gap', startY - rowSpacing, this.getSpacings().map((spacing, index) => ({
+    value: index,
+    handler: () => this.setOption('spacingIndex', index)
+  })));
+  
+  this.countButtons = this.createOptionRow('Count', startY - rowSpacing * 2, [
+    { value: 'fewer', label: '-', handler: () => this.changeCount(-1) },
+    { value: 'count', label: '' },
+    { value: 'more', label: '+', handler: () => this.changeCount(1) }
+  ]);
+  
+  // Status text for the result of copying
+  this.statusText = this.createElement('a-text');
+  this.statusText.setAttribute('value', '');
+  this.statusText.setAttribute('align', 'center');
+  this.statusText.setAttribute('position', `0 ${startY - rowSpacing * 3} 0`);
+  this.statusText.setAttribute('color', '#AAAAAA');
+  this.statusText.setAttribute('scale', '0.022 0.022 0.022');
+  this.statusText.setAttribute('wrap-count', 40);
+  this.container.appendChild(this.statusText);
+  
+  // Create apply and back buttons
+  this.createBottomButtons();
+  
+  // Follow unit changes and edits of the object
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    const path = event.detail.path;
+    if (path === 'settings.units' || path === 'objects') {
+      this.updateButtons();
+    }
+  });
+  
+  // Show the result of copying
+  this.addSceneListener(EVENTS.OBJECT.STATUS, (event) => {
+    const { action, status, message, objectId } = event.detail;
+    if (!COPY_MODES[action] || objectId !== this.objectId) return;
+    
+    const colors = { copied: Colors.SECONDARY, warning: Colors.WARNING, error: Colors.ERROR };
+    this.setStatus(message, colors[status]);
+  });
+  
+  this.updateButtons();
+};
+
+// Gaps that suit the selected unit system
+ObjectCopyMenu.getSpacings = function() {
+  return pickForUnits(LAYOUT_SPACINGS, getSceneUnits(this.sceneEl));
+};
+
+// Create apply and back buttons
+ObjectCopyMenu.createBottomButtons = function() {
+  const { height } = this.data;
+  
+  const y = -height/2 + 0.025;
+  
+  // Add the copies
+  const applyButton = this.createButton({
+    label: 'Apply',
+    width: 0.1,
+    height: 0.025,
+    color: Colors.PRIMARY,
+    position: `-0.055 ${y} 0`,
+    handler: () => this.applyCopy()
+  });
+  this.container.appendChild(applyButton);
+  
+  // Back button
+  const backButton = this.createButton({
+    label: 'Back',
+    width: 0.1,
+    height: 0.025,
+    color: '#999999',
+    position: `0.055 ${y} 0`,
+    handler: () => this.emitMenuAction('back-to-previous-menu')
+  });
+  this.container.appendChild(backButton);
+};
+
+// Remember an option and show it as selected
+ObjectCopyMenu.setOption = function(key, value) {
+  this.copyOptions[key] = value;
+  this.updateButtons();
+};
+
+// Change the number of copies an array makes
+ObjectCopyMenu.changeCount = function(direction) {
+  if (this.copyOptions.mode !== 'array-object') return;
+  
+  this.copyOptions.count = Math.min(MAX_ARRAY_COPIES, Math.max(MIN_ARRAY_COUNT, this.copyOptions.count + direction));
+  this.updateButtons();
+};
+
+// Update status text
+ObjectCopyMenu.setStatus = function(message, color = '#AAAAAA') {
+  if (this.statusText) {
+    this.statusText.setAttribute('value', message);
+    this.statusText.setAttribute('color', color);
+  }
+};
+
+// Label the gap buttons in the selected units, highlight the chosen options
+// and describe the object being copied
+ObjectCopyMenu.updateButtons = function() {
+  const unitSystem = getSceneUnits(this.sceneEl);
+  const spacings = this.getSpacings();
+  
+  (this.modeButtons || []).forEach(({ button, value }) => {
+    button.setAttribute('button', { color: value === this.copyOptions.mode ? Colors.PRIMARY : Colors.NEUTRAL });
+  });
+  
+  (this.spacingButtons || []).forEach(({ button, value }) => {
+    button.setAttribute('button', {
+      label: formatLength(spacings[value], unitSystem),
+      color: value === this.copyOptions.spacingIndex ? Colors.PRIMARY : Colors.NEUTRAL
+    });
+  });
+  
+  // The count only applies to arrays
+  const isArray = this.copyOptions.mode === 'array-object';
+  (this.countButtons || []).forEach(({ button, value }) => {
+    if (value === 'count') {
+      button.setAttribute('button', { label: isArray ? `${this.copyOptions.count}` : '1', color: Colors.BORDER });
+    } else {
+      button.setAttribute('button', { enabled: isArray, color: isArray ? Colors.NEUTRAL : Colors.BORDER });
+    }
+  });
+  
+  if (this.subtitle) {
+    const sceneState = this.sceneEl.systems['scene-state'];
+    const objects = sceneState ? sceneState.getState('objects') || [] : [];
+    const index = objects.findIndex(obj => obj.id === this.objectId);
+    
+    this.subtitle.setAttribute('value', index >= 0
+      ? `${getObjectTitle(objects[index], index)} - ${formatObjectSize(objects[index], unitSystem)}`
+      : 'Object not found');
+  }
+};
+
+// Ask the object renderer to add the copies
+ObjectCopyMenu.applyCopy = function() {
+  const options = {
+    action: this.copyOptions.mode,
+    objectId: this.objectId,
+    spacing: this.getSpacings()[this.copyOptions.spacingIndex],
+    count: this.copyOptions.mode === 'array-object' ? this.copyOptions.count : 1
+  };
+  
+  console.log('Object Copy Menu: Copying object -', options);
+  
+  emitEvent(this.sceneEl, EVENTS.OBJECT.ACTION, options);
+};
+
+// Override cleanup to drop element references
+ObjectCopyMenu.cleanup = function() {
+  // Call parent cleanup
+  BaseMenu.cleanup.call(this);
+  
+  this.subtitle = null;
+  this.modeButtons = null;
+  this.spacingButtons = null;
+  this.countButtons = null;
+  this.statusText = null;
+};
+
+// Register this menu with the registry
+MenuRegistry.register('object-copy', ObjectCopyMenu);
+
+export default ObjectCopyMenu;
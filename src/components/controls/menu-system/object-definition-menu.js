@@ -6,9 +6,18 @@
 
 import BaseMenu from './base-menu.js';
 import MenuRegistry from './menu-registry.js';
-import { events } from '../../../utils/index.js';
+import { events, units, Colors } from '../../../utils/index.js';
 
 const { EVENTS, emitEvent } = events;
+const { formatObjectSize } = units;
+
+// Shapes that can be selected before starting a new object
+const SHAPE_OPTIONS = [
+  { shape: 'rectangle', label: 'Rect', instructions: 'Define an object by placing three corner points' },
+  { shape: 'circle', label: 'Circle', instructions: 'Define a circle by placing its center and a rim point' },
+  { shape: 'circle-3pt', label: '3-Pt', instructions: 'Define a circle by placing three points on its rim' },
+  { shape: 'polygon', label: 'Poly', instructions: 'Define a polygon by placing its corners in order' }
+];
 
 // Object definition menu implementation
 const ObjectDefinitionMenu = Object.create(BaseMenu);
@@ -44,7 +53,7 @@ ObjectDefinitionMenu.render = function() {
   
   // Add instructions text
   const instructions = this.createElement('a-text');
-  instructions.setAttribute('value', 'Define an object by placing three corner points');
+  instructions.setAttribute('value', this.getShapeOption().instructions);
   instructions.setAttribute('align', 'center');
   instructions.setAttribute('position', `0 ${height/2 - 0.04} 0`);
   instructions.setAttribute('color', '#FFFFFF');
@@ -65,6 +74,9 @@ ObjectDefinitionMenu.render = function() {
   // Add object definition controls
   this.createObjectButtons();
   
+  // Add shape selection, shown while no object is being defined
+  this.createShapeButtons();
+  
   // Initially don't create the reset button - we'll add it only when needed
   // Store a reference to the container for later button creation
   this.resetButtonContainer = document.createElement('a-entity');
@@ -76,6 +88,17 @@ ObjectDefinitionMenu.render = function() {
   
   // Create side panel with object list
   this.createSidePanel();
+  
+  // Add undo/redo buttons in the top right corner
+  const historyButtons = this.createHistoryButtons(`${width/2 - 0.05} ${height/2 - 0.025} 0`);
+  this.container.appendChild(historyButtons);
+  
+  // Refresh the object list when objects change elsewhere (e.g. undo/redo)
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    if (event.detail.path === 'objects' && this.objectListContainer) {
+      this.updateObjectList();
+    }
+  });
 };
 
 // Create object definition buttons
@@ -117,6 +140,89 @@ ObjectDefinitionMenu.createObjectButtons = function() {
   this.container.appendChild(cancelBtn);
 };
 
+// Get the shape selected in the object definition component
+ObjectDefinitionMenu.getSelectedShape = function() {
+  const objectDef = document.getElementById('objectDefinition');
+  const component = objectDef && objectDef.components['object-definition'];
+  return component ? component.shapeMode : 'rectangle';
+};
+
+// Get the menu option of the selected shape
+ObjectDefinitionMenu.getShapeOption = function() {
+  const shape = this.getSelectedShape();
+  return SHAPE_OPTIONS.find(option => option.shape === shape) || SHAPE_OPTIONS[0];
+};
+
+// Create shape selection buttons in the row used by the anchor placement button,
+// together with the point placement toggle
+ObjectDefinitionMenu.createShapeButtons = function() {
+  // Only create the buttons if they don't already exist
+  if (this.shapeButtonContainer) return;
+  
+  this.shapeButtonContainer = document.createElement('a-entity');
+  this.shapeButtonContainer.setAttribute('id', 'shape-button-container');
+  this.shapeButtonContainer.setAttribute('position', '0 -0.075 0');
+  
+  const spacing = 0.06;
+  const startX = -spacing * (SHAPE_OPTIONS.length - 1) / 2;
+  
+  this.shapeButtons = SHAPE_OPTIONS.map((option, index) => {
+    const button = this.createButton({
+      label: option.label,
+      width: 0.055,
+      height: 0.025,
+      color: Colors.NEUTRAL,
+      position: `${startX + index * spacing} 0 0`,
+      handler: () => this.handleShapeButton(option.shape)
+    });
+    this.shapeButtonContainer.appendChild(button);
+    
+    return { button, shape: option.shape };
+  });
+  
+  // Fingertip/surface point placement toggle between the Start and Cancel buttons
+  const pointSourceButton = this.createPointSourceButton('0 0.045 0');
+  this.shapeButtonContainer.appendChild(pointSourceButton);
+  
+  this.container.appendChild(this.shapeButtonContainer);
+  this.updateShapeButtons();
+};
+
+// Remove the shape selection buttons while an object is being defined
+ObjectDefinitionMenu.removeShapeButtons = function() {
+  if (this.shapeButtonContainer && this.shapeButtonContainer.parentNode) {
+    this.shapeButtonContainer.parentNode.removeChild(this.shapeButtonContainer);
+  }
+  
+  this.shapeButtonContainer = null;
+  this.shapeButtons = [];
+};
+
+// Highlight the selected shape
+ObjectDefinitionMenu.updateShapeButtons = function() {
+  const selected = this.getSelectedShape();
+  
+  (this.shapeButtons || []).forEach(({ button, shape }) => {
+    button.setAttribute('button', {
+      color: shape === selected ? Colors.PRIMARY : Colors.NEUTRAL
+    });
+  });
+};
+
+// Handle shape button - select the shape for the next object
+ObjectDefinitionMenu.handleShapeButton = function(shape) {
+  console.log('Object Definition Menu: Shape selected -', shape);
+  
+  emitEvent(this.sceneEl, EVENTS.OBJECT.ACTION, { action: 'set-object-shape', shape });
+  
+  this.updateShapeButtons();
+  
+  const instructionsElement = document.getElementById('object-instructions');
+  if (instructionsElement) {
+    instructionsElement.setAttribute('value', this.getShapeOption().instructions);
+  }
+};
+
 // Create a reset button to clear current object definition
 ObjectDefinitionMenu.createResetButton = function() {
   // Only create the button if it doesn't already exist
@@ -146,14 +252,9 @@ ObjectDefinitionMenu.handleResetButton = function() {
   console.log('Object Definition Menu: Reset current object');
   
   // Emit reset event - this will only reset the current point selection without exiting object creation mode
+  // The component's status update tells the user which point to place first
   emitEvent(this.sceneEl, EVENTS.OBJECT.ACTION, { action: 'reset-current-object' });
   
-  // Update status text to indicate we're still in object creation mode
-  const statusElement = document.getElementById('object-status');
-  if (statusElement) {
-    statusElement.setAttribute('value', 'Object reset. Place the first corner point (top left).');
-  }
-  
   // Also reset the Save & Exit button to disabled
   const startButton = document.getElementById('object-start-button');
   if (startButton) {
@@ -170,7 +271,7 @@ ObjectDefinitionMenu.handleResetButton = function() {
   // Update instructions text
   const instructionsElement = document.getElementById('object-instructions');
   if (instructionsElement) {
-    instructionsElement.setAttribute('value', 'Define an object by placing three corner points');
+    instructionsElement.setAttribute('value', this.getShapeOption().instructions);
   }
   
   // Update side panel to make sure it's current
@@ -256,6 +357,9 @@ ObjectDefinitionMenu.handleStartButton = function() {
     // Remove any existing anchor placement button
     this.removeAnchorPlacementButton();
     
+    // The shape can't change while points are being placed
+    this.removeShapeButtons();
+    
     // Emit start object definition event
     emitEvent(this.sceneEl, EVENTS.OBJECT.ACTION, { action: 'start-object-definition' });
     
@@ -344,7 +448,7 @@ ObjectDefinitionMenu.setupStatusListener = function() {
 
 // Handle object status updates
 ObjectDefinitionMenu.onObjectStatus = function(event) {
-  const { status, message, pointCount, dimensions } = event.detail;
+  const { status, message, canComplete, dimensions } = event.detail;
   
   // Update status text
   const statusElement = document.getElementById('object-status');
@@ -357,8 +461,8 @@ ObjectDefinitionMenu.onObjectStatus = function(event) {
   
   // Update button enabled state based on point count
   if (startButton && startButton.getAttribute('button').label === 'Save & Exit') {
-    // Enable Save & Exit button only when all three points are placed
-    const isComplete = pointCount >= 3;
+    // Enable Save & Exit button only when the shape has enough points
+    const isComplete = !!canComplete;
     startButton.setAttribute('button', {
       label: 'Save & Exit',
       color: isComplete ? '#0F9D58' : '#888888', // Green if complete, grey if not
@@ -392,13 +496,14 @@ ObjectDefinitionMenu.onObjectStatus = function(event) {
     // Remove the anchor placement button after completion
     this.removeAnchorPlacementButton();
     
+    // Allow choosing the shape of the next object
+    this.createShapeButtons();
+    
     // If we have dimensions, display them
     if (dimensions) {
       const instructionsElement = document.getElementById('object-instructions');
       if (instructionsElement) {
-        instructionsElement.setAttribute('value', 
-          `Object saved! Width: ${dimensions.widthCm} cm, Height: ${dimensions.heightCm} cm`
-        );
+        instructionsElement.setAttribute('value', `Object saved! ${dimensions.sizeLabel}`);
       }
     }
     
@@ -422,6 +527,9 @@ ObjectDefinitionMenu.onObjectStatus = function(event) {
     
     // Remove the anchor placement button if it exists
     this.removeAnchorPlacementButton();
+    
+    // Allow choosing the shape of the next object
+    this.createShapeButtons();
   }
 };
 
@@ -511,26 +619,45 @@ ObjectDefinitionMenu.updateObjectList = function() {
     const rowContainer = document.createElement('a-entity');
     rowContainer.setAttribute('position', `0 ${-yOffset} 0`);
     
-    // Object info text
-    const dimensions = `${(object.width * 100).toFixed(1)}×${(object.height * 100).toFixed(1)} cm`;
+    // Object info text - the name if it has one, otherwise its size
+    const dimensions = formatObjectSize(object);
     const objectText = this.createElement('a-text');
-    objectText.setAttribute('value', `${index + 1}. ${dimensions}`);
+    objectText.setAttribute('value', `${index + 1}. ${object.name || dimensions}`);
     objectText.setAttribute('align', 'left');
     objectText.setAttribute('position', '-0.11 0 0');
     objectText.setAttribute('color', object.visible ? '#FFFFFF' : '#888888'); // Dim text if hidden
-    objectText.setAttribute('scale', '0.035 0.035 0.035');
+    objectText.setAttribute('scale', '0.03 0.03 0.03');
     rowContainer.appendChild(objectText);
     
+    // Object edit button - left of anchor edit button
+    const objectEditBtn = this.createElement('a-entity');
+    objectEditBtn.setAttribute('button', {
+      label: '\u270E', // Pencil symbol (U+270E)
+      width: 0.03,
+      height: 0.035,
+      color: '#0F9D58', // Green color
+      textColor: '#FFFFFF'
+    });
+    objectEditBtn.setAttribute('position', '-0.005 0 0');
+    objectEditBtn.setAttribute('data-object-id', object.id);
+    
+    // Add event listener for object edit button
+    objectEditBtn.addEventListener('button-press-ended', () => {
+      console.log('Object edit button pressed for object:', object.id);
+      this.editObject(object.id);
+    });
+    rowContainer.appendChild(objectEditBtn);
+    
     // Anchor edit button - left of visibility toggle
     const anchorEditBtn = this.createElement('a-entity');
     anchorEditBtn.setAttribute('button', {
       label: '\u2693', // Anchor symbol (U+2693)
-      width: 0.035,
+      width: 0.03,
       height: 0.035,
       color: '#F4B400', // Yellow/amber color
       textColor: '#FFFFFF'
     });
-    anchorEditBtn.setAttribute('position', '0.005 0 0');
+    anchorEditBtn.setAttribute('position', '0.03 0 0');
     anchorEditBtn.setAttribute('data-object-id', object.id);
     
     // Add event listener for anchor edit button
@@ -544,12 +671,12 @@ ObjectDefinitionMenu.updateObjectList = function() {
     const visibilityBtn = this.createElement('a-entity');
     visibilityBtn.setAttribute('button', {
       label: object.visible ? '\ud83d\udc41' : '\ud83d\udeab',  // Eye (U+1F441) or No Entry (U+1F6AB) unicode escapes
-      width: 0.035,
+      width: 0.03,
       height: 0.035,
       color: object.visible ? '#4285F4' : '#888888', // Blue when visible, gray when hidden
       textColor: '#FFFFFF'
     });
-    visibilityBtn.setAttribute('position', '0.05 0 0');
+    visibilityBtn.setAttribute('position', '0.065 0 0');
     visibilityBtn.setAttribute('data-object-id', object.id);
     
     // Add event listener for visibility toggle
@@ -563,12 +690,12 @@ ObjectDefinitionMenu.updateObjectList = function() {
     const deleteBtn = this.createElement('a-entity');
     deleteBtn.setAttribute('button', {
       label: 'X',
-      width: 0.035,
+      width: 0.03,
       height: 0.035,
       color: '#DB4437',  // Red color for delete
       textColor: '#FFFFFF'
     });
-    deleteBtn.setAttribute('position', '0.095 0 0');
+    deleteBtn.setAttribute('position', '0.1 0 0');
     deleteBtn.setAttribute('data-object-id', object.id);
     
     // Add event listener for button press
@@ -613,6 +740,13 @@ ObjectDefinitionMenu.toggleObjectVisibility = function(objectId) {
   this.updateObjectList();
 };
 
+// Navigate to the object edit menu for a specific object
+ObjectDefinitionMenu.editObject = function(objectId) {
+  console.log('Object Definition Menu: Editing object', objectId);
+  
+  this.emitMenuAction('object-edit', { objectId: objectId });
+};
+
 // Navigate to anchor placement menu for specific object
 ObjectDefinitionMenu.editObjectAnchors = function(objectId) {
   console.log('Object Definition Menu: Editing anchors for object', objectId);
@@ -658,6 +792,8 @@ ObjectDefinitionMenu.cleanup = function() {
   
   // Remove event listeners
   this.sceneEl.removeEventListener(EVENTS.OBJECT.STATUS, this.onObjectStatus);
+  this.shapeButtonContainer = null;
+  this.shapeButtons = [];
   
   // Deactivate object definition component when this menu is closed
   const objectDef = document.getElementById('objectDefinition');
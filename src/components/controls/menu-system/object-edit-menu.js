@@ -0,0 +1,357 @@
+/**
+ * Object Edit Menu Component
+ *
+ * Edits a saved object: its corners can be dragged with the handles of the
+ * object-editor component, and a keypad types an exact width and height
+ * (diameter for circles), a name and notes. Apply stores the typed values.
+ */
+
+import BaseMenu from './base-menu.js';
+import MenuRegistry from './menu-registry.js';
+import { events, units, Colors } from '../../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { formatObjectSize, formatLengthInput, getInputUnit, getSceneUnits, parseLength } = units;
+
+// Longest text that can be typed per field (characters)
+const FIELD_MAX_LENGTHS = { width: 8, height: 8, name: 40, notes: 200 };
+
+// Object edit menu implementation
+const ObjectEditMenu = Object.create(BaseMenu);
+
+// Override init to show the object's handles
+ObjectEditMenu.init = function(container, data, sceneEl) {
+  // Call parent init with a taller menu for the keyboard
+  const modifiedData = { ...data };
+  modifiedData.height = 0.42;
+  BaseMenu.init.call(this, container, modifiedData, sceneEl);
+  
+  this.objectId = data && data.params ? data.params.objectId : null;
+  
+  // Field being typed in and the typed text of every field
+  this.field = 'width';
+  this.drafts = {};
+  this.stored = null; // Stored values the drafts were last synced with
+  
+  // Show the corner handles of this object
+  const objectEditor = document.getElementById('objectEditor');
+  if (objectEditor && this.objectId) {
+    objectEditor.setAttribute('object-editor', {
+      active: true,
+      objectId: this.objectId
+    });
+  }
+};
+
+// Override render method with object edit menu content
+ObjectEditMenu.render = function() {
+  const { width, height, borderColor } = this.data;
+  
+  // Add title
+  const title = this.createTitle('Edit Object', height);
+  this.container.appendChild(title);
+  
+  // Add subtitle with the object's name and size
+  this.subtitle = this.createSubtitle('', height);
+  this.container.appendChild(this.subtitle);
+  
+  // Add divider
+  const divider = this.createDivider(width, height, borderColor);
+  this.container.appendChild(divider);
+  
+  const object = this.getObject();
+  if (!object) {
+    this.subtitle.setAttribute('value', 'Object not found');
+    this.createBottomButtons();
+    return;
+  }
+  
+  // Circles are sized by their diameter only
+  this.fields = object.type === 'circle'
+    ? [{ key: 'width', label: 'Diameter' }, { key: 'name', label: 'Name' }, { key: 'notes', label: 'Notes' }]
+    : [{ key: 'width', label: 'Width' }, { key: 'height', label: 'Height' }, { key: 'name', label: 'Name' }, { key: 'notes', label: 'Notes' }];
+  
+  this.createFieldButtons();
+  
+  // Typed text of the selected field
+  this.inputText = this.createElement('a-text');
+  this.inputText.setAttribute('align', 'center');
+  this.inputText.setAttribute('position', `0 ${height/2 - 0.1} 0`);
+  this.inputText.setAttribute('color', '#FFFFFF');
+  this.inputText.setAttribute('scale', '0.03 0.03 0.03');
+  this.inputText.setAttribute('wrap-count', 40);
+  this.container.appendChild(this.inputText);
+  
+  // Name and notes of the object
+  this.detailsText = this.createElement('a-text');
+  this.detailsText.setAttribute('align', 'center');
+  this.detailsText.setAttribute('position', `0 ${height/2 - 0.125} 0`);
+  this.detailsText.setAttribute('color', '#AAAAAA');
+  this.detailsText.setAttribute('scale', '0.02 0.02 0.02');
+  this.detailsText.setAttribute('wrap-count', 50);
+  this.container.appendChild(this.detailsText);
+  
+  // Status text for the result of an edit
+  this.statusText = this.createElement('a-text');
+  this.statusText.setAttribute('value', 'Pinch a handle to reshape the object');
+  this.statusText.setAttribute('align', 'center');
+  this.statusText.setAttribute('position', `0 ${-height/2 + 0.055} 0`);
+  this.statusText.setAttribute('color', '#AAAAAA');
+  this.statusText.setAttribute('scale', '0.022 0.022 0.022');
+  this.statusText.setAttribute('wrap-count', 40);
+  this.container.appendChild(this.statusText);
+  
+  this.createBottomButtons();
+  
+  // Show the result of edits
+  this.addSceneListener(EVENTS.OBJECT.STATUS, (event) => {
+    const { action, status, message, objectId } = event.detail;
+    if (action !== 'edit-object' || objectId !== this.objectId || status === 'started') return;
+    
+    const colors = { updated: Colors.SECONDARY, error: Colors.ERROR };
+    this.setStatus(message, colors[status]);
+  });
+  
+  // Follow handle drags, undo/redo and unit changes
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    const path = event.detail.path;
+    if (path === 'objects' || path === 'settings.units') {
+      this.syncDrafts(path === 'settings.units');
+    }
+  });
+  
+  this.syncDrafts(true);
+  this.selectField(this.field);
+};
+
+// The object being edited, as stored in scene-state
+ObjectEditMenu.getObject = function() {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  const objects = sceneState ? sceneState.getState('objects') || [] : [];
+  return objects.find(obj => obj.id === this.objectId) || null;
+};
+
+// Stored values of all fields as text
+ObjectEditMenu.getStoredValues = function(object) {
+  const unitSystem = getSceneUnits(this.sceneEl);
+  
+  return {
+    width: formatLengthInput(object.width, unitSystem),
+    height: formatLengthInput(object.height, unitSystem),
+    name: object.name || '',
+    notes: object.notes || ''
+  };
+};
+
+// Take over stored values for fields that weren't typed in (or all fields when reset)
+ObjectEditMenu.syncDrafts = function(reset) {
+  const object = this.getObject();
+  if (!object) return;
+  
+  const values = this.getStoredValues(object);
+  Object.keys(values).forEach(key => {
+    if (reset || !this.stored || this.drafts[key] === this.stored[key]) {
+      this.drafts[key] = values[key];
+    }
+  });
+  this.stored = values;
+  
+  const size = formatObjectSize(object, getSceneUnits(this.sceneEl));
+  this.subtitle.setAttribute('value', object.name ? `${object.name} - ${size}` : size);
+  
+  this.updateInput();
+};
+
+// Create a button per field in one row
+ObjectEditMenu.createFieldButtons = function() {
+  const { height } = this.data;
+  
+  const y = height/2 - 0.07;
+  const gap = 0.005;
+  const width = (0.235 - gap * (this.fields.length - 1)) / this.fields.length;
+  
+  this.fieldButtons = this.fields.map((field, index) => {
+    const button = this.createButton({
+      label: field.label,
+      width: width,
+      height: 0.026,
+      color: Colors.NEUTRAL,
+      position: `${-0.1175 + width / 2 + index * (width + gap)} ${y} 0`,
+      handler: () => this.selectField(field.key)
+    });
+    this.container.appendChild(button);
+    
+    return { button, key: field.key };
+  });
+};
+
+// Type into another field - lengths get the numeric keypad, text the keyboard
+ObjectEditMenu.selectField = function(key) {
+  const numeric = key === 'width' || key === 'height';
+  const switchKeys = !this.keys || numeric !== this.numericKeys;
+  
+  this.field = key;
+  
+  (this.fieldButtons || []).forEach(entry => {
+    entry.button.setAttribute('button', {
+      color: entry.key === key ? Colors.PRIMARY : Colors.NEUTRAL
+    });
+  });
+  
+  if (switchKeys) {
+    this.createKeys(numeric);
+  }
+  
+  this.updateInput();
+};
+
+// Create the keypad or keyboard
+ObjectEditMenu.createKeys = function(numeric) {
+  const { height } = this.data;
+  
+  if (this.keys && this.keys.parentNode) {
+    this.keys.parentNode.removeChild(this.keys);
+  }
+  
+  this.numericKeys = numeric;
+  this.keys = this.createKeyboard(numeric, key => this.pressKey(key));
+  this.keys.setAttribute('position', `0 ${height/2 - 0.155} 0`);
+  this.container.appendChild(this.keys);
+};
+
+// Change the typed text of the selected field
+ObjectEditMenu.pressKey = function(key) {
+  const text = this.drafts[this.field] || '';
+  
+  // Lengths take one decimal point
+  if (key === '.' && text.includes('.')) return;
+  
+  this.drafts[this.field] = this.typeKey(text, key).slice(0, FIELD_MAX_LENGTHS[this.field]);
+  this.updateInput();
+};
+
+// Show the typed text of the selected field, and the name and notes
+ObjectEditMenu.updateInput = function() {
+  if (!this.inputText || !this.fields) return;
+  
+  const field = this.fields.find(entry => entry.key === this.field);
+  const text = this.drafts[this.field] || '';
+  const unit = field.key === 'width' || field.key === 'height'
+    ? ` ${getInputUnit(getSceneUnits(this.sceneEl)).short}`
+    : '';
+  
+  this.inputText.setAttribute('value', `${field.label}: ${text}_${unit}`);
+  
+  const shorten = (value, length) => (value.length > length ? `${value.slice(0, length - 3)}...` : value);
+  this.detailsText.setAttribute('value',
+    `Name: ${shorten(this.drafts.name, 20) || '-'}   Notes: ${shorten(this.drafts.notes, 24) || '-'}`);
+};
+
+// Create undo/redo, apply and done buttons
+ObjectEditMenu.createBottomButtons = function() {
+  const { height } = this.data;
+  
+  const y = -height/2 + 0.025;
+  
+  // Undo/redo, also for handle drags
+  const historyButtons = this.createHistoryButtons(`-0.075 ${y} 0`);
+  this.container.appendChild(historyButtons);
+  
+  // Store the typed values
+  const applyButton = this.createButton({
+    label: 'Apply',
+    width: 0.065,
+    height: 0.025,
+    color: Colors.PRIMARY,
+    position: `0.01 ${y} 0`,
+    handler: () => this.applyDrafts()
+  });
+  this.container.appendChild(applyButton);
+  
+  // Back to the menu the editor was opened from
+  const doneButton = this.createButton({
+    label: 'Done',
+    width: 0.065,
+    height: 0.025,
+    color: '#999999',
+    position: `0.0825 ${y} 0`,
+    handler: () => this.emitMenuAction('back-to-previous-menu')
+  });
+  this.container.appendChild(doneButton);
+};
+
+// Update status text
+ObjectEditMenu.setStatus = function(message, color = '#AAAAAA') {
+  if (this.statusText) {
+    this.statusText.setAttribute('value', message);
+    this.statusText.setAttribute('color', color);
+  }
+};
+
+// Send the typed size, name and notes to the object editor
+ObjectEditMenu.applyDrafts = function() {
+  const object = this.getObject();
+  if (!object || !this.stored) return;
+  
+  const unitSystem = getSceneUnits(this.sceneEl);
+  const sizeChanged = this.drafts.width !== this.stored.width ||
+    (object.type !== 'circle' && this.drafts.height !== this.stored.height);
+  const detailsChanged = this.drafts.name !== this.stored.name || this.drafts.notes !== this.stored.notes;
+  
+  if (!sizeChanged && !detailsChanged) {
+    this.setStatus('Nothing to apply - type a new value first');
+    return;
+  }
+  
+  // Read everything before sending, since each edit syncs the drafts
+  const width = parseLength(this.drafts.width, unitSystem);
+  const height = object.type === 'circle' ? width : parseLength(this.drafts.height, unitSystem);
+  const details = { name: this.drafts.name, notes: this.drafts.notes };
+  
+  if (sizeChanged && (!width || !height)) {
+    this.setStatus('Enter the size as a number', Colors.ERROR);
+    return;
+  }
+  
+  console.log('Object Edit Menu: Applying -', sizeChanged ? { width, height } : '', detailsChanged ? details : '');
+  
+  if (sizeChanged) {
+    emitEvent(this.sceneEl, EVENTS.OBJECT.ACTION, {
+      action: 'set-object-dimensions',
+      objectId: this.objectId,
+      width: width,
+      height: height
+    });
+  }
+  
+  if (detailsChanged) {
+    emitEvent(this.sceneEl, EVENTS.OBJECT.ACTION, {
+      action: 'set-object-details',
+      objectId: this.objectId,
+      ...details
+    });
+  }
+};
+
+// Override cleanup to hide the handles
+ObjectEditMenu.cleanup = function() {
+  // Call parent cleanup
+  BaseMenu.cleanup.call(this);
+  
+  const objectEditor = document.getElementById('objectEditor');
+  if (objectEditor) {
+    objectEditor.setAttribute('object-editor', 'active', false);
+  }
+  
+  this.subtitle = null;
+  this.inputText = null;
+  this.detailsText = null;
+  this.statusText = null;
+  this.fieldButtons = null;
+  this.keys = null;
+};
+
+// Register this menu with the registry
+MenuRegistry.register('object-edit', ObjectEditMenu);
+
+export default ObjectEditMenu;
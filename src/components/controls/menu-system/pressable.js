@@ -2,7 +2,8 @@
  * Pressable Component
  * 
  * Detects when a finger is close enough to hover or press this element
- * Works with hand-tracking-controls
+ * Works with every input-source: fingertips and controller tips press by touch,
+ * controller lasers hover by pointing and press with the trigger
  * Uses THREE.Box3 for width-aware detection across button's entire surface
  */
 
@@ -16,12 +17,16 @@ AFRAME.registerComponent('pressable', {
 
   init: function () {
     this.worldPosition = new THREE.Vector3();
-    this.handEls = document.querySelectorAll('[hand-tracking-controls]');
+    this.sourceEls = document.querySelectorAll('[input-source]');
     this.pressed = false;
     this.hovered = false;
     this.hadRealPress = false; // Track if we had a legitimate press (not just hover)
     this.pressDuration = 0; // Track how long the finger has been in press position
     
+    // Lasers pointing at the button with the trigger up; only these press it,
+    // so sweeping a laser across the menu with the trigger held clicks nothing
+    this.armedSources = new Set();
+    
     // Create bounding box for button
     this.boundingBox = new THREE.Box3();
     this.tempVector = new THREE.Vector3();
@@ -30,6 +35,8 @@ AFRAME.registerComponent('pressable', {
     // Track matrix state for transformations
     this.matrix = new THREE.Matrix4();
     this.inverse = new THREE.Matrix4();
+    this.localRay = new THREE.Ray();
+    this.buttonPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
   },
   
   updateBoundingBox: function() {
@@ -74,29 +81,49 @@ AFRAME.registerComponent('pressable', {
   },
 
   tick: function () {
-    var handEls = this.handEls;
-    var handEl;
+    var sourceEls = this.sourceEls;
+    var source;
+    var tipPosition;
     var distance;
     var minDistance = Infinity;
+    var rayHovered = false;
+    var rayPressed = false;
     
     // Update bounding box to current transform
     this.updateBoundingBox();
     
-    // Find the closest finger
-    for (var i = 0; i < handEls.length; i++) {
-      handEl = handEls[i];
-      if (handEl.components['hand-tracking-controls'] && 
-          handEl.components['hand-tracking-controls'].indexTipPosition) {
-        
-        distance = this.calculateFingerDistance(handEl.components['hand-tracking-controls'].indexTipPosition);
+    for (var i = 0; i < sourceEls.length; i++) {
+      source = sourceEls[i].components['input-source'];
+      if (!source || !source.isActive()) {
+        if (source) this.disarm(source);
+        continue;
+      }
+      
+      // Find the closest finger or controller tip
+      tipPosition = source.getPointerPosition();
+      if (tipPosition) {
+        distance = this.calculateFingerDistance(tipPosition);
         if (distance < minDistance) {
           minDistance = distance;
         }
       }
+      
+      // Controller lasers and the desktop mouse point at the button from a distance
+      if (source.kind === 'hand') continue;
+      
+      if (!this.isRayOnButton(source.getRay())) {
+        this.disarm(source);
+      } else if (!source.isSelecting()) {
+        this.arm(source);
+        rayHovered = true;
+      } else if (this.armedSources.has(source)) {
+        rayHovered = true;
+        rayPressed = true;
+      }
     }
     
     // Handle press state with tracking if a real press occurred
-    if (minDistance < this.data.pressDistance) {
+    if (minDistance < this.data.pressDistance || rayPressed) {
       if (!this.pressed) { 
         this.el.emit(EVENTS.INTERACTION.PRESSED_STARTED);
         console.log('Button press started');
@@ -115,17 +142,41 @@ AFRAME.registerComponent('pressable', {
     }
     
     // Handle hover state separately
-    if (minDistance < this.data.hoverDistance && !this.hovered) {
+    var hovering = minDistance < this.data.hoverDistance || rayHovered;
+    if (hovering && !this.hovered) {
       this.el.emit('mouseenter');
       console.log('Button hover started');
       this.hovered = true;
-    } else if (minDistance >= this.data.hoverDistance && this.hovered) {
+    } else if (!hovering && this.hovered) {
       this.el.emit('mouseleave');
       console.log('Button hover ended');
       this.hovered = false;
     }
   },
 
+  // Remember a laser pointing at the button; the source then keeps its trigger for the button
+  arm: function (source) {
+    this.armedSources.add(source);
+    source.pointedButtons.add(this.el);
+  },
+
+  disarm: function (source) {
+    this.armedSources.delete(source);
+    source.pointedButtons.delete(this.el);
+  },
+
+  isRayOnButton: function (ray) {
+    // Transform the ray to the button's local space, where the button lies in the XY plane
+    this.localRay.copy(ray).applyMatrix4(this.inverse);
+    
+    if (!this.localRay.intersectPlane(this.buttonPlane, this.tempVector)) {
+      return false;
+    }
+    
+    return Math.abs(this.tempVector.x) <= this.boundingBoxSize.x / 2 &&
+           Math.abs(this.tempVector.y) <= this.boundingBoxSize.y / 2;
+  },
+
   calculateFingerDistance: function (fingerPosition) {
     // Transform finger position to local space
     this.tempVector.copy(fingerPosition);
@@ -140,5 +191,11 @@ AFRAME.registerComponent('pressable', {
       // If within X and Y boundaries, just return Z distance
       return Math.abs(this.tempVector.z - this.worldPosition.z);
     }
+  },
+
+  remove: function () {
+    // Let go of the lasers pointing at this button
+    this.armedSources.forEach(source => source.pointedButtons.delete(this.el));
+    this.armedSources.clear();
   }
 });
\ No newline at end of file
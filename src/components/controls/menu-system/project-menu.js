@@ -0,0 +1,175 @@
+/**
+ * Project Menu Component
+ *
+ * Exports the measured project as a JSON file and imports project files
+ */
+
+import BaseMenu from './base-menu.js';
+import MenuRegistry from './menu-registry.js';
+import { events, files, Colors } from '../../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { pickTextFile } = files;
+
+// Project menu implementation
+const ProjectMenu = Object.create(BaseMenu);
+
+// Override render method with project menu content
+ProjectMenu.render = function() {
+  const { width, height, borderColor } = this.data;
+  
+  // Add title
+  const title = this.createTitle('Project', height);
+  this.container.appendChild(title);
+  
+  // Add subtitle
+  const subtitle = this.createSubtitle('Export or import measurements', height);
+  this.container.appendChild(subtitle);
+  
+  // Add divider
+  const divider = this.createDivider(width, height, borderColor);
+  this.container.appendChild(divider);
+  
+  // Add project buttons
+  this.createProjectButtons();
+  
+  // Add status text
+  this.createStatusText();
+  
+  // Create back button
+  this.createBackButton();
+  
+  // Listen for export/import results
+  this.onProjectStatus = this.onProjectStatus.bind(this);
+  this.sceneEl.addEventListener(EVENTS.PROJECT.STATUS, this.onProjectStatus);
+};
+
+// Create export/import buttons
+ProjectMenu.createProjectButtons = function() {
+  const { height } = this.data;
+  
+  // Calculate starting Y position based on panel height
+  const startY = height/2 - 0.07;
+  const spacing = 0.035;
+  
+  // Button config - defines project options
+  const buttons = [
+    {
+      label: 'Export Project',
+      color: Colors.PRIMARY,
+      position: `0 ${startY} 0`,
+      width: 0.2,
+      height: 0.03,
+      handler: () => this.handleExport()
+    },
+    {
+      label: 'Import Project',
+      color: Colors.SECONDARY,
+      position: `0 ${startY - spacing} 0`,
+      width: 0.2,
+      height: 0.03,
+      handler: () => this.handleImport()
+    }
+  ];
+  
+  // Create project buttons
+  buttons.forEach(config => {
+    const button = this.createButton(config);
+    this.container.appendChild(button);
+  });
+};
+
+// Create status text shown below the buttons
+ProjectMenu.createStatusText = function() {
+  const { height } = this.data;
+  
+  this.statusText = this.createElement('a-text');
+  this.statusText.setAttribute('value', '');
+  this.statusText.setAttribute('align', 'center');
+  this.statusText.setAttribute('position', `0 ${height/2 - 0.15} 0`);
+  this.statusText.setAttribute('color', '#AAAAAA');
+  this.statusText.setAttribute('scale', '0.02 0.02 0.02');
+  this.statusText.setAttribute('wrap-count', 40);
+  this.container.appendChild(this.statusText);
+};
+
+// Create back button
+ProjectMenu.createBackButton = function() {
+  const { height } = this.data;
+  
+  // Back button at the bottom of the menu
+  const button = this.createButton({
+    label: 'Back to Main Menu',
+    color: '#999999',
+    position: `0 ${-height/2 + 0.03} 0`,
+    width: 0.2,
+    height: 0.03,
+    handler: () => this.emitMenuAction('back-to-main-menu')
+  });
+  
+  this.container.appendChild(button);
+};
+
+// Update status text
+ProjectMenu.setStatus = function(message, color = '#AAAAAA') {
+  if (this.statusText) {
+    this.statusText.setAttribute('value', message);
+    this.statusText.setAttribute('color', color);
+  }
+};
+
+// Handle export button
+ProjectMenu.handleExport = function() {
+  console.log('Project Menu: Exporting project');
+  
+  emitEvent(this.sceneEl, EVENTS.PROJECT.ACTION, {
+    action: 'export-project'
+  });
+};
+
+// Handle import button - the file picker only opens outside immersive sessions on some browsers
+ProjectMenu.handleImport = function() {
+  console.log('Project Menu: Importing project');
+  
+  this.setStatus('Choose a project file...');
+  
+  pickTextFile()
+    .then(file => {
+      if (!file) {
+        this.setStatus('');
+        return;
+      }
+      
+      emitEvent(this.sceneEl, EVENTS.PROJECT.ACTION, {
+        action: 'import-project',
+        data: file.text,
+        fileName: file.name
+      });
+    })
+    .catch(err => {
+      console.error('Project Menu: Failed to read project file', err);
+      this.setStatus('Could not read file', Colors.ERROR);
+    });
+};
+
+// Show export/import results
+ProjectMenu.onProjectStatus = function(event) {
+  const { status, message } = event.detail;
+  
+  this.setStatus(message, status === 'error' ? Colors.ERROR : Colors.SECONDARY);
+};
+
+// Override cleanup to remove event listeners
+ProjectMenu.cleanup = function() {
+  // Call parent cleanup
+  BaseMenu.cleanup.call(this);
+  
+  // Remove status listener
+  this.sceneEl.removeEventListener(EVENTS.PROJECT.STATUS, this.onProjectStatus);
+  this.statusText = null;
+};
+
+// Register this menu with the registry
+MenuRegistry.register('project', ProjectMenu);
+
+export default ProjectMenu;
@@ -0,0 +1,236 @@
+/**
+ * Settings Menu Component
+ *
+ * Lets the user pick the unit system used by every label and status message
+ * and what dragged objects snap to; the wall grid has its own menu
+ */
+
+import BaseMenu from './base-menu.js';
+import MenuRegistry from './menu-registry.js';
+import { events, snapping, units, Colors } from '../../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { SNAP_TARGETS } = snapping;
+const { formatLength, getSceneUnits } = units;
+
+// Unit buttons, two rows of metric and imperial systems
+const UNIT_OPTIONS = [
+  { units: 'mm', label: 'mm', row: 0 },
+  { units: 'cm', label: 'cm', row: 0 },
+  { units: 'm', label: 'm', row: 0 },
+  { units: 'in', label: 'Inches', row: 1 },
+  { units: 'ft-in', label: 'Ft + In', row: 1 }
+];
+
+// Length shown as an example of the selected unit system
+const EXAMPLE_LENGTH = 1.2345;
+
+// Settings menu implementation
+const SettingsMenu = Object.create(BaseMenu);
+
+// Override render method with settings menu content
+SettingsMenu.render = function() {
+  const { width, height, borderColor } = this.data;
+  
+  // Add title
+  const title = this.createTitle('Settings', height);
+  this.container.appendChild(title);
+  
+  // Add subtitle
+  const subtitle = this.createSubtitle('Measurement units', height);
+  this.container.appendChild(subtitle);
+  
+  // Add divider
+  const divider = this.createDivider(width, height, borderColor);
+  this.container.appendChild(divider);
+  
+  // Add unit buttons
+  this.createUnitButtons();
+  
+  // Add example text
+  this.createExampleText();
+  
+  // Add snap target toggles
+  this.createSnapButtons();
+  
+  // Create back button
+  this.createBackButton();
+  
+  // Follow setting changes (e.g. restored settings)
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    if (event.detail.path === 'settings.units') {
+      this.updateUnitButtons();
+    } else if (event.detail.path === 'settings.snapTargets') {
+      this.updateSnapButtons();
+    }
+  });
+  
+  this.updateUnitButtons();
+  this.updateSnapButtons();
+};
+
+// Create one button per unit system
+SettingsMenu.createUnitButtons = function() {
+  const { height } = this.data;
+  
+  // Calculate starting Y position based on panel height
+  const startY = height/2 - 0.065;
+  const rowSpacing = 0.035;
+  const columnSpacing = 0.07;
+  
+  this.unitButtons = UNIT_OPTIONS.map(option => {
+    const rowOptions = UNIT_OPTIONS.filter(other => other.row === option.row);
+    const column = rowOptions.indexOf(option);
+    const startX = -columnSpacing * (rowOptions.length - 1) / 2;
+    
+    const button = this.createButton({
+      label: option.label,
+      width: 0.065,
+      height: 0.028,
+      color: Colors.NEUTRAL,
+      position: `${startX + column * columnSpacing} ${startY - option.row * rowSpacing} 0`,
+      handler: () => this.handleUnitButton(option.units)
+    });
+    this.container.appendChild(button);
+    
+    return { button, units: option.units };
+  });
+};
+
+// Create text showing an example length in the selected units
+SettingsMenu.createExampleText = function() {
+  const { height } = this.data;
+  
+  this.exampleText = this.createElement('a-text');
+  this.exampleText.setAttribute('value', '');
+  this.exampleText.setAttribute('align', 'center');
+  this.exampleText.setAttribute('position', `0 ${height/2 - 0.125} 0`);
+  this.exampleText.setAttribute('color', '#AAAAAA');
+  this.exampleText.setAttribute('scale', '0.02 0.02 0.02');
+  this.exampleText.setAttribute('wrap-count', 40);
+  this.container.appendChild(this.exampleText);
+};
+
+// Create one toggle per snap target
+SettingsMenu.createSnapButtons = function() {
+  const { height } = this.data;
+  
+  const y = height/2 - 0.143;
+  const spacing = 0.08;
+  const keys = Object.keys(SNAP_TARGETS);
+  const startX = -spacing * (keys.length - 1) / 2;
+  
+  this.snapButtons = keys.map((target, index) => {
+    const button = this.createButton({
+      label: `Snap ${SNAP_TARGETS[target].label}`,
+      width: 0.075,
+      height: 0.024,
+      color: Colors.NEUTRAL,
+      position: `${startX + index * spacing} ${y} 0`,
+      handler: () => this.handleSnapButton(target)
+    });
+    this.container.appendChild(button);
+    
+    return { button, target };
+  });
+};
+
+// Create grid and back buttons
+SettingsMenu.createBackButton = function() {
+  const { height } = this.data;
+  
+  const y = -height/2 + 0.025;
+  
+  // Grid options button
+  const gridButton = this.createButton({
+    label: 'Wall Grid',
+    color: Colors.PRIMARY,
+    position: `-0.055 ${y} 0`,
+    width: 0.1,
+    height: 0.025,
+    handler: () => this.emitMenuAction('grid-settings')
+  });
+  this.container.appendChild(gridButton);
+  
+  // Back button at the bottom of the menu
+  const button = this.createButton({
+    label: 'Back',
+    color: '#999999',
+    position: `0.055 ${y} 0`,
+    width: 0.1,
+    height: 0.025,
+    handler: () => this.emitMenuAction('back-to-main-menu')
+  });
+  
+  this.container.appendChild(button);
+};
+
+// Highlight the selected unit system and update the example
+SettingsMenu.updateUnitButtons = function() {
+  const selected = getSceneUnits(this.sceneEl);
+  
+  (this.unitButtons || []).forEach(({ button, units: unitSystem }) => {
+    button.setAttribute('button', {
+      color: unitSystem === selected ? Colors.PRIMARY : Colors.NEUTRAL
+    });
+  });
+  
+  if (this.exampleText) {
+    this.exampleText.setAttribute('value', `Example: ${formatLength(EXAMPLE_LENGTH, selected)}`);
+  }
+};
+
+// Highlight the enabled snap targets
+SettingsMenu.updateSnapButtons = function() {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  const enabled = sceneState ? sceneState.getSnapTargets() : [];
+  
+  (this.snapButtons || []).forEach(({ button, target }) => {
+    button.setAttribute('button', {
+      color: enabled.includes(target) ? Colors.PRIMARY : Colors.NEUTRAL
+    });
+  });
+};
+
+// Switch a snap target on or off
+SettingsMenu.handleSnapButton = function(target) {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  if (!sceneState) return;
+  
+  const enabled = sceneState.getSnapTargets();
+  const snapTargets = enabled.includes(target)
+    ? enabled.filter(other => other !== target)
+    : Object.keys(SNAP_TARGETS).filter(other => other === target || enabled.includes(other));
+  
+  console.log('Settings Menu: Snap targets -', snapTargets);
+  
+  emitEvent(this.sceneEl, EVENTS.SETTINGS.ACTION, {
+    action: 'set-snap-targets',
+    snapTargets: snapTargets
+  });
+};
+
+// Handle unit button - scene-state stores the choice and announces it
+SettingsMenu.handleUnitButton = function(unitSystem) {
+  console.log('Settings Menu: Units selected -', unitSystem);
+  
+  emitEvent(this.sceneEl, EVENTS.SETTINGS.ACTION, {
+    action: 'set-units',
+    units: unitSystem
+  });
+};
+
+// Override cleanup to drop element references
+SettingsMenu.cleanup = function() {
+  // Call parent cleanup
+  BaseMenu.cleanup.call(this);
+  
+  this.unitButtons = null;
+  this.snapButtons = null;
+  this.exampleText = null;
+};
+
+// Register this menu with the registry
+MenuRegistry.register('settings', SettingsMenu);
+
+export default SettingsMenu;
@@ -1,49 +1,84 @@
 /**
  * View Items Menu Component
- * 
- * Provides a grid interface to view and select saved objects
+ *
+ * Object library: a paged list of saved objects with their name, size, anchor
+ * count, wall and creation date. The list can be sorted, filtered by wall or
+ * shape and searched by name, and each object can be projected, edited,
+ * duplicated or deleted.
  */
 
 import BaseMenu from './base-menu.js';
 import MenuRegistry from './menu-registry.js';
-import { events, Colors } from '../../../utils/index.js';
+import { events, geometry, library, uiElements, units, Colors } from '../../../utils/index.js';
 
 const { EVENTS, emitEvent } = events;
+const { calculateObjectBoundingBox } = geometry;
+const { LIBRARY_SORTS, OBJECT_TYPE_LABELS, getObjectTitle, formatObjectDate, queryObjects, paginate } = library;
+const { formatObjectSize, getSceneUnits } = units;
+const { createShape } = uiElements;
+
+// Objects shown per page
+const PAGE_SIZE = 3;
+
+// Size of an object card (m)
+const CARD_WIDTH = 0.24;
+const CARD_HEIGHT = 0.085;
+
+// Longest search text (characters)
+const SEARCH_MAX_LENGTH = 20;
 
 // View Items menu implementation
 const ViewItemsMenu = Object.create(BaseMenu);
 
+// Sort order, filters and page - shared by every showing of the menu, so they are kept
+// while the app runs, e.g. when coming back from editing an object
+ViewItemsMenu.libraryOptions = { sort: 'newest', wallId: null, type: null, search: '', page: 0 };
+
+// Override init to make room for the object cards
+ViewItemsMenu.init = function(container, data, sceneEl) {
+  // Call parent init with a taller menu
+  const modifiedData = { ...data };
+  modifiedData.height = 0.42;
+  BaseMenu.init.call(this, container, modifiedData, sceneEl);
+  
+  // The keyboard replaces the cards while a search is typed
+  this.searching = false;
+};
+
 // Override render method with view items menu content
 ViewItemsMenu.render = function() {
   const { width, height, borderColor } = this.data;
   
   // Add title
-  const title = this.createTitle('View Items', height);
+  const title = this.createTitle('Object Library', height);
   this.container.appendChild(title);
   
-  // Add subtitle
-  const subtitle = this.createSubtitle('Saved Objects', height);
-  this.container.appendChild(subtitle);
+  // Add subtitle with the number of objects shown
+  this.subtitle = this.createSubtitle('Saved Objects', height);
+  this.container.appendChild(this.subtitle);
   
   // Add divider
   const divider = this.createDivider(width, height, borderColor);
   this.container.appendChild(divider);
   
-  // Check if wall is calibrated
+  // Check if any wall is calibrated
   const sceneState = this.sceneEl.systems['scene-state'];
-  const wallState = sceneState ? sceneState.getState('calibration.wall') : null;
-  const isWallCalibrated = wallState ? wallState.isCalibrated : false;
+  const isWallCalibrated = sceneState ? sceneState.getWalls().some(wall => wall.isCalibrated) : false;
   
   if (!isWallCalibrated) {
     // Show calibration required message
     this.showCalibrationRequired();
   } else {
-    // Show object grid
-    this.showObjectGrid();
+    // Show the object library
+    this.showLibrary();
   }
   
-  // Create back button
-  this.createBackButton();
+  // Create paging, layout and back buttons
+  this.createBottomButtons(isWallCalibrated);
+  
+  if (isWallCalibrated) {
+    this.updateLibrary();
+  }
 };
 
 // Show message that wall calibration is required
@@ -73,196 +108,261 @@ ViewItemsMenu.showCalibrationRequired = function() {
   this.container.appendChild(button);
 };
 
-// Show grid of objects
-ViewItemsMenu.showObjectGrid = function() {
+// Show the sort and filter buttons and the container for the object cards
+ViewItemsMenu.showLibrary = function() {
   const { height } = this.data;
   
-  // Create scrollable container
-  this.scrollContainer = this.createElement('a-entity');
-  this.scrollContainer.setAttribute('class', 'scrollable-container');
-  this.scrollContainer.setAttribute('position', `0 ${height/2 - 0.1} 0.001`);
-  this.container.appendChild(this.scrollContainer);
+  const y = height/2 - 0.07;
+  
+  // Sort order, wall filter and shape filter - each press picks the next option
+  this.sortButton = this.createToolbarButton(-0.09, y, () =>
+    this.cycleOption('sort', Object.keys(LIBRARY_SORTS)));
+  
+  this.wallButton = this.createToolbarButton(-0.03, y, () =>
+    this.cycleOption('wallId', [null, ...this.getWalls().map(wall => wall.id)]));
+  
+  this.typeButton = this.createToolbarButton(0.03, y, () =>
+    this.cycleOption('type', [null, ...Object.keys(OBJECT_TYPE_LABELS)]));
+  
+  // Name search - shows the keyboard until pressed again
+  this.searchButton = this.createToolbarButton(0.09, y, () => this.toggleSearch());
+  
+  // Container for the cards of the current page
+  this.listContainer = this.createElement('a-entity');
+  this.listContainer.setAttribute('class', 'object-library');
+  this.listContainer.setAttribute('position', `0 ${height/2 - 0.085 - CARD_HEIGHT/2} 0.001`);
+  this.container.appendChild(this.listContainer);
+  
+  // Search text and keyboard, in place of the cards
+  this.searchPanel = this.createElement('a-entity');
+  this.searchPanel.setAttribute('position', `0 ${height/2 - 0.1} 0.001`);
+  this.searchPanel.setAttribute('visible', false);
+  this.container.appendChild(this.searchPanel);
+  
+  this.searchText = this.createElement('a-text');
+  this.searchText.setAttribute('align', 'center');
+  this.searchText.setAttribute('color', '#FFFFFF');
+  this.searchText.setAttribute('scale', '0.03 0.03 0.03');
+  this.searchPanel.appendChild(this.searchText);
+  
+  const keyboard = this.createKeyboard(false, key => this.typeSearch(key));
+  keyboard.setAttribute('position', '0 -0.04 0');
+  this.searchPanel.appendChild(keyboard);
+  
+  // Follow new, deleted and edited objects, undo/redo, unit and wall changes
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    const path = event.detail.path;
+    if (path === 'objects' || path === 'settings.units' || path.startsWith('calibration')) {
+      this.updateLibrary();
+    }
+  });
+};
+
+// Create a sort, filter or search button
+ViewItemsMenu.createToolbarButton = function(x, y, handler) {
+  const button = this.createButton({
+    label: ' ',
+    width: 0.056,
+    height: 0.026,
+    color: Colors.NEUTRAL,
+    position: `${x} ${y} 0`,
+    handler: handler
+  });
+  this.container.appendChild(button);
+  
+  return button;
+};
+
+// Walls objects can be filtered by
+ViewItemsMenu.getWalls = function() {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  return sceneState ? sceneState.getWalls() : [];
+};
+
+// Switch a sort or filter option to the next value and go back to the first page
+ViewItemsMenu.cycleOption = function(key, values) {
+  const index = values.indexOf(this.libraryOptions[key]);
+  this.libraryOptions[key] = values[(index + 1) % values.length];
+  this.libraryOptions.page = 0;
+  
+  console.log('View Items Menu: Library options -', this.libraryOptions);
+  this.updateLibrary();
+};
+
+// Show or hide the search keyboard
+ViewItemsMenu.toggleSearch = function() {
+  this.searching = !this.searching;
+  
+  this.searchPanel.setAttribute('visible', this.searching);
+  this.listContainer.setAttribute('visible', !this.searching);
+  this.updateLibrary();
+};
+
+// Type into the search and show the first page of matches
+ViewItemsMenu.typeSearch = function(key) {
+  this.libraryOptions.search = this.typeKey(this.libraryOptions.search, key).slice(0, SEARCH_MAX_LENGTH);
+  this.libraryOptions.page = 0;
+  this.updateLibrary();
+};
+
+// Show another page
+ViewItemsMenu.changePage = function(direction) {
+  this.libraryOptions.page += direction;
+  this.updateLibrary();
+};
+
+// Show the cards of the current page and label the sort, filter and paging buttons
+ViewItemsMenu.updateLibrary = function() {
+  if (!this.listContainer) return;
   
-  // Get objects from scene state
   const sceneState = this.sceneEl.systems['scene-state'];
-  const objects = sceneState ? sceneState.getState('objects') : [];
+  const objects = sceneState ? sceneState.getState('objects') || [] : [];
+  const walls = this.getWalls();
+  
+  // Drop the wall filter when its wall was removed
+  const wall = walls.find(w => w.id === this.libraryOptions.wallId);
+  if (!wall) {
+    this.libraryOptions.wallId = null;
+  }
   
-  console.log('View Items Menu: Found', objects ? objects.length : 0, 'objects in scene state');
+  const entries = queryObjects(objects, this.libraryOptions);
+  const { items, page, pageCount } = paginate(entries, this.libraryOptions.page, PAGE_SIZE);
+  this.libraryOptions.page = page;
   
-  // Log anchor information for debugging
-  if (objects && objects.length > 0) {
-    objects.forEach(obj => {
-      console.log(`Object ${obj.id} has ${obj.anchors ? obj.anchors.length : 0} anchors`);
-    });
+  console.log('View Items Menu: Showing', items.length, 'of', entries.length, 'objects, page', page + 1, 'of', pageCount);
+  
+  this.subtitle.setAttribute('value', entries.length === objects.length
+    ? `${objects.length} saved object${objects.length === 1 ? '' : 's'}`
+    : `${entries.length} of ${objects.length} objects`);
+  
+  this.sortButton.setAttribute('button', { label: LIBRARY_SORTS[this.libraryOptions.sort].label });
+  this.wallButton.setAttribute('button', {
+    label: wall ? wall.name : 'All walls',
+    color: wall ? Colors.PRIMARY : Colors.NEUTRAL
+  });
+  this.typeButton.setAttribute('button', {
+    label: this.libraryOptions.type ? OBJECT_TYPE_LABELS[this.libraryOptions.type] : 'All shapes',
+    color: this.libraryOptions.type ? Colors.PRIMARY : Colors.NEUTRAL
+  });
+  
+  const search = this.libraryOptions.search.trim();
+  this.searchButton.setAttribute('button', {
+    label: this.searching ? 'Done' : (search ? `"${search.length > 8 ? `${search.slice(0, 7)}...` : search}"` : 'Search'),
+    color: this.searching || search ? Colors.PRIMARY : Colors.NEUTRAL
+  });
+  this.searchText.setAttribute('value', `Name: ${this.libraryOptions.search}_`);
+  
+  // Replace the cards, and forget the removed elements
+  while (this.listContainer.firstChild) {
+    this.listContainer.removeChild(this.listContainer.firstChild);
   }
+  this.elements = this.elements.filter(el => el.isConnected || el === this.listContainer || el === this.searchPanel);
   
-  if (!objects || objects.length === 0) {
-    // Show no objects message
+  if (items.length === 0) {
     const message = this.createElement('a-text');
-    message.setAttribute('value', 'No objects saved yet.\nCreate objects using the\nObject Definition tool.');
+    message.setAttribute('value', objects.length === 0
+      ? 'No objects saved yet.\nCreate objects using the\nObject Definition tool.'
+      : 'No objects match\nthe filters.');
     message.setAttribute('align', 'center');
-    message.setAttribute('position', `0 0 0.001`);
+    message.setAttribute('position', `0 ${-CARD_HEIGHT/2} 0.001`);
     message.setAttribute('color', '#FFFFFF');
     message.setAttribute('scale', '0.03 0.03 0.03');
     message.setAttribute('wrap-count', 25);
-    this.scrollContainer.appendChild(message);
-    return;
+    this.listContainer.appendChild(message);
   }
   
-  // Create 2x grid of object items
-  const itemWidth = 0.085;
-  const itemHeight = 0.085;
-  const itemMargin = 0.01;
-  const itemsPerRow = 2;
+  items.forEach((entry, index) => {
+    this.createCard(entry, walls, -index * (CARD_HEIGHT + 0.005));
+  });
   
-  objects.forEach((object, index) => {
-    // Calculate grid position
-    const row = Math.floor(index / itemsPerRow);
-    const col = index % itemsPerRow;
-    
-    const xPos = (col - 0.5) * (itemWidth + itemMargin);
-    const yPos = -row * (itemHeight + itemMargin);
-    
-    // Create item container
-    const item = this.createElement('a-entity');
-    item.setAttribute('position', `${xPos} ${yPos} 0`);
-    item.setAttribute('data-object-id', object.id);
-    
-    // Create a proper button using our button component
-    const buttonEl = this.createElement('a-entity');
-    buttonEl.setAttribute('button', {
-      width: itemWidth,
-      height: itemHeight,
-      color: '#444444',
-      hoverColor: '#555555',
-      pressColor: '#666666',
-      label: ' ', // Space character instead of empty string to override default "Button" text
-      textColor: 'transparent', // Make text invisible
-      toggleable: false
-    });
-    buttonEl.setAttribute('id', `button-${object.id}`);
-    item.appendChild(buttonEl);
-    
-    // Create object preview (simplified rectangle) inside the button
-    const preview = this.createElement('a-plane');
-    const previewWidth = (itemWidth - 0.02) * (object.width / Math.max(object.width, object.height));
-    const previewHeight = (itemHeight - 0.02) * (object.height / Math.max(object.width, object.height));
-    preview.setAttribute('width', previewWidth);
-    preview.setAttribute('height', previewHeight);
-    preview.setAttribute('color', '#42D544');
-    preview.setAttribute('opacity', 0.8);
-    preview.setAttribute('position', `0 0 0.001`);
-    buttonEl.appendChild(preview);
-    
-    // Create item label (dimensions)
-    const widthCm = (object.width * 100).toFixed(0);
-    const heightCm = (object.height * 100).toFixed(0);
-    const label = this.createElement('a-text');
-    label.setAttribute('value', `${widthCm}×${heightCm} cm`);
-    label.setAttribute('align', 'center');
-    label.setAttribute('position', `0 ${-itemHeight/2 + 0.015} 0.002`);
-    label.setAttribute('color', '#FFFFFF');
-    label.setAttribute('scale', '0.025 0.025 0.025');
-    buttonEl.appendChild(label);
-    
-    // Add button press handler
-    this.addEventListener(buttonEl, EVENTS.BUTTON.PRESS_ENDED, () => this.onItemClick(object));
-    
-    // Add to container
-    this.scrollContainer.appendChild(item);
+  this.layoutButton.setAttribute('button', {
+    enabled: objects.length > 1,
+    color: objects.length > 1 ? Colors.PRIMARY : Colors.BORDER
+  });
+  
+  // Paging
+  this.pageText.setAttribute('value', `${page + 1}/${pageCount}`);
+  this.prevButton.setAttribute('button', { enabled: page > 0, color: page > 0 ? Colors.NEUTRAL : Colors.BORDER });
+  this.nextButton.setAttribute('button', {
+    enabled: page < pageCount - 1,
+    color: page < pageCount - 1 ? Colors.NEUTRAL : Colors.BORDER
   });
-
-  // Enable scrolling laser controls
-  this.setupScrollingControls();
 };
 
-// Set up special angled laser controls for menu scrolling
-ViewItemsMenu.setupScrollingControls = function() {
-  // Create separate raycaster entities for menu interaction
-  ['left', 'right'].forEach(hand => {
-    const handId = `${hand}Hand`;
-    const handEntity = document.getElementById(handId);
-    
-    if (!handEntity) {
-      console.warn(`View Items Menu: ${hand} hand entity not found`);
-      return;
-    }
-    
-    // Create or update raycaster entity
-    const rayId = `menu-laser-${hand}`;
-    
-    // Remove existing ray if present
-    const existingRay = document.getElementById(rayId);
-    if (existingRay) {
-      existingRay.parentNode.removeChild(existingRay);
+// Create a card with an object's preview, details and actions
+ViewItemsMenu.createCard = function({ object, index }, walls, y) {
+  const unitSystem = getSceneUnits(this.sceneEl);
+  
+  const card = this.createElement('a-entity');
+  card.setAttribute('position', `0 ${y} 0`);
+  card.setAttribute('data-object-id', object.id);
+  this.listContainer.appendChild(card);
+  
+  const background = this.createElement('a-plane');
+  background.setAttribute('width', CARD_WIDTH);
+  background.setAttribute('height', CARD_HEIGHT);
+  background.setAttribute('color', '#444444');
+  background.setAttribute('shader', 'flat');
+  card.appendChild(background);
+  
+  // Object preview (the object's shape scaled to fit)
+  const previewSize = 0.045;
+  const bounds = calculateObjectBoundingBox(object);
+  const previewScale = previewSize / Math.max(bounds.width, bounds.height);
+  const preview = createShape(object, { color: '#42D544', opacity: 0.8 });
+  preview.setAttribute('scale', `${previewScale} ${previewScale} ${previewScale}`);
+  preview.setAttribute('position',
+    `${-0.093 - bounds.center.x * previewScale} ${0.012 - bounds.center.y * previewScale} 0.001`);
+  card.appendChild(preview);
+  
+  // Name, then size and anchors, then wall, shape and date
+  const wall = walls.find(w => w.id === object.wallId);
+  const anchorCount = object.anchors ? object.anchors.length : 0;
+  const lines = [
+    { value: getObjectTitle(object, index), color: '#FFFFFF', scale: 0.024, y: 0.026 },
+    {
+      value: `${formatObjectSize(object, unitSystem)} · ${anchorCount} anchor${anchorCount === 1 ? '' : 's'}`,
+      color: '#CCCCCC',
+      scale: 0.018,
+      y: 0.01
+    },
+    {
+      value: [wall && wall.name, OBJECT_TYPE_LABELS[object.type || 'rectangle'], formatObjectDate(object.createdAt)]
+        .filter(Boolean).join(' · '),
+      color: '#AAAAAA',
+      scale: 0.018,
+      y: -0.005
     }
-    
-    // Create new ray entity
-    const rayEntity = document.createElement('a-entity');
-    rayEntity.id = rayId;
-    rayEntity.setAttribute('position', '0 0 0');
-    
-    // Set up raycaster targeting our menu items - angled downward 30 degrees
-    rayEntity.setAttribute('raycaster', {
-      objects: '.clickable, [button], .interactive',
-      direction: '0 -0.5 -0.866', // Angled down 30 degrees
-      far: 2,
-      lineColor: hand === 'left' ? '#4285F4' : '#F4B400',
-      lineOpacity: 0.7,
-      showLine: true
-    });
-    
-    // Add to hand entity
-    handEntity.appendChild(rayEntity);
-    
-    // Store reference for cleanup
-    this.elements.push(rayEntity);
-    
-    // Add event listeners for interaction
-    this.addEventListener(handEntity, 'triggerdown', () => {
-      // Only process if we have active raycaster intersections
-      if (rayEntity.components.raycaster.intersections.length > 0) {
-        // Get the intersected element
-        const intersectedEl = rayEntity.components.raycaster.intersections[0].object.el;
-        // Trigger a click event on the element
-        intersectedEl.dispatchEvent(new Event('click'));
-      }
-    });
-    
-    // Also support pinch gestures for hand tracking
-    this.addEventListener(handEntity, 'pinchstarted', () => {
-      // Only process if we have active raycaster intersections
-      if (rayEntity.components.raycaster.intersections.length > 0) {
-        // Get the intersected element
-        const intersectedEl = rayEntity.components.raycaster.intersections[0].object.el;
-        // Trigger a click event on the element
-        intersectedEl.dispatchEvent(new Event('click'));
-      }
-    });
-    
-    // Track pinch moves for dragging and scrolling
-    this.addEventListener(handEntity, 'pinchmoved', (evt) => {
-      // Only process if we have active raycaster intersections
-      if (rayEntity.components.raycaster.intersections.length > 0) {
-        // Get the intersected element
-        const intersectedEl = rayEntity.components.raycaster.intersections[0].object.el;
-        
-        // Get movement data from event
-        const detail = evt.detail;
-        if (detail && detail.position) {
-          // Create a custom drag event with the movement data
-          intersectedEl.dispatchEvent(new CustomEvent('drag-move', { 
-            detail: {
-              position: detail.position,
-              hand: hand
-            }
-          }));
-        }
-      }
-    });
+  ];
+  lines.forEach(line => {
+    const text = this.createElement('a-text');
+    text.setAttribute('value', line.value);
+    text.setAttribute('align', 'left');
+    text.setAttribute('position', `-0.06 ${line.y} 0.001`);
+    text.setAttribute('color', line.color);
+    text.setAttribute('scale', `${line.scale} ${line.scale} ${line.scale}`);
+    text.setAttribute('wrap-count', 50);
+    card.appendChild(text);
   });
   
-  console.log('View Items Menu: Laser controls set up for menu interaction with drag support');
+  // Actions
+  const actions = [
+    { label: 'Project', color: Colors.PRIMARY, handler: () => this.onItemClick(object) },
+    { label: 'Edit', color: Colors.SECONDARY, handler: () => this.onEditClick(object) },
+    { label: 'Copy', color: Colors.NEUTRAL, handler: () => this.onCopyClick(object) },
+    { label: 'Delete', color: Colors.ERROR, handler: () => this.onDeleteClick(object) }
+  ];
+  actions.forEach((action, actionIndex) => {
+    const button = this.createButton({
+      label: action.label,
+      width: 0.052,
+      height: 0.022,
+      color: action.color,
+      position: `${-0.0855 + actionIndex * 0.057} -0.028 0.001`,
+      handler: action.handler
+    });
+    card.appendChild(button);
+  });
 };
 
 // Handle item click
@@ -275,22 +375,90 @@ ViewItemsMenu.onItemClick = function(object) {
     objectId: object.id,
     object: object
   });
+};
+
+// Open the object edit menu for an item
+ViewItemsMenu.onEditClick = function(object) {
+  console.log('View Items Menu: Editing object -', object.id);
+  
+  this.emitMenuAction('object-edit', { objectId: object.id });
+};
+
+// Open the object copy menu for an item (duplicate, mirror or array)
+ViewItemsMenu.onCopyClick = function(object) {
+  console.log('View Items Menu: Copying object -', object.id);
+  
+  this.emitMenuAction('object-copy', { objectId: object.id });
+};
+
+// Delete an item (can be undone)
+ViewItemsMenu.onDeleteClick = function(object) {
+  console.log('View Items Menu: Deleting object -', object.id);
   
-  // Close menu
-  // this.emitMenuAction('back-to-main-menu');
+  emitEvent(this.sceneEl, EVENTS.OBJECT.ACTION, {
+    action: 'delete-object',
+    objectId: object.id
+  });
 };
 
-// Create back button
-ViewItemsMenu.createBackButton = function() {
+// Create the paging, gallery layout and back buttons
+ViewItemsMenu.createBottomButtons = function(isWallCalibrated) {
   const { height } = this.data;
   
+  const y = -height/2 + 0.025;
+  
+  if (isWallCalibrated) {
+    // Previous and next page with the page number between them
+    this.prevButton = this.createButton({
+      label: '<',
+      width: 0.03,
+      height: 0.025,
+      color: Colors.NEUTRAL,
+      position: `-0.1 ${y} 0`,
+      handler: () => this.changePage(-1)
+    });
+    this.container.appendChild(this.prevButton);
+    
+    this.pageText = this.createElement('a-text');
+    this.pageText.setAttribute('value', '');
+    this.pageText.setAttribute('align', 'center');
+    this.pageText.setAttribute('position', `-0.0675 ${y} 0`);
+    this.pageText.setAttribute('color', '#FFFFFF');
+    this.pageText.setAttribute('scale', '0.022 0.022 0.022');
+    this.container.appendChild(this.pageText);
+    
+    this.nextButton = this.createButton({
+      label: '>',
+      width: 0.03,
+      height: 0.025,
+      color: Colors.NEUTRAL,
+      position: `-0.035 ${y} 0`,
+      handler: () => this.changePage(1)
+    });
+    this.container.appendChild(this.nextButton);
+  }
+  
+  // Several objects on a calibrated wall can be arranged as a gallery (enabled in updateLibrary)
+  if (isWallCalibrated) {
+    this.layoutButton = this.createButton({
+      label: 'Layout',
+      color: Colors.PRIMARY,
+      position: `0.025 ${y} 0`,
+      width: 0.06,
+      height: 0.025,
+      handler: (event) => this.handleButtonPress('gallery-layout', event)
+    });
+    
+    this.container.appendChild(this.layoutButton);
+  }
+  
   // Back button at the bottom of the menu
   const button = this.createButton({
-    label: 'Back to Main Menu',
+    label: isWallCalibrated ? 'Back' : 'Back to Main Menu',
     color: '#999999',
-    position: `0 ${-height/2 + 0.03} 0`,
-    width: 0.2,
-    height: 0.03,
+    position: `${isWallCalibrated ? 0.0875 : 0} ${y} 0`,
+    width: isWallCalibrated ? 0.055 : 0.2,
+    height: 0.025,
     handler: (event) => this.handleButtonPress('back-to-main-menu', event)
   });
   
@@ -305,50 +473,26 @@ ViewItemsMenu.handleButtonPress = function(action) {
   this.emitMenuAction(action);
 };
 
-// Clean up - remove custom raycasters
+// Override cleanup to drop element references
 ViewItemsMenu.cleanup = function() {
-  // Call the parent cleanup method which will clean up our elements array
-  // including the raycaster entities we created
+  // Call parent cleanup
   BaseMenu.cleanup.call(this);
   
-  // Extra cleanup for raycaster entities
-  ['left', 'right'].forEach(hand => {
-    const rayId = `menu-laser-${hand}`;
-    const rayEntity = document.getElementById(rayId);
-    
-    if (rayEntity && rayEntity.parentNode) {
-      // First make sure we remove all event listeners
-      // (though the BaseMenu.cleanup should handle elements we tracked)
-      rayEntity.parentNode.removeChild(rayEntity);
-    }
-    
-    // Also remove event listeners from hand entities
-    const handEntity = document.getElementById(`${hand}Hand`);
-    if (handEntity) {
-      // BaseMenu.cleanup should handle removing event listeners we added with addEventListener
-      // but just to be sure, we'll check for any we might have missed
-      if (handEntity._eventListeners) {
-        if (handEntity._eventListeners.triggerdown) {
-          handEntity._eventListeners.triggerdown.forEach(handler => {
-            handEntity.removeEventListener('triggerdown', handler);
-          });
-        }
-        if (handEntity._eventListeners.pinchstarted) {
-          handEntity._eventListeners.pinchstarted.forEach(handler => {
-            handEntity.removeEventListener('pinchstarted', handler);
-          });
-        }
-        if (handEntity._eventListeners.pinchmoved) {
-          handEntity._eventListeners.pinchmoved.forEach(handler => {
-            handEntity.removeEventListener('pinchmoved', handler);
-          });
-        }
-      }
-    }
-  });
+  this.subtitle = null;
+  this.sortButton = null;
+  this.wallButton = null;
+  this.typeButton = null;
+  this.searchButton = null;
+  this.listContainer = null;
+  this.searchPanel = null;
+  this.searchText = null;
+  this.pageText = null;
+  this.prevButton = null;
+  this.nextButton = null;
+  this.layoutButton = null;
 };
 
 // Register this menu with the registry
 MenuRegistry.register('view-items', ViewItemsMenu);
 
-export default ViewItemsMenu;
\ No newline at end of file
+export default ViewItemsMenu;
@@ -1,104 +1,236 @@
 /**
  * Wall Adjustment Menu Component
- * 
- * Provides controls for adjusting wall position
+ *
+ * Provides controls for adjusting wall position and orientation
+ * Moves and turns use the wall's own axes (X right, Y up, Z toward the user)
+ * by a selectable step; Grab mode slides or rotates the wall by hand
  */
 
 import BaseMenu from './base-menu.js';
 import MenuRegistry from './menu-registry.js';
-import { events } from '../../../utils/index.js';
+import { events, units, walls, Colors } from '../../../utils/index.js';
 
 const { EVENTS, emitEvent } = events;
+const { formatLength, getSceneUnits } = units;
+const { WALL_ADJUSTMENT_STEPS, getAdjustmentStep } = walls;
+
+// Nudge button groups: a label over a -/+ pair per axis
+const MOVE_GROUPS = [
+  { label: 'X', axis: 'x' },
+  { label: 'Y', axis: 'y' },
+  { label: 'Z', axis: 'z' }
+];
+
+const TURN_GROUPS = [
+  { label: 'Yaw', axis: 'yaw' },
+  { label: 'Pitch', axis: 'pitch' },
+  { label: 'Roll', axis: 'roll' }
+];
+
+// Grab mode toggle cycles through these
+const GRAB_MODES = [
+  { mode: null, label: 'Grab: Off' },
+  { mode: 'slide', label: 'Grab: Slide' },
+  { mode: 'rotate', label: 'Grab: Rotate' }
+];
 
 // Wall adjustment menu implementation
 const WallAdjustmentMenu = Object.create(BaseMenu);
 
 // Override render method with wall adjustment menu content
 WallAdjustmentMenu.render = function() {
-  const { width, height, borderColor } = this.data;
+  const { height } = this.data;
+  
+  const sceneState = this.sceneEl.systems['scene-state'];
+  this.wallId = sceneState ? sceneState.getActiveWallId() : null;
+  this.grabModeIndex = 0;
   
   // Add title
   const title = this.createTitle('Wall Adjustment', height);
   this.container.appendChild(title);
   
-  // Add subtitle
-  const subtitle = this.createSubtitle('Move wall closer or farther', height);
-  this.container.appendChild(subtitle);
-  
-  // Add divider
-  const divider = this.createDivider(width, height, borderColor);
-  this.container.appendChild(divider);
+  // Create step size buttons
+  this.createStepButtons();
   
   // Create adjustment controls
   this.createAdjustmentControls();
   
-  // Create back button
-  this.createBackButton();
+  // Create grab and back buttons
+  this.createBottomButtons();
+  
+  // Follow step changes and relabel steps when the units change
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    const path = event.detail.path;
+    if (path.startsWith('calibration') || path === 'settings.units') {
+      this.updateStepButtons();
+    }
+  });
+  
+  // Show when the wall is held
+  this.addSceneListener(EVENTS.WALL.GRAB, (event) => {
+    this.grabButton.setAttribute('button', {
+      color: event.detail.grabbing ? Colors.WARNING : Colors.PRIMARY
+    });
+  });
+  
+  this.updateStepButtons();
 };
 
-// Create adjustment controls
-WallAdjustmentMenu.createAdjustmentControls = function() {
+// Create one button per step size
+WallAdjustmentMenu.createStepButtons = function() {
   const { height } = this.data;
   
-  // Calculate button positions
-  const startY = height/2 - 0.08;
-  
-  // Create Move Closer button
-  const closerButton = this.createButton({
-    label: 'Move -Z',
-    width: 0.04,
-    height: 0.04,
-    color: '#4285F4',
-    position: `0 ${startY} 0`,
-    handler: () => this.handleMoveCloser()
+  const y = height/2 - 0.045;
+  const spacing = 0.047;
+  const startX = -spacing * (WALL_ADJUSTMENT_STEPS.length - 1) / 2;
+  
+  this.stepButtons = WALL_ADJUSTMENT_STEPS.map((step, index) => {
+    const button = this.createButton({
+      label: '',
+      width: 0.043,
+      height: 0.022,
+      color: Colors.NEUTRAL,
+      position: `${startX + index * spacing} ${y} 0`,
+      handler: () => this.handleStepButton(step.distance)
+    });
+    this.container.appendChild(button);
+    
+    return { button, step };
   });
-  this.container.appendChild(closerButton);
-  
-  // Create Move Farther button
-  const fartherButton = this.createButton({
-    label: 'Move +Z',
-    width: 0.04,
-    height: 0.04,
-    color: '#0F9D58',
-    position: `0 ${startY - 0.05} 0`,
-    handler: () => this.handleMoveFarther()
+};
+
+// Create move and turn controls
+WallAdjustmentMenu.createAdjustmentControls = function() {
+  const { height } = this.data;
+  
+  // Calculate row positions
+  const moveY = height/2 - 0.09;
+  const turnY = moveY - 0.045;
+  
+  this.createNudgeRow(MOVE_GROUPS, moveY, '#4285F4');
+  this.createNudgeRow(TURN_GROUPS, turnY, '#0F9D58');
+};
+
+// Create a row of labelled -/+ button pairs
+WallAdjustmentMenu.createNudgeRow = function(groups, y, color) {
+  const groupSpacing = 0.08;
+  
+  groups.forEach((group, index) => {
+    const x = (index - (groups.length - 1) / 2) * groupSpacing;
+    
+    const label = this.createElement('a-text');
+    label.setAttribute('value', group.label);
+    label.setAttribute('align', 'center');
+    label.setAttribute('position', `${x} ${y + 0.022} 0`);
+    label.setAttribute('color', '#AAAAAA');
+    label.setAttribute('scale', '0.022 0.022 0.022');
+    this.container.appendChild(label);
+    
+    [-1, 1].forEach(direction => {
+      const button = this.createButton({
+        label: direction < 0 ? '-' : '+',
+        width: 0.034,
+        height: 0.026,
+        color: color,
+        position: `${x + direction * 0.019} ${y} 0`,
+        handler: () => this.handleNudge(group.axis, direction)
+      });
+      this.container.appendChild(button);
+    });
   });
-  this.container.appendChild(fartherButton);
 };
 
-// Create back button
-WallAdjustmentMenu.createBackButton = function() {
+// Create grab mode toggle and back button
+WallAdjustmentMenu.createBottomButtons = function() {
   const { height } = this.data;
   
+  const y = -height/2 + 0.025;
+  
+  // Grab mode toggle
+  this.grabButton = this.createButton({
+    label: GRAB_MODES[0].label,
+    width: 0.1,
+    height: 0.03,
+    color: Colors.NEUTRAL,
+    position: `-0.06 ${y} 0`,
+    handler: () => this.handleGrabButton()
+  });
+  this.container.appendChild(this.grabButton);
+  
   // Back button
   const backButton = this.createButton({
     label: 'Back',
-    width: 0.14,
-    height: 0.04,
+    width: 0.1,
+    height: 0.03,
     color: '#DB4437',
-    position: `0 ${-height/2 + 0.05} 0`,
+    position: `0.06 ${y} 0`,
     handler: () => this.handleBack()
   });
   this.container.appendChild(backButton);
 };
 
-// Handle move closer button
-WallAdjustmentMenu.handleMoveCloser = function() {
-  console.log('Wall Adjustment: Moving wall closer');
+// Label the step buttons in the selected units and highlight the wall's step
+WallAdjustmentMenu.updateStepButtons = function() {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  const wall = sceneState ? sceneState.getWall(this.wallId) : null;
+  const selected = getAdjustmentStep(wall ? wall.adjustmentFactor : undefined);
+  const unitSystem = getSceneUnits(this.sceneEl);
   
-  // Emit wall calibration action using standardized event
-  emitEvent(this.sceneEl, EVENTS.WALL.ADJUST_START, {
-    action: 'move-wall-closer'
+  (this.stepButtons || []).forEach(({ button, step }) => {
+    button.setAttribute('button', {
+      label: formatLength(step.distance, unitSystem),
+      color: step === selected ? Colors.PRIMARY : Colors.NEUTRAL
+    });
   });
 };
 
-// Handle move farther button
-WallAdjustmentMenu.handleMoveFarther = function() {
-  console.log('Wall Adjustment: Moving wall farther');
+// Handle step size button
+WallAdjustmentMenu.handleStepButton = function(distance) {
+  console.log('Wall Adjustment: Step selected -', distance);
+  
+  emitEvent(this.sceneEl, EVENTS.WALL.ACTION, {
+    action: 'set-adjustment-step',
+    wallId: this.wallId,
+    step: distance
+  });
+};
+
+// Handle move and turn buttons
+WallAdjustmentMenu.handleNudge = function(axis, direction) {
+  console.log('Wall Adjustment: Nudging wall', axis, direction);
   
   // Emit wall calibration action using standardized event
-  emitEvent(this.sceneEl, EVENTS.WALL.ADJUST_START, {
-    action: 'move-wall-farther'
+  emitEvent(this.sceneEl, EVENTS.WALL.ACTION, {
+    action: 'nudge-wall',
+    wallId: this.wallId,
+    axis: axis,
+    direction: direction
+  });
+};
+
+// Cycle grab mode: off, slide, rotate
+WallAdjustmentMenu.handleGrabButton = function() {
+  this.grabModeIndex = (this.grabModeIndex + 1) % GRAB_MODES.length;
+  const { mode, label } = GRAB_MODES[this.grabModeIndex];
+  
+  this.setGrabMode(mode);
+  this.grabButton.setAttribute('button', {
+    label: label,
+    color: mode ? Colors.PRIMARY : Colors.NEUTRAL
+  });
+  
+  console.log('Wall Adjustment: Grab mode -', mode || 'off');
+};
+
+// Switch the wall-grab component on (with a mode) or off
+WallAdjustmentMenu.setGrabMode = function(mode) {
+  const wallGrab = document.getElementById('wallGrab');
+  if (!wallGrab) return;
+  
+  wallGrab.setAttribute('wall-grab', {
+    active: !!mode,
+    wallId: this.wallId || '',
+    mode: mode || 'slide'
   });
 };
 
@@ -110,7 +242,18 @@ WallAdjustmentMenu.handleBack = function() {
   this.emitMenuAction('back-to-previous-menu');
 };
 
+// Override cleanup to switch off grabbing
+WallAdjustmentMenu.cleanup = function() {
+  this.setGrabMode(null);
+  
+  // Call parent cleanup
+  BaseMenu.cleanup.call(this);
+  
+  this.stepButtons = null;
+  this.grabButton = null;
+};
+
 // Register this menu with the registry
 MenuRegistry.register('wall-adjustment', WallAdjustmentMenu);
 
-export default WallAdjustmentMenu;
\ No newline at end of file
+export default WallAdjustmentMenu;
@@ -6,7 +6,7 @@
 
 import BaseMenu from './base-menu.js';
 import MenuRegistry from './menu-registry.js';
-import { events } from '../../../utils/index.js';
+import { events, Colors } from '../../../utils/index.js';
 
 const { EVENTS, emitEvent } = events;
 
@@ -29,38 +29,168 @@ WallCalibrationMenu.render = function() {
   const divider = this.createDivider(width, height, borderColor);
   this.container.appendChild(divider);
   
+  // Add wall picker
+  this.createWallPicker();
+  
   // Add wall calibration options
   this.createCalibrationButtons();
   
   // Create back button
   this.createBackButton();
+  
+  // Keep the wall picker in sync with the walls in scene-state
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    if (event.detail.path.startsWith('calibration')) {
+      this.updateWallPicker();
+    }
+  });
+};
+
+// Create wall picker - previous/next wall and add/remove buttons
+WallCalibrationMenu.createWallPicker = function() {
+  const { height } = this.data;
+  
+  const startY = height/2 - 0.07;
+  const spacing = 0.035;
+  
+  // Selected wall name between the arrows
+  this.wallNameText = this.createElement('a-text');
+  this.wallNameText.setAttribute('value', '');
+  this.wallNameText.setAttribute('align', 'center');
+  this.wallNameText.setAttribute('position', `0 ${startY} 0.001`);
+  this.wallNameText.setAttribute('color', '#FFFFFF');
+  this.wallNameText.setAttribute('scale', '0.025 0.025 0.025');
+  this.container.appendChild(this.wallNameText);
+  
+  // Button config - defines wall selection options
+  const buttons = [
+    {
+      label: '<',
+      color: Colors.NEUTRAL,
+      position: `-0.08 ${startY} 0`,
+      width: 0.04,
+      height: 0.03,
+      handler: () => this.selectAdjacentWall(-1)
+    },
+    {
+      label: '>',
+      color: Colors.NEUTRAL,
+      position: `0.08 ${startY} 0`,
+      width: 0.04,
+      height: 0.03,
+      handler: () => this.selectAdjacentWall(1)
+    },
+    {
+      label: 'Add Wall',
+      color: Colors.SECONDARY,
+      position: `-0.0525 ${startY - spacing} 0`,
+      width: 0.095,
+      height: 0.03,
+      handler: () => emitEvent(this.sceneEl, EVENTS.WALL.ACTION, { action: 'add-wall' })
+    },
+    {
+      label: 'Remove Wall',
+      color: '#DB4437',
+      position: `0.0525 ${startY - spacing} 0`,
+      width: 0.095,
+      height: 0.03,
+      handler: () => emitEvent(this.sceneEl, EVENTS.WALL.ACTION, {
+        action: 'remove-wall',
+        wallId: this.getSelectedWallId()
+      })
+    }
+  ];
+  
+  // Create wall picker buttons
+  buttons.forEach(config => {
+    const button = this.createButton(config);
+    this.container.appendChild(button);
+  });
+  
+  this.updateWallPicker();
+};
+
+// Get the id of the wall the calibration buttons apply to
+WallCalibrationMenu.getSelectedWallId = function() {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  return sceneState ? sceneState.getActiveWallId() : null;
+};
+
+// Select the previous (-1) or next (1) wall
+WallCalibrationMenu.selectAdjacentWall = function(step) {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  if (!sceneState) return;
+  
+  const walls = sceneState.getWalls();
+  if (walls.length < 2) return;
+  
+  const index = walls.findIndex(wall => wall.id === sceneState.getActiveWallId());
+  const next = walls[(index + step + walls.length) % walls.length];
+  
+  emitEvent(this.sceneEl, EVENTS.WALL.ACTION, {
+    action: 'select-wall',
+    wallId: next.id
+  });
+};
+
+// Show the selected wall's name and calibration status
+WallCalibrationMenu.updateWallPicker = function() {
+  if (!this.wallNameText) return;
+  
+  const sceneState = this.sceneEl.systems['scene-state'];
+  const wall = sceneState ? sceneState.getWall(sceneState.getActiveWallId()) : null;
+  
+  if (!wall) {
+    this.wallNameText.setAttribute('value', 'No wall');
+    return;
+  }
+  
+  const count = sceneState.getWalls().length;
+  
+  // Walls whose spatial anchor could not be found must be calibrated again
+  if (wall.needsRecalibration) {
+    this.wallNameText.setAttribute('value', `${wall.name} - recalibrate (${count})`);
+    this.wallNameText.setAttribute('color', Colors.WARNING);
+    return;
+  }
+  
+  this.wallNameText.setAttribute('value', `${wall.name}${wall.isCalibrated ? '' : ' *'} (${count})`);
+  this.wallNameText.setAttribute('color', wall.isCalibrated ? '#FFFFFF' : '#AAAAAA');
 };
 
 // Create calibration buttons
 WallCalibrationMenu.createCalibrationButtons = function() {
   const { height } = this.data;
   
-  // Calculate starting Y position based on panel height
-  const startY = height/2 - 0.07;
+  // Calculate Y position below the wall picker
   const spacing = 0.035;
+  const startY = height/2 - 0.07 - spacing * 2;
   
   // Button config - defines calibration options
   const buttons = [
     { 
-      label: 'Adjust Wall', 
+      label: 'Calibrate', 
+      color: '#DB4437', 
+      position: `-0.07 ${startY} 0`,
+      width: 0.065,
+      height: 0.03,
+      handler: (event) => this.handleButtonPress('reset-wall-calibration', event)
+    },
+    { 
+      label: 'Adjust', 
       color: '#4285F4', 
       position: `0 ${startY} 0`,
-      width: 0.2,
+      width: 0.065,
       height: 0.03,
       handler: (event) => this.handleButtonPress('adjust-wall', event)
     },
     { 
-      label: 'Reset Wall Calibration', 
-      color: '#DB4437', 
-      position: `0 ${startY - spacing} 0`,
-      width: 0.2,
+      label: 'Verify', 
+      color: Colors.SECONDARY, 
+      position: `0.07 ${startY} 0`,
+      width: 0.065,
       height: 0.03,
-      handler: (event) => this.handleButtonPress('reset-wall-calibration', event)
+      handler: (event) => this.handleButtonPress('verify-wall', event)
     }
   ];
   
@@ -92,14 +222,16 @@ WallCalibrationMenu.createBackButton = function() {
 WallCalibrationMenu.handleButtonPress = function(action) {
   console.log('Wall Calibration Menu: Button pressed -', action);
   
+  const wallId = this.getSelectedWallId();
+  
   switch(action) {
     case 'adjust-wall':
       // Also emit wall calibration action
-      emitEvent(this.sceneEl, EVENTS.WALL.ADJUST_START, { action });
+      emitEvent(this.sceneEl, EVENTS.WALL.ADJUST_START, { action, wallId });
       break;
     case 'reset-wall-calibration':
       // Also emit wall calibration action
-      emitEvent(this.sceneEl, EVENTS.WALL.RESET, { action });
+      emitEvent(this.sceneEl, EVENTS.WALL.RESET, { action, wallId });
       break;
   }
   
@@ -107,6 +239,14 @@ WallCalibrationMenu.handleButtonPress = function(action) {
   this.emitMenuAction(action);
 };
 
+// Override cleanup to drop element references
+WallCalibrationMenu.cleanup = function() {
+  // Call parent cleanup
+  BaseMenu.cleanup.call(this);
+  
+  this.wallNameText = null;
+};
+
 // Register this menu with the registry
 MenuRegistry.register('wall-calibration', WallCalibrationMenu);
 
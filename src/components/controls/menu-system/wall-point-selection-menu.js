@@ -2,13 +2,25 @@
  * Wall Point Selection Menu Component
  * 
  * Provides UI for wall calibration point selection process
+ * Walls are calibrated from three pinched points, or fitted by least squares
+ * to any number of points in Best Fit mode
  */
 
 import BaseMenu from './base-menu.js';
 import MenuRegistry from './menu-registry.js';
-import { events } from '../../../utils/index.js';
+import { events, interaction, geometry, units, uiElements, Colors } from '../../../utils/index.js';
 
 const { EVENTS, emitEvent } = events;
+const { getPlacementPosition } = interaction;
+const { fitPlaneToPoints, calculatePlaneBasis, calculateBasisRotation, projectPointsToPlane, calculateBoundingBox } = geometry;
+const { formatLength, getSceneUnits } = units;
+const { getDeviationColor } = uiElements;
+
+// Calibration modes offered by the mode toggle
+const CALIBRATION_MODES = {
+  'three-point': { label: '3 Points' },
+  'best-fit': { label: 'Best Fit' }
+};
 
 // Wall point selection menu implementation
 const WallPointSelectionMenu = Object.create(BaseMenu);
@@ -23,12 +35,14 @@ WallPointSelectionMenu.init = function(container, data, sceneEl) {
   this.markers = [];
   this.step = 0;
   this.lastPinchTime = 0;
+  this.mode = 'three-point';
+  this.fit = null;
   
   // Bind methods that will be used as event handlers
   this.onPinchStarted = this.onPinchStarted.bind(this);
   
   // Set up pinch event listener
-  this.sceneEl.addEventListener(EVENTS.INTERACTION.PINCH_STARTED, this.onPinchStarted);
+  this.sceneEl.addEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
 };
 
 // Override render method with wall point selection menu content
@@ -58,30 +72,94 @@ WallPointSelectionMenu.render = function() {
   progress.setAttribute('id', 'calibration-progress');
   this.container.appendChild(progress);
   
+  // Add plane fit report (Best Fit mode)
+  this.fitText = this.createElement('a-text');
+  this.fitText.setAttribute('value', '');
+  this.fitText.setAttribute('align', 'center');
+  this.fitText.setAttribute('position', `0 ${this.data.height/2 - 0.11} 0`);
+  this.fitText.setAttribute('color', '#AAAAAA');
+  this.fitText.setAttribute('scale', '0.02 0.02 0.02');
+  this.fitText.setAttribute('wrap-count', 50);
+  this.container.appendChild(this.fitText);
+  
+  // Add calibration mode toggle
+  this.modeButton = this.createButton({
+    label: CALIBRATION_MODES[this.mode].label,
+    width: 0.1,
+    height: 0.025,
+    color: Colors.NEUTRAL,
+    position: '-0.06 -0.035 0',
+    handler: () => this.handleModeButton()
+  });
+  this.container.appendChild(this.modeButton);
+  
+  // Add fingertip/surface point placement toggle
+  const pointSourceButton = this.createPointSourceButton('0.06 -0.035 0', 0.08);
+  this.container.appendChild(pointSourceButton);
+  
   // Add start button
   const startButton = this.createButton({
     label: 'Start',
     width: 0.07,
-    height: 0.04,
+    height: 0.03,
     color: '#4285F4',
-    position: '-0.06 -0.06 0',
+    position: '-0.08 -0.07 0',
     id: 'calibration-start-button',
     handler: () => this.handleStartButton()
   });
   this.container.appendChild(startButton);
   
+  // Add drop worst point button (Best Fit mode)
+  this.dropButton = this.createButton({
+    label: 'Drop Worst',
+    width: 0.07,
+    height: 0.03,
+    color: Colors.BORDER,
+    position: '0 -0.07 0',
+    enabled: false,
+    handler: () => this.handleDropWorstButton()
+  });
+  this.dropButton.setAttribute('visible', false);
+  this.container.appendChild(this.dropButton);
+  
   // Add cancel button
   const cancelButton = this.createButton({
     label: 'Cancel',
     width: 0.07,
-    height: 0.04,
+    height: 0.03,
     color: '#DB4437',
-    position: '0.06 -0.06 0',
+    position: '0.08 -0.07 0',
     handler: () => this.handleCancelButton()
   });
   this.container.appendChild(cancelButton);
 };
 
+// Switch between three-point and best-fit calibration before starting
+WallPointSelectionMenu.handleModeButton = function() {
+  if (this.step !== 0 || this.points.length > 0) {
+    console.log('Wall Point Selection: Mode can only be changed before starting');
+    return;
+  }
+  
+  this.mode = this.mode === 'three-point' ? 'best-fit' : 'three-point';
+  this.modeButton.setAttribute('button', { label: CALIBRATION_MODES[this.mode].label });
+  this.dropButton.setAttribute('visible', this.mode === 'best-fit');
+  
+  const progress = document.getElementById('calibration-progress');
+  progress.setAttribute('value', this.getProgressText());
+  
+  console.log('Wall Point Selection: Mode selected -', this.mode);
+};
+
+// Progress text for the current mode
+WallPointSelectionMenu.getProgressText = function() {
+  if (this.mode === 'best-fit') {
+    return `${this.points.length} points selected (min 3)`;
+  }
+  
+  return `${this.points.length} / 3 points selected`;
+};
+
 // Handle start button click
 WallPointSelectionMenu.handleStartButton = function() {
   const startButton = document.getElementById('calibration-start-button');
@@ -93,24 +171,45 @@ WallPointSelectionMenu.handleStartButton = function() {
     
     // Clean up
     this.removeMarkers();
-    this.sceneEl.removeEventListener(EVENTS.INTERACTION.PINCH_STARTED, this.onPinchStarted);
+    this.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
     
     // Return to wall calibration menu
     this.emitMenuAction('back-to-previous-menu');
     return;
   }
   
+  // Best Fit mode accepts the fitted plane
+  if (this.step > 0) {
+    if (this.mode === 'best-fit' && this.fit) {
+      this.finalizeCalibration();
+    }
+    return;
+  }
+  
   // Begin calibration
   this.step = 1;
   
   // Update UI
-  instructions.setAttribute('value', 'Pinch on the first point of the wall (top left)');
+  if (this.mode === 'best-fit') {
+    instructions.setAttribute('value', 'Pinch at least 3 points spread across the wall');
+    
+    // Start button becomes the accept button once the plane can be fitted
+    startButton.setAttribute('button', {
+      label: 'Accept',
+      color: Colors.BORDER,
+      enabled: false
+    });
+  } else {
+    instructions.setAttribute('value', 'Pinch on the first point of the wall (top left)');
+    
+    // Grey out start button
+    startButton.setAttribute('button', {
+      label: 'Started',
+      color: '#888888' // Grey color
+    });
+  }
   
-  // Grey out start button
-  startButton.setAttribute('button', {
-    label: 'Started',
-    color: '#888888' // Grey color
-  });
+  this.modeButton.setAttribute('button', { color: Colors.BORDER, enabled: false });
   
   console.log('Wall Point Selection: Started point selection');
 };
@@ -121,7 +220,7 @@ WallPointSelectionMenu.handleCancelButton = function() {
   
   // Clean up
   this.removeMarkers();
-  this.sceneEl.removeEventListener(EVENTS.INTERACTION.PINCH_STARTED, this.onPinchStarted);
+  this.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
   
   // Return to wall calibration menu
   this.emitMenuAction('back-to-previous-menu');
@@ -130,7 +229,7 @@ WallPointSelectionMenu.handleCancelButton = function() {
 // Handle pinch events for point selection
 WallPointSelectionMenu.onPinchStarted = function(event) {
   // Only process pinch events when in active calibration step
-  if (this.step < 1 || this.step > 3) {
+  if (this.step < 1 || (this.mode === 'three-point' && this.step > 3)) {
     return;
   }
   
@@ -144,26 +243,11 @@ WallPointSelectionMenu.onPinchStarted = function(event) {
   }
   this.lastPinchTime = now;
   
-  // Get position from pinch event
-  let worldPosition;
-  
-  if (event.detail && event.detail.position) {
-    // Get position directly from event
-    const position = event.detail.position;
-    worldPosition = new THREE.Vector3(position.x, position.y, position.z);
-  } else {
-    // Get position from hand entity if position not in event
-    const hand = event.detail.hand === 'left' ? 'leftHand' : 'rightHand';
-    const handEls = document.querySelectorAll(`#${hand}`);
-    
-    if (handEls.length > 0) {
-      const handEl = handEls[0];
-      const position = handEl.getAttribute('position');
-      worldPosition = new THREE.Vector3(position.x, position.y, position.z);
-    } else {
-      console.error('Wall Point Selection: Could not find hand entity');
-      return;
-    }
+  // Get position from the fingertip or the hit-test surface
+  const worldPosition = getPlacementPosition(event, this.sceneEl);
+  if (!worldPosition) {
+    console.error('Wall Point Selection: Could not get pinch position');
+    return;
   }
   
   // Process this pinch point
@@ -176,15 +260,25 @@ WallPointSelectionMenu.processPoint = function(position) {
   this.points.push(position);
   
   // Create visual marker at point
-  this.createMarker(position, this.step);
+  this.createMarker(position, this.points.length);
   
   // Update progress indicator
   const progress = document.getElementById('calibration-progress');
-  progress.setAttribute('value', `${this.points.length} / 3 points selected`);
+  progress.setAttribute('value', this.getProgressText());
   
   // Update instructions for next point
   const instructions = document.getElementById('calibration-instructions');
   
+  if (this.mode === 'best-fit') {
+    this.step = this.points.length + 1;
+    this.updateFit();
+    
+    if (this.fit) {
+      instructions.setAttribute('value', 'Add more points, drop outliers or Accept');
+    }
+    return;
+  }
+  
   if (this.step === 1) {
     instructions.setAttribute('value', 'Pinch on the second point of the wall (top right)');
     this.step = 2;
@@ -197,6 +291,83 @@ WallPointSelectionMenu.processPoint = function(position) {
   }
 };
 
+// Fit the plane to the current points and report how well they agree
+WallPointSelectionMenu.updateFit = function() {
+  this.fit = fitPlaneToPoints(this.points, this.getViewpoint());
+  
+  const startButton = document.getElementById('calibration-start-button');
+  const canDrop = !!this.fit && this.points.length > 3;
+  
+  startButton.setAttribute('button', {
+    enabled: !!this.fit,
+    color: this.fit ? Colors.SECONDARY : Colors.BORDER
+  });
+  this.dropButton.setAttribute('button', {
+    enabled: canDrop,
+    color: canDrop ? Colors.WARNING : Colors.BORDER
+  });
+  
+  if (!this.fit) {
+    const tooFew = this.points.length < 3;
+    this.fitText.setAttribute('value', tooFew ? '' : 'Points are in a line - add a point off the line');
+    this.markers.forEach((marker, i) => this.updateMarker(marker, i + 1, null));
+    return;
+  }
+  
+  // RMS and worst point, then the deviation of every point
+  const unitSystem = getSceneUnits(this.sceneEl);
+  const format = (value) => formatLength(Math.abs(value), unitSystem);
+  const perPoint = this.fit.deviations.map((deviation, i) => `${i + 1}: ${format(deviation)}`).join('  ');
+  
+  this.fitText.setAttribute('value',
+    `RMS ${format(this.fit.rms)}, worst #${this.fit.worstIndex + 1}\n${perPoint}`);
+  
+  this.markers.forEach((marker, i) => this.updateMarker(marker, i + 1, this.fit.deviations[i]));
+};
+
+// Drop the point farthest from the fitted plane
+WallPointSelectionMenu.handleDropWorstButton = function() {
+  if (!this.fit || this.points.length <= 3) return;
+  
+  const index = this.fit.worstIndex;
+  console.log('Wall Point Selection: Dropping point', index + 1, 'deviation', this.fit.deviations[index]);
+  
+  this.points.splice(index, 1);
+  
+  // Recreate the markers so their numbers match the remaining points
+  this.removeMarkers();
+  this.points.forEach((point, i) => this.createMarker(point, i + 1));
+  
+  this.step = this.points.length + 1;
+  
+  const progress = document.getElementById('calibration-progress');
+  progress.setAttribute('value', this.getProgressText());
+  
+  this.updateFit();
+};
+
+// Colour a marker by its distance from the fitted plane and show the distance
+WallPointSelectionMenu.updateMarker = function(marker, index, deviation) {
+  const sphere = marker.querySelector('a-sphere');
+  const label = marker.querySelector('a-text');
+  
+  if (deviation === null || deviation === undefined) {
+    sphere.setAttribute('color', Colors.PRIMARY);
+    label.setAttribute('value', `${index}`);
+    return;
+  }
+  
+  sphere.setAttribute('color', getDeviationColor(deviation));
+  label.setAttribute('value', `${index}: ${formatLength(Math.abs(deviation), getSceneUnits(this.sceneEl))}`);
+};
+
+// Camera position, used to orient the wall toward the user
+WallPointSelectionMenu.getViewpoint = function() {
+  if (!this.sceneEl.camera) return null;
+  
+  return this.sceneEl.camera.getWorldPosition(new THREE.Vector3());
+};
+
 // Create a marker at the selected point
 WallPointSelectionMenu.createMarker = function(position, index) {
   // Create a visual marker at the selected point
@@ -242,29 +413,37 @@ WallPointSelectionMenu.removeMarkers = function() {
 
 // Finalize the calibration process
 WallPointSelectionMenu.finalizeCalibration = function() {
-  if (this.points.length !== 3) {
+  if (this.points.length < 3) {
     console.error('Wall Point Selection: Not enough points for calibration');
     return;
   }
   
-  // Calculate wall plane from three points
-  const plane = this.calculatePlaneFromPoints(
-    this.points[0],
-    this.points[1],
-    this.points[2]
-  );
+  // Fit the wall plane to the points (exact for three points)
+  const plane = fitPlaneToPoints(this.points, this.getViewpoint());
   
   if (!plane) {
     console.error('Wall Point Selection: Failed to calculate plane');
+    const instructions = document.getElementById('calibration-instructions');
+    instructions.setAttribute('value', 'Points are in a line - press Cancel and try again');
     return;
   }
   
+  // Wall frame: upright in the fitted plane, covering all points
+  const basis = calculatePlaneBasis(plane.normal);
+  const bounds = calculateBoundingBox(projectPointsToPlane(this.points, plane.point, basis));
+  const center = plane.point.clone()
+    .add(basis.right.clone().multiplyScalar(bounds.center.x))
+    .add(basis.up.clone().multiplyScalar(bounds.center.y));
+  const rotation = calculateBasisRotation(basis);
+  const width = bounds.width;
+  const height = bounds.height;
+  
   // Update UI
   const instructions = document.getElementById('calibration-instructions');
   instructions.setAttribute('value', 'Calibration complete! Wall created successfully.');
   
   const progress = document.getElementById('calibration-progress');
-  progress.setAttribute('value', '3 / 3 points - Complete!');
+  progress.setAttribute('value', `${this.points.length} / ${this.points.length} points - Complete!`);
   
   // Reset start button to active state with Done label
   const startButton = document.getElementById('calibration-start-button');
@@ -278,52 +457,42 @@ WallPointSelectionMenu.finalizeCalibration = function() {
   // Get scene state system
   const sceneState = this.sceneEl.systems['scene-state'];
   if (sceneState) {
-    // Calculate the center point of the triangle
-    const center = new THREE.Vector3()
-      .add(this.points[0])
-      .add(this.points[1])
-      .add(this.points[2])
-      .divideScalar(3);
+    // Calibrate the wall selected in the wall calibration menu
+    const wallId = sceneState.getActiveWallId();
+    const wallPath = `calibration.walls.${wallId}`;
     
     // Update wall state
-    sceneState.updateState('calibration.wall.position', {
+    sceneState.updateState(`${wallPath}.position`, {
       x: center.x,
       y: center.y,
       z: center.z
     });
     
-    sceneState.updateState('calibration.wall.rotation', {
-      x: THREE.MathUtils.radToDeg(plane.rotation.x),
-      y: THREE.MathUtils.radToDeg(plane.rotation.y),
-      z: THREE.MathUtils.radToDeg(plane.rotation.z)
-    });
-    
-    // Calculate width and height based on points
-    const width = this.points[0].distanceTo(this.points[1]);
-    const height = this.points[0].distanceTo(this.points[2]);
+    sceneState.updateState(`${wallPath}.rotation`, rotation);
     
-    sceneState.updateState('calibration.wall.width', width);
-    sceneState.updateState('calibration.wall.height', height);
-    sceneState.updateState('calibration.wall.isCalibrated', true);
-    sceneState.updateState('calibration.wall.visible', true);
+    sceneState.updateState(`${wallPath}.width`, width);
+    sceneState.updateState(`${wallPath}.height`, height);
+    sceneState.updateState(`${wallPath}.isCalibrated`, true);
+    sceneState.updateState(`${wallPath}.visible`, true);
     
     console.log('Wall Point Selection: Wall calibrated', {
+      wallId: wallId,
       position: center,
-      rotation: plane.rotation,
+      rotation: rotation,
       width: width,
-      height: height
+      height: height,
+      points: this.points.length,
+      rms: plane.rms
     });
     
     // Emit calibration complete event
     emitEvent(this.sceneEl, EVENTS.WALL.CALIBRATION_COMPLETE, {
+      wallId: wallId,
       position: center,
-      rotation: {
-        x: THREE.MathUtils.radToDeg(plane.rotation.x),
-        y: THREE.MathUtils.radToDeg(plane.rotation.y),
-        z: THREE.MathUtils.radToDeg(plane.rotation.z)
-      },
+      rotation: rotation,
       width: width,
-      height: height
+      height: height,
+      rms: plane.rms
     });
   }
   
@@ -331,42 +500,13 @@ WallPointSelectionMenu.finalizeCalibration = function() {
   this.step = 0;
 };
 
-// Calculate plane from three points
-WallPointSelectionMenu.calculatePlaneFromPoints = function(p1, p2, p3) {
-  // Calculate two vectors on the plane
-  const v1 = new THREE.Vector3().subVectors(p2, p1);
-  const v2 = new THREE.Vector3().subVectors(p3, p1);
-  
-  // Calculate normal vector using cross product
-  const normal = new THREE.Vector3().crossVectors(v1, v2).normalize();
-  
-  // Ensure normal is pointing towards the user (positive Z)
-  if (normal.z < 0) {
-    normal.negate();
-  }
-  
-  // Get rotation from normal vector
-  const rotation = new THREE.Euler();
-  const quaternion = new THREE.Quaternion().setFromUnitVectors(
-    new THREE.Vector3(0, 0, 1), // Default normal (facing user)
-    normal
-  );
-  rotation.setFromQuaternion(quaternion);
-  
-  return {
-    normal: normal,
-    rotation: rotation,
-    point: p1
-  };
-};
-
 // Override cleanup to remove pinch listener and markers
 WallPointSelectionMenu.cleanup = function() {
   // Call parent cleanup
   BaseMenu.cleanup.call(this);
   
   // Remove pinch event listener
-  this.sceneEl.removeEventListener(EVENTS.INTERACTION.PINCH_STARTED, this.onPinchStarted);
+  this.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
   
   // Remove all markers
   this.removeMarkers();
@@ -374,6 +514,10 @@ WallPointSelectionMenu.cleanup = function() {
   // Reset state
   this.points = [];
   this.step = 0;
+  this.fit = null;
+  this.fitText = null;
+  this.modeButton = null;
+  this.dropButton = null;
 };
 
 // Register this menu with the registry
@@ -0,0 +1,288 @@
+/**
+ * Wall Verification Menu Component
+ *
+ * Checks a calibrated wall against the physical one: the user pinches points on
+ * the real wall and the menu reports how far each point is from the virtual wall
+ * and how much the wall is tilted. The wall can then be refined from the points.
+ */
+
+import BaseMenu from './base-menu.js';
+import MenuRegistry from './menu-registry.js';
+import { events, interaction, geometry, units, uiElements, Colors } from '../../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { getPlacementPosition } = interaction;
+const { fitPlaneToPoints, calculatePointDeviations, rotationToNormal } = geometry;
+const { formatLength, getSceneUnits } = units;
+const { getDeviationColor } = uiElements;
+
+// Wall verification menu implementation
+const WallVerificationMenu = Object.create(BaseMenu);
+
+// Override init to set up additional state
+WallVerificationMenu.init = function(container, data, sceneEl) {
+  // Call parent init
+  BaseMenu.init.call(this, container, data, sceneEl);
+  
+  // Verification state
+  this.points = [];
+  this.markers = [];
+  this.lastPinchTime = 0;
+  
+  const sceneState = this.sceneEl.systems['scene-state'];
+  this.wallId = sceneState ? sceneState.getActiveWallId() : null;
+  
+  // Bind methods that will be used as event handlers
+  this.onPinchStarted = this.onPinchStarted.bind(this);
+  
+  // Set up pinch event listener
+  this.sceneEl.addEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
+};
+
+// Override render method with wall verification menu content
+WallVerificationMenu.render = function() {
+  const { height } = this.data;
+  
+  // Add title
+  const title = this.createTitle('Verify Wall', height);
+  this.container.appendChild(title);
+  
+  // Add instructions text
+  this.instructionsText = this.createElement('a-text');
+  this.instructionsText.setAttribute('value', '');
+  this.instructionsText.setAttribute('align', 'center');
+  this.instructionsText.setAttribute('position', `0 ${height/2 - 0.05} 0`);
+  this.instructionsText.setAttribute('color', '#FFFFFF');
+  this.instructionsText.setAttribute('scale', '0.025 0.025 0.025');
+  this.instructionsText.setAttribute('wrap-count', 40);
+  this.container.appendChild(this.instructionsText);
+  
+  // Add report text
+  this.reportText = this.createElement('a-text');
+  this.reportText.setAttribute('value', '');
+  this.reportText.setAttribute('align', 'center');
+  this.reportText.setAttribute('position', `0 ${height/2 - 0.095} 0`);
+  this.reportText.setAttribute('color', '#AAAAAA');
+  this.reportText.setAttribute('scale', '0.02 0.02 0.02');
+  this.reportText.setAttribute('wrap-count', 50);
+  this.container.appendChild(this.reportText);
+  
+  // Add fingertip/surface point placement toggle and clear button
+  const pointSourceButton = this.createPointSourceButton('-0.0525 -0.035 0', 0.095);
+  this.container.appendChild(pointSourceButton);
+  
+  const clearButton = this.createButton({
+    label: 'Clear Points',
+    width: 0.095,
+    height: 0.025,
+    color: Colors.NEUTRAL,
+    position: '0.0525 -0.035 0',
+    handler: () => this.handleClearButton()
+  });
+  this.container.appendChild(clearButton);
+  
+  // Add refine button
+  this.refineButton = this.createButton({
+    label: 'Refine Wall',
+    width: 0.095,
+    height: 0.03,
+    color: Colors.BORDER,
+    position: '-0.0525 -0.07 0',
+    enabled: false,
+    handler: () => this.handleRefineButton()
+  });
+  this.container.appendChild(this.refineButton);
+  
+  // Add back button
+  const backButton = this.createButton({
+    label: 'Back',
+    width: 0.095,
+    height: 0.03,
+    color: '#999999',
+    position: '0.0525 -0.07 0',
+    handler: () => this.handleBackButton()
+  });
+  this.container.appendChild(backButton);
+  
+  // Update the report when the wall moves (refined, adjusted or undone)
+  this.addSceneListener(EVENTS.STATE.CHANGED, (event) => {
+    const path = event.detail.path;
+    if (path.startsWith('calibration') || path === 'settings.units') {
+      this.updateReport();
+    }
+  });
+  
+  this.updateReport();
+};
+
+// Get the wall being verified (only while it is calibrated)
+WallVerificationMenu.getWall = function() {
+  const sceneState = this.sceneEl.systems['scene-state'];
+  const wall = sceneState ? sceneState.getWall(this.wallId) : null;
+  
+  return wall && wall.isCalibrated ? wall : null;
+};
+
+// Handle pinch events for verification points
+WallVerificationMenu.onPinchStarted = function(event) {
+  if (!this.getWall()) return;
+  
+  // Prevent multiple pinches from being processed too quickly
+  const now = Date.now();
+  if (this.lastPinchTime && (now - this.lastPinchTime < 1000)) {
+    return;
+  }
+  this.lastPinchTime = now;
+  
+  // Get position from the fingertip or the hit-test surface
+  const position = getPlacementPosition(event, this.sceneEl);
+  if (!position) {
+    console.error('Wall Verification: Could not get pinch position');
+    return;
+  }
+  
+  this.points.push(position);
+  this.markers.push(this.createPointMarker(position));
+  
+  console.log('Wall Verification: Point added', this.points.length);
+  this.updateReport();
+};
+
+// Create a marker for a verification point
+WallVerificationMenu.createPointMarker = function(position) {
+  const marker = document.createElement('a-entity');
+  marker.setAttribute('position', position);
+  
+  const sphere = document.createElement('a-sphere');
+  sphere.setAttribute('radius', 0.015);
+  sphere.setAttribute('color', Colors.PRIMARY);
+  sphere.setAttribute('shader', 'flat');
+  marker.appendChild(sphere);
+  
+  const label = document.createElement('a-text');
+  label.setAttribute('value', '');
+  label.setAttribute('align', 'center');
+  label.setAttribute('position', '0 0.04 0');
+  label.setAttribute('scale', '0.08 0.08 0.08');
+  label.setAttribute('color', '#FFFFFF');
+  label.setAttribute('look-at', '[camera]');
+  marker.appendChild(label);
+  
+  this.sceneEl.appendChild(marker);
+  return marker;
+};
+
+// Format a signed distance - positive is in front of the wall
+WallVerificationMenu.formatDeviation = function(deviation) {
+  const text = formatLength(Math.abs(deviation), getSceneUnits(this.sceneEl));
+  return `${deviation < 0 ? '-' : '+'}${text}`;
+};
+
+// Measure the points against the wall and update the report, markers and buttons
+WallVerificationMenu.updateReport = function() {
+  if (!this.reportText) return;
+  
+  const wall = this.getWall();
+  const canRefine = !!wall && this.points.length > 0;
+  
+  this.refineButton.setAttribute('button', {
+    enabled: canRefine,
+    color: canRefine ? Colors.PRIMARY : Colors.BORDER
+  });
+  
+  if (!wall) {
+    this.instructionsText.setAttribute('value', 'Calibrate this wall before verifying it');
+    this.reportText.setAttribute('value', '');
+    return;
+  }
+  
+  if (this.points.length === 0) {
+    this.instructionsText.setAttribute('value', `Pinch points on the real ${wall.name}`);
+    this.reportText.setAttribute('value', '');
+    return;
+  }
+  
+  this.instructionsText.setAttribute('value', `${this.points.length} point${this.points.length === 1 ? '' : 's'} on ${wall.name}`);
+  
+  // Signed distance of every point to the calibrated wall
+  const normal = rotationToNormal(wall.rotation);
+  const deviations = calculatePointDeviations(this.points, wall.position, normal);
+  const rms = Math.sqrt(deviations.reduce((sum, d) => sum + d * d, 0) / deviations.length);
+  
+  // Angle between the calibrated wall and the plane through the points
+  const plane = fitPlaneToPoints(this.points);
+  let angleText = 'Angle: add 3 points';
+  if (plane) {
+    const angle = THREE.MathUtils.radToDeg(Math.acos(Math.min(1, Math.abs(plane.normal.dot(normal)))));
+    angleText = `Angle: ${angle.toFixed(1)}°`;
+  }
+  
+  const perPoint = deviations.map((d, i) => `${i + 1}: ${this.formatDeviation(d)}`).join('  ');
+  this.reportText.setAttribute('value',
+    `RMS ${formatLength(rms, getSceneUnits(this.sceneEl))}  ${angleText}\n${perPoint}`);
+  
+  // Colour-code the markers
+  this.markers.forEach((marker, i) => {
+    marker.querySelector('a-sphere').setAttribute('color', getDeviationColor(deviations[i]));
+    marker.querySelector('a-text').setAttribute('value', `${i + 1}: ${this.formatDeviation(deviations[i])}`);
+  });
+};
+
+// Fit the wall to the verification points
+WallVerificationMenu.handleRefineButton = function() {
+  if (!this.getWall() || this.points.length === 0) return;
+  
+  console.log('Wall Verification: Refining wall from', this.points.length, 'points');
+  
+  emitEvent(this.sceneEl, EVENTS.WALL.ACTION, {
+    action: 'refine-wall',
+    wallId: this.wallId,
+    points: this.points.map(p => ({ x: p.x, y: p.y, z: p.z }))
+  });
+};
+
+// Remove all verification points
+WallVerificationMenu.handleClearButton = function() {
+  this.removeMarkers();
+  this.points = [];
+  this.updateReport();
+};
+
+// Return to the wall calibration menu
+WallVerificationMenu.handleBackButton = function() {
+  console.log('Wall Verification: Back to wall calibration menu');
+  this.emitMenuAction('back-to-previous-menu');
+};
+
+// Remove all markers
+WallVerificationMenu.removeMarkers = function() {
+  this.markers.forEach(marker => {
+    if (marker.parentNode) {
+      marker.parentNode.removeChild(marker);
+    }
+  });
+  this.markers = [];
+};
+
+// Override cleanup to remove pinch listener and markers
+WallVerificationMenu.cleanup = function() {
+  // Call parent cleanup
+  BaseMenu.cleanup.call(this);
+  
+  // Remove pinch event listener
+  this.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
+  
+  // Remove all markers
+  this.removeMarkers();
+  
+  // Reset state
+  this.points = [];
+  this.instructionsText = null;
+  this.reportText = null;
+  this.refineButton = null;
+};
+
+// Register this menu with the registry
+MenuRegistry.register('wall-verification', WallVerificationMenu);
+
+export default WallVerificationMenu;
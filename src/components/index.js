@@ -4,16 +4,27 @@
  */
 
 // Control Components
+import './controls/input-source.js';
+import './controls/desktop-pointer.js';
+import './controls/desktop-mode.js';
 import './controls/menu-manager.js';
 import './controls/menu-system/index.js';
 import './controls/ui-ray-angle.js';
 
 // Scene Understanding Components
+import './scene-understanding/polygon-geometry.js';
+import './scene-understanding/hit-test-reticle.js';
+import './scene-understanding/wall-grid.js';
 import './scene-understanding/wall-plane.js';
+import './scene-understanding/wall-manager.js';
+import './scene-understanding/wall-grab.js';
 import './scene-understanding/object-definition.js';
 import './scene-understanding/object-renderer.js';
+import './scene-understanding/object-editor.js';
 import './scene-understanding/anchor-placement.js';
 import './scene-understanding/draggable-wall-object.js';
+import './scene-understanding/spacing-guides.js';
+import './scene-understanding/drill-markers.js';
 
 // Initialize all components
 console.log('O3Measure components initialized');
\ No newline at end of file
@@ -6,7 +6,28 @@
  */
 
 // Import only the utilities we need
-import { createMarker, removeMarkers } from '../../utils/ui-elements.js';
+import { anchors, events, interaction, units } from '../../utils/index.js';
+import { createMarker, removeMarkers, createWire } from '../../utils/ui-elements.js';
+
+const { EVENTS, emitEvent } = events;
+const {
+  ANCHOR_TEMPLATES,
+  WIRE_LENGTH_STEPS,
+  resolveAnchorTemplate,
+  createAnchorTemplate,
+  getDefaultWireLength,
+  calculateWireHook,
+  calculateWireDrop,
+  createWireAnchor,
+  isWireAnchor,
+  isValidAnchorType,
+  getAnchorName
+} = anchors;
+const { getInputSources } = interaction;
+const { formatLength, getSceneUnits, pickForUnits } = units;
+
+// Laser hits within this distance of a placed anchor select it instead of placing a new one (meters)
+const SELECT_DISTANCE = 0.03;
 
 AFRAME.registerComponent('anchor-placement', {
   schema: {
@@ -24,6 +45,14 @@ AFRAME.registerComponent('anchor-placement', {
     this.currentObject = null;
     this.anchors = [];
     this.anchorMarkers = [];
+    this.targetPlane = null; // Element the anchors are placed on
+    this.selectedIndex = -1; // Anchor picked for moving, deleting or editing
+    this.dragState = null; // { rayEntity, plane } while an anchor follows the laser
+    this.savedMarkers = []; // Markers of the saved anchors, hidden while they are edited
+    
+    // Hanging wire between two anchors - length 0 until the anchors are placed
+    this.wire = { enabled: false, length: 0 };
+    this.wirePreview = null;
     
     // Anchor colors
     this.anchorColors = ['#F4B400', '#DB4437', '#4285F4', '#0F9D58'];
@@ -41,6 +70,7 @@ AFRAME.registerComponent('anchor-placement', {
     this.onAnchorAction = this.onAnchorAction.bind(this);
     this.onLaserHit = this.onLaserHit.bind(this);
     this.onRaycasterIntersection = this.onRaycasterIntersection.bind(this);
+    this.onLaserRelease = this.onLaserRelease.bind(this);
     
     // Set up event listeners for menu actions
     this.el.sceneEl.addEventListener('anchor-action', this.onAnchorAction);
@@ -73,6 +103,34 @@ AFRAME.registerComponent('anchor-placement', {
         this.autoPlaceAnchors(objectId);
         break;
         
+      case 'apply-anchor-template':
+        this.applyAnchorTemplate(event.detail.templateId, objectId);
+        break;
+        
+      case 'save-anchor-template':
+        this.saveAnchorTemplate(objectId);
+        break;
+        
+      case 'set-wire':
+        this.setWire(event.detail.enabled);
+        break;
+        
+      case 'change-wire-length':
+        this.changeWireLength(event.detail.delta);
+        break;
+        
+      case 'select-anchor':
+        this.selectNextAnchor(event.detail.step || 1);
+        break;
+        
+      case 'delete-anchor':
+        this.deleteAnchor(this.selectedIndex);
+        break;
+        
+      case 'set-anchor-details':
+        this.setAnchorDetails(this.selectedIndex, event.detail);
+        break;
+        
       case 'reset-anchors':
         this.reset();
         // Pass the objectId through to maintain it for subsequent actions
@@ -87,6 +145,7 @@ AFRAME.registerComponent('anchor-placement', {
       case 'cancel-anchor-placement':
         // Reset the working state
         this.reset();
+        this.restoreSavedMarkers();
         this.step = 0;
         
         // Important: For cancellation, we don't save any changes
@@ -119,12 +178,94 @@ AFRAME.registerComponent('anchor-placement', {
     // Setup the laser controls if not already present
     this.setupLaserControls();
     
+    // Continue from the saved anchors, if the object has any
+    if (this.loadSavedAnchors(objectId)) return;
+    
     // Set step to placing anchors
     this.step = 2;
     this.emitStatus('in-progress', 
       `Use laser to place ${this.data.anchorCount} anchors. Press trigger to place.`);
   },
   
+  /**
+   * Place the object's saved anchors so they can be moved, deleted or added to
+   * A wire anchor is split back into its two attachments.
+   * @param {String} objectId - ID of the object
+   * @returns {Boolean} True when saved anchors were loaded
+   */
+  loadSavedAnchors: function(objectId) {
+    const objects = this.sceneState ? this.sceneState.getState('objects') || [] : [];
+    const object = objects.find(obj => obj.id === objectId);
+    if (!object || !Array.isArray(object.anchors) || object.anchors.length === 0) return false;
+    
+    const target = this.findAnchorTarget(objectId);
+    if (!target) return false;
+    
+    // The saved markers stay in place for Cancel, hidden while the copies are edited
+    this.hideSavedMarkers(objectId);
+    
+    const wireAnchor = object.anchors.length === 1 && isWireAnchor(object.anchors[0]) ? object.anchors[0] : null;
+    const saved = wireAnchor
+      ? wireAnchor.attachments.map((position, index) => ({
+        id: index === 0 ? wireAnchor.id : `${wireAnchor.id}_${index}`,
+        label: wireAnchor.label,
+        position
+      }))
+      : object.anchors;
+    
+    this.wire.enabled = !!wireAnchor;
+    this.el.setAttribute('anchor-placement', 'anchorCount', saved.length);
+    
+    saved.forEach(anchor => {
+      const details = { id: anchor.id };
+      if (anchor.label) details.label = anchor.label;
+      if (anchor.type && anchor.type !== 'wire') details.type = anchor.type;
+      
+      const position = new THREE.Vector3(anchor.position.x, anchor.position.y, anchor.position.z || 0.001);
+      this.addAnchor(position, target.plane, true, details);
+    });
+    
+    console.log(`Anchor Placement: Loaded ${saved.length} saved anchors for`, objectId);
+    
+    this.step = 3;
+    this.emitStatus('preview',
+      `${saved.length} saved anchors. Point at one to select and drag it, or change the count to add more.`,
+      { anchorCount: this.anchors.length });
+    
+    if (wireAnchor) {
+      this.wire.length = wireAnchor.wireLength;
+      this.updateWirePreview();
+    }
+    return true;
+  },
+  
+  /**
+   * Hide the markers the object renderer drew for the saved anchors
+   * @param {String} objectId - ID of the object
+   */
+  hideSavedMarkers: function(objectId) {
+    this.restoreSavedMarkers();
+    
+    const objectElem = document.getElementById(objectId);
+    if (!objectElem) return;
+    
+    this.savedMarkers = Array.from(objectElem.querySelectorAll('.anchor-marker, .wire'))
+      .filter(marker => marker.getAttribute('visible') !== false);
+    this.savedMarkers.forEach(marker => marker.setAttribute('visible', false));
+  },
+  
+  /**
+   * Show the saved anchors' markers again
+   */
+  restoreSavedMarkers: function() {
+    this.savedMarkers.forEach(marker => {
+      if (marker.parentNode) {
+        marker.setAttribute('visible', true);
+      }
+    });
+    this.savedMarkers = [];
+  },
+  
   /**
    * Make sure the object is visible for anchoring
    */
@@ -149,22 +290,17 @@ AFRAME.registerComponent('anchor-placement', {
   },
   
   /**
-   * Set up laser controls for both hands
+   * Set up laser controls for every hand and controller
    */
   setupLaserControls: function() {
-    // We'll create laser pointers for both hands
-    ['left', 'right'].forEach(hand => {
-      const handId = `${hand}Hand`;
-      const handEntity = document.getElementById(handId);
+    // We'll create a laser pointer for each input source
+    getInputSources(this.el.sceneEl).forEach(source => {
+      const sourceEntity = source.el;
+      const hand = source.data.hand;
       
-      if (!handEntity) {
-        console.warn(`Anchor Placement: ${hand} hand entity not found`);
-        return;
-      }
-      
-      // Create separate raycaster entities parented to the hands
-      // This works better with hand-tracking-controls
-      const rayId = `anchor-laser-${hand}`;
+      // Create separate raycaster entities parented to the hands and controllers,
+      // following the ray of the input source
+      const rayId = `anchor-laser-${sourceEntity.id}`;
       
       // Remove existing ray if present
       const existingRay = document.getElementById(rayId);
@@ -190,28 +326,30 @@ AFRAME.registerComponent('anchor-placement', {
       }
       
       // Set up raycaster component targeting only our specific object
-      // Make raycaster point downward instead of forward
+      // Hands point downward from the palm, controllers along their own laser
+      const localRay = source.getLocalRay();
       rayEntity.setAttribute('raycaster', {
         objects: raycasterObjects,
-        direction: '0 -1 0', // Point downward (-Y direction)
+        origin: localRay.origin,
+        direction: localRay.direction,
         far: 10,
         lineColor: hand === 'left' ? '#4285F4' : '#F4B400',
         lineOpacity: 0.7,
-        showLine: true
+        showLine: source.kind === 'hand' // Controllers already show their laser
       });
       
-      // Add to hand entity
-      handEntity.appendChild(rayEntity);
-      console.log(`Added raycaster to ${hand} hand targeting: ${raycasterObjects}`);
+      // Add to hand or controller entity
+      sourceEntity.appendChild(rayEntity);
+      console.log(`Added raycaster to ${hand} ${source.kind} targeting: ${raycasterObjects}`);
       
       // Add raycaster intersection event listeners (proper way to handle intersections)
       rayEntity.addEventListener('raycaster-intersection', this.onRaycasterIntersection);
-      
-      // Add event listener for pinch gestures (works with hand tracking)
-      handEntity.addEventListener('pinchstarted', this.onLaserHit);
-      handEntity.addEventListener('triggerdown', this.onLaserHit); // Also keep trigger for controller support
     });
     
+    // Pinches and trigger pulls place or pick up anchors, releasing drops an anchor that is being dragged
+    this.el.sceneEl.addEventListener(EVENTS.INPUT.SELECT_STARTED, this.onLaserHit);
+    this.el.sceneEl.addEventListener(EVENTS.INPUT.SELECT_ENDED, this.onLaserRelease);
+    
     // Add class to objects for raycaster targeting
     this.enableObjectForAnchoring(this.data.objectId);
     
@@ -232,7 +370,7 @@ AFRAME.registerComponent('anchor-placement', {
       console.log('Enabled object for anchoring:', objectId);
       
       // Also make sure the plane within the object is enabled
-      const objectPlane = objectElem.querySelector('a-plane');
+      const objectPlane = objectElem.querySelector('a-plane, .object-shape');
       if (objectPlane) {
         objectPlane.classList.add('anchoring-enabled');
         objectPlane.setAttribute('data-collideable', 'true');
@@ -263,8 +401,8 @@ AFRAME.registerComponent('anchor-placement', {
    * Handle laser hit (trigger down or pinch) event
    */
   onLaserHit: function(event) {
-    // Only process if we're in the active placing anchors state
-    if (!this.data.active || this.step !== 2) {
+    // Only process while placing anchors or previewing them
+    if (!this.data.active || (this.step !== 2 && this.step !== 3)) {
       return;
     }
     
@@ -272,12 +410,8 @@ AFRAME.registerComponent('anchor-placement', {
     const eventType = event.type;
     console.log(`Anchor Placement: ${eventType} detected`);
     
-    // Get the target hand/controller
-    const hand = event.target;
-    const handId = hand.id;
-    
-    // Find the raycaster entity we created
-    const rayId = handId === 'leftHand' ? 'anchor-laser-left' : 'anchor-laser-right';
+    // Find the raycaster entity we created on the hand or controller the event came from
+    const rayId = `anchor-laser-${event.target.id}`;
     const rayEntity = document.getElementById(rayId);
     
     if (!rayEntity) {
@@ -323,13 +457,214 @@ AFRAME.registerComponent('anchor-placement', {
         'Height:', intersectedEl.getAttribute('height'));
     }
     
+    // Anchors are stored relative to the object's plane, whichever part of the object was hit
+    const target = this.findAnchorTarget(this.data.objectId);
+    const plane = target ? target.plane : intersectedEl;
+    
+    // Pointing at a placed anchor selects it and drags it until the trigger or pinch is released
+    const index = this.findAnchorNear(this.toLocalPosition(point, plane));
+    if (index >= 0) {
+      this.selectAnchor(index);
+      this.dragState = { rayEntity, plane };
+      this.removeWirePreview();
+      return;
+    }
+    
+    // All anchors placed - a hit elsewhere only clears the selection
+    if (this.step !== 2) {
+      this.selectAnchor(-1);
+      return;
+    }
+    
     // Add an anchor at this position
-    this.addAnchor(point, intersectedEl);
+    this.addAnchor(point, plane);
     
     // Create visual feedback at the intersection point
     this.createLaserFeedback(true, point);
   },
   
+  /**
+   * Drop the anchor being dragged when its hand releases the trigger or pinch
+   */
+  onLaserRelease: function(event) {
+    if (!this.dragState || this.dragState.rayEntity.parentNode !== event.target) return;
+    
+    this.dragState = null;
+    const anchor = this.anchors[this.selectedIndex];
+    if (!anchor) return;
+    
+    console.log('Anchor Placement: Moved anchor', this.selectedIndex + 1, 'to', anchor.position);
+    
+    if (!this.updateWirePreview()) {
+      this.emitStatus('selected', `Moved anchor ${getAnchorName(anchor, this.selectedIndex)}`,
+        { anchorCount: this.anchors.length });
+    }
+  },
+  
+  // Move the dragged anchor to where the laser meets the object
+  tick: function() {
+    if (!this.dragState || this.selectedIndex < 0) return;
+    
+    const raycaster = this.dragState.rayEntity.components.raycaster;
+    const hit = raycaster && raycaster.intersections[0];
+    if (!hit) return;
+    
+    this.moveAnchor(this.selectedIndex, this.toLocalPosition(hit.point, this.dragState.plane));
+  },
+  
+  /**
+   * Convert a world position to a position on an element's plane
+   * @param {THREE.Vector3} position - World position
+   * @param {Element} targetEl - Element the position is made local to
+   * @returns {THREE.Vector3} Local position just in front of the plane
+   */
+  toLocalPosition: function(position, targetEl) {
+    const worldToLocal = new THREE.Matrix4();
+    targetEl.object3D.updateMatrixWorld();
+    worldToLocal.copy(targetEl.object3D.matrixWorld).invert();
+    
+    const localPosition = new THREE.Vector3().copy(position).applyMatrix4(worldToLocal);
+    
+    // Add small z offset to prevent z-fighting
+    localPosition.z = 0.001;
+    return localPosition;
+  },
+  
+  /**
+   * Find the placed anchor closest to a local position
+   * @param {THREE.Vector3} position - Position on the anchor plane
+   * @returns {Number} Index of an anchor within SELECT_DISTANCE, or -1
+   */
+  findAnchorNear: function(position) {
+    let closest = -1;
+    let closestDistance = SELECT_DISTANCE;
+    
+    this.anchors.forEach((anchor, index) => {
+      const distance = Math.hypot(anchor.position.x - position.x, anchor.position.y - position.y);
+      if (distance <= closestDistance) {
+        closest = index;
+        closestDistance = distance;
+      }
+    });
+    
+    return closest;
+  },
+  
+  /**
+   * Select an anchor for moving, deleting or editing and enlarge its marker
+   * @param {Number} index - Anchor index, or -1 to clear the selection
+   */
+  selectAnchor: function(index) {
+    this.selectedIndex = index >= 0 && index < this.anchors.length ? index : -1;
+    
+    this.anchorMarkers.forEach((marker, markerIndex) => {
+      marker.setAttribute('scale', markerIndex === this.selectedIndex ? '1.6 1.6 1.6' : '1 1 1');
+    });
+    
+    const anchor = this.anchors[this.selectedIndex];
+    this.emitStatus('selected', anchor
+      ? `Anchor ${getAnchorName(anchor, this.selectedIndex)} selected. Drag it with the laser or delete it.`
+      : '',
+      { anchorCount: this.anchors.length });
+  },
+  
+  /**
+   * Select the next or previous anchor, wrapping around at either end
+   * @param {Number} step - 1 for the next anchor, -1 for the previous one
+   */
+  selectNextAnchor: function(step) {
+    const count = this.anchors.length;
+    if (count === 0) return;
+    
+    const index = this.selectedIndex < 0
+      ? (step > 0 ? 0 : count - 1)
+      : (((this.selectedIndex + step) % count) + count) % count;
+    this.selectAnchor(index);
+  },
+  
+  /**
+   * Move an anchor and its marker
+   * @param {Number} index - Anchor index
+   * @param {THREE.Vector3} position - New position on the anchor plane
+   */
+  moveAnchor: function(index, position) {
+    const anchor = this.anchors[index];
+    if (!anchor) return;
+    
+    anchor.position = { x: position.x, y: position.y, z: position.z };
+    this.anchorMarkers[index].setAttribute('position', anchor.position);
+  },
+  
+  /**
+   * Delete one anchor - the object then needs one anchor fewer
+   * @param {Number} index - Anchor index
+   */
+  deleteAnchor: function(index) {
+    const anchor = this.anchors[index];
+    if (!anchor) {
+      this.emitStatus('error', 'Select an anchor to delete first', { anchorCount: this.anchors.length });
+      return;
+    }
+    
+    console.log('Anchor Placement: Deleting anchor', index + 1);
+    
+    this.anchors.splice(index, 1);
+    this.selectedIndex = -1;
+    this.dragState = null;
+    this.redrawAnchorMarkers();
+    
+    // Anchors after the deleted one are renumbered
+    this.setAnchorCount(Math.max(1, this.data.anchorCount - 1),
+      `Deleted anchor ${getAnchorName(anchor, index)}.`);
+  },
+  
+  /**
+   * Change the label or hardware type of an anchor
+   * @param {Number} index - Anchor index
+   * @param {Object} details - { label, type } - empty values remove the label or type
+   */
+  setAnchorDetails: function(index, details) {
+    const anchor = this.anchors[index];
+    if (!anchor) return;
+    
+    if (details.type !== undefined) {
+      if (details.type && details.type !== 'wire' && isValidAnchorType(details.type)) {
+        anchor.type = details.type;
+      } else {
+        delete anchor.type;
+      }
+    }
+    
+    if (details.label !== undefined) {
+      const label = typeof details.label === 'string' ? details.label.trim() : '';
+      if (label) {
+        anchor.label = label;
+      } else {
+        delete anchor.label;
+      }
+    }
+    
+    this.emitStatus('selected', `Anchor ${getAnchorName(anchor, index)}`, { anchorCount: this.anchors.length });
+  },
+  
+  /**
+   * Draw the markers again after anchors were removed, so colors follow the anchor numbers
+   */
+  redrawAnchorMarkers: function() {
+    removeMarkers(this.anchorMarkers);
+    if (!this.targetPlane) {
+      this.anchorMarkers = [];
+      return;
+    }
+    
+    this.anchorMarkers = this.anchors.map((anchor, index) => {
+      const color = this.anchorColors[index % this.anchorColors.length];
+      const marker = createMarker(anchor.position, index + 1, color, this.targetPlane);
+      marker.setAttribute('scale', index === this.selectedIndex ? '1.6 1.6 1.6' : '1 1 1');
+      return marker;
+    });
+  },
+  
   /**
    * Create visual feedback for laser interaction
    * @param {Boolean} success - Whether the interaction was successful
@@ -396,9 +731,46 @@ AFRAME.registerComponent('anchor-placement', {
       return;
     }
     
+    const target = this.findAnchorTarget(targetObjectId);
+    if (!target) return;
+    
+    const { plane, width, height } = target;
+    console.log(`Auto-placing anchors using width=${width}, height=${height}`);
+    
+    // Get default anchor positions (normalized 0-1)
+    const positions = this.getDefaultAnchorPositions(this.data.anchorCount);
+    
+    // Create anchors at these positions
+    positions.forEach((pos, index) => {
+      // Convert normalized coordinates to local plane coordinates
+      const localX = (pos.x - 0.5) * width;
+      const localY = (pos.y - 0.5) * height;
+      
+      // Create a local position
+      const localPos = new THREE.Vector3(localX, localY, 0.001);
+      
+      console.log(`Adding anchor ${index+1} at local position:`, localPos);
+      
+      // Add anchor with the plane as parent
+      this.addAnchor(localPos, plane, true);
+    });
+    
+    // Set to preview state
+    this.step = 3;
+    this.emitStatus('preview', 
+      `${this.anchors.length} anchors auto-placed. Click "Complete" to save or "Reset" to start over.`);
+    this.updateWirePreview();
+  },
+  
+  /**
+   * Find the plane anchors are placed on and its size
+   * @param {String} objectId - ID of the object
+   * @returns {Object|null} { plane, width, height } or null when the object isn't shown
+   */
+  findAnchorTarget: function(objectId) {
     // Target object ID and plane-ID (for the plane inside the object)
-    const objectEntityId = targetObjectId;
-    const planeSelectorId = `plane-${targetObjectId}`;
+    const objectEntityId = objectId;
+    const planeSelectorId = `plane-${objectId}`;
     
     console.log('Anchor Placement: Looking for elements by ID:', objectEntityId, 'or', planeSelectorId);
     
@@ -411,63 +783,213 @@ AFRAME.registerComponent('anchor-placement', {
     }
     
     if (!targetEl) {
-      console.error('Anchor Placement: Target element not found for auto-placement');
-      return;
+      console.error('Anchor Placement: Target element not found for anchors');
+      return null;
     }
     
-    console.log('Auto-placement target found:', targetEl.id);
+    console.log('Anchor Placement: Target found:', targetEl.id);
     
     // For object-visualization, we need the plane that's a direct child
-    let plane = targetEl.querySelector('a-plane');
+    let plane = targetEl.querySelector('a-plane, .object-shape');
     
     if (!plane) {
-      console.error('Anchor Placement: No plane found in target for auto-placement');
+      console.error('Anchor Placement: No plane found in target');
       console.log('Using target element itself as anchor parent');
       plane = targetEl;  // Fallback to using the target element itself
     }
     
-    // Get plane dimensions
-    const width = plane.getAttribute('width') || 1;
-    const height = plane.getAttribute('height') || 1;
+    // Get plane dimensions (circles and polygons store their bounding box size)
+    const width = parseFloat(plane.getAttribute('width') || plane.getAttribute('data-width')) || 1;
+    const height = parseFloat(plane.getAttribute('height') || plane.getAttribute('data-height')) || 1;
     
-    console.log(`Auto-placing anchors using width=${width}, height=${height}`);
+    return { plane, width, height };
+  },
+  
+  /**
+   * Place anchors from a hanging hardware template
+   * @param {String} templateId - ID of a built-in or user-defined template
+   * @param {String} objectId - ID of the object to place anchors on
+   */
+  applyAnchorTemplate: function(templateId, objectId) {
+    const template = this.sceneState
+      ? this.sceneState.getAnchorTemplates().find(candidate => candidate.id === templateId)
+      : null;
     
-    // Get default anchor positions (normalized 0-1)
-    const positions = this.getDefaultAnchorPositions(this.data.anchorCount);
+    if (!template) {
+      console.warn('Anchor Placement: Unknown anchor template', templateId);
+      return;
+    }
     
-    // Create anchors at these positions
-    positions.forEach((pos, index) => {
-      // Convert normalized coordinates to local plane coordinates
-      const localX = (pos.x - 0.5) * width;
-      const localY = (pos.y - 0.5) * height;
-      
-      // Create a local position
-      const localPos = new THREE.Vector3(localX, localY, 0.001);
-      
-      console.log(`Adding anchor ${index+1} at local position:`, localPos);
-      
-      // Add anchor with the plane as parent
-      this.addAnchor(localPos, plane, true);
+    // Clear existing anchors first
+    this.reset();
+    
+    const target = this.findAnchorTarget(objectId || this.data.objectId);
+    if (!target) return;
+    
+    console.log(`Anchor Placement: Applying template ${template.name} using width=${target.width}, height=${target.height}`);
+    
+    // The template decides how many anchors there are - a wire needs exactly two
+    this.el.setAttribute('anchor-placement', 'anchorCount', template.anchors.length);
+    if (this.data.anchorCount !== 2) {
+      this.wire.enabled = false;
+    }
+    
+    resolveAnchorTemplate(template, target.width, target.height).forEach(position => {
+      this.addAnchor(new THREE.Vector3(position.x, position.y, 0.001), target.plane, true);
     });
     
     // Set to preview state
     this.step = 3;
-    this.emitStatus('preview', 
-      `${this.anchors.length} anchors auto-placed. Click "Complete" to save or "Reset" to start over.`);
+    this.emitStatus('preview',
+      `${template.name}: ${this.anchors.length} anchors placed. Click "Save & Exit" to save or "Reset" to start over.`,
+      { templateId: template.id });
+    this.updateWirePreview();
+  },
+  
+  /**
+   * Hang the object on a wire between two anchors, or on the anchors themselves
+   * @param {Boolean} enabled - Whether the two anchors are wire attachments
+   */
+  setWire: function(enabled) {
+    this.wire.enabled = !!enabled;
+    this.wire.length = 0;
+    console.log('Anchor Placement: Wire', this.wire.enabled ? 'enabled' : 'disabled');
+    
+    // A wire runs between exactly two attachments
+    if (this.wire.enabled && this.data.anchorCount !== 2) {
+      this.setAnchorCount(2);
+      return;
+    }
+    
+    if (!this.updateWirePreview()) {
+      this.removeWirePreview();
+      this.emitStatus(this.step === 3 ? 'preview' : 'in-progress', this.wire.enabled
+        ? 'Wire on: place the two points where the wire is fixed to the object.'
+        : 'Wire off: each anchor gets its own nail.',
+        { anchorCount: this.anchors.length });
+    }
+  },
+  
+  /**
+   * Lengthen or shorten the wire
+   * @param {Number} delta - Change in length (meters)
+   */
+  changeWireLength: function(delta) {
+    if (!this.wire.enabled || this.anchors.length !== 2) return;
+    
+    const length = this.wire.length + delta;
+    if (!calculateWireHook(this.anchors.map(anchor => anchor.position), length)) {
+      this.emitStatus('preview', 'The wire can\'t be shorter than the distance between its ends.',
+        { anchorCount: this.anchors.length });
+      return;
+    }
+    
+    this.wire.length = length;
+    this.updateWirePreview();
+  },
+  
+  /**
+   * Draw the wire from both attachments up to the hook and report where the nail goes
+   * @returns {Boolean} True when a wire is shown
+   */
+  updateWirePreview: function() {
+    this.removeWirePreview();
+    if (!this.wire.enabled || this.anchors.length !== 2 || !this.anchorMarkers[0]) return false;
+    
+    const unitSystem = getSceneUnits(this.el.sceneEl);
+    const attachments = this.anchors.map(anchor => anchor.position);
+    
+    // Start with some slack, rounded to the length buttons' step
+    if (!calculateWireHook(attachments, this.wire.length)) {
+      this.wire.length = getDefaultWireLength(attachments, pickForUnits(WIRE_LENGTH_STEPS, unitSystem));
+    }
+    
+    const hook = calculateWireHook(attachments, this.wire.length);
+    const plane = this.anchorMarkers[0].parentNode;
+    this.wirePreview = createWire(attachments, hook, 0.002, '#F4B400', plane);
+    this.wirePreview.appendChild(createMarker({ x: hook.x, y: hook.y, z: 0.002 }, 'hook', '#FFFFFF'));
+    
+    // How far the nail sits below the top edge - the object hangs that much lower than the nail
+    const height = parseFloat(plane.getAttribute('height') || plane.getAttribute('data-height')) || 0;
+    const drop = calculateWireDrop(hook, height / 2);
+    const position = drop >= 0
+      ? `nail ${formatLength(drop, unitSystem)} below the top edge`
+      : `wire shows ${formatLength(-drop, unitSystem)} above the top edge`;
+    
+    this.emitStatus('preview', `Wire ${formatLength(this.wire.length, unitSystem)}: ${position}.`,
+      { anchorCount: this.anchors.length });
+    return true;
+  },
+  
+  /**
+   * Remove the wire preview
+   */
+  removeWirePreview: function() {
+    if (this.wirePreview && this.wirePreview.parentNode) {
+      this.wirePreview.parentNode.removeChild(this.wirePreview);
+    }
+    this.wirePreview = null;
+  },
+  
+  /**
+   * Save the placed anchors as a user-defined template
+   * @param {String} objectId - ID of the object the anchors were placed on
+   */
+  saveAnchorTemplate: function(objectId) {
+    if (this.anchors.length === 0) {
+      this.emitStatus('error', 'Place anchors before saving a template');
+      return;
+    }
+    
+    const target = this.findAnchorTarget(objectId || this.data.objectId);
+    if (!target || !this.sceneState) return;
+    
+    const count = this.sceneState.getAnchorTemplates().length - ANCHOR_TEMPLATES.length;
+    const template = createAnchorTemplate(
+      this.anchors.map(anchor => anchor.position),
+      target.width,
+      target.height,
+      { id: `template_${Date.now()}`, name: `Custom ${count + 1}` }
+    );
+    
+    emitEvent(this.el.sceneEl, EVENTS.SETTINGS.ACTION, {
+      action: 'save-anchor-template',
+      template: template
+    });
+    
+    this.emitStatus('template-saved', `Saved anchors as template "${template.name}"`, {
+      templateId: template.id,
+      anchorCount: this.anchors.length
+    });
   },
   
   /**
    * Get default positions for anchors based on count
-   * @param {Number} count - Number of anchors (1-4)
+   * @param {Number} count - Number of anchors
    * @returns {Array} Array of {x,y} positions (normalized 0-1)
    */
   getDefaultAnchorPositions: function(count) {
+    // Larger objects like mirrors and shelves: evenly spaced along the top and bottom
+    if (count > 4) {
+      const top = Math.ceil(count / 2);
+      const row = (n, y) => Array.from({ length: n }, (_, i) => ({ x: 0.1 + 0.8 * i / (n - 1 || 1), y }));
+      return row(top, 0.8).concat(row(count - top, 0.2));
+    }
+    
     // Default positions for 1-4 anchors
     switch(count) {
       case 1:
         // Center
         return [{ x: 0.5, y: 0.5 }];
       case 2:
+        // Wire attachments a third of the way down the sides
+        if (this.wire.enabled) {
+          return [
+            { x: 0.1, y: 0.67 },
+            { x: 0.9, y: 0.67 }
+          ];
+        }
+        
         // Top center and bottom center
         return [
           { x: 0.5, y: 0.25 },
@@ -495,28 +1017,50 @@ AFRAME.registerComponent('anchor-placement', {
   
   /**
    * Set the number of anchors to place
-   * @param {Number} count - Number of anchors (1-4)
+   * Placed anchors are kept: extra ones are removed from the end, missing ones are placed with the laser.
+   * @param {Number} count - Number of anchors (1 or more)
+   * @param {String} [message] - Status message to show before the placement instructions
    */
-  setAnchorCount: function(count) {
-    if (count < 1 || count > 4) {
+  setAnchorCount: function(count, message = '') {
+    if (!Number.isInteger(count) || count < 1) {
       console.warn('Anchor Placement: Invalid anchor count', count);
       return;
     }
     
-    this.data.anchorCount = count;
+    // Set through the attribute so later attribute changes from the menu keep the count
+    this.el.setAttribute('anchor-placement', 'anchorCount', count);
+    if (count !== 2) {
+      this.wire.enabled = false;
+    }
     console.log('Anchor Placement: Anchor count updated to', count, 'for objectId:', this.data.objectId || this.currentObject);
     
     // Make sure we preserve the object ID (might be undefined from menu events)
     const objectId = this.data.objectId || this.currentObject;
+    const prefix = message ? `${message} ` : '';
     
-    // If we're in preview mode with anchors, update them
-    if (this.step === 3 && this.anchors.length > 0) {
-      this.autoPlaceAnchors(objectId);
+    if (this.anchors.length > count) {
+      removeMarkers(this.anchorMarkers.splice(count));
+      this.anchors.splice(count);
+      if (this.selectedIndex >= count) {
+        this.selectedIndex = -1;
+      }
+    }
+    
+    if (this.anchors.length === count) {
+      if (this.step !== 0) this.step = 3;
+      this.emitStatus('preview',
+        `${prefix}All ${count} anchors placed. Click "Save & Exit" to save or point at an anchor to move it.`,
+        { anchorCount: this.anchors.length, objectId: objectId });
+      this.updateWirePreview();
     } else {
-      // Otherwise just update the status message
-      this.emitStatus('in-progress', 
-        `Use laser to place ${this.data.anchorCount} anchors. Press trigger to place.`, 
-        { objectId: objectId });
+      if (this.step !== 0) this.step = 2;
+      this.removeWirePreview();
+      
+      const remaining = count - this.anchors.length;
+      this.emitStatus('in-progress', this.anchors.length > 0
+        ? `${prefix}Place ${remaining} more anchor${remaining > 1 ? 's' : ''}. Press trigger to place.`
+        : `${prefix}Use laser to place ${count} anchors. Press trigger to place.`,
+        { anchorCount: this.anchors.length, objectId: objectId });
     }
   },
   
@@ -525,8 +1069,9 @@ AFRAME.registerComponent('anchor-placement', {
    * @param {THREE.Vector3} position - Position for the anchor
    * @param {Element} targetEl - Element to attach the anchor to
    * @param {Boolean} isLocalPos - Whether position is already in local coordinates
+   * @param {Object} [details] - Saved anchor fields to keep (id, label, type)
    */
-  addAnchor: function(position, targetEl, isLocalPos = false) {
+  addAnchor: function(position, targetEl, isLocalPos = false, details = {}) {
     if (!targetEl) {
       console.error('Anchor Placement: No target element to add anchor to');
       return;
@@ -535,26 +1080,8 @@ AFRAME.registerComponent('anchor-placement', {
     console.log('Anchor Placement: Adding anchor at position', position);
     
     // Position is in world coordinates by default, need to convert to target local space
-    let localPosition;
-    
-    if (isLocalPos) {
-      // Already in local coordinates
-      localPosition = position;
-    } else {
-      // Convert from world to local coordinates
-      localPosition = new THREE.Vector3();
-      
-      // Get world matrix of target
-      const worldToLocal = new THREE.Matrix4();
-      targetEl.object3D.updateMatrixWorld();
-      worldToLocal.copy(targetEl.object3D.matrixWorld).invert();
-      
-      // Apply transform
-      localPosition.copy(position).applyMatrix4(worldToLocal);
-      
-      // Add small z offset to prevent z-fighting
-      localPosition.z = 0.001;
-    }
+    const localPosition = isLocalPos ? position : this.toLocalPosition(position, targetEl);
+    this.targetPlane = targetEl;
     
     // Create anchor marker
     const index = this.anchors.length;
@@ -575,6 +1102,7 @@ AFRAME.registerComponent('anchor-placement', {
     this.anchors.push({
       id: `anchor_${Date.now()}_${index}`,
       objectId: this.data.objectId,
+      ...details,
       position: {
         x: localPosition.x,
         y: localPosition.y,
@@ -591,6 +1119,11 @@ AFRAME.registerComponent('anchor-placement', {
       this.emitStatus('preview', 
         `All ${this.anchors.length} anchors placed. Click "Complete" to save or "Reset" to start over.`,
         { anchorCount: this.anchors.length });
+      
+      // Laser placement finishes here; auto-place and templates draw the wire once they're done
+      if (!isLocalPos) {
+        this.updateWirePreview();
+      }
     } else {
       // Update status with remaining count
       const remaining = this.data.anchorCount - this.anchors.length;
@@ -672,15 +1205,33 @@ AFRAME.registerComponent('anchor-placement', {
       }
     }
     
+    // A wire replaces its two attachments with one anchor at the hook, where the nail goes
+    let savedAnchors = this.anchors.slice(); // Send a copy of the anchor data
+    if (this.wire.enabled && this.anchors.length === 2) {
+      const wireAnchor = createWireAnchor(this.anchors.map(anchor => anchor.position), this.wire.length, {
+        id: this.anchors[0].id,
+        objectId: targetObjectId
+      });
+      
+      if (!wireAnchor) {
+        this.emitStatus('error', 'The wire is too short to hang from a nail');
+        return;
+      }
+      savedAnchors = [wireAnchor];
+    }
+    
     // Emit completed event with anchor data
     this.el.sceneEl.emit('anchor-completed', {
       objectId: targetObjectId,
-      anchors: this.anchors.slice() // Send a copy of the anchor data
+      anchors: savedAnchors
     });
     
     // Remove anchoring-enabled class from objects
     this.disableObjectForAnchoring(targetObjectId);
     
+    // The renderer replaces the saved markers if it hasn't already
+    this.restoreSavedMarkers();
+    
     // Remove laser controls from hands or reset their settings
     this.cleanupLaserControls();
     
@@ -712,7 +1263,7 @@ AFRAME.registerComponent('anchor-placement', {
       objectElem.classList.remove('anchoring-enabled');
       
       // Also cleanup planes
-      const objectPlanes = objectElem.querySelectorAll('a-plane');
+      const objectPlanes = objectElem.querySelectorAll('a-plane, .object-shape');
       objectPlanes.forEach(plane => {
         plane.classList.remove('anchoring-enabled');
         plane.setAttribute('data-collideable', 'false');
@@ -727,17 +1278,16 @@ AFRAME.registerComponent('anchor-placement', {
    * Clean up laser controls
    */
   cleanupLaserControls: function() {
-    // Remove our raycaster entities that were added to hands
-    ['left', 'right'].forEach(hand => {
-      const handEntity = document.getElementById(`${hand}Hand`);
-      if (!handEntity) return;
-      
-      // Remove event listeners from hands
-      handEntity.removeEventListener('triggerdown', this.onLaserHit);
-      handEntity.removeEventListener('pinchstarted', this.onLaserHit);
+    // Remove input event listeners
+    this.el.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_STARTED, this.onLaserHit);
+    this.el.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_ENDED, this.onLaserRelease);
+    
+    // Remove our raycaster entities that were added to hands and controllers
+    getInputSources(this.el.sceneEl).forEach(source => {
+      const hand = source.data.hand;
       
       // Remove raycaster entity if it exists
-      const rayId = `anchor-laser-${hand}`;
+      const rayId = `anchor-laser-${source.el.id}`;
       const rayEntity = document.getElementById(rayId);
       if (rayEntity) {
         // Remove event listeners from raycaster
@@ -746,7 +1296,7 @@ AFRAME.registerComponent('anchor-placement', {
         // Remove raycaster entity
         if (rayEntity.parentNode) {
           rayEntity.parentNode.removeChild(rayEntity);
-          console.log(`Removed raycaster from ${hand} hand`);
+          console.log(`Removed raycaster from ${hand} ${source.kind}`);
         }
       }
     });
@@ -756,12 +1306,17 @@ AFRAME.registerComponent('anchor-placement', {
    * Reset state and clean up - clears current working state but doesn't affect saved anchors
    */
   reset: function() {
-    // Clean up anchor markers
+    // Clean up anchor markers and the wire between them
     removeMarkers(this.anchorMarkers);
+    this.removeWirePreview();
+    this.wire.length = 0;
     
     // Clear arrays
     this.anchorMarkers = [];
     this.anchors = [];
+    this.targetPlane = null;
+    this.selectedIndex = -1;
+    this.dragState = null;
     
     // Reset step to 2 (placing anchors) if we still have an active object
     // This ensures we're in the correct state to place anchors after reset
@@ -790,6 +1345,12 @@ AFRAME.registerComponent('anchor-placement', {
       message: message,
       anchorCount: this.data.anchorCount,
       objectId: this.data.objectId || null,
+      targetCount: this.data.anchorCount,
+      selectedAnchor: this.anchors[this.selectedIndex]
+        ? { index: this.selectedIndex, ...this.anchors[this.selectedIndex] }
+        : null,
+      wireEnabled: this.wire.enabled,
+      wireLength: this.wire.length,
       ...additionalData
     };
     
@@ -812,10 +1373,15 @@ AFRAME.registerComponent('anchor-placement', {
     if (oldData.active !== this.data.active) {
       // Reset when deactivated
       if (!this.data.active) {
+        this.wire.enabled = false;
         this.reset();
+        this.restoreSavedMarkers();
         this.step = 0;
         this.cleanupLaserControls();
         this.disableObjectForAnchoring(this.data.objectId);
+      } else {
+        // Tell the menu that was just opened about anchors loaded before it was shown
+        this.emitStatus(this.step === 3 ? 'preview' : 'in-progress', '', { anchorCount: this.anchors.length });
       }
       
       // Update visibility based on active state
@@ -840,26 +1406,11 @@ AFRAME.registerComponent('anchor-placement', {
     // Clean up event listeners
     this.el.sceneEl.removeEventListener('anchor-action', this.onAnchorAction);
     
-    // Clean up controller event listeners
-    ['left', 'right'].forEach(hand => {
-      const controllerEntity = document.getElementById(`${hand}Hand`);
-      if (controllerEntity) {
-        controllerEntity.removeEventListener('triggerdown', this.onLaserHit);
-        controllerEntity.removeEventListener('pinchstarted', this.onLaserHit);
-        
-        // Also find and clean up any raycaster entities
-        const rayId = `anchor-laser-${hand}`;
-        const rayEntity = document.getElementById(rayId);
-        if (rayEntity) {
-          rayEntity.removeEventListener('raycaster-intersection', this.onRaycasterIntersection);
-        }
-      }
-    });
-    
-    // Final cleanup
+    // Final cleanup, including the hand and controller listeners
     this.cleanupLaserControls();
     this.disableObjectForAnchoring(this.data.objectId);
     this.reset();
+    this.restoreSavedMarkers();
   }
 });
 
@@ -5,15 +5,28 @@
  * Allows objects to be moved along the wall plane but not in/out
  */
 
-import { events } from '../../utils/index.js';
-import { createMarker } from '../../utils/ui-elements.js';
+import { anchors as anchorUtils, events, geometry, snapping, units, Colors } from '../../utils/index.js';
+import { createLine, createMarker, createShape, createWire, createFloatingText } from '../../utils/ui-elements.js';
+import { getWallEntity, resolveWallId, getGridOrigin } from '../../utils/walls.js';
+const { calculateWireDrop, isWireAnchor } = anchorUtils;
 const { EVENTS, emitEvent } = events;
+const { calculateObjectBoundingBox, calculateObjectWallBounds, poseToMatrix, rotationToNormal } = geometry;
+const { getSnapLines, snapBounds } = snapping;
+const { formatLength, formatObjectSize } = units;
+
+// Alignment guide colour per snap target
+const ALIGNMENT_GUIDE_COLORS = {
+  grid: Colors.TEXT,
+  objects: Colors.HIGHLIGHT,
+  center: Colors.ERROR
+};
 
 AFRAME.registerComponent('draggable-wall-object', {
   schema: {
     objectId: { type: 'string', default: '' },
     active: { type: 'boolean', default: true },
-    opacity: { type: 'number', default: 0.1 }
+    opacity: { type: 'number', default: 0.1 },
+    keepPosition: { type: 'boolean', default: false } // Keep stored center instead of recentering on the wall
   },
   
   init: function() {
@@ -22,7 +35,8 @@ AFRAME.registerComponent('draggable-wall-object', {
     // References
     this.sceneEl = this.el.sceneEl;
     this.sceneState = this.sceneEl.systems['scene-state'];
-    this.wallEntity = document.querySelector('[wall-plane]');
+    this.wallEntity = null; // Resolved from the object's wallId in updateWallReference
+    this.wallMatrix = null; // Wall pose the object was last placed against
     
     // State
     this.isDragging = false;
@@ -30,11 +44,8 @@ AFRAME.registerComponent('draggable-wall-object', {
     this.wallNormal = new THREE.Vector3();
     this.wallPlane = new THREE.Plane();
     this.intersectionPoint = new THREE.Vector3();
-    
-    // Bind methods
-    this.onRaycastHit = this.onRaycastHit.bind(this);
-    this.onRaycastEnd = this.onRaycastEnd.bind(this);
-    this.onRaycastMove = this.onRaycastMove.bind(this);
+    this.dragHand = null; // Hand of the input source holding the object
+    this.hitRaycaster = new THREE.Raycaster();
     
     // Get the object reference from data attribute or state
     const dataObject = this.el.getAttribute('data-object');
@@ -59,9 +70,14 @@ AFRAME.registerComponent('draggable-wall-object', {
     }
     
     // Bind methods
-    this.onRaycastHit = this.onRaycastHit.bind(this);
-    this.onRaycastEnd = this.onRaycastEnd.bind(this);
-    this.onRaycastMove = this.onRaycastMove.bind(this);
+    this.onSelectStarted = this.onSelectStarted.bind(this);
+    this.onSelectDragged = this.onSelectDragged.bind(this);
+    this.onSelectEnded = this.onSelectEnded.bind(this);
+    this.onObjectUpdated = this.onObjectUpdated.bind(this);
+    this.onWallCalibrationChange = this.onWallCalibrationChange.bind(this);
+    this.onWallReset = this.onWallReset.bind(this);
+    this.onWallComponentChanged = this.onWallComponentChanged.bind(this);
+    this.onStateChanged = this.onStateChanged.bind(this);
     
     // Initialize wall plane reference and planes
     this.updateWallReference();
@@ -98,13 +114,18 @@ AFRAME.registerComponent('draggable-wall-object', {
     
     // Create interactive drag plane that's coplanar with the wall
     // Using higher opacity (0.3 instead of 0.1) for better visibility from all angles
-    this.dragPlane = document.createElement('a-plane');
-    this.dragPlane.setAttribute('width', width);
-    this.dragPlane.setAttribute('height', height);
-    this.dragPlane.setAttribute('opacity', 0.3); // Increased from data.opacity
-    this.dragPlane.setAttribute('color', '#42D544'); // Use green color matching the object
-    this.dragPlane.setAttribute('side', 'double'); // CRITICAL: Double-sided rendering
-    this.dragPlane.setAttribute('class', 'drag-plane interactive');
+    if (objectData.type === 'circle' || objectData.type === 'polygon') {
+      // Circles and polygons drag by their own outline (double-sided material)
+      this.dragPlane = createShape(objectData, { color: '#42D544', opacity: 0.3 });
+    } else {
+      this.dragPlane = document.createElement('a-plane');
+      this.dragPlane.setAttribute('width', width);
+      this.dragPlane.setAttribute('height', height);
+      this.dragPlane.setAttribute('opacity', 0.3); // Increased from data.opacity
+      this.dragPlane.setAttribute('color', '#42D544'); // Use green color matching the object
+      this.dragPlane.setAttribute('side', 'double'); // CRITICAL: Double-sided rendering
+    }
+    this.dragPlane.classList.add('drag-plane', 'interactive');
     this.dragPlane.setAttribute('visible', true);
     this.dragPlane.setAttribute('position', '0 0 0.01'); // Give it a z-offset to ensure it renders in front of wall
     
@@ -131,7 +152,7 @@ AFRAME.registerComponent('draggable-wall-object', {
       
       if (Array.isArray(objectData.anchors) && objectData.anchors.length > 0) {
         console.log(`Object has ${objectData.anchors.length} anchors, creating them`);
-        this.createAnchors(objectData.anchors);
+        this.createAnchors(objectData.anchors, objectData);
       } else {
         console.warn('Object has anchors property but it is empty or not an array');
       }
@@ -164,7 +185,7 @@ AFRAME.registerComponent('draggable-wall-object', {
   },
   
   // Create anchors for the object
-  createAnchors: function(anchors) {
+  createAnchors: function(anchors, objectData) {
     console.log('Creating anchors:', anchors);
     
     if (!anchors || !Array.isArray(anchors) || anchors.length === 0) {
@@ -212,19 +233,45 @@ AFRAME.registerComponent('draggable-wall-object', {
       
       // Ensure marker is visible
       marker.setAttribute('visible', true);
+      
+      if (isWireAnchor(anchor) && objectData) {
+        this.createWireDrop(anchor, objectData, localPosition.z);
+      }
     });
   },
   
+  // Draw a hanging wire and how far the object's top edge hangs below its nail
+  createWireDrop: function(anchor, objectData, z) {
+    const hook = anchor.position;
+    createWire(anchor.attachments, hook, z, Colors.WARNING, this.el);
+    
+    const top = calculateObjectBoundingBox(objectData).maxY;
+    const drop = calculateWireDrop(hook, top);
+    if (Math.abs(drop) < 0.001) return;
+    
+    createLine({ x: hook.x, y: hook.y, z }, { x: hook.x, y: top, z }, Colors.WARNING, true, this.el);
+    
+    // Negative drops mean the hook is above the top edge, so the wire shows above the object
+    const label = drop > 0 ? `Drop ${formatLength(drop)}` : `Wire shows ${formatLength(-drop)}`;
+    createFloatingText(label, {
+      x: hook.x + 0.02,
+      y: (hook.y + top) / 2,
+      z: z + 0.002
+    }, { color: Colors.WARNING, scale: '0.07 0.07 0.07', align: 'left', className: 'wire-drop-label' }, this.el);
+  },
+  
   // Create dimension labels
   createDimensionsLabels: function(objectData) {
-    const widthCm = (objectData.width * 100).toFixed(1);
-    const heightCm = (objectData.height * 100).toFixed(1);
+    // Place labels around the outline - polygons aren't centered on their bounding box
+    const bounds = calculateObjectBoundingBox(objectData);
     
     // Width label with look-at camera behavior for auto-facing
+    // Circles show a single diameter label
     const widthLabel = document.createElement('a-entity');
-    widthLabel.setAttribute('position', `0 ${objectData.height/2 + 0.03} 0.005`);
+    widthLabel.setAttribute('class', 'dimension-label');
+    widthLabel.setAttribute('position', `${bounds.center.x} ${bounds.maxY + 0.03} 0.005`);
     widthLabel.setAttribute('text', {
-      value: `${widthCm} cm`,
+      value: objectData.type === 'circle' ? formatObjectSize(objectData) : formatLength(objectData.width),
       align: 'center',
       width: 0.5,
       color: '#FFFFFF'
@@ -233,11 +280,14 @@ AFRAME.registerComponent('draggable-wall-object', {
     widthLabel.setAttribute('scale', '0.1 0.1 0.1');
     this.el.appendChild(widthLabel);
     
+    if (objectData.type === 'circle') return;
+    
     // Height label with look-at camera behavior for auto-facing
     const heightLabel = document.createElement('a-entity');
-    heightLabel.setAttribute('position', `${objectData.width/2 + 0.03} 0 0.005`);
+    heightLabel.setAttribute('class', 'dimension-label');
+    heightLabel.setAttribute('position', `${bounds.maxX + 0.03} ${bounds.center.y} 0.005`);
     heightLabel.setAttribute('text', {
-      value: `${heightCm} cm`,
+      value: formatLength(objectData.height),
       align: 'center',
       width: 0.5,
       color: '#FFFFFF'
@@ -247,10 +297,12 @@ AFRAME.registerComponent('draggable-wall-object', {
     this.el.appendChild(heightLabel);
   },
   
-  updateWallReference: function() {
+  // On first placement keepPosition keeps the stored center (by default the schema decides)
+  // instead of starting at the wall center. Afterwards the object moves along with its wall
+  updateWallReference: function(keepPosition = this.data.keepPosition) {
     // Find wall entity if not already set or if previously null
     if (!this.wallEntity) {
-      this.wallEntity = document.querySelector('[wall-plane]');
+      this.wallEntity = getWallEntity(this.getWallId(), this.sceneEl);
       if (!this.wallEntity) {
         console.warn('Draggable Wall Object: No wall plane found');
         return;
@@ -267,65 +319,45 @@ AFRAME.registerComponent('draggable-wall-object', {
     this.el.setAttribute('rotation', wallRotation);
     console.log('Draggable Wall Object: Applied wall rotation:', wallRotation);
     
-    // If we have the objectRef, update its rotation to match the wall
-    if (this.objectRef) {
-      this.objectRef.rotation = wallRotation;
-    }
-    
-    // Create wall normal vector (facing into the room from the wall)
-    // Default is +Z axis rotated by the wall's rotation
-    this.wallNormal.set(0, 0, 1);
-    
-    // Create rotation from Euler angles
-    const rotation = new THREE.Euler(
-      THREE.MathUtils.degToRad(wallRotation.x),
-      THREE.MathUtils.degToRad(wallRotation.y),
-      THREE.MathUtils.degToRad(wallRotation.z),
-      'XYZ'
-    );
-    
-    // Apply rotation to normal vector
-    this.wallNormal.applyEuler(rotation);
+    // Wall normal facing into the room from the wall
+    this.wallNormal.copy(rotationToNormal(wallRotation));
     
     // Create plane using normal and point
     const point = new THREE.Vector3(wallPosition.x, wallPosition.y, wallPosition.z);
     this.wallPlane.setFromNormalAndCoplanarPoint(this.wallNormal, point);
     
+    const wallMatrix = poseToMatrix(wallPosition, wallRotation);
+    
     // Ensure object is exactly on the wall plane
-    if (this.objectRef) {
-      // Project the object onto the wall plane
-
-      // We want to place the object at the center of the wall initially
-      // The object will maintain its size but be positioned at the wall's center
-      // This gives the user a good starting point to drag from
-      const newPos = {
-        x: wallPosition.x,
-        y: wallPosition.y,
-        z: wallPosition.z
-      };
-      
-      // Update entity position to be at exact wall position
-      this.el.setAttribute('position', newPos);
+    if (this.objectRef && this.wallMatrix && this.objectRef.center) {
+      // The wall moved (nudged, grabbed or refined) - keep the object at its place on the wall
+      this.moveWithWall(wallMatrix.clone().multiply(this.wallMatrix.clone().invert()));
+      console.log('Draggable Wall Object: Moved with the wall');
+    } else if (this.objectRef) {
+      let newPos;
       
-      // Update objectRef center
-      this.objectRef.center = newPos;
-      
-      // Make sure we update state with our changes
-      if (this.sceneState && this.objectRef && this.objectRef.id) {
-        const objects = this.sceneState.getState('objects') || [];
-        const objIndex = objects.findIndex(o => o.id === this.objectRef.id);
-        
-        if (objIndex >= 0) {
-          // Update the object in state
-          objects[objIndex] = this.objectRef;
-          this.sceneState.updateState('objects', objects);
-          console.log('Draggable Wall Object: Updated object in scene state');
-        }
+      if (keepPosition && this.objectRef.center) {
+        // Keep the saved placement, only snapping it onto the current wall plane
+        newPos = new THREE.Vector3(
+          this.objectRef.center.x,
+          this.objectRef.center.y,
+          this.objectRef.center.z
+        );
+      } else {
+        // We want to place the object at the center of the wall initially
+        // The object will maintain its size but be positioned at the wall's center
+        // This gives the user a good starting point to drag from
+        newPos = point.clone();
       }
       
+      // Place the object and its points exactly on the wall and store them
+      this.placeObject(newPos);
+      
       console.log('Draggable Wall Object: Aligned with wall Z position', wallPosition.z);
     }
     
+    this.wallMatrix = wallMatrix;
+    
     console.log('Draggable Wall Object: Wall plane set up', {
       normal: this.wallNormal,
       point: point
@@ -340,56 +372,60 @@ AFRAME.registerComponent('draggable-wall-object', {
   },
   
   addEventListeners: function() {
-    // Listen for raycaster intersection events - these help us get the initial raycaster reference
-    this.dragPlane.addEventListener('raycaster-intersected', this.onRaycastHit);
-    this.dragPlane.addEventListener('raycaster-intersected-cleared', this.onRaycastEnd);
-    
-    // Listen for controller trigger down/up events
-    this.sceneEl.addEventListener('triggerdown', this.onRaycastMove);
-    this.sceneEl.addEventListener('triggerup', this.onRaycastEnd);
-    
-    // Listen for hand tracking gestures
-    this.sceneEl.addEventListener('pinchstarted', this.onRaycastMove);
-    this.sceneEl.addEventListener('pinchended', this.onRaycastEnd);
-    this.sceneEl.addEventListener('pinchmoved', this.onPinchMove.bind(this));
+    // Listen for hand and controller input - the ray of the source picks up and moves the object
+    this.sceneEl.addEventListener(EVENTS.INPUT.SELECT_STARTED, this.onSelectStarted);
+    this.sceneEl.addEventListener(EVENTS.INPUT.DRAGGED, this.onSelectDragged);
+    this.sceneEl.addEventListener(EVENTS.INPUT.SELECT_ENDED, this.onSelectEnded);
     
     // Listen for object updates
-    this.sceneEl.addEventListener(EVENTS.OBJECT.UPDATED, this.onObjectUpdated.bind(this));
+    this.sceneEl.addEventListener(EVENTS.OBJECT.UPDATED, this.onObjectUpdated);
+    this.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
     
     // Listen for wall calibration events
-    this.sceneEl.addEventListener(EVENTS.WALL.CALIBRATION_COMPLETE, this.onWallCalibrationChange.bind(this));
-    this.sceneEl.addEventListener(EVENTS.WALL.RESET, this.onWallReset.bind(this));
+    this.sceneEl.addEventListener(EVENTS.WALL.CALIBRATION_COMPLETE, this.onWallCalibrationChange);
+    this.sceneEl.addEventListener(EVENTS.WALL.RESET, this.onWallReset);
     
     // Listen for wall plane updates
     if (this.wallEntity) {
-      this.wallEntity.addEventListener('componentchanged', (evt) => {
-        if (evt.detail.name === 'position' || evt.detail.name === 'rotation') {
-          this.updateWallReference();
-        }
-        
-        // Also listen for visibility changes
-        if (evt.detail.name === 'visible' || 
-            (evt.detail.name === 'getAttribute' && evt.detail.attrName === 'visible')) {
-          // Get the wall container visibility
-          const container = this.wallEntity.querySelector('.wall-container');
-          if (container) {
-            const isWallVisible = container.getAttribute('visible');
-            this.el.setAttribute('visible', isWallVisible);
-          }
-        }
-      });
+      this.wallEntity.addEventListener('componentchanged', this.onWallComponentChanged);
     }
   },
   
-  onRaycastHit: function(evt) {
-    // Store the raycaster for later use
-    this.raycaster = evt.detail.el.components.raycaster;
+  // Follow the wall when its transform or visibility changes
+  onWallComponentChanged: function(evt) {
+    if (evt.detail.name === 'position' || evt.detail.name === 'rotation') {
+      this.updateWallReference();
+    }
+    
+    // Also listen for visibility changes
+    if (evt.detail.name === 'visible' || 
+        (evt.detail.name === 'getAttribute' && evt.detail.attrName === 'visible')) {
+      // Get the wall container visibility
+      const container = this.wallEntity.querySelector('.wall-container');
+      if (container) {
+        const isWallVisible = container.getAttribute('visible');
+        this.el.setAttribute('visible', isWallVisible);
+      }
+    }
   },
   
-  onRaycastEnd: function() {
+  // Drop the object when the hand or controller holding it lets go
+  onSelectEnded: function(evt) {
+    // Ignore the other hand while one hand holds the object
+    if (this.isDragging && evt.detail.hand !== this.dragHand) return;
+    
     // End dragging
     if (this.isDragging) {
       this.isDragging = false;
+      this.dragHand = null;
+      
+      // Close the undo step for this drag
+      if (this.sceneState) {
+        this.sceneState.endHistoryGroup();
+      }
+      
+      emitEvent(this.sceneEl, EVENTS.OBJECT.DRAG, { objectId: this.data.objectId, dragging: false });
+      this.showAlignmentGuides([]);
       
       // Emit object moved event
       if (this.objectRef) {
@@ -400,16 +436,18 @@ AFRAME.registerComponent('draggable-wall-object', {
         });
       }
     }
-    
-    // Clear raycaster reference
-    this.raycaster = null;
   },
   
-  // Handle trigger events (for controller-based interaction)
-  onRaycastMove: function() {
-    // Only respond if we're dragging or component is active
-    if (!this.isDragging && !this.raycaster) return;
-    if (!this.data.active) return;
+  // Pick up the object when a pinch or trigger pull points its ray at the drag plane
+  onSelectStarted: function(evt) {
+    // Only respond if we're not dragging yet and component is active
+    if (this.isDragging || !this.data.active || !this.dragPlane) return;
+    
+    const ray = evt.detail.ray;
+    if (!ray) return;
+    
+    this.hitRaycaster.set(ray.origin, ray.direction);
+    if (this.hitRaycaster.intersectObject(this.dragPlane.object3D, true).length === 0) return;
     
     // Get object reference if needed
     if (!this.objectRef && this.data.objectId) {
@@ -423,7 +461,7 @@ AFRAME.registerComponent('draggable-wall-object', {
     
     // Make sure we have wall reference
     if (!this.wallEntity) {
-      this.wallEntity = document.querySelector('[wall-plane]');
+      this.wallEntity = getWallEntity(this.getWallId(), this.sceneEl);
       if (!this.wallEntity) {
         console.warn('Draggable Wall Object: No wall plane found');
         return;
@@ -431,16 +469,20 @@ AFRAME.registerComponent('draggable-wall-object', {
       this.updateWallReference();
     }
     
-    // Use raycaster to find intersection with wall plane
-    if (!this.raycaster) return;
-    
-    const ray = this.raycaster.raycaster.ray;
-    
     // Raycast against wall plane to find intersection point
     if (ray.intersectPlane(this.wallPlane, this.intersectionPoint)) {
       // Start dragging if not already
       if (!this.isDragging) {
         this.isDragging = true;
+        this.dragHand = evt.detail.hand;
+        
+        // Record the whole drag as a single undo step
+        if (this.sceneState) {
+          this.sceneState.beginHistoryGroup('Move object');
+        }
+        
+        // Show spacing guides for this object
+        emitEvent(this.sceneEl, EVENTS.OBJECT.DRAG, { objectId: this.data.objectId, dragging: true });
         
         // Calculate offset between intersection point and object center
         const objectCenter = new THREE.Vector3(
@@ -467,20 +509,16 @@ AFRAME.registerComponent('draggable-wall-object', {
     }
   },
   
-  // Handle pinch move events for dragging with hand tracking
-  onPinchMove: function(evt) {
-    // Only continue if we're actively dragging and have raycaster
-    if (!this.isDragging || !this.raycaster || !this.data.active) return;
+  // Move the held object to where the ray of the holding hand or controller meets the wall
+  onSelectDragged: function(evt) {
+    // Only continue if we're actively dragging with this hand
+    if (!this.isDragging || !this.data.active) return;
     
     // Get movement data from event
     const detail = evt.detail;
-    if (!detail || !detail.position) return;
+    if (!detail || !detail.ray || detail.hand !== this.dragHand) return;
     
-    // Get the ray from the raycaster
-    const ray = this.raycaster.raycaster.ray;
-    
-    // Update ray origin based on hand position for accurate raycasting
-    ray.origin.copy(detail.position);
+    const ray = detail.ray;
     
     // Find intersection with wall plane
     if (ray.intersectPlane(this.wallPlane, this.intersectionPoint)) {
@@ -495,12 +533,23 @@ AFRAME.registerComponent('draggable-wall-object', {
   updateObjectPosition: function(newPosition) {
     if (!this.objectRef) return;
     
+    // Snap to the grid, other objects and the wall center lines
+    this.snapPosition(newPosition);
+    
+    this.placeObject(newPosition);
+  },
+  
+  // Center the object at a point on the wall, moving its points along, and store it
+  placeObject: function(newPosition) {
     // Ensure position is coplanar with wall by projecting onto wall plane
     const distToPlane = this.wallPlane.distanceToPoint(newPosition);
     if (Math.abs(distToPlane) > 0.001) { // If more than 1mm away from plane
       newPosition.sub(this.wallNormal.clone().multiplyScalar(distToPlane));
     }
     
+    // Keep the previous center to move circle and polygon points along
+    const previousCenter = this.objectRef.center;
+    
     // Update object center
     this.objectRef.center = {
       x: newPosition.x,
@@ -508,6 +557,12 @@ AFRAME.registerComponent('draggable-wall-object', {
       z: newPosition.z
     };
     
+    // Circles and polygons keep their shape - move their points with the center
+    if (this.objectRef.type === 'circle' || this.objectRef.type === 'polygon') {
+      this.translateObjectPoints(previousCenter, this.objectRef.center);
+      return;
+    }
+    
     // Update points based on the new center
     const halfWidth = this.objectRef.width / 2;
     const halfHeight = this.objectRef.height / 2;
@@ -518,14 +573,8 @@ AFRAME.registerComponent('draggable-wall-object', {
     // Store wall rotation in objectRef to maintain alignment
     this.objectRef.rotation = wallRotation;
     
-    // Create a rotation matrix from wall rotation
-    const rotMat = new THREE.Matrix4();
-    rotMat.makeRotationFromEuler(new THREE.Euler(
-      THREE.MathUtils.degToRad(wallRotation.x),
-      THREE.MathUtils.degToRad(wallRotation.y),
-      THREE.MathUtils.degToRad(wallRotation.z),
-      'XYZ'
-    ));
+    // Wall-aligned frame at the new center
+    const centerMatrix = poseToMatrix(newPosition, wallRotation);
     
     // Define corners in local coordinates (relative to center)
     const corners = [
@@ -535,10 +584,9 @@ AFRAME.registerComponent('draggable-wall-object', {
       new THREE.Vector3(-halfWidth, -halfHeight, 0)  // Bottom-left
     ];
     
-    // Apply rotation and translate to new center
+    // Turn with the wall and move to the new center
     corners.forEach((corner, index) => {
-      corner.applyMatrix4(rotMat);
-      corner.add(newPosition);
+      corner.applyMatrix4(centerMatrix);
       
       // Update object's points
       this.objectRef.points[index] = {
@@ -548,13 +596,32 @@ AFRAME.registerComponent('draggable-wall-object', {
       };
     });
     
-    // Update entity position
+    this.storeObject();
+  },
+  
+  // Carry the object along when its wall moves, by the wall's change of pose
+  moveWithWall: function(wallChange) {
+    const move = point => {
+      const moved = new THREE.Vector3(point.x, point.y, point.z).applyMatrix4(wallChange);
+      return { x: moved.x, y: moved.y, z: moved.z };
+    };
+    
+    this.objectRef.center = move(this.objectRef.center);
+    if (Array.isArray(this.objectRef.points)) {
+      this.objectRef.points = this.objectRef.points.map(move);
+    }
+    this.objectRef.rotation = this.wallEntity.getAttribute('rotation');
+    
+    this.storeObject();
+  },
+  
+  // Move the entity to the object's center and write the object to state
+  storeObject: function() {
     this.el.setAttribute('position', this.objectRef.center);
     
-    // Update state
     if (this.sceneState) {
       const objects = this.sceneState.getState('objects') || [];
-      const index = objects.findIndex(obj => obj.id === this.data.objectId);
+      const index = objects.findIndex(obj => obj.id === this.objectRef.id);
       if (index >= 0) {
         objects[index] = this.objectRef;
         this.sceneState.updateState('objects', objects);
@@ -562,6 +629,87 @@ AFRAME.registerComponent('draggable-wall-object', {
     }
   },
   
+  // Move a dragged position so the object's edges or center line up with the enabled snap targets
+  snapPosition: function(position) {
+    const wall = this.sceneState ? this.sceneState.getWall(this.getWallId()) : null;
+    const targets = this.sceneState ? this.sceneState.getSnapTargets() : [];
+    
+    if (!wall || !wall.isCalibrated || targets.length === 0) {
+      this.showAlignmentGuides([]);
+      return;
+    }
+    
+    // Edges and centers of the other objects on this wall
+    const objects = this.sceneState.getState('objects') || [];
+    const neighbourBounds = objects
+      .filter(obj => obj.id !== this.data.objectId && obj.projected && obj.center && obj.wallId === wall.id)
+      .map(obj => calculateObjectWallBounds(obj, wall));
+    
+    const bounds = calculateObjectWallBounds({ ...this.objectRef, center: position }, wall);
+    const grid = this.sceneState.getGrid();
+    const snap = snapBounds(bounds, getSnapLines(neighbourBounds, targets), {
+      grid: targets.includes('grid') ? { spacing: grid.spacing, origin: getGridOrigin(wall, grid.origin) } : null
+    });
+    
+    // Apply the offset along the wall's axes
+    const wallMatrix = poseToMatrix(wall.position, wall.rotation);
+    const xAxis = new THREE.Vector3();
+    const yAxis = new THREE.Vector3();
+    wallMatrix.extractBasis(xAxis, yAxis, new THREE.Vector3());
+    position.addScaledVector(xAxis, snap.offset.x).addScaledVector(yAxis, snap.offset.y);
+    
+    // Guides are drawn relative to the object center, which is where the entity will be
+    const center = position.clone().applyMatrix4(wallMatrix.invert());
+    this.showAlignmentGuides(snap.guides, wall, center);
+  },
+  
+  // Draw a line across the wall for each snapped edge or center (none clears them)
+  showAlignmentGuides: function(guides, wall, center) {
+    if (!this.alignmentGuides) {
+      if (guides.length === 0) return;
+      
+      this.alignmentGuides = document.createElement('a-entity');
+      this.alignmentGuides.classList.add('alignment-guides');
+      this.el.appendChild(this.alignmentGuides);
+    }
+    
+    while (this.alignmentGuides.firstChild) {
+      this.alignmentGuides.removeChild(this.alignmentGuides.firstChild);
+    }
+    
+    guides.forEach(guide => {
+      const color = ALIGNMENT_GUIDE_COLORS[guide.type];
+      
+      if (guide.axis === 'x') {
+        const x = guide.value - center.x;
+        createLine({ x, y: -wall.height / 2 - center.y, z: 0.012 }, { x, y: wall.height / 2 - center.y, z: 0.012 },
+          color, false, this.alignmentGuides);
+      } else {
+        const y = guide.value - center.y;
+        createLine({ x: -wall.width / 2 - center.x, y, z: 0.012 }, { x: wall.width / 2 - center.x, y, z: 0.012 },
+          color, false, this.alignmentGuides);
+      }
+    });
+  },
+  
+  // Move all points of the object by the change of its center and update state
+  translateObjectPoints: function(fromCenter, toCenter) {
+    const dx = toCenter.x - fromCenter.x;
+    const dy = toCenter.y - fromCenter.y;
+    const dz = toCenter.z - fromCenter.z;
+    
+    this.objectRef.points = this.objectRef.points.map(p => ({
+      x: p.x + dx,
+      y: p.y + dy,
+      z: p.z + dz
+    }));
+    
+    // Store wall rotation in objectRef to maintain alignment
+    this.objectRef.rotation = this.wallEntity.getAttribute('rotation');
+    
+    this.storeObject();
+  },
+  
   onObjectUpdated: function(evt) {
     const { objectId, object } = evt.detail;
     
@@ -571,11 +719,70 @@ AFRAME.registerComponent('draggable-wall-object', {
     }
   },
   
+  // Id of the wall this object belongs to
+  getWallId: function() {
+    return this.objectRef ? this.objectRef.wallId : null;
+  },
+  
+  // Switch to the object's wall if it changed (e.g. projected onto another wall)
+  refreshWall: function(keepPosition) {
+    const wallEntity = getWallEntity(this.getWallId(), this.sceneEl);
+    if (!wallEntity || wallEntity === this.wallEntity) return;
+    
+    if (this.wallEntity) {
+      this.wallEntity.removeEventListener('componentchanged', this.onWallComponentChanged);
+    }
+    
+    this.wallEntity = wallEntity;
+    this.wallMatrix = null; // Placed afresh on the new wall
+    this.wallEntity.addEventListener('componentchanged', this.onWallComponentChanged);
+    this.el.setAttribute('data-wall-id', this.getWallId());
+    
+    console.log('Draggable Wall Object: Moved to wall', this.getWallId());
+    this.updateWallReference(keepPosition);
+  },
+  
+  // Recreate the dimension labels (e.g. after a unit change)
+  refreshLabels: function() {
+    this.el.querySelectorAll('.dimension-label').forEach(label => {
+      label.parentNode.removeChild(label);
+    });
+    
+    if (this.objectRef) {
+      this.createDimensionsLabels(this.objectRef);
+    }
+  },
+  
+  // Follow state replacements (undo/redo) of our object
+  onStateChanged: function(evt) {
+    if (evt.detail.path === 'settings.units') {
+      this.refreshLabels();
+      return;
+    }
+    
+    if (evt.detail.path !== 'objects' || !Array.isArray(evt.detail.value)) return;
+    
+    const stateObject = evt.detail.value.find(obj => obj.id === this.data.objectId);
+    if (!stateObject || stateObject === this.objectRef) return;
+    
+    this.objectRef = stateObject;
+    
+    if (stateObject.center) {
+      this.el.setAttribute('position', stateObject.center);
+    }
+    if (stateObject.rotation) {
+      this.el.setAttribute('rotation', stateObject.rotation);
+    }
+    
+    // State already holds the object's place on its new wall
+    this.refreshWall(true);
+  },
+  
   update: function(oldData) {
     // Update drag plane visibility
     if (this.dragPlane) {
       this.dragPlane.setAttribute('visible', this.data.active);
-      this.dragPlane.setAttribute('opacity', this.data.opacity);
+      this.dragPlane.setAttribute('material', 'opacity', this.data.opacity);
     }
     
     // Update object reference if ID changed
@@ -588,11 +795,19 @@ AFRAME.registerComponent('draggable-wall-object', {
         this.el.setAttribute('position', this.objectRef.center);
       }
     }
+    
+    // Follow the object to its wall
+    if (this.objectRef && this.wallEntity) {
+      this.refreshWall();
+    }
   },
   
   // Handle wall calibration events
   onWallCalibrationChange: function(evt) {
-    const { isCalibrated, wallVisible } = evt.detail;
+    const { isCalibrated, wallVisible, wallId } = evt.detail;
+    
+    // Ignore calibration of other walls
+    if (wallId && this.getWallId() && wallId !== this.getWallId()) return;
     
     // Update visibility based on calibration state
     if (typeof wallVisible !== 'undefined') {
@@ -605,7 +820,7 @@ AFRAME.registerComponent('draggable-wall-object', {
     // This is critical for objects created before the wall was calibrated
     if (isCalibrated) {
       // Make sure we have the latest wall entity reference 
-      this.wallEntity = document.querySelector('[wall-plane]');
+      this.wallEntity = getWallEntity(this.getWallId(), this.sceneEl);
       
       // Update wall reference and realign object to the wall
       if (this.wallEntity) {
@@ -622,34 +837,39 @@ AFRAME.registerComponent('draggable-wall-object', {
   },
   
   // Handle direct wall reset events
-  onWallReset: function() {
+  onWallReset: function(evt) {
+    // Ignore resets of other walls
+    const wallId = resolveWallId(evt && evt.detail, this.sceneEl);
+    if (wallId && this.getWallId() && wallId !== this.getWallId()) return;
+    
     // When wall is reset, hide this object
     this.el.setAttribute('visible', false);
   },
   
   remove: function() {
     // Remove event listeners
-    if (this.dragPlane) {
-      this.dragPlane.removeEventListener('raycaster-intersected', this.onRaycastHit);
-      this.dragPlane.removeEventListener('raycaster-intersected-cleared', this.onRaycastEnd);
-    }
-    
-    // Remove controller events
-    this.sceneEl.removeEventListener('triggerdown', this.onRaycastMove);
-    this.sceneEl.removeEventListener('triggerup', this.onRaycastEnd);
-    
-    // Remove hand tracking events
-    this.sceneEl.removeEventListener('pinchstarted', this.onRaycastMove);
-    this.sceneEl.removeEventListener('pinchended', this.onRaycastEnd);
-    this.sceneEl.removeEventListener('pinchmoved', this.onPinchMove);
+    this.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_STARTED, this.onSelectStarted);
+    this.sceneEl.removeEventListener(EVENTS.INPUT.DRAGGED, this.onSelectDragged);
+    this.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_ENDED, this.onSelectEnded);
     
     // Remove event listener for object updates
     this.sceneEl.removeEventListener(EVENTS.OBJECT.UPDATED, this.onObjectUpdated);
+    this.sceneEl.removeEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
     
     // Remove event listeners for wall events
     this.sceneEl.removeEventListener(EVENTS.WALL.CALIBRATION_COMPLETE, this.onWallCalibrationChange);
     this.sceneEl.removeEventListener(EVENTS.WALL.RESET, this.onWallReset);
     
+    // Don't leave a drag undo step open
+    if (this.isDragging && this.sceneState) {
+      this.sceneState.endHistoryGroup();
+    }
+    
+    // Stop following the wall
+    if (this.wallEntity) {
+      this.wallEntity.removeEventListener('componentchanged', this.onWallComponentChanged);
+    }
+    
     // Clean up all children
     while (this.el.firstChild) {
       this.el.removeChild(this.el.firstChild);
@@ -0,0 +1,126 @@
+/**
+ * Drill Markers Component
+ *
+ * Crosshairs on the wall where a projected object's anchors need a nail or
+ * screw, labelled with their position from the wall's bottom-left corner and
+ * their height above the floor in the selected units.
+ */
+
+import { anchors, events, geometry, units, Colors } from '../../utils/index.js';
+import { createLine, createFloatingText } from '../../utils/ui-elements.js';
+
+const { getAnchorName } = anchors;
+const { EVENTS } = events;
+const { calculateDrillPoints } = geometry;
+const { formatLength, getSceneUnits } = units;
+
+AFRAME.registerComponent('drill-markers', {
+  schema: {
+    objectId: { type: 'string', default: '' },
+    visible: { type: 'boolean', default: true },
+    size: { type: 'number', default: 0.025 }, // Half length of the crosshair lines (m)
+    color: { type: 'color', default: Colors.ERROR },
+    interval: { type: 'number', default: 100 }, // Min time between label updates while the object moves (ms)
+    offset: { type: 'number', default: 0.02 } // Distance in front of the wall, above the anchor markers (m)
+  },
+  
+  init: function() {
+    console.log('Drill Markers: Initializing for object', this.data.objectId);
+    
+    this.sceneState = this.el.sceneEl.systems['scene-state'];
+    this.needsUpdate = false;
+    
+    // Container for all crosshairs and labels
+    this.markers = document.createElement('a-entity');
+    this.markers.classList.add('drill-markers');
+    this.el.appendChild(this.markers);
+    
+    // Bind methods
+    this.onStateChanged = this.onStateChanged.bind(this);
+    
+    // Update at most once per interval while objects move
+    this.tick = AFRAME.utils.throttleTick(this.tick, this.data.interval, this);
+    
+    // Setup event listeners
+    this.el.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+  },
+  
+  update: function() {
+    this.markers.setAttribute('visible', this.data.visible);
+    this.needsUpdate = this.data.visible;
+    
+    if (!this.data.visible) {
+      this.clearMarkers();
+    }
+  },
+  
+  // Redraw when the object or its anchors move, the wall changes or the unit system changes
+  onStateChanged: function(event) {
+    const path = event.detail.path;
+    if (path === 'objects' || path.startsWith('calibration') || path === 'settings.units') {
+      this.needsUpdate = this.data.visible;
+    }
+  },
+  
+  tick: function() {
+    if (!this.needsUpdate) return;
+    
+    this.needsUpdate = false;
+    this.updateMarkers();
+  },
+  
+  updateMarkers: function() {
+    this.clearMarkers();
+    if (!this.sceneState) return;
+    
+    const objects = this.sceneState.getState('objects') || [];
+    const object = objects.find(obj => obj.id === this.data.objectId);
+    if (!object || !object.center || !object.anchors || object.anchors.length === 0) return;
+    
+    const wall = this.sceneState.getWall(object.wallId);
+    if (!wall || !wall.isCalibrated) return;
+    
+    calculateDrillPoints(object, wall).forEach(point => {
+      this.createMarker(object.anchors[point.index], point);
+    });
+  },
+  
+  // Create a crosshair at the anchor with its name and wall coordinates beside it
+  // Wire anchors are drilled at the hook, where the wire meets the nail
+  createMarker: function(anchor, point) {
+    const { size, color, offset: z } = this.data;
+    const { x, y } = anchor.position;
+    const unitSystem = getSceneUnits(this.el.sceneEl);
+    
+    createLine({ x: x - size, y, z }, { x: x + size, y, z }, color, false, this.markers);
+    createLine({ x, y: y - size, z }, { x, y: y + size, z }, color, false, this.markers);
+    
+    // Position from the bottom-left corner, then the height above the floor
+    const lines = [
+      `${getAnchorName(anchor, point.index)}  X ${formatLength(point.fromCorner.x, unitSystem)}  Y ${formatLength(point.fromCorner.y, unitSystem)}`
+    ];
+    if (point.height !== null) {
+      lines.push(`Floor ${formatLength(point.height, unitSystem)}`);
+    }
+    
+    createFloatingText(lines.join('\n'), {
+      x: x + size + 0.005,
+      y: y - size * 0.6,
+      z: z + 0.002
+    }, { color, scale: '0.07 0.07 0.07', align: 'left', className: 'drill-label' }, this.markers);
+  },
+  
+  clearMarkers: function() {
+    while (this.markers.firstChild) {
+      this.markers.removeChild(this.markers.firstChild);
+    }
+  },
+  
+  remove: function() {
+    this.el.sceneEl.removeEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    
+    if (this.markers.parentNode) {
+      this.markers.parentNode.removeChild(this.markers);
+    }
+  }
+});
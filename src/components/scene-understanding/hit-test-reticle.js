@@ -0,0 +1,231 @@
+/**
+ * Hit-Test Reticle Component
+ *
+ * Shows where the WebXR hit-test meets a real surface
+ * Hit tests follow the target ray of each tracked hand or controller, falling back to the
+ * head (viewer) ray when no hand points at a surface. Calibration and object
+ * definition take their points from here when surface placement is selected.
+ */
+
+import { events, Colors } from '../../utils/index.js';
+
+const { EVENTS } = events;
+
+AFRAME.registerComponent('hit-test-reticle', {
+  schema: {
+    enabled: { type: 'boolean', default: true },
+    hand: { type: 'string', default: 'right', oneOf: ['left', 'right'] }, // Hand followed when both hands hit a surface
+    radius: { type: 'number', default: 0.02 },
+    color: { type: 'color', default: Colors.PRIMARY }
+  },
+  
+  init: function() {
+    console.log('Hit-Test Reticle: Initializing');
+    
+    // Hit-test sources keyed by 'left', 'right' and 'viewer'
+    this.sources = {};
+    
+    // Latest hit per source ({ position, quaternion }), cleared when a source loses its surface
+    this.hits = {};
+    this.activeKey = null;
+    this.session = null;
+    
+    // Bind methods
+    this.onEnterVR = this.onEnterVR.bind(this);
+    this.onExitVR = this.onExitVR.bind(this);
+    this.onInputSourcesChange = this.onInputSourcesChange.bind(this);
+    this.onStateChanged = this.onStateChanged.bind(this);
+    
+    // Create reticle visuals
+    this.createReticle();
+    
+    // Get scene state system
+    this.sceneState = this.el.sceneEl.systems['scene-state'];
+    
+    // Setup event listeners
+    this.el.sceneEl.addEventListener('enter-vr', this.onEnterVR);
+    this.el.sceneEl.addEventListener('exit-vr', this.onExitVR);
+    this.el.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    
+    // The session may already be running when the component is added
+    if (this.el.sceneEl.xrSession) {
+      this.onEnterVR();
+    }
+    
+    console.log('Hit-Test Reticle: Initialized');
+  },
+  
+  // Create a flat ring with a center dot that lies on the detected surface
+  createReticle: function() {
+    const { radius, color } = this.data;
+    
+    this.reticle = document.createElement('a-entity');
+    this.reticle.setAttribute('rotation', '-90 0 0'); // Hit poses use +Y as the surface normal
+    
+    const ring = document.createElement('a-ring');
+    ring.setAttribute('radius-inner', radius * 0.75);
+    ring.setAttribute('radius-outer', radius);
+    ring.setAttribute('color', color);
+    ring.setAttribute('shader', 'flat');
+    ring.setAttribute('side', 'double');
+    this.reticle.appendChild(ring);
+    
+    const dot = document.createElement('a-circle');
+    dot.setAttribute('radius', radius * 0.15);
+    dot.setAttribute('color', color);
+    dot.setAttribute('shader', 'flat');
+    dot.setAttribute('side', 'double');
+    this.reticle.appendChild(dot);
+    
+    this.el.appendChild(this.reticle);
+    this.el.object3D.visible = false;
+  },
+  
+  // Hit testing only runs while surface placement is selected
+  isActive: function() {
+    if (!this.data.enabled || !this.session) return false;
+    return !this.sceneState || this.sceneState.getPointSource() === 'surface';
+  },
+  
+  onEnterVR: function() {
+    const session = this.el.sceneEl.xrSession;
+    if (!session || this.session === session) return;
+    
+    if (!session.requestHitTestSource) {
+      console.warn('Hit-Test Reticle: Hit testing is not supported by this session');
+      return;
+    }
+    
+    this.session = session;
+    session.addEventListener('inputsourceschange', this.onInputSourcesChange);
+    
+    // Head ray, used when no hand points at a surface
+    session.requestReferenceSpace('viewer')
+      .then(space => session.requestHitTestSource({ space }))
+      .then(source => this.addSource('viewer', source))
+      .catch(err => console.warn('Hit-Test Reticle: Could not create viewer hit-test source', err));
+    
+    // Hands that are already tracked
+    Array.from(session.inputSources).forEach(inputSource => this.requestHandSource(inputSource));
+  },
+  
+  onExitVR: function() {
+    if (this.session) {
+      this.session.removeEventListener('inputsourceschange', this.onInputSourcesChange);
+    }
+    
+    Object.keys(this.sources).forEach(key => this.removeSource(key));
+    
+    this.session = null;
+    this.el.object3D.visible = false;
+  },
+  
+  // Track hit-test sources of hands as they appear and disappear
+  onInputSourcesChange: function(event) {
+    event.removed.forEach(inputSource => {
+      if (this.sources[inputSource.handedness]) {
+        this.removeSource(inputSource.handedness);
+      }
+    });
+    
+    event.added.forEach(inputSource => this.requestHandSource(inputSource));
+  },
+  
+  requestHandSource: function(inputSource) {
+    const key = inputSource.handedness;
+    if ((key !== 'left' && key !== 'right') || !inputSource.targetRaySpace || this.sources[key]) return;
+    
+    this.session.requestHitTestSource({ space: inputSource.targetRaySpace })
+      .then(source => this.addSource(key, source))
+      .catch(err => console.warn(`Hit-Test Reticle: Could not create ${key} hand hit-test source`, err));
+  },
+  
+  addSource: function(key, source) {
+    // The session may have ended or the source been replaced while the request was pending
+    if (!this.session || this.sources[key]) {
+      source.cancel();
+      return;
+    }
+    
+    this.sources[key] = source;
+    console.log('Hit-Test Reticle: Hit-test source ready -', key);
+  },
+  
+  removeSource: function(key) {
+    if (this.sources[key]) {
+      this.sources[key].cancel();
+      delete this.sources[key];
+    }
+    
+    delete this.hits[key];
+  },
+  
+  // Show or hide the reticle when surface placement is switched on or off
+  onStateChanged: function(event) {
+    if (event.detail.path === 'settings.pointSource' && !this.isActive()) {
+      this.hits = {};
+      this.activeKey = null;
+      this.el.object3D.visible = false;
+    }
+  },
+  
+  tick: function() {
+    if (!this.isActive()) return;
+    
+    const frame = this.el.sceneEl.frame;
+    const referenceSpace = this.el.sceneEl.renderer.xr.getReferenceSpace();
+    if (!frame || !referenceSpace) return;
+    
+    // Read the closest hit of every source for this frame
+    Object.keys(this.sources).forEach(key => {
+      const results = frame.getHitTestResults(this.sources[key]);
+      const pose = results.length > 0 ? results[0].getPose(referenceSpace) : null;
+      
+      if (!pose) {
+        delete this.hits[key];
+        return;
+      }
+      
+      const { position, orientation } = pose.transform;
+      this.hits[key] = {
+        position: new THREE.Vector3(position.x, position.y, position.z),
+        quaternion: new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+      };
+    });
+    
+    // Follow the preferred hand, then the other hand, then the head
+    const otherHand = this.data.hand === 'left' ? 'right' : 'left';
+    this.activeKey = [this.data.hand, otherHand, 'viewer'].find(key => this.hits[key]) || null;
+    
+    if (!this.activeKey) {
+      this.el.object3D.visible = false;
+      return;
+    }
+    
+    const hit = this.hits[this.activeKey];
+    this.el.object3D.position.copy(hit.position);
+    this.el.object3D.quaternion.copy(hit.quaternion);
+    this.el.object3D.visible = true;
+  },
+  
+  // Get the surface point for a new point - the placing hand's own hit is preferred
+  // Returns null when no surface is detected
+  getHitPosition: function(hand) {
+    if (!this.isActive()) return null;
+    
+    const hit = (hand && this.hits[hand]) || this.hits[this.activeKey];
+    return hit ? hit.position.clone() : null;
+  },
+  
+  remove: function() {
+    this.el.sceneEl.removeEventListener('enter-vr', this.onEnterVR);
+    this.el.sceneEl.removeEventListener('exit-vr', this.onExitVR);
+    this.el.sceneEl.removeEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    
+    this.onExitVR();
+    
+    if (this.reticle && this.reticle.parentNode) {
+      this.reticle.parentNode.removeChild(this.reticle);
+    }
+  }
+});
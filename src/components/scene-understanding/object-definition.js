@@ -1,8 +1,9 @@
 /**
  * Object Definition Component
  * 
- * Creates and manages the process of defining rectangular objects on walls
- * by placing corner points and calculating dimensions.
+ * Creates and manages the process of defining objects on walls by placing
+ * points and calculating dimensions. Supports rectangles (three corners),
+ * circles (center and rim point, or three rim points) and polygons (N corners).
  */
 
 // Import utility modules
@@ -10,26 +11,72 @@ import {
   geometry, 
   uiElements, 
   events,
-  interaction
+  interaction,
+  units
 } from '../../utils/index.js';
 
 const {
-  calculateFourthCorner,
-  calculateRectangleDimensions, calculateRectangleOrientation
+  toVector3, calculateFourthCorner,
+  calculateRectangleDimensions, calculateRectangleOrientation,
+  calculatePolygonDimensions, calculateCircleFromCenter, calculateCircleFromRimPoints,
+  calculatePlaneBasis, calculateBasisRotation, calculateObjectArea, rotationToNormal
 } = geometry;
 
+const { formatArea, formatObjectSize, getSceneUnits } = units;
+
 const {
   createMarker, removeMarkers, createLine, createFloatingText,
-  createMeasurementText, createVisualizationEntity
+  createMeasurementText, createShape, createVisualizationEntity
 } = uiElements;
 
 const { EVENTS, emitEvent, emitStatus } = events;
-const { getPinchPosition } = interaction;
+const { getPlacementPosition } = interaction;
+
+// Point placement rules for each shape mode
+const SHAPE_MODES = {
+  rectangle: {
+    label: 'rectangle',
+    minPoints: 3,
+    maxPoints: 3,
+    prompts: [
+      'Place the first corner point (top left)',
+      'Place the second corner point (top right)',
+      'Place the third corner point (bottom right)'
+    ]
+  },
+  circle: {
+    label: 'circle',
+    minPoints: 2,
+    maxPoints: 2,
+    prompts: [
+      'Place the center point',
+      'Place a point on the rim'
+    ]
+  },
+  'circle-3pt': {
+    label: 'circle (3 rim points)',
+    minPoints: 3,
+    maxPoints: 3,
+    prompts: [
+      'Place the first rim point',
+      'Place the second rim point',
+      'Place the third rim point'
+    ]
+  },
+  polygon: {
+    label: 'polygon',
+    minPoints: 3,
+    maxPoints: 16,
+    prompts: [
+      'Place the first corner point',
+      'Place the next corner point'
+    ]
+  }
+};
 
 AFRAME.registerComponent('object-definition', {
   schema: {
     active: { type: 'boolean', default: false },
-    wallId: { type: 'string', default: 'wallPlane' },
     visible: { type: 'boolean', default: true }
   },
   
@@ -38,10 +85,11 @@ AFRAME.registerComponent('object-definition', {
     
     // Object definition state
     this.objects = [];
-    this.pointColors = ['#4285F4', '#0F9D58', '#F4B400']; // Google colors for 3 points
+    this.pointColors = ['#4285F4', '#0F9D58', '#F4B400']; // Google colors, repeated for polygons
+    this.shapeMode = 'rectangle'; // Key of SHAPE_MODES
     
     // Internal state - simplified with just the essential properties
-    this.step = 0; // 0: idle, 1: placing point 1, 2: placing point 2, 3: placing point 3, 4: preview
+    this.step = 0; // 0: idle, N: placing point N, 4: preview (all points of a fixed-size shape placed)
     this.points = [];
     this.markers = [];
     this.visualObject = null;
@@ -54,6 +102,7 @@ AFRAME.registerComponent('object-definition', {
     // Bind event handlers
     this.onPinchStarted = this.onPinchStarted.bind(this);
     this.onObjectActionReceived = this.onObjectActionReceived.bind(this);
+    this.onStateChanged = this.onStateChanged.bind(this);
     
     // Set up event listeners
     this.setupEventListeners();
@@ -66,8 +115,23 @@ AFRAME.registerComponent('object-definition', {
   
   setupEventListeners: function() {
     // Add event listeners
-    this.el.sceneEl.addEventListener(EVENTS.INTERACTION.PINCH_STARTED, this.onPinchStarted);
+    this.el.sceneEl.addEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
     this.el.sceneEl.addEventListener(EVENTS.OBJECT.ACTION, this.onObjectActionReceived);
+    this.el.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+  },
+  
+  // Keep the local object list in sync with state (e.g. after a saved session is restored)
+  onStateChanged: function(event) {
+    const detail = event.detail;
+    
+    if (detail.path === 'objects' && Array.isArray(detail.value)) {
+      this.objects = detail.value;
+    }
+    
+    // Redraw the preview labels in the new unit system
+    if (detail.path === 'settings.units' && this.visualObject && this.points.length >= 2) {
+      this.updateObjectVisualization();
+    }
   },
   
   onObjectActionReceived: function(event) {
@@ -95,7 +159,11 @@ AFRAME.registerComponent('object-definition', {
         // Set step to 1 (placing first point) to stay in object creation mode
         // instead of going back to idle (0)
         this.step = 1;
-        this.emitStatus('reset', 'Object reset. Place the first corner point (top left).');
+        this.emitStatus('reset', `Object reset. ${this.getPointPrompt(0)}.`);
+        break;
+        
+      case 'set-object-shape':
+        this.setShapeMode(event.detail.shape);
         break;
         
       case 'delete-object':
@@ -109,13 +177,50 @@ AFRAME.registerComponent('object-definition', {
   },
   
   emitStatus: function(status, message, additionalData = {}) {
-    // Use the utility function but add pointCount to all status updates
+    // Use the utility function but add point and shape info to all status updates
     emitStatus(this.el, EVENTS.OBJECT.STATUS, status, message, {
       pointCount: this.points.length,
+      shape: this.shapeMode,
+      canComplete: this.canComplete(),
       ...additionalData
     });
   },
   
+  // Get the placement rules for the selected shape
+  getShapeMode: function() {
+    return SHAPE_MODES[this.shapeMode] || SHAPE_MODES.rectangle;
+  },
+  
+  // Get the prompt for placing the point at the given index
+  getPointPrompt: function(index) {
+    const prompts = this.getShapeMode().prompts;
+    return prompts[Math.min(index, prompts.length - 1)];
+  },
+  
+  // Check if enough points are placed to save the object
+  canComplete: function() {
+    return this.points.length >= this.getShapeMode().minPoints && !!this.calculateShape();
+  },
+  
+  // Switch the shape being defined, restarting any points placed so far
+  setShapeMode: function(mode) {
+    if (!SHAPE_MODES[mode]) {
+      console.warn('Object Definition: Unknown shape', mode);
+      return;
+    }
+    
+    this.shapeMode = mode;
+    console.log('Object Definition: Shape set to', mode);
+    
+    if (this.step > 0) {
+      this.reset();
+      this.step = 1;
+      this.emitStatus('reset', this.getPointPrompt(0));
+    } else {
+      this.emitStatus('shape-changed', `Press Start to define a ${SHAPE_MODES[mode].label}`);
+    }
+  },
+  
   startObjectDefinition: function() {
     console.log('Object Definition: Starting new object definition');
     
@@ -127,30 +232,34 @@ AFRAME.registerComponent('object-definition', {
     this.setVisibility(true);
     
     // Emit status update
-    this.emitStatus('started', 'Place the first corner point (top left)');
+    this.emitStatus('started', this.getPointPrompt(0));
   },
   
   completeObjectDefinition: function() {
     console.log('Object Definition: Completing current object definition');
     
-    // Only complete if we have 3 points and are in preview state
-    if (this.points.length === 3 && this.step === 4) {
-      this.finalizeObject();
-    } else if (this.points.length === 3) {
-      // We have 3 points but aren't in preview mode yet - force to preview then finalize
+    const mode = this.getShapeMode();
+    
+    // Only complete once the shape has enough points
+    if (this.canComplete()) {
+      // Polygons can be saved before reaching preview - force to preview then finalize
       this.step = 4;
       this.finalizeObject();
+    } else if (this.points.length >= mode.minPoints) {
+      console.warn('Object Definition: Cannot complete, points lie on a line');
+      
+      this.emitStatus('error', 'Points lie on a line. Press "Reset" to start over.');
     } else {
       console.warn('Object Definition: Cannot complete, not enough points defined');
       
-      this.emitStatus('error', `Need 3 corner points, only have ${this.points.length}`);
+      this.emitStatus('error', `Need ${mode.minPoints} points, only have ${this.points.length}`);
     }
   },
   
   // Handle pinch events for point selection
   onPinchStarted: function(event) {
     // Only process pinch events when component is active and in a point-placing state
-    if (!this.data.active || this.step === 0 || this.step > 3) {
+    if (!this.data.active || this.step === 0 || this.points.length >= this.getShapeMode().maxPoints) {
       return;
     }
     
@@ -164,8 +273,8 @@ AFRAME.registerComponent('object-definition', {
     }
     this.lastPinchTime = now;
     
-    // Get position from pinch event using interaction utility
-    const worldPosition = getPinchPosition(event);
+    // Get position from the fingertip or the hit-test surface
+    const worldPosition = getPlacementPosition(event, this.el.sceneEl);
     if (!worldPosition) {
       console.error('Object Definition: Could not get pinch position');
       return;
@@ -182,7 +291,7 @@ AFRAME.registerComponent('object-definition', {
     
     // Create visual marker at point
     const pointIndex = this.points.length;
-    const colorIndex = pointIndex - 1;
+    const colorIndex = (pointIndex - 1) % this.pointColors.length;
     
     const marker = createMarker(
       position, 
@@ -197,41 +306,116 @@ AFRAME.registerComponent('object-definition', {
       this.updateObjectVisualization();
     }
     
-    // Transition to next step based on current step
-    let statusMessage = '';
+    const mode = this.getShapeMode();
     
-    switch(this.step) {
-      case 1:
-        this.step = 2;
-        statusMessage = 'Place the second corner point (top right)';
-        break;
-      case 2:
-        this.step = 3;
-        statusMessage = 'Place the third corner point (bottom right)';
-        break;
-      case 3:
-        // Calculate dimensions
-        const width = this.points[0].distanceTo(this.points[1]);
-        const height = this.points[1].distanceTo(this.points[2]);
-        const widthCm = (width * 100).toFixed(1);
-        const heightCm = (height * 100).toFixed(1);
+    // All points of the shape placed - show the preview
+    if (this.points.length >= mode.maxPoints) {
+      const shape = this.calculateShape();
+      
+      if (!shape) {
+        this.emitStatus('in-progress', 'Points lie on a line. Press "Reset" to start over.');
+        return;
+      }
+      
+      this.step = 4;
+      const statusMessage = `OBJECT READY! ${formatObjectSize(shape)}. Click "Complete" to save or "Reset" to start over.`;
+      
+      // Add dimensions data
+      this.emitStatus('preview', statusMessage, {
+        sizeLabel: formatObjectSize(shape),
+        areaLabel: formatArea(shape.area)
+      });
+      return;
+    }
+    
+    // Transition to placing the next point
+    this.step = this.points.length + 1;
+    
+    // Polygons can be saved as soon as they have enough corners
+    const shape = this.points.length >= mode.minPoints ? this.calculateShape() : null;
+    const statusMessage = shape
+      ? `${formatObjectSize(shape)}. Place another corner or click "Save & Exit".`
+      : this.getPointPrompt(this.points.length);
+    
+    // Emit status update
+    this.emitStatus('in-progress', statusMessage);
+  },
+  
+  // Calculate the object shape from the placed points (null when there are too few or they lie on a line)
+  calculateShape: function() {
+    const points = this.points;
+    if (points.length < this.getShapeMode().minPoints) return null;
+    
+    switch (this.shapeMode) {
+      case 'circle':
+        return this.calculateCircleShape(calculateCircleFromCenter(points[0], points[1]));
         
-        this.step = 4;
-        statusMessage = `OBJECT READY! ${widthCm}×${heightCm} cm. Click "Complete" to save or "Reset" to start over.`;
+      case 'circle-3pt':
+        return this.calculateCircleShape(calculateCircleFromRimPoints(points[0], points[1], points[2]));
         
-        // Force update visualization
-        this.updateObjectVisualization();
+      case 'polygon': {
+        const polygon = calculatePolygonDimensions(points, this.getViewpoint());
+        return polygon ? { type: 'polygon', ...polygon } : null;
+      }
         
-        // Add dimensions data
-        this.emitStatus('preview', statusMessage, { 
-          widthCm, 
-          heightCm 
-        });
-        return;
+      default: {
+        const p4 = calculateFourthCorner(points[0], points[1], points[2]);
+        const dimensions = calculateRectangleDimensions([points[0], points[1], points[2], p4]);
+        
+        return {
+          type: 'rectangle',
+          width: dimensions.width,
+          height: dimensions.height,
+          center: dimensions.center,
+          rotation: calculateRectangleOrientation(points[0], points[1], points[2]),
+          area: dimensions.area
+        };
+      }
+    }
+  },
+  
+  // Complete circle data with size and an orientation facing the user
+  calculateCircleShape: function(circle) {
+    if (!circle || circle.radius <= 0) return null;
+    
+    // Three rim points define the plane, a center and rim point lie on the wall
+    const normal = circle.normal ? circle.normal.clone() : this.getSurfaceNormal(circle.center);
+    const toViewer = this.getViewpoint().sub(circle.center);
+    if (normal.dot(toViewer) < 0) {
+      normal.negate();
     }
     
-    // Emit status update
-    this.emitStatus(this.step === 1 ? 'started' : 'in-progress', statusMessage);
+    return {
+      type: 'circle',
+      radius: circle.radius,
+      width: circle.radius * 2,
+      height: circle.radius * 2,
+      center: circle.center,
+      rotation: calculateBasisRotation(calculatePlaneBasis(normal)),
+      area: Math.PI * circle.radius * circle.radius
+    };
+  },
+  
+  // Normal of the surface an object is defined on - the active wall, or facing the user
+  getSurfaceNormal: function(point) {
+    const wall = this.sceneState ? this.sceneState.getWall(this.sceneState.getActiveWallId()) : null;
+    
+    if (wall && wall.isCalibrated && wall.rotation) {
+      return rotationToNormal(wall.rotation);
+    }
+    
+    return this.getViewpoint().sub(toVector3(point)).normalize();
+  },
+  
+  // Camera position, used to orient shapes toward the user
+  getViewpoint: function() {
+    const position = new THREE.Vector3();
+    
+    if (this.el.sceneEl.camera) {
+      this.el.sceneEl.camera.getWorldPosition(position);
+    }
+    
+    return position;
   },
   
   // Update the visual representation of the rectangle
@@ -256,8 +440,10 @@ AFRAME.registerComponent('object-definition', {
     // Draw lines between points
     const linePoints = [...this.points];
     
-    // Create lines based on number of points
-    if (linePoints.length === 2) {
+    // Circles and polygons have their own preview
+    if (this.shapeMode !== 'rectangle') {
+      this.updateShapeVisualization();
+    } else if (linePoints.length === 2) {
       // For 2 points, create a simple line
       const line = createLine(linePoints[0], linePoints[1], '#4285F4');
       this.visualObject.appendChild(line);
@@ -280,6 +466,60 @@ AFRAME.registerComponent('object-definition', {
     }
   },
   
+  // Draw the preview for circles and polygons
+  updateShapeVisualization: function() {
+    const points = this.points;
+    
+    if (this.shapeMode === 'circle') {
+      // Radius line from the center to the rim
+      this.visualObject.appendChild(createLine(points[0], points[1], '#4285F4'));
+    } else {
+      // Edges between consecutive points
+      for (let i = 1; i < points.length; i++) {
+        this.visualObject.appendChild(createLine(points[i - 1], points[i], '#4285F4'));
+      }
+    }
+    
+    const shape = this.calculateShape();
+    if (!shape) return;
+    
+    // Dashed closing edge back to the first corner
+    if (this.shapeMode === 'polygon') {
+      this.visualObject.appendChild(createLine(points[points.length - 1], points[0], '#DB4437', true));
+    }
+    
+    // Filled shape, interactive for raycasters and anchors like the rectangle plane
+    const objectShape = createShape(shape, {
+      color: '#42D544',
+      opacity: 0.2,
+      position: shape.center,
+      rotation: shape.rotation,
+      class: 'anchoring-enabled',
+      'data-collideable': 'true',
+      'data-object-type': 'plane',
+      'data-vis-id': this.visualObject.getAttribute('data-vis-id')
+    });
+    this.visualObject.appendChild(objectShape);
+    
+    // Size text above the shape, area text in the center
+    const sizeTextPos = shape.center.clone().add(new THREE.Vector3(0, shape.height / 2 + 0.05, 0));
+    const sizeText = createFloatingText(formatObjectSize(shape), sizeTextPos, {
+      color: '#FFFFFF',
+      scale: '0.1 0.1 0.1',
+      lookAt: '[camera]',
+      className: 'dimension-text'
+    });
+    this.visualObject.appendChild(sizeText);
+    
+    const areaText = createFloatingText(formatArea(shape.area), shape.center, {
+      color: '#FFFFFF',
+      scale: '0.1 0.1 0.1',
+      lookAt: '[camera]',
+      className: 'area-text'
+    });
+    this.visualObject.appendChild(areaText);
+  },
+  
   // Render a plane with the correct orientation
   renderObjectPlane: function(p1, p2, p3) {
     // Points: p1 = top-left, p2 = top-right, p3 = bottom-right
@@ -353,7 +593,7 @@ AFRAME.registerComponent('object-definition', {
       .divideScalar(3);
     
     // Create text elements
-    const widthText = createMeasurementText(width, widthTextPos, 'cm', {
+    const widthText = createMeasurementText(width, widthTextPos, getSceneUnits(this.el.sceneEl), {
       color: '#FFFFFF',
       scale: '0.1 0.1 0.1',
       lookAt: '[camera]',
@@ -361,7 +601,7 @@ AFRAME.registerComponent('object-definition', {
     });
     this.visualObject.appendChild(widthText);
     
-    const heightText = createMeasurementText(height, heightTextPos, 'cm', {
+    const heightText = createMeasurementText(height, heightTextPos, getSceneUnits(this.el.sceneEl), {
       color: '#FFFFFF',
       scale: '0.1 0.1 0.1',
       lookAt: '[camera]',
@@ -370,8 +610,7 @@ AFRAME.registerComponent('object-definition', {
     this.visualObject.appendChild(heightText);
     
     // Create area text in center of rectangle
-    const areaCmSq = (width * height * 10000).toFixed(0); // cm²
-    const areaText = createFloatingText(`${areaCmSq} cm²`, center, {
+    const areaText = createFloatingText(formatArea(width * height), center, {
       color: '#FFFFFF',
       scale: '0.1 0.1 0.1',
       lookAt: '[camera]',
@@ -382,34 +621,20 @@ AFRAME.registerComponent('object-definition', {
   
   // Finalize and save the defined object
   finalizeObject: function() {
-    if (this.points.length !== 3) {
+    // Calculate dimensions, center and orientation for the selected shape
+    const shape = this.calculateShape();
+    if (!shape) {
       console.error('Object Definition: Not enough points for object definition');
       return;
     }
     
-    // Get the three defined points
-    const p1 = this.points[0]; // top-left
-    const p2 = this.points[1]; // top-right
-    const p3 = this.points[2]; // bottom-right
-    
-    // Calculate dimensions
-    const width = p1.distanceTo(p2);
-    const height = p2.distanceTo(p3);
-    
-    // Calculate the fourth point and get dimensions
-    const p4 = calculateFourthCorner(p1, p2, p3);
-    const points = [p1, p2, p3, p4];
-    const dimensions = calculateRectangleDimensions(points);
-    const center = dimensions.center;
-    
-    // Get orientation
-    const rotation = calculateRectangleOrientation(p1, p2, p3);
+    const { width, height, center, rotation } = shape;
     
     // Create object data
     const objectId = 'object_' + Date.now();
     const objectData = {
       id: objectId,
-      type: 'rectangle',
+      type: shape.type,
       points: this.points.map(p => ({ x: p.x, y: p.y, z: p.z })),
       width,
       height,
@@ -419,11 +644,19 @@ AFRAME.registerComponent('object-definition', {
         z: center.z
       },
       rotation,
+      wallId: this.sceneState ? this.sceneState.getActiveWallId() : null, // Wall the object belongs to
       visible: true, // Objects are visible by default
       locked: false,
       createdAt: new Date().toISOString()
     };
     
+    // Shape specific data
+    if (shape.type === 'circle') {
+      objectData.radius = shape.radius;
+    } else if (shape.type === 'polygon') {
+      objectData.outline = shape.outline; // Corners relative to the center, in the object's plane
+    }
+    
     // If we keep the visualization, give it an ID tied to the object
     if (this.visualObject) {
       this.visualObject.setAttribute('id', `visual-${objectId}`);
@@ -435,8 +668,8 @@ AFRAME.registerComponent('object-definition', {
       this.visualObject.classList.add('anchoring-enabled');
       this.visualObject.setAttribute('data-collideable', 'true');
       
-      // Also mark all planes inside the object as collideable
-      const planes = this.visualObject.querySelectorAll('a-plane');
+      // Also mark all planes and shapes inside the object as collideable
+      const planes = this.visualObject.querySelectorAll('a-plane, .object-shape');
       planes.forEach(plane => {
         plane.classList.add('anchoring-enabled');
         plane.setAttribute('data-collideable', 'true');
@@ -465,9 +698,8 @@ AFRAME.registerComponent('object-definition', {
       dimensions: {
         width,
         height,
-        widthCm: (width * 100).toFixed(1),
-        heightCm: (height * 100).toFixed(1),
-        areaCmSq: (width * height * 10000).toFixed(0)
+        sizeLabel: formatObjectSize(objectData),
+        areaLabel: formatArea(calculateObjectArea(objectData))
       },
       object: objectData
     });
@@ -586,15 +818,15 @@ AFRAME.registerComponent('object-definition', {
     }
     
     if (oldData.visible !== this.data.visible) {
-        this.setVisibility(true);
-        oldData.setVisibility(false);
-      }
+      this.setVisibility(this.data.visible && (this.data.active || this.preserveForAnchoring));
+    }
   },
   
   remove: function() {
     // Clean up all event listeners
-    this.el.sceneEl.removeEventListener(EVENTS.INTERACTION.PINCH_STARTED, this.onPinchStarted);
+    this.el.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
     this.el.sceneEl.removeEventListener(EVENTS.OBJECT.ACTION, this.onObjectActionReceived);
+    this.el.sceneEl.removeEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
     
     // Clean up visual elements
     this.reset();
@@ -602,4 +834,4 @@ AFRAME.registerComponent('object-definition', {
 });
 
 // Register the component
-console.log('Object Definition component registered');
\ No newline at end of file
+console.log('Object Definition component registered');
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * Object Editor Component
+ *
+ * Reshapes a saved object: pinch a corner handle (a vertex for polygons, the rim
+ * point for circles), or touch it with a controller tip and hold the trigger,
+ * then move the hand to drag it within the object's plane.
+ * The Object Edit menu sends exact sizes, names and notes. Every edit is stored
+ * through scene-state as a single undo step.
+ */
+
+import { events, geometry, interaction, units, Colors } from '../../utils/index.js';
+import { createLine, createShape, createFloatingText } from '../../utils/ui-elements.js';
+
+const { EVENTS, emitStatus } = events;
+const {
+  MIN_OBJECT_SIZE, getObjectMatrix, matrixToPose,
+  getObjectHandles, getObjectOutline, moveObjectHandle, resizeObject
+} = geometry;
+const { getEventHand } = interaction;
+const { formatLength, formatObjectSize } = units;
+
+// Object properties a reshape changes
+const SHAPE_FIELDS = ['center', 'points', 'width', 'height', 'radius', 'outline', 'anchors'];
+
+// Longest name and notes kept for an object (characters)
+const NAME_MAX_LENGTH = 40;
+const NOTES_MAX_LENGTH = 200;
+
+AFRAME.registerComponent('object-editor', {
+  schema: {
+    active: { type: 'boolean', default: false },
+    objectId: { type: 'string', default: '' },
+    grabDistance: { type: 'number', default: 0.04 }, // Max distance of the pinch from a handle (m)
+    handleSize: { type: 'number', default: 0.01 }, // Radius of the handle spheres (m)
+    offset: { type: 'number', default: 0.02 }, // Distance in front of the object (m)
+    interval: { type: 'number', default: 50 } // Min time between redraws while dragging (ms)
+  },
+  
+  init: function() {
+    console.log('Object Editor: Initializing');
+    
+    this.sceneState = this.el.sceneEl.systems['scene-state'];
+    
+    // Current drag: { hand, index, object: object when the drag started, preview } or null
+    this.grab = null;
+    this.lastUpdateTime = 0;
+    
+    // Container for the outline, handles and size label
+    this.visuals = document.createElement('a-entity');
+    this.visuals.classList.add('object-editor');
+    this.el.appendChild(this.visuals);
+    
+    // Bind methods
+    this.onPinchStarted = this.onPinchStarted.bind(this);
+    this.onPinchMoved = this.onPinchMoved.bind(this);
+    this.onPinchEnded = this.onPinchEnded.bind(this);
+    this.onObjectAction = this.onObjectAction.bind(this);
+    this.onObjectUpdated = this.onObjectUpdated.bind(this);
+    this.onStateChanged = this.onStateChanged.bind(this);
+    
+    // Setup event listeners
+    this.el.sceneEl.addEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
+    this.el.sceneEl.addEventListener(EVENTS.INPUT.DRAGGED, this.onPinchMoved);
+    this.el.sceneEl.addEventListener(EVENTS.INPUT.SELECT_ENDED, this.onPinchEnded);
+    this.el.sceneEl.addEventListener(EVENTS.OBJECT.ACTION, this.onObjectAction);
+    this.el.sceneEl.addEventListener(EVENTS.OBJECT.UPDATED, this.onObjectUpdated);
+    this.el.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+  },
+  
+  update: function(oldData) {
+    // Release the previous object when switched off or to another object
+    if (oldData.objectId && (!this.data.active || oldData.objectId !== this.data.objectId)) {
+      this.grab = null;
+      this.setWallObjectDraggable(oldData.objectId, true);
+    }
+    
+    if (this.data.active && this.data.objectId) {
+      this.draw();
+      
+      const object = this.getObject();
+      if (object) {
+        this.emitStatus('started', 'Pinch a handle to reshape the object', object);
+      }
+    } else {
+      this.clearVisuals();
+    }
+  },
+  
+  // The object being edited, as stored in scene-state
+  getObject: function() {
+    if (!this.sceneState || !this.data.objectId) return null;
+    
+    const objects = this.sceneState.getState('objects') || [];
+    return objects.find(obj => obj.id === this.data.objectId) || null;
+  },
+  
+  emitStatus: function(status, message, object) {
+    emitStatus(this.el.sceneEl, EVENTS.OBJECT.STATUS, status, message, {
+      action: 'edit-object',
+      objectId: this.data.objectId,
+      object: object || this.getObject()
+    });
+  },
+  
+  // Objects on a wall are dragged by their fill - switch that off while their handles are shown
+  setWallObjectDraggable: function(objectId, draggable) {
+    const entity = document.getElementById(`wall-object-${objectId}`);
+    if (entity && entity.hasAttribute('draggable-wall-object')) {
+      entity.setAttribute('draggable-wall-object', 'active', draggable);
+    }
+  },
+  
+  // Draw the object's outline, fill, handles and size, by default as stored
+  draw: function(object = this.getObject(), activeIndex = -1) {
+    this.clearVisuals();
+    if (!object || !object.center) return;
+    
+    this.setWallObjectDraggable(object.id, false);
+    
+    const { offset, handleSize } = this.data;
+    const pose = matrixToPose(getObjectMatrix(object));
+    
+    // Everything is drawn in the object's frame, just in front of its face
+    const frame = document.createElement('a-entity');
+    frame.setAttribute('position', pose.position);
+    frame.setAttribute('rotation', pose.rotation);
+    this.visuals.appendChild(frame);
+    
+    createShape(object, { color: Colors.HIGHLIGHT, opacity: 0.25, position: `0 0 ${offset / 2}` }, frame);
+    
+    const outline = getObjectOutline(object);
+    outline.forEach((vertex, i) => {
+      const next = outline[(i + 1) % outline.length];
+      createLine({ x: vertex.x, y: vertex.y, z: offset }, { x: next.x, y: next.y, z: offset }, Colors.HIGHLIGHT, false, frame);
+    });
+    
+    getObjectHandles(object).forEach((handle, index) => {
+      const sphere = document.createElement('a-sphere');
+      sphere.setAttribute('radius', handleSize);
+      sphere.setAttribute('color', index === activeIndex ? Colors.WARNING : Colors.PRIMARY);
+      sphere.setAttribute('shader', 'flat');
+      sphere.setAttribute('position', { x: handle.x, y: handle.y, z: offset });
+      frame.appendChild(sphere);
+    });
+    
+    const top = Math.max(...outline.map(vertex => vertex.y));
+    createFloatingText(formatObjectSize(object), { x: 0, y: top + 0.04, z: offset },
+      { color: Colors.TEXT, scale: '0.1 0.1 0.1', className: 'edit-size-label' }, frame);
+  },
+  
+  clearVisuals: function() {
+    while (this.visuals.firstChild) {
+      this.visuals.removeChild(this.visuals.firstChild);
+    }
+  },
+  
+  // Grab the handle closest to the pinch, if it is within grabDistance
+  onPinchStarted: function(event) {
+    if (!this.data.active || this.grab || !event.detail || !event.detail.position) return;
+    
+    const object = this.getObject();
+    if (!object || !object.center) return;
+    
+    const position = event.detail.position;
+    const pinch = new THREE.Vector3(position.x, position.y, position.z);
+    const matrix = getObjectMatrix(object);
+    
+    let closest = null;
+    getObjectHandles(object).forEach((handle, index) => {
+      const distance = new THREE.Vector3(handle.x, handle.y, this.data.offset).applyMatrix4(matrix).distanceTo(pinch);
+      if (distance <= this.data.grabDistance && (!closest || distance < closest.distance)) {
+        closest = { index, distance };
+      }
+    });
+    if (!closest) return;
+    
+    this.grab = { hand: getEventHand(event), index: closest.index, object: object, preview: null };
+    
+    console.log('Object Editor: Grabbed handle', closest.index, 'of', object.id);
+    this.draw(object, closest.index);
+  },
+  
+  // Move the grabbed handle to the hand, within the object's plane
+  onPinchMoved: function(event) {
+    if (!this.grab || !event.detail || !event.detail.position) return;
+    if (!this.isGrabbingHand(event)) return;
+    
+    // Limit redraws while dragging
+    const now = Date.now();
+    if (now - this.lastUpdateTime < this.data.interval) return;
+    this.lastUpdateTime = now;
+    
+    const position = event.detail.position;
+    const local = new THREE.Vector3(position.x, position.y, position.z)
+      .applyMatrix4(getObjectMatrix(this.grab.object).invert());
+    
+    const preview = moveObjectHandle(this.grab.object, this.grab.index, local);
+    if (!preview) return;
+    
+    this.grab.preview = preview;
+    this.draw(preview, this.grab.index);
+    this.emitStatus('editing', `Size ${formatObjectSize(preview)}`, preview);
+  },
+  
+  // Store the new shape when the handle is released
+  onPinchEnded: function(event) {
+    if (!this.grab || !this.isGrabbingHand(event)) return;
+    
+    const { preview } = this.grab;
+    this.grab = null;
+    
+    if (preview) {
+      this.saveShape(preview, 'Reshape object');
+    } else {
+      this.draw();
+    }
+  },
+  
+  // Ignore the other hand while one hand holds a handle
+  isGrabbingHand: function(event) {
+    const hand = getEventHand(event);
+    return !this.grab.hand || !hand || hand === this.grab.hand;
+  },
+  
+  // Handle typed sizes, names and notes from the Object Edit menu
+  onObjectAction: function(event) {
+    const { action, objectId } = event.detail;
+    if (!this.data.active || (objectId && objectId !== this.data.objectId)) return;
+    
+    switch (action) {
+      case 'set-object-dimensions':
+        this.setDimensions(event.detail.width, event.detail.height);
+        break;
+      
+      case 'set-object-details':
+        this.setDetails(event.detail);
+        break;
+    }
+  },
+  
+  setDimensions: function(width, height) {
+    const object = this.getObject();
+    if (!object) return;
+    
+    const resized = resizeObject(object, width, height);
+    if (!resized) {
+      this.emitStatus('error', `Enter a size of at least ${formatLength(MIN_OBJECT_SIZE)}`, object);
+      return;
+    }
+    
+    this.saveShape(resized, 'Resize object');
+  },
+  
+  // Name and notes are trimmed; empty text removes them
+  setDetails: function(details) {
+    const object = this.getObject();
+    if (!object || !this.sceneState) return;
+    
+    const changes = {};
+    [['name', NAME_MAX_LENGTH], ['notes', NOTES_MAX_LENGTH]].forEach(([key, maxLength]) => {
+      if (typeof details[key] === 'string') {
+        changes[key] = details[key].trim().slice(0, maxLength) || undefined;
+      }
+    });
+    
+    const updated = this.sceneState.updateObject(object.id, changes, 'Rename object');
+    if (updated) {
+      this.emitStatus('updated', updated.name ? `Saved ${updated.name}` : 'Saved details', updated);
+    }
+  },
+  
+  saveShape: function(reshaped, label) {
+    if (!this.sceneState) return;
+    
+    const changes = {};
+    SHAPE_FIELDS.forEach(key => {
+      if (reshaped[key] !== undefined) {
+        changes[key] = reshaped[key];
+      }
+    });
+    
+    const updated = this.sceneState.updateObject(reshaped.id, changes, label);
+    if (updated) {
+      console.log('Object Editor: Saved new shape of', updated.id, formatObjectSize(updated));
+      this.emitStatus('updated', `Size ${formatObjectSize(updated)}`, updated);
+    }
+  },
+  
+  // Redraw after edits - the object's wall entity may have been replaced
+  onObjectUpdated: function(event) {
+    if (this.data.active && !this.grab && event.detail.objectId === this.data.objectId) {
+      this.draw();
+    }
+  },
+  
+  // Redraw after undo/redo and unit changes
+  onStateChanged: function(event) {
+    const path = event.detail.path;
+    if (this.data.active && !this.grab && (path === 'objects' || path === 'settings.units')) {
+      this.draw();
+    }
+  },
+  
+  remove: function() {
+    if (this.data.objectId) {
+      this.setWallObjectDraggable(this.data.objectId, true);
+    }
+    
+    this.el.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
+    this.el.sceneEl.removeEventListener(EVENTS.INPUT.DRAGGED, this.onPinchMoved);
+    this.el.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_ENDED, this.onPinchEnded);
+    this.el.sceneEl.removeEventListener(EVENTS.OBJECT.ACTION, this.onObjectAction);
+    this.el.sceneEl.removeEventListener(EVENTS.OBJECT.UPDATED, this.onObjectUpdated);
+    this.el.sceneEl.removeEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    
+    if (this.visuals.parentNode) {
+      this.visuals.parentNode.removeChild(this.visuals);
+    }
+  }
+});
@@ -4,14 +4,34 @@
  * Renders saved objects on the wall plane using provided dimensions and coordinates
  */
 
-import { events } from '../../utils/index.js';
-import { createMarker } from '../../utils/ui-elements.js';
-const { EVENTS } = events;
+import { anchors as anchorUtils, events, geometry, layouts, library, units, Colors } from '../../utils/index.js';
+import { createMarker, createShape, createWire } from '../../utils/ui-elements.js';
+import { getWallEntity } from '../../utils/walls.js';
+const { EVENTS, emitEvent, emitStatus } = events;
+const { isWireAnchor } = anchorUtils;
+const { calculateObjectArea, mirrorObject, placeObjectOnWall } = geometry;
+const { LAYOUT_TYPES, MAX_ARRAY_COPIES, layoutObjectsOnWall, placeCopiesBeside } = layouts;
+const { copyObject, getObjectTitle } = library;
+const { formatLength, formatArea, formatDimensions, formatObjectSize } = units;
+
+// Copy actions: whether the copies are mirrored and the undo label
+const COPY_ACTIONS = {
+  'duplicate-object': { mirror: false, label: 'Duplicate object' },
+  'mirror-object': { mirror: true, label: 'Mirror object' },
+  'array-object': { mirror: false, label: 'Copy object' }
+};
+
+// Gap between an object and its copies unless the action gives one (meters)
+const DEFAULT_COPY_SPACING = 0.05;
+
+// What an object looks like on its wall - any change needs a full redraw
+function getShapeKey(object) {
+  return JSON.stringify([object.type, object.width, object.height, object.radius, object.outline, object.anchors]);
+}
 
 AFRAME.registerComponent('object-renderer', {
   schema: {
-    active: { type: 'boolean', default: true },
-    wallId: { type: 'string', default: 'wallPlane' }
+    active: { type: 'boolean', default: true }
   },
   
   init: function() {
@@ -20,6 +40,7 @@ AFRAME.registerComponent('object-renderer', {
     // Object rendering state
     this.objects = [];
     this.renderedObjects = {};
+    this.storingProjectionId = null; // Object whose projection flags are being stored
     
     // Get scene state system
     this.sceneState = this.el.sceneEl.systems['scene-state'];
@@ -33,6 +54,8 @@ AFRAME.registerComponent('object-renderer', {
     this.onObjectCreated = this.onObjectCreated.bind(this);
     this.onObjectUpdated = this.onObjectUpdated.bind(this);
     this.onStateChanged = this.onStateChanged.bind(this);
+    this.onStateRestoring = this.onStateRestoring.bind(this);
+    this.onStateRestored = this.onStateRestored.bind(this);
     
     // Set up event listeners
     this.setupEventListeners();
@@ -55,6 +78,8 @@ AFRAME.registerComponent('object-renderer', {
     // Listen for state changes
     if (this.sceneState) {
       this.el.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+      this.el.sceneEl.addEventListener(EVENTS.STATE.RESTORING, this.onStateRestoring);
+      this.el.sceneEl.addEventListener(EVENTS.STATE.RESTORED, this.onStateRestored);
     }
   },
   
@@ -89,6 +114,27 @@ AFRAME.registerComponent('object-renderer', {
     
     // Update the rendered object
     this.updateObject(object);
+    
+    // Redraw the object on its wall when it was reshaped (e.g. in the object editor)
+    this.refreshWallObject(object);
+  },
+  
+  // Replace an object's wall entity when its size, outline or anchors changed
+  refreshWallObject: function(objectData) {
+    const entity = document.getElementById(`wall-object-${objectData.id}`);
+    if (!entity || !objectData.projected) return;
+    
+    let drawn = null;
+    try {
+      drawn = JSON.parse(entity.getAttribute('data-object'));
+    } catch (e) {
+      console.warn('Object Renderer: Failed to parse wall object data', objectData.id, e);
+    }
+    if (drawn && getShapeKey(drawn) === getShapeKey(objectData)) return;
+    
+    console.log('Object Renderer: Redrawing wall object', objectData.id);
+    entity.parentNode.removeChild(entity);
+    this.projectObject(objectData, { keepPosition: true });
   },
   
   onStateChanged: function(event) {
@@ -99,12 +145,26 @@ AFRAME.registerComponent('object-renderer', {
       console.log('Object Renderer: Objects state changed', detail.value);
       this.objects = detail.value;
       this.updateRenderedObjects();
+      this.syncWallObjects();
+    } else if (detail.path === 'settings.units') {
+      // Unit system changed - rewrite the measurement labels
+      this.refreshLabels();
     }
   },
   
   // Handle object actions (like project-on-wall)
   onObjectAction: function(event) {
-    const { action, objectId, object } = event.detail;
+    const { action, objectId, object, wallId, keepPosition } = event.detail;
+    
+    if (action === 'apply-layout') {
+      this.applyLayout(event.detail);
+      return;
+    }
+    
+    if (COPY_ACTIONS[action]) {
+      this.copyObjects(action, event.detail);
+      return;
+    }
     
     if (action === 'project-on-wall') {
       console.log('Object Renderer: Projecting object on wall', objectId);
@@ -133,82 +193,295 @@ AFRAME.registerComponent('object-renderer', {
         return;
       }
       
-      // Ensure the object is visible
-      targetObject.visible = true;
+      // Move the object to another wall if one was requested
+      this.projectObject(targetObject, { keepPosition: !!keepPosition, wallId });
+    }
+  },
+  
+  // Arrange objects on a wall as a gallery, then project them where the layout put them
+  applyLayout: function(options) {
+    const status = (state, message, data = {}) => {
+      emitStatus(this.el.sceneEl, EVENTS.OBJECT.STATUS, state, message, { action: 'apply-layout', ...data });
+    };
+    
+    if (!this.sceneState || !LAYOUT_TYPES[options.layout]) return;
+    
+    const wall = this.sceneState.getWall(options.wallId || this.sceneState.getActiveWallId());
+    if (!wall || !wall.isCalibrated) {
+      status('error', 'Calibrate a wall first');
+      return;
+    }
+    
+    // All measured objects, or the requested ones
+    const objects = this.sceneState.getState('objects') || [];
+    const selected = objects.filter(obj =>
+      obj.width > 0 && obj.height > 0 && (!options.objectIds || options.objectIds.includes(obj.id)));
+    if (selected.length === 0) {
+      status('error', 'No objects to arrange');
+      return;
+    }
+    
+    const layout = layoutObjectsOnWall(selected, wall, {
+      type: options.layout,
+      spacing: options.spacing,
+      centerHeight: options.centerHeight
+    });
+    
+    console.log('Object Renderer: Applying', options.layout, 'layout to', selected.length, 'objects on wall', wall.id, layout);
+    
+    // Moving the objects and projecting them is a single undo step
+    this.sceneState.beginHistoryGroup('Arrange objects');
+    
+    const placements = {};
+    layout.placements.forEach(placement => {
+      placements[placement.id] = placement;
+    });
+    this.sceneState.updateState('objects', objects.map(obj =>
+      placements[obj.id] ? placeObjectOnWall(obj, wall, placements[obj.id]) : obj));
+    
+    layout.placements.forEach(placement => {
+      emitEvent(this.el.sceneEl, EVENTS.OBJECT.ACTION, {
+        action: 'project-on-wall',
+        objectId: placement.id,
+        wallId: wall.id,
+        keepPosition: true
+      });
+    });
+    
+    this.sceneState.endHistoryGroup();
+    
+    const size = formatDimensions(layout.width, layout.height);
+    status(layout.fits ? 'applied' : 'warning',
+      layout.fits ? `Arranged ${selected.length} objects (${size})` : `Layout (${size}) is larger than the wall`,
+      { layout: options.layout, fits: layout.fits });
+  },
+  
+  // Copy an object (mirrored for 'mirror-object', count times for 'array-object')
+  // and place the copies in a row to its right on the same wall
+  copyObjects: function(action, options) {
+    const status = (state, message, data = {}) => {
+      emitStatus(this.el.sceneEl, EVENTS.OBJECT.STATUS, state, message, { action, objectId: options.objectId, ...data });
+    };
+    
+    if (!this.sceneState) return;
+    
+    const objects = this.sceneState.getState('objects') || [];
+    const original = objects.find(obj => obj.id === options.objectId);
+    if (!original) {
+      console.error('Object Renderer: Cannot copy object, not found:', options.objectId);
+      status('error', 'Object not found');
+      return;
+    }
+    
+    const { mirror, label } = COPY_ACTIONS[action];
+    const count = action === 'array-object' ? Math.min(Math.max(1, Math.round(options.count) || 1), MAX_ARRAY_COPIES) : 1;
+    const spacing = options.spacing >= 0 ? options.spacing : DEFAULT_COPY_SPACING;
+    
+    // New ids for the copies and their anchors
+    const source = mirror ? mirrorObject(original) : original;
+    const stamp = Date.now();
+    let copies = [];
+    for (let i = 0; i < count; i++) {
+      copies.push(copyObject(source, `object_${stamp}_${i + 1}`));
+    }
+    
+    // Copies of objects on a calibrated wall go beside the original, the others stay where it was measured
+    const wall = this.sceneState.getWall(original.wallId || this.sceneState.getActiveWallId());
+    const onWall = wall && wall.isCalibrated;
+    let fits = true;
+    if (onWall) {
+      const placement = placeCopiesBeside(original, copies, wall, spacing);
+      copies = copies.map((copy, i) => placeObjectOnWall(copy, wall, placement.placements[i]));
+      fits = placement.fits;
+    }
+    
+    console.log('Object Renderer:', label, original.id, '-', copies.length, 'copies', copies.map(copy => copy.id));
+    
+    // Storing the copies and projecting them is a single undo step
+    this.sceneState.beginHistoryGroup(label);
+    
+    this.sceneState.updateState('objects', [...objects, ...copies]);
+    copies.forEach(copy => {
+      emitEvent(this.el.sceneEl, EVENTS.OBJECT.CREATED, { object: copy });
       
-      // Check if this object is already projected on the wall
-      const existingEntity = document.getElementById(`wall-object-${targetObject.id}`);
+      if (onWall) {
+        emitEvent(this.el.sceneEl, EVENTS.OBJECT.ACTION, {
+          action: 'project-on-wall',
+          objectId: copy.id,
+          wallId: wall.id,
+          keepPosition: true
+        });
+      }
+    });
+    
+    this.sceneState.endHistoryGroup();
+    
+    const added = copies.length === 1 ? getObjectTitle(copies[0], objects.length) : `${copies.length} copies`;
+    status(fits ? 'copied' : 'warning',
+      fits ? `Added ${added}` : `Added ${added} - reaching past the wall edge`,
+      { copyIds: copies.map(copy => copy.id), fits });
+  },
+  
+  // Place an object on the wall (options.wallId, by default its own) as a draggable entity
+  // keepPosition keeps the stored center instead of starting at the wall center
+  projectObject: function(targetObject, options = {}) {
+    // Storing the flags and the placement of the wall object is a single undo step
+    if (this.sceneState) {
+      this.sceneState.beginHistoryGroup('Project object');
+    }
+    
+    this.placeWallObject(this.storeProjection(targetObject, options.wallId), options);
+    
+    if (this.sceneState) {
+      this.sceneState.endHistoryGroup();
+    }
+  },
+  
+  // Remember an object as visible and projected on its wall between sessions
+  // Returns the stored object, or a projected copy of an object that isn't in scene state
+  storeProjection: function(targetObject, wallId) {
+    const changes = { visible: true, projected: true };
+    
+    // Objects from before multi-wall support belong to the active wall
+    const targetWallId = wallId || targetObject.wallId || (this.sceneState ? this.sceneState.getActiveWallId() : null);
+    if (targetWallId) {
+      changes.wallId = targetWallId;
+    }
+    
+    if (Object.keys(changes).every(key => targetObject[key] === changes[key])) {
+      return targetObject;
+    }
+    
+    // syncWallObjects leaves this object to us while the change is stored
+    this.storingProjectionId = targetObject.id;
+    const stored = this.sceneState ? this.sceneState.updateObject(targetObject.id, changes, 'Project object') : null;
+    this.storingProjectionId = null;
+    
+    return stored || { ...targetObject, ...changes };
+  },
+  
+  // Create or update the draggable entity of a projected object
+  placeWallObject: function(targetObject, options) {
+    // Check if this object is already projected on the wall
+    const existingEntity = document.getElementById(`wall-object-${targetObject.id}`);
+    
+    if (existingEntity) {
+      // Update the existing entity
+      existingEntity.setAttribute('position', targetObject.center);
+      existingEntity.setAttribute('data-object', JSON.stringify(targetObject));
       
-      if (existingEntity) {
-        // Update the existing entity
-        existingEntity.setAttribute('position', targetObject.center);
-        existingEntity.setAttribute('data-object', JSON.stringify(targetObject));
-        
-        // Ensure draggable component is updated
-        if (existingEntity.hasAttribute('draggable-wall-object')) {
-          existingEntity.setAttribute('draggable-wall-object', {
-            objectId: targetObject.id,
-            active: true
-          });
-        } else {
-          existingEntity.setAttribute('draggable-wall-object', {
-            objectId: targetObject.id,
-            active: true,
-            opacity: 0.1
-          });
-        }
+      // Ensure draggable component is updated
+      if (existingEntity.hasAttribute('draggable-wall-object')) {
+        existingEntity.setAttribute('data-wall-id', targetObject.wallId);
+        existingEntity.setAttribute('draggable-wall-object', {
+          objectId: targetObject.id,
+          active: true
+        });
       } else {
-        // Get wall entity to place object on it
-        const wallEntity = document.querySelector('[wall-plane]');
-        
-        if (!wallEntity) {
-          console.error('Object Renderer: Cannot project object, wall plane not found');
-          return;
-        }
-        
-        // Get wall position and rotation
-        const wallPosition = wallEntity.getAttribute('position');
-        const wallRotation = wallEntity.getAttribute('rotation');
-        
-        console.log('Object Renderer: Wall position:', wallPosition, 'rotation:', wallRotation);
-        
-        // Initially place object at center of wall (user will drag it to position)
-        // Create a new entity that will handle both rendering and dragging
-        const wallObjectEntity = document.createElement('a-entity');
-        wallObjectEntity.setAttribute('id', `wall-object-${targetObject.id}`);
-        
-        // Add z-offset to ensure object renders in front of the wall plane (prevents z-fighting)
-        const wallPositionWithOffset = {
-          x: wallPosition.x,
-          y: wallPosition.y,
-          z: wallPosition.z + 0.005 // Increased offset to ensure it's in front of all wall elements
-        };
-        
-        // Start at wall position - the draggable-wall-object component will place it exactly on the wall plane
-        wallObjectEntity.setAttribute('position', wallPositionWithOffset);
-        wallObjectEntity.setAttribute('data-object', JSON.stringify(targetObject));
-        
-        // Add the draggable-wall-object component
-        wallObjectEntity.setAttribute('draggable-wall-object', {
+        existingEntity.setAttribute('draggable-wall-object', {
           objectId: targetObject.id,
           active: true,
-          opacity: 0.3  // Increased opacity for better visibility from all angles
+          opacity: 0.1,
+          keepPosition: !!options.keepPosition
         });
-        
-        // Add to scene
-        this.el.sceneEl.appendChild(wallObjectEntity);
       }
+    } else {
+      // Get the object's wall entity to place object on it
+      const wallEntity = getWallEntity(targetObject.wallId, this.el.sceneEl);
       
-      // Store the object data in the renderer's objects list
-      const existingIndex = this.objects.findIndex(o => o.id === targetObject.id);
-      if (existingIndex >= 0) {
-        this.objects[existingIndex] = targetObject;
-      } else {
-        this.objects.push(targetObject);
+      if (!wallEntity) {
+        console.error('Object Renderer: Cannot project object, wall plane not found');
+        return;
       }
+      
+      // Get wall position and rotation
+      const wallPosition = wallEntity.getAttribute('position');
+      const wallRotation = wallEntity.getAttribute('rotation');
+      
+      console.log('Object Renderer: Wall position:', wallPosition, 'rotation:', wallRotation);
+      
+      // Initially place object at center of wall (user will drag it to position)
+      // Create a new entity that will handle both rendering and dragging
+      const wallObjectEntity = document.createElement('a-entity');
+      wallObjectEntity.setAttribute('id', `wall-object-${targetObject.id}`);
+      wallObjectEntity.setAttribute('data-wall-id', targetObject.wallId);
+      
+      // Add z-offset to ensure object renders in front of the wall plane (prevents z-fighting)
+      const wallPositionWithOffset = {
+        x: wallPosition.x,
+        y: wallPosition.y,
+        z: wallPosition.z + 0.005 // Increased offset to ensure it's in front of all wall elements
+      };
+      
+      // Start at wall position - the draggable-wall-object component will place it exactly on the wall plane
+      wallObjectEntity.setAttribute('position', wallPositionWithOffset);
+      wallObjectEntity.setAttribute('data-object', JSON.stringify(targetObject));
+      
+      // Add the draggable-wall-object component
+      wallObjectEntity.setAttribute('draggable-wall-object', {
+        objectId: targetObject.id,
+        active: true,
+        opacity: 0.3,  // Increased opacity for better visibility from all angles
+        keepPosition: !!options.keepPosition
+      });
+      
+      // Dimension lines to the wall edges, floor and neighbours while dragging
+      wallObjectEntity.setAttribute('spacing-guides', { objectId: targetObject.id });
+      
+      // Crosshairs and wall coordinates where the anchors need drilling
+      wallObjectEntity.setAttribute('drill-markers', { objectId: targetObject.id });
+      
+      // Add to scene
+      this.el.sceneEl.appendChild(wallObjectEntity);
+    }
+    
+    // Store the object data in the renderer's objects list
+    const existingIndex = this.objects.findIndex(o => o.id === targetObject.id);
+    if (existingIndex >= 0) {
+      this.objects[existingIndex] = targetObject;
+    } else {
+      this.objects.push(targetObject);
     }
   },
   
+  // Remove wall objects before restored state replaces their data
+  onStateRestoring: function() {
+    this.el.sceneEl.querySelectorAll('[draggable-wall-object]').forEach(entity => {
+      if (entity.parentNode) {
+        entity.parentNode.removeChild(entity);
+      }
+    });
+  },
+  
+  // Re-project objects that were on the wall when the session was saved or exported
+  onStateRestored: function() {
+    this.syncWallObjects();
+  },
+  
+  // Match wall objects to state after it was replaced (restore, import, undo/redo)
+  syncWallObjects: function() {
+    const objects = this.sceneState ? this.sceneState.getState('objects') || [] : this.objects;
+    
+    // Remove wall objects whose object was deleted or is no longer projected
+    this.el.sceneEl.querySelectorAll('[draggable-wall-object]').forEach(entity => {
+      const objectId = entity.getAttribute('draggable-wall-object').objectId;
+      const obj = objects.find(o => o.id === objectId);
+      
+      if ((!obj || !obj.projected) && entity.parentNode) {
+        console.log('Object Renderer: Removing wall object', objectId);
+        entity.parentNode.removeChild(entity);
+      }
+    });
+    
+    // Place projected objects that have no wall object yet at their saved position
+    objects.forEach(obj => {
+      if (obj.projected && obj.id !== this.storingProjectionId && !document.getElementById(`wall-object-${obj.id}`)) {
+        console.log('Object Renderer: Restoring projected object', obj.id);
+        this.projectObject(obj, { keepPosition: true });
+      }
+    });
+  },
+  
   initFromState: function() {
     if (this.sceneState) {
       const objects = this.sceneState.getState('objects');
@@ -239,6 +512,11 @@ AFRAME.registerComponent('object-renderer', {
     objectEntity.setAttribute('data-id', objectData.id);
     objectEntity.setAttribute('data-collideable', 'true');
     
+    // Circles and polygons use their own shape and labels
+    if (objectData.type === 'circle' || objectData.type === 'polygon') {
+      return this.renderShapeObject(objectEntity, objectData);
+    }
+    
     // Create rectangle visualization
     const width = objectData.width;
     const height = objectData.height;
@@ -292,6 +570,52 @@ AFRAME.registerComponent('object-renderer', {
     return objectEntity;
   },
   
+  // Render a circle or polygon object
+  renderShapeObject: function(objectEntity, objectData) {
+    // Polygon corners are outlined like rectangle corners, circles only need their fill
+    if (objectData.type === 'polygon') {
+      const points = objectData.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+      this.createRectangleOutline(objectEntity, points);
+    }
+    
+    // Create shape mesh with proper orientation
+    const shape = createShape(objectData, {
+      color: '#42D544',
+      opacity: 0.2,
+      position: objectData.center,
+      class: 'anchoring-enabled',
+      id: `plane-${objectData.id}`,
+      'data-id': objectData.id,
+      'data-collideable': 'true'
+    });
+    
+    // Set rotation if available
+    if (objectData.rotation) {
+      shape.setAttribute('rotation', objectData.rotation);
+    }
+    
+    objectEntity.appendChild(shape);
+    
+    // Add size and area labels
+    this.addShapeLabels(objectEntity, objectData);
+    
+    // Add anchor points if available
+    if (objectData.anchors && objectData.anchors.length > 0) {
+      this.renderAnchors(objectEntity, objectData.anchors, shape);
+    }
+    
+    // Add to container
+    this.container.appendChild(objectEntity);
+    
+    // Store reference to rendered object
+    this.renderedObjects[objectData.id] = {
+      entity: objectEntity,
+      data: objectData
+    };
+    
+    return objectEntity;
+  },
+  
   // Update an existing rendered object
   updateObject: function(objectData) {
     const rendered = this.renderedObjects[objectData.id];
@@ -299,6 +623,16 @@ AFRAME.registerComponent('object-renderer', {
     
     console.log('Object Renderer: Updating object', objectData.id);
     
+    // Reshaped objects are drawn again from scratch
+    if (getShapeKey(rendered.data) !== getShapeKey(objectData) ||
+        JSON.stringify(rendered.data.points) !== JSON.stringify(objectData.points)) {
+      if (rendered.entity.parentNode) {
+        rendered.entity.parentNode.removeChild(rendered.entity);
+      }
+      delete this.renderedObjects[objectData.id];
+      return this.renderObject(objectData);
+    }
+    
     // Update visibility
     rendered.entity.setAttribute('visible', objectData.visible);
     
@@ -308,8 +642,8 @@ AFRAME.registerComponent('object-renderer', {
                     document.getElementById(`plane-${objectData.id}`);
     
     if (planeEl) {
-      // Remove any existing anchor markers
-      const existingAnchors = rendered.entity.querySelectorAll('.anchor-marker');
+      // Remove any existing anchor markers and wires
+      const existingAnchors = rendered.entity.querySelectorAll('.anchor-marker, .wire');
       existingAnchors.forEach(anchor => {
         if (anchor.parentNode) {
           anchor.parentNode.removeChild(anchor);
@@ -344,7 +678,7 @@ AFRAME.registerComponent('object-renderer', {
       line.setAttribute('line', {
         start: start,
         end: end,
-        color: colors[i],
+        color: colors[i % colors.length],
         opacity: 0.8
       });
       
@@ -374,14 +708,19 @@ AFRAME.registerComponent('object-renderer', {
       
       // Add to plane element for proper positioning
       planeEl.appendChild(marker);
+      
+      // Wire anchors hang from the marked hook - show the wire up to it
+      if (isWireAnchor(anchor)) {
+        createWire(anchor.attachments, anchor.position, anchor.position.z, Colors.WARNING, planeEl);
+      }
     });
   },
   
   // Add dimension labels to the object
   addDimensionsLabels: function(parent, objectData) {
-    // Format dimensions - show in centimeters
-    const widthCm = (objectData.width * 100).toFixed(1);
-    const heightCm = (objectData.height * 100).toFixed(1);
+    // Format dimensions in the selected unit system
+    const widthLabel = formatLength(objectData.width);
+    const heightLabel = formatLength(objectData.height);
     const points = objectData.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
     
     // Create width text at top of rectangle
@@ -392,7 +731,8 @@ AFRAME.registerComponent('object-renderer', {
       .add(new THREE.Vector3(0, 0.05, 0));
     
     const widthText = document.createElement('a-text');
-    widthText.setAttribute('value', `${widthCm} cm`);
+    widthText.setAttribute('value', widthLabel);
+    widthText.setAttribute('class', 'dimension-text');
     widthText.setAttribute('align', 'center');
     widthText.setAttribute('position', widthTextPos);
     widthText.setAttribute('scale', '0.1 0.1 0.1');
@@ -408,7 +748,8 @@ AFRAME.registerComponent('object-renderer', {
       .add(new THREE.Vector3(0.05, 0, 0));
     
     const heightText = document.createElement('a-text');
-    heightText.setAttribute('value', `${heightCm} cm`);
+    heightText.setAttribute('value', heightLabel);
+    heightText.setAttribute('class', 'dimension-text');
     heightText.setAttribute('align', 'center');
     heightText.setAttribute('position', heightTextPos);
     heightText.setAttribute('scale', '0.1 0.1 0.1');
@@ -418,10 +759,11 @@ AFRAME.registerComponent('object-renderer', {
     
     // Create area text in center (optional)
     const areaTextPos = objectData.center;
-    const areaCmSq = (objectData.width * objectData.height * 10000).toFixed(0); // cm²
+    const areaLabel = formatArea(objectData.width * objectData.height);
     
     const areaText = document.createElement('a-text');
-    areaText.setAttribute('value', `${areaCmSq} cm²`);
+    areaText.setAttribute('value', areaLabel);
+    areaText.setAttribute('class', 'dimension-text');
     areaText.setAttribute('align', 'center');
     areaText.setAttribute('position', areaTextPos);
     areaText.setAttribute('scale', '0.1 0.1 0.1');
@@ -430,6 +772,53 @@ AFRAME.registerComponent('object-renderer', {
     parent.appendChild(areaText);
   },
   
+  // Add size and area labels to a circle or polygon
+  addShapeLabels: function(parent, objectData) {
+    // Size text above the shape
+    const sizeTextPos = new THREE.Vector3(objectData.center.x, objectData.center.y, objectData.center.z)
+      .add(new THREE.Vector3(0, objectData.height / 2 + 0.05, 0));
+    
+    const sizeText = document.createElement('a-text');
+    sizeText.setAttribute('value', formatObjectSize(objectData));
+    sizeText.setAttribute('class', 'dimension-text');
+    sizeText.setAttribute('align', 'center');
+    sizeText.setAttribute('position', sizeTextPos);
+    sizeText.setAttribute('scale', '0.1 0.1 0.1');
+    sizeText.setAttribute('color', '#FFFFFF');
+    sizeText.setAttribute('look-at', '[camera]');
+    parent.appendChild(sizeText);
+    
+    // Area text in the center
+    const areaText = document.createElement('a-text');
+    areaText.setAttribute('value', formatArea(calculateObjectArea(objectData)));
+    areaText.setAttribute('class', 'dimension-text');
+    areaText.setAttribute('align', 'center');
+    areaText.setAttribute('position', objectData.center);
+    areaText.setAttribute('scale', '0.1 0.1 0.1');
+    areaText.setAttribute('color', '#FFFFFF');
+    areaText.setAttribute('look-at', '[camera]');
+    parent.appendChild(areaText);
+  },
+  
+  // Recreate the measurement labels of all rendered objects (e.g. after a unit change)
+  refreshLabels: function() {
+    Object.keys(this.renderedObjects).forEach(id => {
+      const rendered = this.renderedObjects[id];
+      
+      rendered.entity.querySelectorAll('.dimension-text').forEach(label => {
+        if (label.parentNode) {
+          label.parentNode.removeChild(label);
+        }
+      });
+      
+      if (rendered.data.type === 'circle' || rendered.data.type === 'polygon') {
+        this.addShapeLabels(rendered.entity, rendered.data);
+      } else {
+        this.addDimensionsLabels(rendered.entity, rendered.data);
+      }
+    });
+  },
+  
   // Update all rendered objects
   updateRenderedObjects: function() {
     console.log('Object Renderer: Updating all rendered objects');
@@ -473,7 +862,7 @@ AFRAME.registerComponent('object-renderer', {
   
   // Handle wall calibration completed event
   onWallCalibrationComplete: function(event) {
-    const { isCalibrated } = event.detail;
+    const { isCalibrated, wallId } = event.detail;
     
     if (isCalibrated) {
       console.log('Object Renderer: Wall calibrated, checking for objects to project');
@@ -486,14 +875,16 @@ AFRAME.registerComponent('object-renderer', {
         console.log(`Object Renderer: Found ${objects.length} objects that may need projection`);
         
         // Verify wall is available and ready
-        const wallEntity = document.querySelector('[wall-plane]');
+        const wallEntity = getWallEntity(wallId, this.el.sceneEl);
         if (!wallEntity) {
           console.error('Object Renderer: Wall calibrated but no wall entity found');
           return;
         }
         
-        // For any existing wall-object entities, update their wall reference
+        // For any existing wall-object entities on this wall, update their wall reference
         objects.forEach(obj => {
+          if (wallId && obj.wallId && obj.wallId !== wallId) return;
+          
           const wallObjectId = `wall-object-${obj.id}`;
           const existingEntity = document.getElementById(wallObjectId);
           
@@ -530,6 +921,8 @@ AFRAME.registerComponent('object-renderer', {
     
     if (this.sceneState) {
       this.el.sceneEl.removeEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+      this.el.sceneEl.removeEventListener(EVENTS.STATE.RESTORING, this.onStateRestoring);
+      this.el.sceneEl.removeEventListener(EVENTS.STATE.RESTORED, this.onStateRestored);
     }
     
     // Remove all rendered objects
@@ -553,4 +946,4 @@ AFRAME.registerComponent('object-renderer', {
 });
 
 // Register the component
-console.log('Object Renderer component registered');
\ No newline at end of file
+console.log('Object Renderer component registered');
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Polygon Geometry
+ * 
+ * Flat polygon geometry for object outlines that aren't rectangles or circles
+ * Usage: geometry="primitive: polygon; vertices: -0.1 0.1, 0.1 0.1, 0 -0.1"
+ */
+
+// Parse "x y, x y, ..." into {x, y} vertices
+function parseVertices(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string' || !value.trim()) return [];
+  
+  return value.split(',').map(pair => {
+    const [x, y] = pair.trim().split(/\s+/).map(parseFloat);
+    return { x: x || 0, y: y || 0 };
+  });
+}
+
+AFRAME.registerGeometry('polygon', {
+  schema: {
+    vertices: {
+      default: [],
+      parse: parseVertices,
+      stringify: value => value.map(v => `${v.x} ${v.y}`).join(', ')
+    }
+  },
+  
+  init: function(data) {
+    if (data.vertices.length < 3) {
+      console.warn('Polygon Geometry: Need at least 3 vertices');
+      this.geometry = new THREE.BufferGeometry();
+      return;
+    }
+    
+    const shape = new THREE.Shape(data.vertices.map(v => new THREE.Vector2(v.x, v.y)));
+    this.geometry = new THREE.ShapeGeometry(shape);
+  }
+});
+
+// Register the geometry
+console.log('Polygon geometry registered');
@@ -0,0 +1,153 @@
+/**
+ * Spacing Guides Component
+ *
+ * Dimension lines from a projected object to the edges of its wall, to the floor
+ * and to the nearest neighbouring objects, labelled in the selected units.
+ * Guides appear when the object is dragged and stay until another object is dragged.
+ */
+
+import { events, geometry, units, Colors } from '../../utils/index.js';
+import { createLine, createFloatingText } from '../../utils/ui-elements.js';
+
+const { EVENTS } = events;
+const { calculateObjectSpacing } = geometry;
+const { formatLength, getSceneUnits } = units;
+
+// Line colour per measurement type
+const GUIDE_COLORS = {
+  edge: Colors.HIGHLIGHT,
+  floor: Colors.WARNING,
+  neighbour: Colors.TEXT
+};
+
+AFRAME.registerComponent('spacing-guides', {
+  schema: {
+    objectId: { type: 'string', default: '' },
+    visible: { type: 'boolean', default: false },
+    interval: { type: 'number', default: 100 }, // Min time between redraws while the object moves (ms)
+    offset: { type: 'number', default: 0.008 } // Distance in front of the wall (m)
+  },
+  
+  init: function() {
+    console.log('Spacing Guides: Initializing for object', this.data.objectId);
+    
+    this.sceneState = this.el.sceneEl.systems['scene-state'];
+    this.needsUpdate = false;
+    
+    // Container for all guide lines and labels
+    this.guides = document.createElement('a-entity');
+    this.guides.classList.add('spacing-guides');
+    this.el.appendChild(this.guides);
+    
+    // Bind methods
+    this.onStateChanged = this.onStateChanged.bind(this);
+    this.onObjectDrag = this.onObjectDrag.bind(this);
+    
+    // Redraw at most once per interval while objects move
+    this.tick = AFRAME.utils.throttleTick(this.tick, this.data.interval, this);
+    
+    // Setup event listeners
+    this.el.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    this.el.sceneEl.addEventListener(EVENTS.OBJECT.DRAG, this.onObjectDrag);
+  },
+  
+  update: function() {
+    this.guides.setAttribute('visible', this.data.visible);
+    this.needsUpdate = this.data.visible;
+    
+    if (!this.data.visible) {
+      this.clearGuides();
+    }
+  },
+  
+  // Show guides for the dragged object only
+  onObjectDrag: function(event) {
+    if (!event.detail.dragging) return;
+    
+    const visible = event.detail.objectId === this.data.objectId;
+    if (visible !== this.data.visible) {
+      this.el.setAttribute('spacing-guides', 'visible', visible);
+    }
+  },
+  
+  // Redraw when any object, wall or the unit system changes
+  onStateChanged: function(event) {
+    const path = event.detail.path;
+    if (path === 'objects' || path.startsWith('calibration') || path === 'settings.units') {
+      this.needsUpdate = this.data.visible;
+    }
+  },
+  
+  tick: function() {
+    if (!this.needsUpdate) return;
+    
+    this.needsUpdate = false;
+    this.updateGuides();
+  },
+  
+  updateGuides: function() {
+    this.clearGuides();
+    if (!this.sceneState) return;
+    
+    const objects = this.sceneState.getState('objects') || [];
+    const object = objects.find(obj => obj.id === this.data.objectId);
+    if (!object || !object.center) return;
+    
+    const wall = this.sceneState.getWall(object.wallId);
+    if (!wall || !wall.isCalibrated) return;
+    
+    // Other objects shown on the same wall
+    const neighbours = objects.filter(obj =>
+      obj.id !== object.id && obj.projected && obj.center && obj.wallId === object.wallId);
+    
+    calculateObjectSpacing(object, wall, neighbours).forEach(measurement => {
+      this.createGuide(measurement);
+    });
+  },
+  
+  // Create a dimension line with end ticks and a distance label
+  createGuide: function(measurement) {
+    const { type, start, end, distance } = measurement;
+    const color = GUIDE_COLORS[type];
+    const z = this.data.offset;
+    
+    createLine({ x: start.x, y: start.y, z }, { x: end.x, y: end.y, z }, color, false, this.guides);
+    
+    // Ticks across the line at both ends (the floor line starts at the object center)
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    if (length < 0.001) return;
+    
+    const across = { x: -(end.y - start.y) / length * 0.01, y: (end.x - start.x) / length * 0.01 };
+    const ends = type === 'floor' ? [end] : [start, end];
+    ends.forEach(point => {
+      createLine(
+        { x: point.x - across.x, y: point.y - across.y, z },
+        { x: point.x + across.x, y: point.y + across.y, z },
+        color, false, this.guides
+      );
+    });
+    
+    // Label beside the middle of the line - the floor line gives the center height
+    const text = formatLength(distance, getSceneUnits(this.el.sceneEl));
+    createFloatingText(type === 'floor' ? `Centre ${text}` : text, {
+      x: (start.x + end.x) / 2 + across.x * 2.5,
+      y: (start.y + end.y) / 2 + across.y * 2.5,
+      z: z + 0.002
+    }, { color, scale: '0.08 0.08 0.08', className: 'dimension-text' }, this.guides);
+  },
+  
+  clearGuides: function() {
+    while (this.guides.firstChild) {
+      this.guides.removeChild(this.guides.firstChild);
+    }
+  },
+  
+  remove: function() {
+    this.el.sceneEl.removeEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    this.el.sceneEl.removeEventListener(EVENTS.OBJECT.DRAG, this.onObjectDrag);
+    
+    if (this.guides.parentNode) {
+      this.guides.parentNode.removeChild(this.guides);
+    }
+  }
+});
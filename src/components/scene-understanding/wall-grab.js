@@ -0,0 +1,184 @@
+/**
+ * Wall Grab Component
+ *
+ * Direct manipulation of a calibrated wall: pinch (or pull a controller trigger)
+ * near the wall and move the hand to slide the wall within its plane, or to
+ * swing it about its center.
+ * Each grab is recorded as a single undo step.
+ */
+
+import { events, geometry, interaction } from '../../utils/index.js';
+
+const { EVENTS, emitEvent } = events;
+const { poseToMatrix, matrixToPose, rotationToNormal } = geometry;
+const { getEventHand } = interaction;
+
+AFRAME.registerComponent('wall-grab', {
+  schema: {
+    active: { type: 'boolean', default: false },
+    wallId: { type: 'string', default: '' },
+    mode: { type: 'string', default: 'slide', oneOf: ['slide', 'rotate'] },
+    grabDistance: { type: 'number', default: 0.15 }, // Max distance of the pinch from the wall plane (m)
+    interval: { type: 'number', default: 50 } // Min time between state updates while dragging (ms)
+  },
+  
+  init: function() {
+    console.log('Wall Grab: Initializing');
+    
+    this.sceneState = this.el.sceneEl.systems['scene-state'];
+    
+    // Current grab: { hand, start, pose } or null
+    this.grab = null;
+    this.lastUpdateTime = 0;
+    
+    // Bind methods
+    this.onPinchStarted = this.onPinchStarted.bind(this);
+    this.onPinchMoved = this.onPinchMoved.bind(this);
+    this.onPinchEnded = this.onPinchEnded.bind(this);
+    
+    // Setup event listeners
+    this.el.sceneEl.addEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
+    this.el.sceneEl.addEventListener(EVENTS.INPUT.DRAGGED, this.onPinchMoved);
+    this.el.sceneEl.addEventListener(EVENTS.INPUT.SELECT_ENDED, this.onPinchEnded);
+  },
+  
+  update: function(oldData) {
+    // Release a grab in progress when switched off or to another wall
+    if (this.grab && (!this.data.active || oldData.wallId !== this.data.wallId)) {
+      this.endGrab();
+    }
+  },
+  
+  getWall: function() {
+    if (!this.sceneState) return null;
+    
+    const wall = this.sceneState.getWall(this.data.wallId || null);
+    return wall && wall.isCalibrated ? wall : null;
+  },
+  
+  // Start a grab when the pinch is close to the wall and within its bounds
+  onPinchStarted: function(event) {
+    if (!this.data.active || this.grab || !event.detail || !event.detail.position) return;
+    
+    const wall = this.getWall();
+    if (!wall) return;
+    
+    const position = event.detail.position;
+    const point = new THREE.Vector3(position.x, position.y, position.z);
+    const local = point.clone().applyMatrix4(poseToMatrix(wall.position, wall.rotation).invert());
+    
+    // Pinches beyond the wall edges by up to grabDistance still count
+    const margin = this.data.grabDistance;
+    if (Math.abs(local.z) > margin ||
+        Math.abs(local.x) > wall.width / 2 + margin ||
+        Math.abs(local.y) > wall.height / 2 + margin) {
+      return;
+    }
+    
+    this.grab = {
+      hand: getEventHand(event),
+      start: point,
+      pose: {
+        position: { ...wall.position },
+        rotation: { ...wall.rotation }
+      }
+    };
+    
+    this.sceneState.beginHistoryGroup('Move wall');
+    
+    console.log('Wall Grab: Grabbed wall', wall.id, this.data.mode);
+    emitEvent(this.el.sceneEl, EVENTS.WALL.GRAB, { wallId: wall.id, mode: this.data.mode, grabbing: true });
+  },
+  
+  onPinchMoved: function(event) {
+    if (!this.grab || !event.detail || !event.detail.position) return;
+    if (!this.isGrabbingHand(event)) return;
+    
+    // Limit state updates while dragging
+    const now = Date.now();
+    if (now - this.lastUpdateTime < this.data.interval) return;
+    this.lastUpdateTime = now;
+    
+    const wall = this.getWall();
+    if (!wall) {
+      this.endGrab();
+      return;
+    }
+    
+    const position = event.detail.position;
+    const current = new THREE.Vector3(position.x, position.y, position.z);
+    const pose = this.data.mode === 'rotate'
+      ? this.getRotatedPose(current)
+      : this.getSlidePose(current);
+    
+    this.sceneState.updateWall(wall.id, pose);
+  },
+  
+  // Slide: the hand movement within the wall plane moves the wall
+  getSlidePose: function(current) {
+    const { position, rotation } = this.grab.pose;
+    const normal = rotationToNormal(rotation);
+    
+    const movement = current.clone().sub(this.grab.start);
+    movement.sub(normal.multiplyScalar(movement.dot(normal)));
+    
+    return {
+      position: {
+        x: position.x + movement.x,
+        y: position.y + movement.y,
+        z: position.z + movement.z
+      },
+      rotation: { ...rotation }
+    };
+  },
+  
+  // Rotate: the wall swings about its center so the grabbed point follows the hand
+  getRotatedPose: function(current) {
+    const { position, rotation } = this.grab.pose;
+    const center = new THREE.Vector3(position.x, position.y, position.z);
+    
+    const from = this.grab.start.clone().sub(center);
+    const to = current.clone().sub(center);
+    
+    // Too close to the center to give a stable direction
+    if (from.length() < 0.05 || to.length() < 0.05) {
+      return { position: { ...position }, rotation: { ...rotation } };
+    }
+    
+    const turn = new THREE.Quaternion().setFromUnitVectors(from.normalize(), to.normalize());
+    const matrix = poseToMatrix(position, rotation);
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(matrix).premultiply(turn);
+    
+    return matrixToPose(new THREE.Matrix4().compose(center, quaternion, new THREE.Vector3(1, 1, 1)));
+  },
+  
+  onPinchEnded: function(event) {
+    if (!this.grab || !this.isGrabbingHand(event)) return;
+    
+    this.endGrab();
+  },
+  
+  // Ignore the other hand while one hand holds the wall
+  isGrabbingHand: function(event) {
+    const hand = getEventHand(event);
+    return !this.grab.hand || !hand || hand === this.grab.hand;
+  },
+  
+  endGrab: function() {
+    if (!this.grab) return;
+    
+    this.grab = null;
+    this.sceneState.endHistoryGroup();
+    
+    console.log('Wall Grab: Released wall');
+    emitEvent(this.el.sceneEl, EVENTS.WALL.GRAB, { wallId: this.data.wallId, mode: this.data.mode, grabbing: false });
+  },
+  
+  remove: function() {
+    this.endGrab();
+    
+    this.el.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_STARTED, this.onPinchStarted);
+    this.el.sceneEl.removeEventListener(EVENTS.INPUT.DRAGGED, this.onPinchMoved);
+    this.el.sceneEl.removeEventListener(EVENTS.INPUT.SELECT_ENDED, this.onPinchEnded);
+  }
+});
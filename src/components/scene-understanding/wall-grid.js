@@ -0,0 +1,158 @@
+/**
+ * Wall Grid Component
+ *
+ * Draws a wall's measuring grid as a single merged mesh (one draw call however
+ * many lines there are), with thicker major lines and coordinate labels along
+ * the bottom and left edges. Coordinates count from the grid origin.
+ */
+
+import { units, walls } from '../../utils/index.js';
+
+const { formatLength } = units;
+const { getGridLines } = walls;
+
+AFRAME.registerComponent('wall-grid', {
+  schema: {
+    width: { type: 'number', default: 2 },
+    height: { type: 'number', default: 2 },
+    spacing: { type: 'number', default: 0.2 },
+    majorEvery: { type: 'int', default: 5 },
+    originX: { type: 'number', default: 0 }, // Grid origin in wall coordinates
+    originY: { type: 'number', default: 0 },
+    color: { type: 'color', default: '#FF8800' },
+    opacity: { type: 'number', default: 0.8 },
+    lineWidth: { type: 'number', default: 0.004 },
+    majorLineWidth: { type: 'number', default: 0.008 },
+    minorBrightness: { type: 'number', default: 0.6 }, // Minor lines are darker than major lines
+    labels: { type: 'boolean', default: true },
+    units: { type: 'string', default: 'cm' }
+  },
+  
+  init: function() {
+    this.material = new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    
+    this.mesh = new THREE.Mesh(new THREE.BufferGeometry(), this.material);
+    this.el.setObject3D('grid', this.mesh);
+    
+    // Container for the coordinate labels
+    this.labels = document.createElement('a-entity');
+    this.labels.classList.add('grid-labels');
+    this.el.appendChild(this.labels);
+  },
+  
+  update: function(oldData) {
+    const data = this.data;
+    
+    this.material.opacity = data.opacity;
+    
+    // Only the opacity changed (e.g. active wall highlight) - keep the geometry
+    const changed = Object.keys(data).filter(key => data[key] !== oldData[key]);
+    if (changed.length === 1 && changed[0] === 'opacity') {
+      this.updateLabelOpacity();
+      return;
+    }
+    
+    // Nothing to draw without a spacing
+    const lines = data.spacing > 0
+      ? getGridLines({ width: data.width, height: data.height }, data, { x: data.originX, y: data.originY })
+      : { x: [], y: [] };
+    this.buildGeometry(lines);
+    this.buildLabels(lines);
+  },
+  
+  // Build one quad per line in a single indexed geometry
+  buildGeometry: function(lines) {
+    const { width, height } = this.data;
+    const color = new THREE.Color(this.data.color);
+    const minorColor = color.clone().multiplyScalar(this.data.minorBrightness);
+    
+    const positions = [];
+    const colors = [];
+    const indices = [];
+    
+    const addQuad = (minX, minY, maxX, maxY, quadColor) => {
+      const first = positions.length / 3;
+      positions.push(
+        minX, minY, 0,
+        maxX, minY, 0,
+        maxX, maxY, 0,
+        minX, maxY, 0
+      );
+      for (let i = 0; i < 4; i++) {
+        colors.push(quadColor.r, quadColor.g, quadColor.b);
+      }
+      indices.push(first, first + 1, first + 2, first, first + 2, first + 3);
+    };
+    
+    const halfLine = line => (line.major ? this.data.majorLineWidth : this.data.lineWidth) / 2;
+    
+    lines.x.forEach(line => {
+      const half = halfLine(line);
+      addQuad(line.value - half, -height / 2, line.value + half, height / 2, line.major ? color : minorColor);
+    });
+    
+    lines.y.forEach(line => {
+      const half = halfLine(line);
+      addQuad(-width / 2, line.value - half, width / 2, line.value + half, line.major ? color : minorColor);
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setIndex(indices);
+    
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = geometry;
+  },
+  
+  // Label the major lines along the bottom and left edges of the wall
+  buildLabels: function(lines) {
+    while (this.labels.firstChild) {
+      this.labels.removeChild(this.labels.firstChild);
+    }
+    
+    if (!this.data.labels) return;
+    
+    const { width, height, spacing, color, units: unitSystem } = this.data;
+    
+    const addLabel = (index, x, y, align) => {
+      const label = document.createElement('a-text');
+      label.setAttribute('value', formatLength(index * spacing, unitSystem));
+      label.setAttribute('align', align);
+      label.setAttribute('position', `${x} ${y} 0.002`);
+      label.setAttribute('scale', '0.15 0.15 0.15');
+      label.setAttribute('color', color);
+      label.setAttribute('opacity', this.data.opacity);
+      this.labels.appendChild(label);
+    };
+    
+    lines.x.filter(line => line.major).forEach(line => {
+      addLabel(line.index, line.value, -height / 2 - 0.04, 'center');
+    });
+    
+    lines.y.filter(line => line.major).forEach(line => {
+      addLabel(line.index, -width / 2 - 0.02, line.value, 'right');
+    });
+  },
+  
+  updateLabelOpacity: function() {
+    Array.from(this.labels.children).forEach(label => {
+      label.setAttribute('opacity', this.data.opacity);
+    });
+  },
+  
+  remove: function() {
+    this.el.removeObject3D('grid');
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+    
+    if (this.labels.parentNode) {
+      this.labels.parentNode.removeChild(this.labels);
+    }
+  }
+});
@@ -0,0 +1,96 @@
+/**
+ * Wall Manager Component
+ * 
+ * Keeps one wall-plane entity per wall in calibration.walls
+ * Adds and removes wall entities when walls are added, removed or restored
+ */
+
+import { events } from '../../utils/index.js';
+
+const { EVENTS } = events;
+
+AFRAME.registerComponent('wall-manager', {
+  schema: {},
+  
+  init: function() {
+    console.log('Wall Manager: Initializing');
+    
+    // Get scene state system
+    this.sceneState = this.el.sceneEl.systems['scene-state'];
+    
+    // Wall entities keyed by wall id
+    this.wallEntities = {};
+    
+    // Bind methods
+    this.onStateChanged = this.onStateChanged.bind(this);
+    
+    // Create entities for the walls already in state
+    this.syncWalls();
+    
+    // Listen for wall additions and removals
+    this.el.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    
+    console.log('Wall Manager: Initialized');
+  },
+  
+  onStateChanged: function(event) {
+    const path = event.detail.path;
+    if (!path) return;
+    
+    // Only whole-wall changes add or remove walls (calibration.walls.<id>)
+    const parts = path.split('.');
+    if (parts[0] === 'calibration' && parts.length <= 3 && (parts.length < 2 || parts[1] === 'walls')) {
+      this.syncWalls();
+    }
+  },
+  
+  // Create missing wall entities and remove those whose wall is gone
+  syncWalls: function() {
+    if (!this.sceneState) return;
+    
+    const walls = this.sceneState.getWalls();
+    const wallIds = walls.map(wall => wall.id);
+    
+    // Remove entities of deleted walls
+    Object.keys(this.wallEntities).forEach(wallId => {
+      if (!wallIds.includes(wallId)) {
+        const entity = this.wallEntities[wallId];
+        if (entity.parentNode) {
+          entity.parentNode.removeChild(entity);
+        }
+        delete this.wallEntities[wallId];
+        console.log('Wall Manager: Removed wall', wallId);
+      }
+    });
+    
+    // Create entities for new walls
+    walls.forEach(wall => {
+      if (this.wallEntities[wall.id]) return;
+      
+      const wallEntity = document.createElement('a-entity');
+      wallEntity.setAttribute('id', `wall-plane-${wall.id}`);
+      wallEntity.setAttribute('data-wall-id', wall.id);
+      wallEntity.setAttribute('wall-plane', {
+        wallId: wall.id,
+        visible: false // Initially hidden
+      });
+      
+      this.el.sceneEl.appendChild(wallEntity);
+      this.wallEntities[wall.id] = wallEntity;
+      console.log('Wall Manager: Added wall', wall.id);
+    });
+  },
+  
+  remove: function() {
+    this.el.sceneEl.removeEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    
+    // Remove all wall entities
+    Object.keys(this.wallEntities).forEach(wallId => {
+      const entity = this.wallEntities[wallId];
+      if (entity.parentNode) {
+        entity.parentNode.removeChild(entity);
+      }
+    });
+    this.wallEntities = {};
+  }
+});
@@ -3,14 +3,17 @@
  * 
  * Creates and manages a semi-transparent wall plane for measurement
  * Responds to calibration events to update wall properties
+ * Each wall in calibration.walls gets its own wall-plane entity (see wall-manager)
  */
 
-import { events } from '../../utils/index.js';
+import { events, walls } from '../../utils/index.js';
 
 const { EVENTS } = events;
+const { resolveWallId, getGridOrigin, DEFAULT_GRID } = walls;
 
 AFRAME.registerComponent('wall-plane', {
   schema: {
+    wallId: { type: 'string', default: 'wall_1' },
     width: { type: 'number', default: 2 },
     height: { type: 'number', default: 2 },
     color: { type: 'color', default: '#888888' },
@@ -19,7 +22,16 @@ AFRAME.registerComponent('wall-plane', {
   },
   
   init: function() {
-    console.log('Wall Plane: Initializing');
+    console.log('Wall Plane: Initializing', this.data.wallId);
+    
+    // State path of this wall
+    this.statePath = `calibration.walls.${this.data.wallId}`;
+    this.el.setAttribute('data-wall-id', this.data.wallId);
+    
+    // Bind methods
+    this.onWallReset = this.onWallReset.bind(this);
+    this.onWallAdjustStart = this.onWallAdjustStart.bind(this);
+    this.onStateChanged = this.onStateChanged.bind(this);
     
     // Create wall plane
     this.createWallPlane();
@@ -52,71 +64,84 @@ AFRAME.registerComponent('wall-plane', {
     this.plane.setAttribute('side', 'double');
     this.plane.setAttribute('class', 'wall-plane interactive anchoring-enabled');
     this.plane.setAttribute('data-collideable', 'true');
-    this.plane.setAttribute('id', 'wall-interaction-plane');
+    this.plane.setAttribute('id', `wall-interaction-plane-${this.data.wallId}`);
+    this.plane.setAttribute('data-wall-id', this.data.wallId);
     
-    // Create grid container
+    // Create grid container, drawn by the wall-grid component
     this.gridContainer = document.createElement('a-entity');
     this.gridContainer.setAttribute('class', 'grid-container');
+    this.gridContainer.setAttribute('position', '0 0 0.001');
+    this.gridContainer.setAttribute('wall-grid', {
+      width: this.data.width,
+      height: this.data.height
+    });
     
-    // Add visual grid pattern to grid container
-    this.createGridPattern();
+    // Create wall name label above the grid
+    this.nameLabel = document.createElement('a-text');
+    this.nameLabel.setAttribute('value', '');
+    this.nameLabel.setAttribute('align', 'center');
+    this.nameLabel.setAttribute('position', '0 1.32 0.002');
+    this.nameLabel.setAttribute('scale', '0.4 0.4 0.4');
+    this.nameLabel.setAttribute('color', '#FF8800');
     
-    // Add both to entity
+    // Add all to entity
     this.planeContainer.appendChild(this.plane);
     this.planeContainer.appendChild(this.gridContainer);
+    this.planeContainer.appendChild(this.nameLabel);
     this.el.appendChild(this.planeContainer);
   },
   
-  createGridPattern: function() {
-    // Add grid lines as child entities
-    const gridSpacing = 0.2; // 10cm grid
-    const gridWidth = 4; 
-    const gridHeight = 2.5; // 2.5 meter grid
-    const gridColor = '#FF8800'; // Bright orange
-    
-    // Create horizontal and vertical lines
-    for (let i = -gridWidth/2 + gridSpacing; i < gridWidth/2; i += gridSpacing) {
-      // Vertical line
-      const vLine = document.createElement('a-entity');
-      vLine.setAttribute('geometry', {
-        primitive: 'plane',
-        width: 0.004,
-        height: gridHeight
-      });
-      vLine.setAttribute('material', {
-        color: gridColor,
-        opacity: 0.8,
-        shader: 'flat',
-        side: 'double'
-      });
-      vLine.setAttribute('position', `${i} 0 0.001`);
-      this.gridContainer.appendChild(vLine);
-    }
+  // Highlight the active wall by dimming the grid of the others
+  updateActiveHighlight: function() {
+    const activeWallId = this.sceneState ? this.sceneState.getActiveWallId() : this.data.wallId;
+    const isActive = activeWallId === this.data.wallId;
     
-    for (let i = -gridHeight/2 + gridSpacing; i < gridHeight/2; i += gridSpacing) {
-      // Horizontal line
-      const hLine = document.createElement('a-entity');
-      hLine.setAttribute('geometry', {
-        primitive: 'plane',
-        width: gridWidth,
-        height: 0.004
-      });
-      hLine.setAttribute('material', {
-        color: gridColor,
-        opacity: 0.8,
-        shader: 'flat',
-        side: 'double'
-      });
-      hLine.setAttribute('position', `0 ${i} 0.001`);
-      this.gridContainer.appendChild(hLine);
-    }
+    this.gridContainer.setAttribute('wall-grid', 'opacity', isActive ? 0.8 : 0.25);
+    this.nameLabel.setAttribute('opacity', isActive ? 1 : 0.4);
+  },
+  
+  // Whether an event without an explicit wall should affect this wall
+  isTargeted: function(detail) {
+    return resolveWallId(detail, this.el.sceneEl) === this.data.wallId;
+  },
+  
+  // Size the grid to the wall and apply the grid settings
+  updateGrid: function() {
+    const wallState = this.sceneState ? this.sceneState.getWall(this.data.wallId) : null;
+    const wall = {
+      position: (wallState && wallState.position) || this.el.getAttribute('position'),
+      rotation: (wallState && wallState.rotation) || this.el.getAttribute('rotation'),
+      width: (wallState && wallState.width) || this.data.width,
+      height: (wallState && wallState.height) || this.data.height
+    };
+    
+    const grid = this.sceneState ? this.sceneState.getGrid() : DEFAULT_GRID;
+    const origin = getGridOrigin(wall, grid.origin);
+    
+    this.gridContainer.setAttribute('wall-grid', {
+      width: wall.width,
+      height: wall.height,
+      spacing: grid.spacing,
+      majorEvery: grid.majorEvery,
+      originX: origin.x,
+      originY: origin.y,
+      labels: grid.labels,
+      units: this.sceneState ? this.sceneState.getUnits() : 'cm'
+    });
+    
+    // Keep the name just above the wall
+    this.nameLabel.setAttribute('position', `0 ${wall.height / 2 + 0.07} 0.002`);
   },
   
   initFromState: function() {
     if (this.sceneState) {
-      const wallState = this.sceneState.getState('calibration.wall');
+      const wallState = this.sceneState.getWall(this.data.wallId);
       
       if (wallState) {
+        // Show the wall name
+        this.nameLabel.setAttribute('value', wallState.name || this.data.wallId);
+        this.el.setAttribute('data-calibrated', !!wallState.isCalibrated);
+        
         // Apply visibility state to container
         this.planeContainer.setAttribute('visible', wallState.visible);
         
@@ -132,17 +157,24 @@ AFRAME.registerComponent('wall-plane', {
         this.el.setAttribute('position', wallState.position);
         this.el.setAttribute('rotation', wallState.rotation);
       }
+      
+      this.updateActiveHighlight();
     }
+    
+    this.updateGrid();
   },
   
   setupEventListeners: function() {
     // Listen for wall-related events
-    this.el.sceneEl.addEventListener(EVENTS.WALL.RESET, this.onWallReset.bind(this));
-    this.el.sceneEl.addEventListener(EVENTS.WALL.ADJUST_START, this.onWallAdjustStart.bind(this));
-    this.el.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged.bind(this));
+    this.el.sceneEl.addEventListener(EVENTS.WALL.RESET, this.onWallReset);
+    this.el.sceneEl.addEventListener(EVENTS.WALL.ADJUST_START, this.onWallAdjustStart);
+    this.el.sceneEl.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
   },
   
-  onWallReset: function() {
+  onWallReset: function(event) {
+    // Only reset the wall the event is meant for
+    if (!this.isTargeted(event && event.detail)) return;
+    
     // Reset wall to default values
     const defaultPos = { x: 0, y: 1, z: -2 };
     const defaultRot = { x: 0, y: 0, z: 0 };
@@ -151,13 +183,14 @@ AFRAME.registerComponent('wall-plane', {
     this.el.setAttribute('rotation', defaultRot);
     this.planeContainer.setAttribute('visible', false);
     
-    // Notify all wall objects to update their visibility
-    this.el.sceneEl.querySelectorAll('[draggable-wall-object]').forEach(obj => {
+    // Notify the objects on this wall to update their visibility
+    this.el.sceneEl.querySelectorAll(`[draggable-wall-object][data-wall-id="${this.data.wallId}"]`).forEach(obj => {
       obj.setAttribute('visible', false);
     });
     
     // Emit an event that objects can listen for
     this.el.sceneEl.emit(EVENTS.WALL.CALIBRATION_COMPLETE, {
+      wallId: this.data.wallId,
       isCalibrated: false,
       wallVisible: false
     });
@@ -165,7 +198,10 @@ AFRAME.registerComponent('wall-plane', {
     console.log('Wall Plane: Reset to default position');
   },
   
-  onWallAdjustStart: function() {
+  onWallAdjustStart: function(event) {
+    // Only the wall being adjusted
+    if (!this.isTargeted(event && event.detail)) return;
+    
     // Make wall visible for adjustment
     this.planeContainer.setAttribute('visible', true);
     
@@ -176,8 +212,30 @@ AFRAME.registerComponent('wall-plane', {
   onStateChanged: function(event) {
     const detail = event.detail;
     
-    // Only respond to wall-related state changes
-    if (detail.path && detail.path.startsWith('calibration.wall')) {
+    if (!detail.path) return;
+    
+    // Active wall changed - update highlight
+    if (detail.path === 'calibration.activeWallId') {
+      this.updateActiveHighlight();
+      return;
+    }
+    
+    // Grid options or label units changed
+    if (detail.path === 'settings.grid' || detail.path === 'settings.units') {
+      this.updateGrid();
+      return;
+    }
+    
+    // Whole wall or calibration replaced - reload from state
+    if (detail.path === this.statePath || detail.path === 'calibration' || detail.path === 'calibration.walls') {
+      if (this.sceneState && this.sceneState.getWall(this.data.wallId)) {
+        this.initFromState();
+      }
+      return;
+    }
+    
+    // Only respond to changes of this wall
+    if (detail.path.startsWith(`${this.statePath}.`)) {
       const property = detail.path.split('.').pop();
       const value = detail.value;
       
@@ -188,13 +246,19 @@ AFRAME.registerComponent('wall-plane', {
           break;
         case 'position':
           this.el.setAttribute('position', value);
+          this.updateGrid(); // The floor origin depends on the wall height above the floor
           break;
         case 'rotation':
           this.el.setAttribute('rotation', value);
+          this.updateGrid();
           break;
         case 'width':
         case 'height':
           this.plane.setAttribute(property, value);
+          this.updateGrid();
+          break;
+        case 'name':
+          this.nameLabel.setAttribute('value', value);
           break;
         case 'color':
           // Don't apply color changes to the invisible plane
@@ -211,11 +275,12 @@ AFRAME.registerComponent('wall-plane', {
             
             // Also store the state
             if (this.sceneState) {
-              this.sceneState.updateState('calibration.wall.visible', true);
+              this.sceneState.updateState(`${this.statePath}.visible`, true);
             }
             
             // Emit calibration complete event
             this.el.sceneEl.emit(EVENTS.WALL.CALIBRATION_COMPLETE, {
+              wallId: this.data.wallId,
               isCalibrated: true
             });
           }
@@ -234,7 +299,8 @@ AFRAME.registerComponent('wall-plane', {
       this.plane.setAttribute('width', this.data.width);
       this.plane.setAttribute('height', this.data.height);
       
-      // Grid size is fixed at 8m x 8m, no need to update it
+      // Grid follows the wall size
+      this.updateGrid();
     }
     
     // Color changes don't apply to the invisible plane
@@ -9,6 +9,7 @@ import './scenes/scene-manager.js';
 
 // Import state management
 import './state/scene-state.js';
+import './state/spatial-anchors.js';
 
 // Import custom components
 import './components/index.js';
@@ -25,9 +26,17 @@ document.addEventListener('DOMContentLoaded', function() {
     return;
   }
 
+  // Desktop mode (?desktop in the URL): mouse and keyboard in a virtual room instead of a headset
+  const desktopMode = new URLSearchParams(window.location.search).has('desktop');
+  if (desktopMode) {
+    scene.setAttribute('desktop-mode', '');
+  }
+
   // Set up scene events
   scene.addEventListener('loaded', function() {
-    statusElement.textContent = 'Ready! Enter AR to begin hand tracking.';
+    statusElement.textContent = desktopMode
+      ? 'Desktop mode: click or hold space to pinch, right-drag to look around.'
+      : 'Ready! Enter AR to begin hand tracking.';
     
     // Set up menu panel
     setupMenuPanel();
@@ -72,21 +81,28 @@ document.addEventListener('DOMContentLoaded', function() {
       // Add to scene directly
       scene.appendChild(menuManager);
       
-      // Create wall plane entity
-      const wallPlane = document.createElement('a-entity');
-      wallPlane.setAttribute('wall-plane', {
-        visible: false // Initially hidden
+      // Create wall manager entity (spawns one wall plane per calibrated wall)
+      const wallManager = document.createElement('a-entity');
+      wallManager.setAttribute('wall-manager', '');
+      wallManager.setAttribute('id', 'wallManager');
+      
+      // Add wall manager to scene
+      scene.appendChild(wallManager);
+      
+      // Create wall grab entity (direct wall manipulation from the Wall Adjustment menu)
+      const wallGrab = document.createElement('a-entity');
+      wallGrab.setAttribute('wall-grab', {
+        active: false // Initially inactive
       });
-      wallPlane.setAttribute('id', 'wallPlane');
+      wallGrab.setAttribute('id', 'wallGrab');
       
-      // Add wall plane to scene
-      scene.appendChild(wallPlane);
+      // Add wall grab to scene
+      scene.appendChild(wallGrab);
       
       // Create object definition entity
       const objectDef = document.createElement('a-entity');
       objectDef.setAttribute('object-definition', {
-        active: false, // Initially inactive
-        wallId: 'wallPlane'
+        active: false // Initially inactive
       });
       objectDef.setAttribute('id', 'objectDefinition');
       
@@ -96,14 +112,24 @@ document.addEventListener('DOMContentLoaded', function() {
       // Create object renderer entity
       const objectRenderer = document.createElement('a-entity');
       objectRenderer.setAttribute('object-renderer', {
-        active: true,
-        wallId: 'wallPlane'
+        active: true
       });
       objectRenderer.setAttribute('id', 'objectRenderer');
       
       // Add object renderer to scene
       scene.appendChild(objectRenderer);
       
+      // Create object editor entity (corner handles for the Object Edit menu)
+      const objectEditor = document.createElement('a-entity');
+      objectEditor.setAttribute('object-editor', {
+        active: false, // Initially inactive
+        objectId: ''
+      });
+      objectEditor.setAttribute('id', 'objectEditor');
+      
+      // Add object editor to scene
+      scene.appendChild(objectEditor);
+      
       // Create anchor placement entity
       const anchorPlacement = document.createElement('a-entity');
       anchorPlacement.setAttribute('anchor-placement', {
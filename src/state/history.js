@@ -0,0 +1,178 @@
+/**
+ * History
+ *
+ * Undo/redo stack of reversible state diffs used by the scene-state system.
+ * Every entry stores the value of a state path before and after a change.
+ * Entries recorded in the same task are grouped automatically so one user
+ * action (e.g. a wall calibration touching several paths) undoes as a whole.
+ * Longer interactions such as dragging can open an explicit group.
+ */
+
+/**
+ * Create a history stack
+ * @param {Object} options - { limit: max number of undo steps, onChange: called when the stacks change }
+ * @returns {Object} History instance
+ */
+function createHistory(options = {}) {
+  const limit = options.limit || 100;
+  const onChange = options.onChange || function() {};
+  
+  const undoStack = [];
+  const redoStack = [];
+  let currentGroup = null;
+  let explicitDepth = 0;
+  
+  // Close the open group and push it on the undo stack
+  const closeGroup = function() {
+    if (!currentGroup) return;
+    
+    const group = currentGroup;
+    currentGroup = null;
+    explicitDepth = 0;
+    
+    if (group.entries.length === 0) return;
+    
+    undoStack.push(group);
+    if (undoStack.length > limit) {
+      undoStack.shift();
+    }
+    
+    onChange();
+  };
+  
+  // Open a group if none is open; automatic groups close at the end of the current task
+  const ensureGroup = function(label) {
+    if (currentGroup) return;
+    
+    currentGroup = { label: label || null, entries: [] };
+    
+    if (explicitDepth === 0) {
+      const group = currentGroup;
+      queueMicrotask(() => {
+        if (currentGroup === group && explicitDepth === 0) {
+          closeGroup();
+        }
+      });
+    }
+  };
+  
+  return {
+    /**
+     * Record a change of a state path
+     * @param {String} path - State path (dot notation)
+     * @param {*} before - Value before the change (already copied)
+     * @param {*} after - Value after the change (already copied)
+     * @param {String} label - Optional description used for automatic groups
+     */
+    record: function(path, before, after, label) {
+      ensureGroup(label);
+      
+      if (!currentGroup.label && label) {
+        currentGroup.label = label;
+      }
+      
+      // Merge consecutive changes of the same path (e.g. drag frames)
+      const last = currentGroup.entries[currentGroup.entries.length - 1];
+      if (last && last.path === path) {
+        last.after = after;
+      } else {
+        currentGroup.entries.push({ path, before, after });
+      }
+      
+      // A new change invalidates everything that was undone
+      if (redoStack.length > 0) {
+        redoStack.length = 0;
+        onChange();
+      }
+    },
+    
+    /**
+     * Start an explicit group that stays open until endGroup()
+     * @param {String} label - Description of the action
+     */
+    beginGroup: function(label) {
+      if (explicitDepth === 0) {
+        closeGroup();
+        currentGroup = { label: label || null, entries: [] };
+      }
+      
+      explicitDepth++;
+    },
+    
+    /**
+     * End an explicit group
+     */
+    endGroup: function() {
+      if (explicitDepth === 0) return;
+      
+      explicitDepth--;
+      if (explicitDepth === 0) {
+        closeGroup();
+      }
+    },
+    
+    /**
+     * Step back one group
+     * @returns {Array|null} Changes to apply in order ({ path, value }), or null if nothing to undo
+     */
+    undo: function() {
+      closeGroup();
+      
+      const group = undoStack.pop();
+      if (!group) return null;
+      
+      redoStack.push(group);
+      onChange();
+      
+      return group.entries.slice().reverse().map(entry => ({ path: entry.path, value: entry.before }));
+    },
+    
+    /**
+     * Step forward one group
+     * @returns {Array|null} Changes to apply in order ({ path, value }), or null if nothing to redo
+     */
+    redo: function() {
+      closeGroup();
+      
+      const group = redoStack.pop();
+      if (!group) return null;
+      
+      undoStack.push(group);
+      onChange();
+      
+      return group.entries.map(entry => ({ path: entry.path, value: entry.after }));
+    },
+    
+    /**
+     * Drop all recorded history
+     */
+    clear: function() {
+      currentGroup = null;
+      explicitDepth = 0;
+      undoStack.length = 0;
+      redoStack.length = 0;
+      onChange();
+    },
+    
+    /**
+     * Get a summary of the stacks
+     * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel }
+     */
+    getStatus: function() {
+      const pending = currentGroup && currentGroup.entries.length > 0;
+      const nextUndo = pending ? currentGroup : undoStack[undoStack.length - 1];
+      const nextRedo = redoStack[redoStack.length - 1];
+      
+      return {
+        canUndo: !!nextUndo,
+        canRedo: !pending && !!nextRedo,
+        undoLabel: nextUndo ? nextUndo.label : null,
+        redoLabel: nextRedo && !pending ? nextRedo.label : null
+      };
+    }
+  };
+}
+
+export {
+  createHistory
+};
@@ -0,0 +1,364 @@
+/**
+ * Project Format
+ *
+ * Versioned JSON format for exporting and importing O3Measure projects.
+ * The same format is used for automatic session persistence, so a saved
+ * session and an exported file can always be read by the same code.
+ *
+ * See docs/project-format.md for the full schema and version history.
+ */
+
+import { isValidAnchorType } from '../utils/anchors.js';
+
+// Identifier written to every project file
+const PROJECT_FORMAT = 'o3measure-project';
+
+// Current project format version
+const PROJECT_FORMAT_VERSION = 3;
+
+// Object shapes a project may contain
+const OBJECT_TYPES = ['rectangle', 'circle', 'polygon'];
+
+/**
+ * Migrations from one version to the next, keyed by the version they upgrade from.
+ * Each migration receives a project of version N and returns version N + 1.
+ */
+const MIGRATIONS = {
+  // v0: unversioned data - either a bare objects array or { calibration, objects }
+  0: function(data) {
+    const source = Array.isArray(data) ? { objects: data } : data;
+    
+    return {
+      version: 1,
+      savedAt: source.savedAt || null,
+      calibration: source.calibration || {},
+      objects: source.objects || []
+    };
+  },
+  
+  // v1: session snapshot written by scene-state persistence
+  1: function(data) {
+    return {
+      format: PROJECT_FORMAT,
+      version: 2,
+      exportedAt: data.savedAt || null,
+      units: 'm',
+      calibration: data.calibration || {},
+      objects: data.objects || []
+    };
+  },
+  
+  // v2: single `calibration.wall` - becomes the first of several named walls
+  2: function(data) {
+    const wallId = 'wall_1';
+    const wall = data.calibration && data.calibration.wall;
+    const walls = {};
+    
+    if (wall) {
+      walls[wallId] = { ...wall, id: wallId, name: 'Wall 1' };
+    }
+    
+    return {
+      ...data,
+      version: 3,
+      calibration: wall ? { activeWallId: wallId, walls: walls } : { walls: walls },
+      objects: (data.objects || []).map(obj => ({ ...obj, wallId: obj.wallId || wallId }))
+    };
+  }
+};
+
+/**
+ * Deep-copy plain JSON data
+ * @param {*} value - Value to copy
+ * @returns {*} Copy without functions, DOM references or prototypes
+ */
+function cloneData(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build a project from the current scene-state values
+ * @param {Object} state - Object with `calibration` and `objects` (e.g. scene-state values)
+ * @param {Object} options - Optional metadata ({ name })
+ * @returns {Object} Project in the current format version
+ */
+function createProject(state, options = {}) {
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    units: 'm',
+    calibration: cloneData(state.calibration) || {},
+    objects: cloneData(state.objects) || []
+  };
+  
+  if (options.name) {
+    project.name = options.name;
+  }
+  
+  return project;
+}
+
+/**
+ * Get the format version of raw project data
+ * @param {*} data - Parsed project data
+ * @returns {Number} Version (0 for unversioned data)
+ */
+function getProjectVersion(data) {
+  if (data && typeof data === 'object' && !Array.isArray(data) && typeof data.version === 'number') {
+    return data.version;
+  }
+  
+  return 0;
+}
+
+/**
+ * Upgrade project data to the current format version
+ * @param {*} data - Parsed project data of any known version
+ * @returns {Object} Project in the current format version
+ */
+function migrateProject(data) {
+  let project = cloneData(data);
+  let version = getProjectVersion(project);
+  
+  while (version < PROJECT_FORMAT_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration available from project version ${version}`);
+    }
+    
+    project = migrate(project);
+    version = project.version;
+  }
+  
+  return project;
+}
+
+// Check that a value is a finite number
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Check that a value is an {x, y, z} vector of finite numbers
+function isVector3(value) {
+  return !!value && isNumber(value.x) && isNumber(value.y) && isNumber(value.z);
+}
+
+// Check the optional spatial anchor of a wall or object
+function validateSpatialAnchor(spatialAnchor, path, errors) {
+  if (spatialAnchor === undefined) return;
+  
+  if (!spatialAnchor || typeof spatialAnchor !== 'object') {
+    errors.push(`${path}.spatialAnchor must be an object`);
+    return;
+  }
+  
+  if (spatialAnchor.handle !== null && typeof spatialAnchor.handle !== 'string') {
+    errors.push(`${path}.spatialAnchor.handle must be a string or null`);
+  }
+  
+  const offset = spatialAnchor.offset;
+  const quaternion = offset && offset.quaternion;
+  if (!offset || !isVector3(offset.position) || !isVector3(quaternion) || !isNumber(quaternion.w)) {
+    errors.push(`${path}.spatialAnchor.offset must have a position vector and an {x, y, z, w} quaternion`);
+  }
+}
+
+/**
+ * Validate a project in the current format version
+ * @param {Object} project - Project to validate
+ * @returns {Array<String>} List of problems (empty when valid)
+ */
+function validateProject(project) {
+  const errors = [];
+  
+  if (!project || typeof project !== 'object' || Array.isArray(project)) {
+    return ['Project must be a JSON object'];
+  }
+  
+  if (project.format !== PROJECT_FORMAT) {
+    errors.push(`format must be '${PROJECT_FORMAT}'`);
+  }
+  
+  if (project.version !== PROJECT_FORMAT_VERSION) {
+    errors.push(`version must be ${PROJECT_FORMAT_VERSION}`);
+  }
+  
+  // Wall calibration is optional, but every wall must be well formed when present
+  const calibration = project.calibration || {};
+  const walls = calibration.walls || {};
+  
+  if (typeof walls !== 'object' || Array.isArray(walls)) {
+    errors.push('calibration.walls must be an object keyed by wall id');
+  } else {
+    Object.keys(walls).forEach(wallId => {
+      const wall = walls[wallId];
+      const path = `calibration.walls.${wallId}`;
+      
+      if (!wall || typeof wall !== 'object') {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      
+      if (wall.id !== wallId) errors.push(`${path}.id must match its key`);
+      if (!isVector3(wall.position)) errors.push(`${path}.position must be an {x, y, z} vector`);
+      if (!isVector3(wall.rotation)) errors.push(`${path}.rotation must be an {x, y, z} vector`);
+      if (!isNumber(wall.width) || wall.width <= 0) errors.push(`${path}.width must be a positive number`);
+      if (!isNumber(wall.height) || wall.height <= 0) errors.push(`${path}.height must be a positive number`);
+      validateSpatialAnchor(wall.spatialAnchor, path, errors);
+    });
+    
+    if (calibration.activeWallId && !walls[calibration.activeWallId]) {
+      errors.push(`calibration.activeWallId '${calibration.activeWallId}' does not match a wall`);
+    }
+  }
+  
+  if (!Array.isArray(project.objects)) {
+    errors.push('objects must be an array');
+    return errors;
+  }
+  
+  const ids = new Set();
+  
+  project.objects.forEach((obj, index) => {
+    const path = `objects[${index}]`;
+    
+    if (!obj || typeof obj !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    
+    if (typeof obj.id !== 'string' || !obj.id) {
+      errors.push(`${path}.id must be a non-empty string`);
+    } else if (ids.has(obj.id)) {
+      errors.push(`${path}.id '${obj.id}' is used more than once`);
+    } else {
+      ids.add(obj.id);
+    }
+    
+    // Circles can be defined by a center and a rim point, other shapes need at least 3 points
+    const minPoints = obj.type === 'circle' ? 2 : 3;
+    if (!Array.isArray(obj.points) || obj.points.length < minPoints || !obj.points.every(isVector3)) {
+      errors.push(`${path}.points must be an array of at least ${minPoints} {x, y, z} vectors`);
+    }
+    
+    if (obj.type !== undefined && !OBJECT_TYPES.includes(obj.type)) {
+      errors.push(`${path}.type must be one of ${OBJECT_TYPES.join(', ')}`);
+    }
+    if (obj.type === 'circle' && (!isNumber(obj.radius) || obj.radius <= 0)) {
+      errors.push(`${path}.radius must be a positive number`);
+    }
+    if (obj.outline !== undefined &&
+        (!Array.isArray(obj.outline) || obj.outline.length < 3 || !obj.outline.every(p => p && isNumber(p.x) && isNumber(p.y)))) {
+      errors.push(`${path}.outline must be an array of at least 3 {x, y} points`);
+    }
+    
+    if (!isNumber(obj.width) || obj.width <= 0) errors.push(`${path}.width must be a positive number`);
+    if (!isNumber(obj.height) || obj.height <= 0) errors.push(`${path}.height must be a positive number`);
+    if (!isVector3(obj.center)) errors.push(`${path}.center must be an {x, y, z} vector`);
+    if (obj.rotation !== undefined && !isVector3(obj.rotation)) {
+      errors.push(`${path}.rotation must be an {x, y, z} vector`);
+    }
+    ['name', 'notes'].forEach(key => {
+      if (obj[key] !== undefined && typeof obj[key] !== 'string') {
+        errors.push(`${path}.${key} must be a string`);
+      }
+    });
+    if (obj.wallId && Object.keys(walls).length > 0 && !walls[obj.wallId]) {
+      errors.push(`${path}.wallId '${obj.wallId}' does not match a wall`);
+    }
+    validateSpatialAnchor(obj.spatialAnchor, path, errors);
+    
+    if (obj.anchors !== undefined) {
+      if (!Array.isArray(obj.anchors)) {
+        errors.push(`${path}.anchors must be an array`);
+      } else {
+        obj.anchors.forEach((anchor, anchorIndex) => {
+          if (!anchor || !isVector3(anchor.position)) {
+            errors.push(`${path}.anchors[${anchorIndex}].position must be an {x, y, z} vector`);
+          }
+          if (anchor && !isValidAnchorType(anchor.type)) {
+            errors.push(`${path}.anchors[${anchorIndex}].type '${anchor.type}' is not a known anchor type`);
+          }
+          if (anchor && anchor.label !== undefined && typeof anchor.label !== 'string') {
+            errors.push(`${path}.anchors[${anchorIndex}].label must be a string`);
+          }
+          if (anchor && anchor.type === 'wire') {
+            if (!Array.isArray(anchor.attachments) || anchor.attachments.length !== 2 ||
+                !anchor.attachments.every(isVector3)) {
+              errors.push(`${path}.anchors[${anchorIndex}].attachments must be two {x, y, z} vectors`);
+            }
+            if (!isNumber(anchor.wireLength) || anchor.wireLength <= 0) {
+              errors.push(`${path}.anchors[${anchorIndex}].wireLength must be a positive number`);
+            }
+          }
+        });
+      }
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Parse, migrate and validate project data
+ * @param {String|Object} input - JSON text or already parsed data
+ * @returns {Object} { project, errors } - project is null when errors is not empty
+ */
+function parseProject(input) {
+  let data = input;
+  
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      return { project: null, errors: [`Invalid JSON: ${e.message}`] };
+    }
+  }
+  
+  if (!data || typeof data !== 'object') {
+    return { project: null, errors: ['Project must be a JSON object'] };
+  }
+  
+  const version = getProjectVersion(data);
+  if (version > PROJECT_FORMAT_VERSION) {
+    return {
+      project: null,
+      errors: [`Project version ${version} is newer than supported version ${PROJECT_FORMAT_VERSION}`]
+    };
+  }
+  
+  let project;
+  try {
+    project = migrateProject(data);
+  } catch (e) {
+    return { project: null, errors: [e.message] };
+  }
+  
+  const errors = validateProject(project);
+  
+  return {
+    project: errors.length === 0 ? project : null,
+    errors
+  };
+}
+
+/**
+ * Serialize a project to JSON text
+ * @param {Object} project - Project to serialize
+ * @returns {String} Pretty-printed JSON
+ */
+function stringifyProject(project) {
+  return JSON.stringify(project, null, 2);
+}
+
+export {
+  PROJECT_FORMAT,
+  PROJECT_FORMAT_VERSION,
+  createProject,
+  getProjectVersion,
+  migrateProject,
+  validateProject,
+  parseProject,
+  stringifyProject
+};
@@ -4,14 +4,117 @@
  * Manages application state for the O3Measure app
  * Uses a singleton pattern to store state across components
  * Components can access and modify state through this system
+ * Persists calibration and objects between sessions through a storage adapter
+ * User settings (e.g. the unit system) are stored separately from the project data
  */
 
-import { events } from '../utils/index.js';
+import { anchors, events, files, geometry, interaction, snapping, units, walls } from '../utils/index.js';
+import { createStorageAdapter } from './storage-adapters.js';
+import { createProject, parseProject, stringifyProject } from './project-format.js';
+import { createHistory } from './history.js';
 
-const { EVENTS, emitEvent } = events;
+const { EVENTS, emitEvent, emitStatus } = events;
+const { downloadTextFile } = files;
+const { fitPlaneToPoints, calculatePointDeviations, rotationToNormal, alignPoseToPlane, transformPoseLocal } = geometry;
+const { getAdjustmentStep, DEFAULT_GRID, isValidGrid } = walls;
+const { DEFAULT_UNITS, isValidUnits } = units;
+const { isValidPointSource } = interaction;
+const { DEFAULT_SNAP_TARGETS, isValidSnapTargets } = snapping;
+const { ANCHOR_TEMPLATES, isValidAnchorTemplate, isValidAnchorTemplates } = anchors;
+
+// Wall nudge axes: moves along the wall's own axes and turns about them
+const NUDGE_AXES = {
+  x: { move: 'x' },
+  y: { move: 'y' },
+  z: { move: 'z' },
+  pitch: { turn: 'x' },
+  yaw: { turn: 'y' },
+  roll: { turn: 'z' }
+};
+
+// Id of the wall that exists in every session
+const DEFAULT_WALL_ID = 'wall_1';
+
+// Create the state of a new, uncalibrated wall
+function createWallState(id, name) {
+  return {
+    id: id,
+    name: name,
+    isCalibrated: false,
+    position: { x: 0, y: 1, z: -2 },
+    rotation: { x: 0, y: 0, z: 0 },
+    width: 4,  // Wider wall
+    height: 3, // Taller wall
+    color: '#888888',
+    opacity: 0.6,
+    visible: false,
+    adjustmentFactor: 0.01 // How much to move per adjustment (in meters)
+  };
+}
+
+// Top-level state paths that are saved between sessions
+const PERSISTED_PATHS = ['calibration', 'objects'];
+
+// User preferences - saved under their own storage key, not part of projects or undo history
+const DEFAULT_SETTINGS = {
+  units: DEFAULT_UNITS, // Unit system for all labels and status messages
+  pointSource: 'fingertip', // Where calibration and object points are taken from
+  snapTargets: DEFAULT_SNAP_TARGETS, // What dragged objects snap to (grid, objects, center)
+  grid: DEFAULT_GRID, // Wall grid spacing, major lines, origin and labels
+  anchorTemplates: [] // User-defined anchor templates, offered after the built-in ones
+};
+
+// Validation of each setting, used when settings are changed or restored
+const SETTINGS_VALIDATORS = {
+  units: isValidUnits,
+  pointSource: isValidPointSource,
+  snapTargets: isValidSnapTargets,
+  grid: isValidGrid,
+  anchorTemplates: isValidAnchorTemplates
+};
+
+// Top-level state paths recorded for undo/redo, with default action labels
+const HISTORY_LABELS = {
+  calibration: 'Wall calibration',
+  objects: 'Edit objects'
+};
+
+// Deep-copy a state value so history entries can't be mutated later
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Read a dot-notation path from an object
+function readPath(obj, path) {
+  return path.split('.').reduce((target, prop) => {
+    return target && target[prop] !== undefined ? target[prop] : undefined;
+  }, obj);
+}
+
+// Write a dot-notation path on an object, creating intermediate objects
+function writePath(obj, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, prop) => {
+    if (!node[prop] || typeof node[prop] !== 'object') node[prop] = {};
+    return node[prop];
+  }, obj);
+  
+  if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = value;
+  }
+}
 
 AFRAME.registerSystem('scene-state', {
-  schema: {},
+  schema: {
+    persist: { type: 'boolean', default: true },
+    storage: { type: 'string', default: 'auto' }, // auto, indexeddb, localstorage, memory
+    storageKey: { type: 'string', default: 'o3measure-scene' },
+    saveDelay: { type: 'number', default: 500 }, // Debounce for writes (ms)
+    historyLimit: { type: 'number', default: 100 } // Max undo steps
+  },
   
   init: function() {
     console.log('Scene State: Initializing');
@@ -19,32 +122,486 @@ AFRAME.registerSystem('scene-state', {
     // Global state object
     this.state = {
       calibration: {
-        wall: {
-          isCalibrated: false,
-          position: { x: 0, y: 1, z: -2 },
-          rotation: { x: 0, y: 0, z: 0 },
-          width: 4,  // Wider wall
-          height: 3, // Taller wall
-          color: '#888888',
-          opacity: 0.6,
-          visible: false,
-          adjustmentFactor: 0.01 // How much to move per adjustment (in meters)
+        activeWallId: DEFAULT_WALL_ID, // Wall targeted by calibration and new objects
+        walls: {
+          [DEFAULT_WALL_ID]: createWallState(DEFAULT_WALL_ID, 'Wall 1')
         }
       },
       objects: [], // Array for storing defined objects
-      currentObjectId: null // Track the currently selected object
+      currentObjectId: null, // Track the currently selected object
+      settings: { ...DEFAULT_SETTINGS }
     };
     
+    // Setup undo/redo history
+    this.setupHistory();
+    
     // Setup event listeners
     this.setupEventListeners();
     
+    // Setup persistence and restore the previous session
+    this.setupPersistence();
+    
     console.log('Scene State: Initialized');
   },
   
+  setupHistory: function() {
+    this.isApplyingHistory = false;
+    
+    this.history = createHistory({
+      limit: this.data.historyLimit,
+      onChange: () => emitEvent(this.el, EVENTS.HISTORY.CHANGED, this.history.getStatus())
+    });
+    
+    // Last recorded copy of each tracked path, used as the "before" value of the next change
+    this.committed = {};
+    this.resetHistory();
+  },
+  
+  // Forget all undo steps and take the current state as the new baseline
+  resetHistory: function() {
+    Object.keys(HISTORY_LABELS).forEach(root => {
+      this.committed[root] = cloneValue(this.state[root]);
+    });
+    
+    this.history.clear();
+  },
+  
+  // Record a state change as a reversible diff
+  trackHistory: function(path, value) {
+    const root = path.split('.')[0];
+    if (!HISTORY_LABELS[root]) return;
+    
+    const after = cloneValue(value);
+    
+    // Changes made while undoing, redoing or restoring only move the baseline
+    if (this.isApplyingHistory || this.isRestoring) {
+      writePath(this.committed, path, after);
+      return;
+    }
+    
+    const before = cloneValue(readPath(this.committed, path));
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    
+    this.history.record(path, before, after, HISTORY_LABELS[root]);
+    writePath(this.committed, path, after);
+  },
+  
+  // Group all changes until endHistoryGroup() into a single undo step (e.g. a drag)
+  beginHistoryGroup: function(label) {
+    this.history.beginGroup(label);
+  },
+  
+  endHistoryGroup: function() {
+    this.history.endGroup();
+  },
+  
+  undo: function() {
+    const changes = this.history.undo();
+    if (!changes) {
+      console.log('Scene State: Nothing to undo');
+      return false;
+    }
+    
+    this.applyHistoryChanges(changes);
+    console.log('Scene State: Undo applied');
+    return true;
+  },
+  
+  redo: function() {
+    const changes = this.history.redo();
+    if (!changes) {
+      console.log('Scene State: Nothing to redo');
+      return false;
+    }
+    
+    this.applyHistoryChanges(changes);
+    console.log('Scene State: Redo applied');
+    return true;
+  },
+  
+  // Feed history values back through updateState so every listener updates
+  applyHistoryChanges: function(changes) {
+    this.applyWithoutHistory(() => {
+      changes.forEach(change => {
+        this.updateState(change.path, cloneValue(change.value));
+      });
+    });
+  },
+  
+  // Run state changes that are not user edits (e.g. poses corrected by spatial anchors)
+  // They are saved and become the new baseline, but can't be undone
+  applyWithoutHistory: function(callback) {
+    const wasApplying = this.isApplyingHistory;
+    this.isApplyingHistory = true;
+    
+    try {
+      callback();
+    } finally {
+      this.isApplyingHistory = wasApplying;
+    }
+  },
+  
+  setupPersistence: function() {
+    this.storage = null;
+    this.saveTimer = null;
+    this.isRestoring = false;
+    this.hasRestored = false;
+    
+    if (!this.data.persist) {
+      console.log('Scene State: Persistence disabled');
+      return;
+    }
+    
+    this.storage = createStorageAdapter(this.data.storage);
+    console.log('Scene State: Using storage adapter', this.storage.name);
+    
+    // Save whenever a persisted path changes
+    this.el.addEventListener(EVENTS.STATE.CHANGED, this.onPersistedStateChanged.bind(this));
+    
+    // Restore once the scene and the app entities have been created
+    const restore = () => setTimeout(() => this.restorePersistedState(), 0);
+    if (this.el.hasLoaded) {
+      restore();
+    } else {
+      this.el.addEventListener('loaded', restore, { once: true });
+    }
+  },
+  
+  // Load the saved settings and snapshot and feed them back through updateState
+  restorePersistedState: function() {
+    if (!this.storage) return Promise.resolve();
+    
+    return this.restoreSettings()
+      .then(() => this.storage.load(this.data.storageKey))
+      .then(saved => {
+        if (!saved) {
+          console.log('Scene State: No saved session found');
+          return;
+        }
+        
+        // Saved sessions use the project format, so older saves are migrated here
+        const { project, errors } = parseProject(saved);
+        if (!project) {
+          console.warn('Scene State: Ignoring invalid saved session', errors);
+          return;
+        }
+        
+        console.log('Scene State: Restoring saved session from', project.exportedAt);
+        this.applySnapshot(project);
+      })
+      .catch(err => {
+        console.error('Scene State: Failed to restore saved session', err);
+      })
+      .finally(() => {
+        this.hasRestored = true;
+        emitEvent(this.el, EVENTS.STATE.RESTORED, { source: this.storage.name });
+      });
+  },
+  
+  // Apply a snapshot so that every listener sees regular STATE.CHANGED events
+  applySnapshot: function(snapshot) {
+    this.isRestoring = true;
+    
+    // Let components drop anything derived from the state being replaced
+    emitEvent(this.el, EVENTS.STATE.RESTORING);
+    
+    try {
+      const calibration = snapshot.calibration || {};
+      
+      if (calibration.walls) {
+        // A snapshot without walls starts over with one uncalibrated wall
+        const walls = Object.keys(calibration.walls).length > 0
+          ? calibration.walls
+          : { [DEFAULT_WALL_ID]: createWallState(DEFAULT_WALL_ID, 'Wall 1') };
+        
+        // Remove walls that aren't part of the snapshot
+        this.getWalls().forEach(wall => {
+          if (!walls[wall.id]) {
+            this.updateState(`calibration.walls.${wall.id}`, undefined);
+          }
+        });
+        
+        // Create missing walls, then apply their properties
+        Object.keys(walls).forEach(wallId => {
+          const wall = walls[wallId];
+          
+          if (!this.getWall(wallId)) {
+            this.updateState(`calibration.walls.${wallId}`, createWallState(wallId, wall.name || wallId));
+          }
+          
+          this.updateWall(wallId, wall);
+        });
+      }
+      
+      if (calibration.activeWallId && this.getWall(calibration.activeWallId)) {
+        this.updateState('calibration.activeWallId', calibration.activeWallId);
+      } else if (!this.getWall(this.getActiveWallId())) {
+        this.updateState('calibration.activeWallId', this.getWalls()[0].id);
+      }
+      
+      if (Array.isArray(snapshot.objects)) {
+        this.updateState('objects', snapshot.objects);
+      }
+    } finally {
+      this.isRestoring = false;
+    }
+    
+    // Restored data starts a fresh undo history
+    this.resetHistory();
+  },
+  
+  // Build a project-format snapshot of the persisted paths
+  createSnapshot: function() {
+    return createProject({
+      calibration: this.getState('calibration'),
+      objects: this.getState('objects')
+    });
+  },
+  
+  // Serialize the current state as an exportable project file
+  exportProject: function() {
+    return stringifyProject(this.createSnapshot());
+  },
+  
+  // Validate, migrate and apply project data (JSON text or parsed object)
+  importProject: function(input) {
+    const { project, errors } = parseProject(input);
+    
+    if (!project) {
+      console.error('Scene State: Project import failed', errors);
+      return { success: false, errors };
+    }
+    
+    this.applySnapshot(project);
+    
+    // Imported data replaces the saved session as well
+    if (this.storage) {
+      this.schedulePersist();
+    }
+    
+    emitEvent(this.el, EVENTS.STATE.RESTORED, { source: 'import' });
+    
+    console.log(`Scene State: Imported project with ${project.objects.length} objects`);
+    return { success: true, errors: [], project };
+  },
+  
+  onPersistedStateChanged: function(event) {
+    const path = event.detail && event.detail.path;
+    if (!path || this.isRestoring) return;
+    
+    const root = path.split('.')[0];
+    if (PERSISTED_PATHS.includes(root)) {
+      this.schedulePersist();
+    } else if (root === 'settings') {
+      this.persistSettings();
+    }
+  },
+  
+  // Debounce writes so dragging an object doesn't hammer the storage backend
+  schedulePersist: function() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+    }
+    
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.persistState();
+    }, this.data.saveDelay);
+  },
+  
+  persistState: function() {
+    if (!this.storage) return Promise.resolve();
+    
+    return this.storage.save(this.data.storageKey, this.createSnapshot())
+      .catch(err => {
+        console.error('Scene State: Failed to persist state', err);
+      });
+  },
+  
+  // Storage key of the user settings
+  getSettingsKey: function() {
+    return `${this.data.storageKey}-settings`;
+  },
+  
+  restoreSettings: function() {
+    return this.storage.load(this.getSettingsKey())
+      .then(saved => {
+        if (!saved) return;
+        
+        this.isRestoring = true;
+        try {
+          Object.keys(SETTINGS_VALIDATORS).forEach(key => {
+            if (SETTINGS_VALIDATORS[key](saved[key])) {
+              this.updateState(`settings.${key}`, saved[key]);
+            }
+          });
+        } finally {
+          this.isRestoring = false;
+        }
+      })
+      .catch(err => {
+        console.error('Scene State: Failed to restore settings', err);
+      });
+  },
+  
+  persistSettings: function() {
+    if (!this.storage) return Promise.resolve();
+    
+    return this.storage.save(this.getSettingsKey(), cloneValue(this.state.settings))
+      .catch(err => {
+        console.error('Scene State: Failed to persist settings', err);
+      });
+  },
+  
+  // Remove the saved session (the in-memory state is left untouched)
+  clearPersistedState: function() {
+    if (!this.storage) return Promise.resolve();
+    
+    return this.storage.remove(this.data.storageKey);
+  },
+  
   setupEventListeners: function() {
     this.el.addEventListener(EVENTS.STATE.UPDATE, this.onStateUpdate.bind(this));
     this.el.addEventListener(EVENTS.WALL.ACTION, this.onWallCalibrationAction.bind(this));
     this.el.addEventListener('anchor-completed', this.onAnchorCompleted.bind(this));
+    this.el.addEventListener(EVENTS.PROJECT.ACTION, this.onProjectAction.bind(this));
+    this.el.addEventListener(EVENTS.SETTINGS.ACTION, this.onSettingsAction.bind(this));
+    this.el.addEventListener(EVENTS.HISTORY.UNDO, () => this.undo());
+    this.el.addEventListener(EVENTS.HISTORY.REDO, () => this.redo());
+  },
+  
+  // Handle project export/import requests from the menus
+  onProjectAction: function(event) {
+    const { action, data, fileName } = event.detail;
+    
+    switch(action) {
+      case 'export-project': {
+        const date = new Date().toISOString().slice(0, 10);
+        const name = `o3measure-project-${date}.json`;
+        
+        try {
+          downloadTextFile(name, this.exportProject());
+          emitStatus(this.el, EVENTS.PROJECT.STATUS, 'exported', `Exported ${name}`, { action });
+        } catch (e) {
+          console.error('Scene State: Project export failed', e);
+          emitStatus(this.el, EVENTS.PROJECT.STATUS, 'error', 'Export failed', { action });
+        }
+        break;
+      }
+        
+      case 'import-project': {
+        const result = this.importProject(data);
+        
+        if (result.success) {
+          const count = result.project.objects.length;
+          emitStatus(this.el, EVENTS.PROJECT.STATUS, 'imported',
+            `Imported ${count} object${count === 1 ? '' : 's'}${fileName ? ` from ${fileName}` : ''}`,
+            { action });
+        } else {
+          emitStatus(this.el, EVENTS.PROJECT.STATUS, 'error', result.errors[0], {
+            action,
+            errors: result.errors
+          });
+        }
+        break;
+      }
+    }
+  },
+  
+  // Handle settings changes from the Settings menu
+  onSettingsAction: function(event) {
+    const { action } = event.detail;
+    
+    switch(action) {
+      case 'set-units':
+        this.setSetting('units', event.detail.units);
+        break;
+        
+      case 'set-point-source':
+        this.setSetting('pointSource', event.detail.pointSource);
+        break;
+        
+      case 'set-snap-targets':
+        this.setSetting('snapTargets', event.detail.snapTargets);
+        break;
+        
+      case 'set-grid':
+        // Change some grid options, keeping the others
+        this.setSetting('grid', { ...this.getGrid(), ...event.detail.grid });
+        break;
+        
+      case 'save-anchor-template':
+        this.saveAnchorTemplate(event.detail.template);
+        break;
+        
+      case 'delete-anchor-template':
+        this.deleteAnchorTemplate(event.detail.templateId);
+        break;
+    }
+  },
+  
+  // Get a user setting, falling back to its default when the stored value is invalid
+  getSetting: function(key) {
+    const value = this.getState(`settings.${key}`);
+    return SETTINGS_VALIDATORS[key] && SETTINGS_VALIDATORS[key](value) ? value : DEFAULT_SETTINGS[key];
+  },
+  
+  // Change a user setting
+  setSetting: function(key, value) {
+    if (!SETTINGS_VALIDATORS[key] || !SETTINGS_VALIDATORS[key](value)) {
+      console.warn(`Scene State: Invalid value for setting ${key}`, value);
+      return false;
+    }
+    
+    if (value !== this.getState(`settings.${key}`)) {
+      this.updateState(`settings.${key}`, value);
+    }
+    
+    return true;
+  },
+  
+  // Get the unit system used for labels and status messages
+  getUnits: function() {
+    return this.getSetting('units');
+  },
+  
+  // Get where calibration and object points are taken from ('fingertip' or 'surface')
+  getPointSource: function() {
+    return this.getSetting('pointSource');
+  },
+  
+  // Get what dragged objects snap to (see SNAP_TARGETS)
+  getSnapTargets: function() {
+    return this.getSetting('snapTargets');
+  },
+  
+  // Get the wall grid options { spacing, majorEvery, origin, labels }
+  getGrid: function() {
+    return this.getSetting('grid');
+  },
+  
+  // Get the built-in anchor templates followed by the user's own
+  getAnchorTemplates: function() {
+    return ANCHOR_TEMPLATES.concat(this.getSetting('anchorTemplates'));
+  },
+  
+  // Add a user-defined anchor template, replacing one with the same id
+  saveAnchorTemplate: function(template) {
+    if (!isValidAnchorTemplate(template) || ANCHOR_TEMPLATES.some(builtIn => builtIn.id === template.id)) {
+      console.warn('Scene State: Invalid anchor template', template);
+      return false;
+    }
+    
+    const templates = this.getSetting('anchorTemplates').filter(existing => existing.id !== template.id);
+    return this.setSetting('anchorTemplates', templates.concat(template));
+  },
+  
+  // Remove a user-defined anchor template (built-in templates can't be removed)
+  deleteAnchorTemplate: function(templateId) {
+    const templates = this.getSetting('anchorTemplates');
+    if (!templates.some(template => template.id === templateId)) return false;
+    
+    return this.setSetting('anchorTemplates', templates.filter(template => template.id !== templateId));
   },
   
   // Handle anchor completion event
@@ -84,11 +641,135 @@ AFRAME.registerSystem('scene-state', {
     }
   },
   
+  // Change some properties of an object (undefined removes one) and let renderers redraw it
+  // The change and anything the renderers store in response is a single undo step
+  updateObject: function(objectId, changes, label = 'Edit object') {
+    const objects = this.getState('objects') || [];
+    const objectIndex = objects.findIndex(obj => obj.id === objectId);
+    
+    if (objectIndex < 0) {
+      console.error('Scene State: Object not found for update:', objectId);
+      return null;
+    }
+    
+    const object = { ...objects[objectIndex], ...changes };
+    Object.keys(changes).forEach(key => {
+      if (changes[key] === undefined) {
+        delete object[key];
+      }
+    });
+    objects[objectIndex] = object;
+    
+    this.beginHistoryGroup(label);
+    this.updateState('objects', objects);
+    this.el.emit(EVENTS.OBJECT.UPDATED, {
+      objectId: objectId,
+      object: object
+    });
+    this.endHistoryGroup();
+    
+    console.log('Scene State: Object updated', objectId, Object.keys(changes));
+    return object;
+  },
+  
+  // Get the id of the wall targeted by calibration and new objects
+  getActiveWallId: function() {
+    return this.getState('calibration.activeWallId') || DEFAULT_WALL_ID;
+  },
+  
+  // Get a wall by id (defaults to the active wall)
+  getWall: function(wallId) {
+    const walls = this.getState('calibration.walls') || {};
+    return walls[wallId || this.getActiveWallId()] || null;
+  },
+  
+  // Get all walls as an array
+  getWalls: function() {
+    const walls = this.getState('calibration.walls') || {};
+    return Object.keys(walls).map(id => walls[id]);
+  },
+  
+  // Update several wall properties at once
+  updateWall: function(wallId, props) {
+    const { isCalibrated, id: _id, ...wallProps } = props;
+    
+    Object.keys(wallProps).forEach(key => {
+      this.updateState(`calibration.walls.${wallId}.${key}`, wallProps[key]);
+    });
+    
+    // Apply the calibration flag last, since wall-plane announces
+    // calibration completion when isCalibrated changes
+    if (isCalibrated !== undefined) {
+      this.updateState(`calibration.walls.${wallId}.isCalibrated`, !!isCalibrated);
+    }
+  },
+  
+  // Add a new uncalibrated wall and make it the active wall
+  addWall: function(name) {
+    const numbers = this.getWalls()
+      .map(wall => parseInt(wall.id.replace('wall_', ''), 10))
+      .filter(n => !isNaN(n));
+    const next = (numbers.length ? Math.max(...numbers) : 0) + 1;
+    const wallId = `wall_${next}`;
+    
+    this.updateState(`calibration.walls.${wallId}`, createWallState(wallId, name || `Wall ${next}`));
+    this.updateState('calibration.activeWallId', wallId);
+    
+    console.log('Scene State: Added wall', wallId);
+    return wallId;
+  },
+  
+  // Remove a wall; objects on it stay in the library but are taken off the wall
+  removeWall: function(wallId) {
+    const walls = this.getWalls();
+    
+    if (!this.getWall(wallId)) {
+      console.warn('Scene State: Cannot remove unknown wall', wallId);
+      return false;
+    }
+    
+    if (walls.length <= 1) {
+      console.warn('Scene State: Cannot remove the last wall');
+      return false;
+    }
+    
+    const objects = this.getState('objects') || [];
+    if (objects.some(obj => obj.wallId === wallId)) {
+      objects.forEach(obj => {
+        if (obj.wallId === wallId) {
+          obj.projected = false;
+          obj.wallId = null;
+        }
+      });
+      this.updateState('objects', objects);
+    }
+    
+    if (this.getActiveWallId() === wallId) {
+      const remaining = walls.find(wall => wall.id !== wallId);
+      this.updateState('calibration.activeWallId', remaining.id);
+    }
+    
+    this.updateState(`calibration.walls.${wallId}`, undefined);
+    
+    console.log('Scene State: Removed wall', wallId);
+    return true;
+  },
+  
+  // Select the wall targeted by calibration and new objects
+  setActiveWall: function(wallId) {
+    if (!this.getWall(wallId)) {
+      console.warn('Scene State: Cannot select unknown wall', wallId);
+      return;
+    }
+    
+    this.updateState('calibration.activeWallId', wallId);
+  },
+  
   // Get state or substate
   getState: function(path) {
     if (!path) return this.state;
     
-    // Access nested properties via dot notation (e.g., 'calibration.wall')
+    // Access nested properties via dot notation (e.g., 'calibration.walls.wall_1')
     return path.split('.').reduce((obj, prop) => {
       return obj && obj[prop] !== undefined ? obj[prop] : null;
     }, this.state);
@@ -105,7 +786,15 @@ AFRAME.registerSystem('scene-state', {
       return obj[prop];
     }, this.state);
     
-    target[last] = value;
+    // Setting a value to undefined removes it (e.g. a deleted wall)
+    if (value === undefined) {
+      delete target[last];
+    } else {
+      target[last] = value;
+    }
+    
+    // Record the change for undo/redo before listeners react to it
+    this.trackHistory(path, value);
     
     // Emit state change event
     emitEvent(this.el, EVENTS.STATE.CHANGED, {
@@ -126,72 +815,134 @@ AFRAME.registerSystem('scene-state', {
   
   onWallCalibrationAction: function(event) {
     const action = event.detail.action;
+    const wallId = event.detail.wallId || this.getActiveWallId();
+    const wallPath = `calibration.walls.${wallId}`;
     
     switch(action) {
       case 'reset-wall-calibration':
         // Reset wall to default values
-        this.updateState('calibration.wall.isCalibrated', false);
-        this.updateState('calibration.wall.visible', false);
-        emitEvent(this.el, EVENTS.WALL.RESET);
-        console.log('Scene State: Wall calibration reset');
+        this.updateState(`${wallPath}.isCalibrated`, false);
+        this.updateState(`${wallPath}.visible`, false);
+        emitEvent(this.el, EVENTS.WALL.RESET, { wallId });
+        console.log('Scene State: Wall calibration reset', wallId);
         break;
         
       case 'adjust-wall':
         // Make wall visible and enter adjustment mode
-        this.updateState('calibration.wall.visible', true);
-        emitEvent(this.el, EVENTS.WALL.ADJUST_START);
-        console.log('Scene State: Wall adjustment started');
+        this.updateState(`${wallPath}.visible`, true);
+        emitEvent(this.el, EVENTS.WALL.ADJUST_START, { wallId });
+        console.log('Scene State: Wall adjustment started', wallId);
         break;
         
       case 'move-wall-closer':
         // Move wall closer to user
-        this.adjustWallPosition(-1); // Negative means closer
+        this.adjustWallPosition(-1, wallId); // Negative means closer
         console.log('Scene State: Moving wall closer');
         break;
         
       case 'move-wall-farther':
         // Move wall farther from user
-        this.adjustWallPosition(1); // Positive means farther
+        this.adjustWallPosition(1, wallId); // Positive means farther
         console.log('Scene State: Moving wall farther');
         break;
+        
+      case 'nudge-wall':
+        // Move or turn the wall by one adjustment step
+        this.nudgeWall(wallId, event.detail.axis, event.detail.direction);
+        break;
+        
+      case 'set-adjustment-step':
+        this.setAdjustmentStep(wallId, event.detail.step);
+        break;
+        
+      case 'refine-wall':
+        // Fit the wall to points measured on the physical wall
+        this.refineWall(wallId, event.detail.points || []);
+        break;
+        
+      case 'select-wall':
+        this.setActiveWall(wallId);
+        break;
+        
+      case 'add-wall':
+        this.addWall(event.detail.name);
+        break;
+        
+      case 'remove-wall':
+        this.removeWall(wallId);
+        break;
+    }
+  },
+  
+  // Move a calibrated wall onto points measured on the physical wall
+  // Three or more points set the wall plane; one or two only shift the wall along its normal
+  refineWall: function(wallId, points) {
+    const wall = this.getWall(wallId);
+    if (!wall || !wall.isCalibrated || points.length === 0) return false;
+    
+    const normal = rotationToNormal(wall.rotation);
+    const plane = points.length >= 3 ? fitPlaneToPoints(points) : null;
+    
+    let planePoint = plane ? plane.point : null;
+    const planeNormal = plane ? plane.normal : normal;
+    
+    // Collinear points can't tilt the wall either
+    if (!plane) {
+      // Shift by the average distance of the points from the wall
+      const deviations = calculatePointDeviations(points, wall.position, normal);
+      const offset = deviations.reduce((sum, d) => sum + d, 0) / deviations.length;
+      planePoint = new THREE.Vector3(wall.position.x, wall.position.y, wall.position.z)
+        .add(normal.clone().multiplyScalar(offset));
     }
+    
+    const pose = alignPoseToPlane(wall.position, wall.rotation, planePoint, planeNormal);
+    
+    this.beginHistoryGroup('Refine wall');
+    this.updateWall(wall.id, pose);
+    this.endHistoryGroup();
+    
+    console.log('Scene State: Wall refined from', points.length, 'points', wall.id, pose);
+    return true;
+  },
+  
+  adjustWallPosition: function(direction, wallId) {
+    // Move along the wall normal - negative is closer to the user
+    this.nudgeWall(wallId, 'z', direction);
   },
   
-  adjustWallPosition: function(direction) {
+  // Move the wall along one of its own axes, or turn it about one, by the wall's adjustment step
+  nudgeWall: function(wallId, axis, direction) {
     // Get current wall state
-    const wall = this.getState('calibration.wall');
-    if (!wall || !wall.visible) return;
-    
-    // Get adjustment factor
-    const factor = wall.adjustmentFactor || 0.01; // Default 1cm
-    
-    // Get wall normal direction (simplified - assumes wall faces user on Z axis)
-    const normal = new THREE.Vector3(0, 0, 1);
-    
-    // Apply rotation to normal if wall is rotated
-    if (wall.rotation) {
-      const rotation = new THREE.Euler(
-        THREE.MathUtils.degToRad(wall.rotation.x),
-        THREE.MathUtils.degToRad(wall.rotation.y),
-        THREE.MathUtils.degToRad(wall.rotation.z),
-        'XYZ'
-      );
-      normal.applyEuler(rotation);
-    }
-    
-    // Scale normal by adjustment factor and direction
-    normal.multiplyScalar(factor * direction);
-    
-    // Update position
-    const newPosition = {
-      x: wall.position.x + normal.x,
-      y: wall.position.y + normal.y,
-      z: wall.position.z + normal.z
-    };
+    const wall = this.getWall(wallId);
+    const nudge = NUDGE_AXES[axis];
+    if (!wall || !wall.visible || !nudge) return;
+    
+    const step = getAdjustmentStep(wall.adjustmentFactor);
+    const sign = direction < 0 ? -1 : 1;
+    
+    const translation = { x: 0, y: 0, z: 0 };
+    const angles = { x: 0, y: 0, z: 0 };
+    if (nudge.move) translation[nudge.move] = step.distance * sign;
+    if (nudge.turn) angles[nudge.turn] = step.angle * sign;
+    
+    const pose = transformPoseLocal(wall.position, wall.rotation, translation, angles);
     
-    // Update state
-    this.updateState('calibration.wall.position', newPosition);
+    // Position and rotation form a single undo step
+    this.beginHistoryGroup('Adjust wall');
+    this.updateWall(wall.id, pose);
+    this.endHistoryGroup();
     
-    console.log('Scene State: Wall adjusted to', newPosition);
+    console.log('Scene State: Wall adjusted', axis, sign, pose);
+  },
+  
+  // Set the distance used for wall nudges; turns use the matching angle
+  setAdjustmentStep: function(wallId, distance) {
+    const wall = this.getWall(wallId);
+    if (!wall || typeof distance !== 'number' || !(distance > 0)) return;
+    
+    // A preference, not an edit of the wall - keep it out of undo history
+    this.applyWithoutHistory(() => {
+      this.updateState(`calibration.walls.${wall.id}.adjustmentFactor`, getAdjustmentStep(distance).distance);
+    });
   }
 });
\ No newline at end of file
@@ -0,0 +1,625 @@
+/**
+ * Spatial Anchors System
+ *
+ * Keeps calibrated walls and projected objects locked to the real world with
+ * WebXR anchors. Every target gets an XRAnchor; the pose of the target relative
+ * to its anchor is stored with the wall or object as `spatialAnchor`, together
+ * with a persistent anchor handle where the runtime supports persistent anchors.
+ *
+ * On session start the stored handles are restored and the saved poses are
+ * corrected to where the runtime finds the anchors. Walls whose anchor can't be
+ * found are marked for manual recalibration.
+ */
+
+import { events, geometry } from '../utils/index.js';
+
+const { EVENTS, emitStatus } = events;
+const { poseToMatrix, matrixToPose } = geometry;
+
+// Pose differences below these limits are treated as tracking noise
+const POSITION_TOLERANCE = 0.005; // meters
+const ROTATION_TOLERANCE = THREE.MathUtils.degToRad(0.5);
+
+// Check whether two pose matrices are within tracking noise of each other
+function isSamePose(a, b) {
+  const positionA = new THREE.Vector3();
+  const positionB = new THREE.Vector3();
+  const quaternionA = new THREE.Quaternion();
+  const quaternionB = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  
+  a.decompose(positionA, quaternionA, scale);
+  b.decompose(positionB, quaternionB, scale);
+  
+  return positionA.distanceTo(positionB) <= POSITION_TOLERANCE &&
+    quaternionA.angleTo(quaternionB) <= ROTATION_TOLERANCE;
+}
+
+// Store an offset matrix as plain JSON
+function offsetToData(matrix) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  matrix.decompose(position, quaternion, new THREE.Vector3());
+  
+  return {
+    position: { x: position.x, y: position.y, z: position.z },
+    quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+  };
+}
+
+// Read an offset stored with offsetToData (identity when missing)
+function offsetFromData(data) {
+  if (!data || !data.position || !data.quaternion) {
+    return new THREE.Matrix4();
+  }
+  
+  const { position, quaternion } = data;
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(position.x, position.y, position.z),
+    new THREE.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w),
+    new THREE.Vector3(1, 1, 1)
+  );
+}
+
+AFRAME.registerSystem('spatial-anchors', {
+  schema: {
+    enabled: { type: 'boolean', default: true },
+    resolveTimeout: { type: 'number', default: 10000 }, // ms allowed for a restored anchor to be located
+    interval: { type: 'number', default: 250 } // ms between anchor pose checks
+  },
+  
+  init: function() {
+    console.log('Spatial Anchors: Initializing');
+    
+    // Anchor records keyed by target ('wall:<id>' or 'object:<id>')
+    this.records = {};
+    this.session = null;
+    this.supportsPersistence = false;
+    this.needsSync = false;
+    
+    // Set while this system writes poses, so its own changes aren't taken as user moves
+    this.isApplyingPose = false;
+    
+    // Bind methods
+    this.onEnterVR = this.onEnterVR.bind(this);
+    this.onExitVR = this.onExitVR.bind(this);
+    this.onStateChanged = this.onStateChanged.bind(this);
+    this.onStateRestored = this.onStateRestored.bind(this);
+    
+    this.tick = AFRAME.utils.throttleTick(this.tick, this.data.interval, this);
+    
+    // Setup event listeners
+    this.el.addEventListener('enter-vr', this.onEnterVR);
+    this.el.addEventListener('exit-vr', this.onExitVR);
+    this.el.addEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    this.el.addEventListener(EVENTS.STATE.RESTORED, this.onStateRestored);
+    
+    console.log('Spatial Anchors: Initialized');
+  },
+  
+  getSceneState: function() {
+    return this.el.systems['scene-state'];
+  },
+  
+  onEnterVR: function() {
+    const session = this.el.xrSession;
+    if (!this.data.enabled || !session || this.session === session) return;
+    
+    if (typeof XRFrame === 'undefined' || !XRFrame.prototype.createAnchor) {
+      console.warn('Spatial Anchors: Anchors are not supported by this browser');
+      emitStatus(this.el, EVENTS.SPATIAL_ANCHOR.STATUS, 'unsupported',
+        'Spatial anchors not supported - walls will not be restored between sessions');
+      return;
+    }
+    
+    this.session = session;
+    this.supportsPersistence = typeof session.restorePersistentAnchor === 'function';
+    this.needsSync = true;
+    
+    console.log('Spatial Anchors: Session started, persistent anchors',
+      this.supportsPersistence ? 'supported' : 'not supported');
+  },
+  
+  onExitVR: function() {
+    // Only release the anchors of this session - persistent handles stay valid
+    Object.keys(this.records).forEach(key => this.removeRecord(key, false));
+    
+    this.session = null;
+    this.needsSync = false;
+  },
+  
+  // Walls and objects may have been added, removed, recalibrated or projected
+  onStateChanged: function(event) {
+    if (this.isApplyingPose) return;
+    
+    const { path, value } = event.detail;
+    const root = path.split('.')[0];
+    if (root !== 'calibration' && root !== 'objects') return;
+    
+    this.clearStaleAnchors();
+    
+    // A wall that needed recalibration has been calibrated again
+    const match = path.match(/^calibration\.walls\.([^.]+)\.isCalibrated$/);
+    if (match && value === true) {
+      const wall = this.getSceneState().getWall(match[1]);
+      if (wall && wall.needsRecalibration) {
+        this.writeState(() => {
+          this.getSceneState().updateState(`calibration.walls.${wall.id}.needsRecalibration`, undefined);
+        });
+      }
+    }
+    
+    if (this.session) {
+      this.needsSync = true;
+    }
+  },
+  
+  // Walls that were reset and objects taken off their wall drop their saved anchor,
+  // so calibrating or placing them again starts with a fresh anchor
+  clearStaleAnchors: function() {
+    const sceneState = this.getSceneState();
+    
+    sceneState.getWalls().forEach(wall => {
+      if (!wall.isCalibrated && wall.spatialAnchor) {
+        this.clearSavedAnchor(`wall:${wall.id}`);
+      }
+    });
+    
+    (sceneState.getState('objects') || []).forEach(obj => {
+      if (!obj.projected && obj.spatialAnchor) {
+        this.clearSavedAnchor(`object:${obj.id}`);
+      }
+    });
+  },
+  
+  // A restored session or imported project brings its own anchors
+  onStateRestored: function() {
+    Object.keys(this.records).forEach(key => this.removeRecord(key, false));
+    
+    if (this.session) {
+      this.needsSync = true;
+    }
+  },
+  
+  // Get the walls and objects that should be anchored, keyed like the records
+  getTargets: function() {
+    const sceneState = this.getSceneState();
+    const targets = {};
+    
+    sceneState.getWalls().forEach(wall => {
+      if (!wall.isCalibrated || !wall.position) return;
+      
+      targets[`wall:${wall.id}`] = {
+        type: 'wall',
+        id: wall.id,
+        matrix: poseToMatrix(wall.position, wall.rotation),
+        spatialAnchor: wall.spatialAnchor
+      };
+    });
+    
+    (sceneState.getState('objects') || []).forEach(obj => {
+      if (!obj.projected || !obj.center) return;
+      
+      targets[`object:${obj.id}`] = {
+        type: 'object',
+        id: obj.id,
+        wallId: obj.wallId,
+        matrix: poseToMatrix(obj.center, obj.rotation),
+        spatialAnchor: obj.spatialAnchor
+      };
+    });
+    
+    return targets;
+  },
+  
+  // Create, restore or drop anchors so every target has exactly one
+  syncRecords: function(frame, targets) {
+    // Persistent anchors are only deleted with their wall or object,
+    // so undoing a reset can still restore them
+    Object.keys(this.records).forEach(key => {
+      if (!targets[key]) {
+        this.removeRecord(key, !this.targetExists(key));
+      }
+    });
+    
+    Object.keys(targets).forEach(key => {
+      if (this.records[key]) return;
+      
+      const target = targets[key];
+      const saved = target.spatialAnchor;
+      
+      if (saved && saved.handle) {
+        this.restoreAnchor(key, target);
+      } else {
+        this.createAnchor(key, target, frame);
+      }
+    });
+  },
+  
+  // Create a new anchor at the current pose of a target
+  createAnchor: function(key, target, frame) {
+    const referenceSpace = this.el.renderer.xr.getReferenceSpace();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    target.matrix.decompose(position, quaternion, new THREE.Vector3());
+    
+    const record = {
+      key: key,
+      type: target.type,
+      id: target.id,
+      anchor: null,
+      handle: null,
+      offset: new THREE.Matrix4(),
+      lastPose: target.matrix.clone(),
+      status: 'creating',
+      requestedAt: Date.now()
+    };
+    this.records[key] = record;
+    
+    frame.createAnchor(
+      new XRRigidTransform(
+        { x: position.x, y: position.y, z: position.z, w: 1 },
+        { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+      ),
+      referenceSpace
+    )
+      .then(anchor => {
+        if (this.records[key] !== record) {
+          anchor.delete();
+          return null;
+        }
+        
+        record.anchor = anchor;
+        record.status = 'tracking';
+        
+        if (this.supportsPersistence && typeof anchor.requestPersistentHandle === 'function') {
+          return anchor.requestPersistentHandle();
+        }
+        return null;
+      })
+      .then(handle => {
+        if (this.records[key] !== record || !record.anchor) return;
+        
+        record.handle = handle || null;
+        this.saveRecord(record);
+        console.log('Spatial Anchors: Anchor created -', key, record.handle ? '(persistent)' : '');
+      })
+      .catch(err => {
+        console.warn('Spatial Anchors: Could not create anchor -', key, err);
+        if (this.records[key] === record) {
+          record.status = 'unanchored';
+        }
+      });
+  },
+  
+  // Restore a persistent anchor saved in a previous session
+  restoreAnchor: function(key, target) {
+    const saved = target.spatialAnchor;
+    
+    const record = {
+      key: key,
+      type: target.type,
+      id: target.id,
+      anchor: null,
+      handle: saved.handle,
+      offset: offsetFromData(saved.offset),
+      lastPose: null,
+      status: 'resolving',
+      requestedAt: Date.now()
+    };
+    this.records[key] = record;
+    
+    if (!this.supportsPersistence) {
+      this.onResolveFailed(record, 'persistent anchors are not supported');
+      return;
+    }
+    
+    this.session.restorePersistentAnchor(saved.handle)
+      .then(anchor => {
+        if (this.records[key] !== record) {
+          anchor.delete();
+          return;
+        }
+        
+        record.anchor = anchor;
+      })
+      .catch(err => {
+        if (this.records[key] === record) {
+          this.onResolveFailed(record, err && err.message);
+        }
+      });
+  },
+  
+  // Release an anchor, optionally deleting its persistent handle as well
+  removeRecord: function(key, forget) {
+    const record = this.records[key];
+    if (!record) return;
+    
+    delete this.records[key];
+    
+    if (record.anchor) {
+      record.anchor.delete();
+    }
+    
+    if (forget && record.handle && this.session && typeof this.session.deletePersistentAnchor === 'function') {
+      this.session.deletePersistentAnchor(record.handle)
+        .catch(err => console.warn('Spatial Anchors: Could not delete persistent anchor -', key, err));
+    }
+  },
+  
+  tick: function() {
+    if (!this.session) return;
+    
+    const frame = this.el.frame;
+    const referenceSpace = this.el.renderer.xr.getReferenceSpace();
+    if (!frame || !referenceSpace) return;
+    
+    const targets = this.getTargets();
+    
+    if (this.needsSync) {
+      this.needsSync = false;
+      this.syncRecords(frame, targets);
+    }
+    
+    Object.keys(this.records).forEach(key => {
+      const record = this.records[key];
+      
+      // The record may have been dropped by an earlier record's correction
+      if (this.records[key] !== record) return;
+      
+      if (record.status === 'waiting') {
+        this.checkWaitingRecord(record);
+        return;
+      }
+      
+      const pose = record.anchor ? frame.getPose(record.anchor.anchorSpace, referenceSpace) : null;
+      
+      if (!pose) {
+        if (record.status === 'resolving' && Date.now() - record.requestedAt > this.data.resolveTimeout) {
+          this.onResolveFailed(record, 'anchor was not located');
+        }
+        return;
+      }
+      
+      // Poses may have changed while correcting other records
+      const target = this.getTargets()[key];
+      if (!target) return;
+      
+      const anchorMatrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+      this.updateRecord(record, target, anchorMatrix);
+    });
+  },
+  
+  // Follow the anchor, or take over a pose the user has changed
+  updateRecord: function(record, target, anchorMatrix) {
+    const current = target.matrix;
+    
+    // The user moved the target (e.g. dragged or recalibrated) - keep the anchor, update the offset
+    if (record.lastPose && !isSamePose(current, record.lastPose)) {
+      const offset = anchorMatrix.clone().invert().multiply(current);
+      record.lastPose = current.clone();
+      
+      if (!isSamePose(offset, record.offset)) {
+        record.offset = offset;
+        this.saveRecord(record);
+      }
+      return;
+    }
+    
+    const expected = anchorMatrix.clone().multiply(record.offset);
+    const wasResolving = record.status === 'resolving';
+    record.status = 'tracking';
+    
+    if (!isSamePose(expected, current)) {
+      this.applyPose(record, current, expected);
+    }
+    record.lastPose = expected;
+    
+    if (wasResolving) {
+      console.log('Spatial Anchors: Anchor resolved -', record.key);
+      emitStatus(this.el, EVENTS.SPATIAL_ANCHOR.STATUS, 'resolved',
+        `${this.getTargetName(record)} restored`, { type: record.type, id: record.id });
+    }
+  },
+  
+  // Move a target to the pose given by its anchor
+  applyPose: function(record, current, expected) {
+    const sceneState = this.getSceneState();
+    const delta = expected.clone().multiply(current.clone().invert());
+    
+    this.writeState(() => {
+      if (record.type === 'wall') {
+        // Objects on the wall that aren't anchored yet move with the wall
+        const objects = (sceneState.getState('objects') || []).slice();
+        let movedObjects = false;
+        
+        objects.forEach((obj, index) => {
+          if (obj.wallId !== record.id || !obj.projected) return;
+          
+          const objectRecord = this.records[`object:${obj.id}`];
+          if (objectRecord && objectRecord.status === 'tracking') return;
+          
+          objects[index] = this.transformObject(obj, delta);
+          movedObjects = true;
+        });
+        
+        if (movedObjects) {
+          sceneState.updateState('objects', objects);
+        }
+        
+        sceneState.updateWall(record.id, matrixToPose(expected));
+      } else {
+        const objects = (sceneState.getState('objects') || []).slice();
+        const index = objects.findIndex(obj => obj.id === record.id);
+        if (index === -1) return;
+        
+        objects[index] = this.transformObject(objects[index], delta);
+        sceneState.updateState('objects', objects);
+      }
+    });
+  },
+  
+  // Get a copy of an object moved by a world-space transform
+  transformObject: function(obj, delta) {
+    const pose = matrixToPose(delta.clone().multiply(poseToMatrix(obj.center, obj.rotation)));
+    
+    return {
+      ...obj,
+      center: pose.position,
+      rotation: pose.rotation,
+      points: (obj.points || []).map(point => {
+        const moved = new THREE.Vector3(point.x, point.y, point.z).applyMatrix4(delta);
+        return { x: moved.x, y: moved.y, z: moved.z };
+      })
+    };
+  },
+  
+  // A saved anchor could not be located
+  onResolveFailed: function(record, reason) {
+    const sceneState = this.getSceneState();
+    console.warn('Spatial Anchors: Could not resolve anchor -', record.key, reason || '');
+    
+    if (record.type === 'object') {
+      // Wait for the wall - resolving it moves the object as well
+      const wallRecord = this.getObjectWallRecord(record);
+      if (wallRecord && wallRecord.status === 'resolving') {
+        record.status = 'waiting';
+        return;
+      }
+      
+      this.replaceObjectAnchor(record);
+      return;
+    }
+    
+    // Fall back to manual recalibration of the wall
+    const name = this.getTargetName(record);
+    this.removeRecord(record.key, true);
+    
+    this.writeState(() => {
+      // Objects can't be placed on a wall that is no longer calibrated
+      const objects = (sceneState.getState('objects') || []).map(obj => {
+        if (obj.wallId !== record.id || !obj.projected) return obj;
+        
+        const { spatialAnchor: _anchor, ...rest } = obj;
+        return { ...rest, projected: false };
+      });
+      sceneState.updateState('objects', objects);
+      
+      sceneState.updateState(`calibration.walls.${record.id}.spatialAnchor`, undefined);
+      sceneState.updateWall(record.id, {
+        visible: false,
+        needsRecalibration: true,
+        isCalibrated: false
+      });
+    });
+    
+    this.needsSync = true;
+    emitStatus(this.el, EVENTS.SPATIAL_ANCHOR.STATUS, 'failed',
+      `${name} could not be located - please recalibrate it`, { type: 'wall', id: record.id });
+  },
+  
+  // An object that waited for its wall can be anchored again once the wall is settled
+  checkWaitingRecord: function(record) {
+    const wallRecord = this.getObjectWallRecord(record);
+    if (wallRecord && wallRecord.status === 'resolving') return;
+    
+    this.replaceObjectAnchor(record);
+  },
+  
+  // Anchor an object again at its current pose (corrected by its wall where possible)
+  replaceObjectAnchor: function(record) {
+    this.removeRecord(record.key, true);
+    this.clearSavedAnchor(record.key);
+    this.needsSync = true;
+    
+    emitStatus(this.el, EVENTS.SPATIAL_ANCHOR.STATUS, 'failed',
+      `${this.getTargetName(record)} anchor was not found - anchored again at its wall position`,
+      { type: 'object', id: record.id });
+  },
+  
+  targetExists: function(key) {
+    const sceneState = this.getSceneState();
+    const [type, id] = key.split(/:(.*)/);
+    
+    if (type === 'wall') {
+      return !!sceneState.getWall(id);
+    }
+    return (sceneState.getState('objects') || []).some(obj => obj.id === id);
+  },
+  
+  getObjectWallRecord: function(record) {
+    const obj = (this.getSceneState().getState('objects') || []).find(o => o.id === record.id);
+    return obj && obj.wallId ? this.records[`wall:${obj.wallId}`] : null;
+  },
+  
+  getTargetName: function(record) {
+    if (record.type === 'wall') {
+      const wall = this.getSceneState().getWall(record.id);
+      return wall ? wall.name : 'Wall';
+    }
+    
+    return 'Object';
+  },
+  
+  // Save the handle and offset of a record with its wall or object
+  saveRecord: function(record) {
+    this.writeAnchorData(record.key, {
+      handle: record.handle,
+      offset: offsetToData(record.offset)
+    });
+  },
+  
+  clearSavedAnchor: function(key) {
+    this.writeAnchorData(key, undefined);
+  },
+  
+  writeAnchorData: function(key, spatialAnchor) {
+    const sceneState = this.getSceneState();
+    const [type, id] = key.split(/:(.*)/);
+    
+    this.writeState(() => {
+      if (type === 'wall') {
+        const wall = sceneState.getWall(id);
+        if (!wall || (spatialAnchor === undefined && !wall.spatialAnchor)) return;
+        
+        sceneState.updateState(`calibration.walls.${id}.spatialAnchor`, spatialAnchor);
+        return;
+      }
+      
+      const objects = (sceneState.getState('objects') || []).slice();
+      const index = objects.findIndex(obj => obj.id === id);
+      if (index === -1 || (spatialAnchor === undefined && !objects[index].spatialAnchor)) return;
+      
+      const { spatialAnchor: _anchor, ...obj } = objects[index];
+      objects[index] = spatialAnchor ? { ...obj, spatialAnchor } : obj;
+      sceneState.updateState('objects', objects);
+    });
+  },
+  
+  // Write state without undo steps and without treating the change as a user move
+  writeState: function(callback) {
+    const wasApplying = this.isApplyingPose;
+    this.isApplyingPose = true;
+    
+    try {
+      this.getSceneState().applyWithoutHistory(callback);
+    } finally {
+      this.isApplyingPose = wasApplying;
+    }
+  },
+  
+  // Get the anchor status of a wall or object ('tracking', 'resolving', ...), or null when not anchored
+  getStatus: function(type, id) {
+    const record = this.records[`${type}:${id}`];
+    return record ? record.status : null;
+  },
+  
+  remove: function() {
+    this.el.removeEventListener('enter-vr', this.onEnterVR);
+    this.el.removeEventListener('exit-vr', this.onExitVR);
+    this.el.removeEventListener(EVENTS.STATE.CHANGED, this.onStateChanged);
+    this.el.removeEventListener(EVENTS.STATE.RESTORED, this.onStateRestored);
+    
+    this.onExitVR();
+  }
+});
@@ -0,0 +1,208 @@
+/**
+ * Storage Adapters
+ *
+ * Pluggable storage backends used to persist scene state between sessions.
+ * Every adapter implements the same promise-based interface:
+ *
+ *   name                 - Adapter identifier ('indexeddb', 'localstorage', ...)
+ *   isAvailable()        - Whether the backend can be used in this browser
+ *   load(key)            - Resolves with the stored data or null
+ *   save(key, data)      - Resolves once the data has been written
+ *   remove(key)          - Resolves once the data has been deleted
+ *
+ * New backends only need to implement this interface and register a factory
+ * with registerStorageAdapter().
+ */
+
+const DB_NAME = 'o3measure';
+const DB_STORE = 'scene-state';
+const DB_VERSION = 1;
+
+/**
+ * Create an adapter backed by IndexedDB
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDBAdapter() {
+  let dbPromise = null;
+  
+  // Open the database once and reuse the connection
+  const openDatabase = function() {
+    if (dbPromise) return dbPromise;
+    
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(DB_STORE)) {
+          db.createObjectStore(DB_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    return dbPromise;
+  };
+  
+  // Run a single request against the object store
+  const runRequest = function(mode, operation) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(DB_STORE, mode);
+      const request = operation(transaction.objectStore(DB_STORE));
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  };
+  
+  return {
+    name: 'indexeddb',
+    
+    isAvailable: function() {
+      return typeof window !== 'undefined' && !!window.indexedDB;
+    },
+    
+    load: function(key) {
+      return runRequest('readonly', store => store.get(key))
+        .then(result => (result === undefined ? null : result));
+    },
+    
+    save: function(key, data) {
+      return runRequest('readwrite', store => store.put(data, key))
+        .then(() => undefined);
+    },
+    
+    remove: function(key) {
+      return runRequest('readwrite', store => store.delete(key))
+        .then(() => undefined);
+    }
+  };
+}
+
+/**
+ * Create an adapter backed by window.localStorage
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorageAdapter() {
+  return {
+    name: 'localstorage',
+    
+    isAvailable: function() {
+      try {
+        const testKey = '__o3measure_storage_test__';
+        window.localStorage.setItem(testKey, testKey);
+        window.localStorage.removeItem(testKey);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    
+    load: function(key) {
+      return new Promise(resolve => {
+        const raw = window.localStorage.getItem(key);
+        resolve(raw ? JSON.parse(raw) : null);
+      });
+    },
+    
+    save: function(key, data) {
+      return new Promise(resolve => {
+        window.localStorage.setItem(key, JSON.stringify(data));
+        resolve();
+      });
+    },
+    
+    remove: function(key) {
+      return new Promise(resolve => {
+        window.localStorage.removeItem(key);
+        resolve();
+      });
+    }
+  };
+}
+
+/**
+ * Create an in-memory adapter (used when no persistent backend is available)
+ * @returns {Object} Storage adapter
+ */
+function createMemoryAdapter() {
+  const store = {};
+  
+  return {
+    name: 'memory',
+    
+    isAvailable: function() {
+      return true;
+    },
+    
+    load: function(key) {
+      return Promise.resolve(key in store ? JSON.parse(store[key]) : null);
+    },
+    
+    save: function(key, data) {
+      store[key] = JSON.stringify(data);
+      return Promise.resolve();
+    },
+    
+    remove: function(key) {
+      delete store[key];
+      return Promise.resolve();
+    }
+  };
+}
+
+// Adapter factories keyed by name
+const adapterFactories = {
+  indexeddb: createIndexedDBAdapter,
+  localstorage: createLocalStorageAdapter,
+  memory: createMemoryAdapter
+};
+
+// Preferred order when type is 'auto'
+const AUTO_ORDER = ['indexeddb', 'localstorage', 'memory'];
+
+/**
+ * Register an additional storage backend
+ * @param {String} name - Adapter name used in the scene-state `storage` property
+ * @param {Function} factory - Function returning an object implementing the adapter interface
+ */
+function registerStorageAdapter(name, factory) {
+  if (adapterFactories[name]) {
+    console.warn(`Storage Adapters: Adapter '${name}' already registered, overwriting`);
+  }
+  
+  adapterFactories[name] = factory;
+}
+
+/**
+ * Create a storage adapter by name
+ * @param {String} type - Adapter name, or 'auto' to pick the best available backend
+ * @returns {Object} Storage adapter (falls back to memory if nothing else is available)
+ */
+function createStorageAdapter(type = 'auto') {
+  const candidates = type === 'auto' ? AUTO_ORDER : [type, ...AUTO_ORDER];
+  
+  for (const name of candidates) {
+    const factory = adapterFactories[name];
+    if (!factory) {
+      console.warn(`Storage Adapters: Unknown adapter '${name}'`);
+      continue;
+    }
+    
+    const adapter = factory();
+    if (adapter.isAvailable()) {
+      return adapter;
+    }
+  }
+  
+  return createMemoryAdapter();
+}
+
+export {
+  createIndexedDBAdapter,
+  createLocalStorageAdapter,
+  createMemoryAdapter,
+  registerStorageAdapter,
+  createStorageAdapter
+};
@@ -0,0 +1,309 @@
+/**
+ * Anchors Utility
+ *
+ * Templates for common hanging hardware. Each anchor of a template is placed at
+ * a fixed distance in from an edge of the object (e.g. "5 cm below the top edge,
+ * 3 cm in from the sides"), optionally plus a fraction of the object's size
+ * (e.g. D-rings a quarter of the height down from the top).
+ * Anchors can carry a hardware type and a short label, and a wire anchor joins
+ * two attachment points with a wire hung from a single nail.
+ * Anchor positions are relative to the object center: X right, Y up.
+ */
+
+// Built-in templates, in the order they are offered in the Anchor Placement menu
+// x: { from: 'left'|'right'|'center', distance, fraction } - distance in from the edge (right of the center for 'center')
+// y: { from: 'top'|'bottom'|'center', distance, fraction } - distance in from the edge (above the center for 'center')
+const ANCHOR_TEMPLATES = [
+  {
+    id: 'sawtooth',
+    name: 'Sawtooth',
+    anchors: [
+      { x: { from: 'center', distance: 0 }, y: { from: 'top', distance: 0.02 } }
+    ]
+  },
+  {
+    id: 'd-rings',
+    name: 'D-Rings',
+    anchors: [
+      { x: { from: 'left', distance: 0.02 }, y: { from: 'top', distance: 0, fraction: 0.25 } },
+      { x: { from: 'right', distance: 0.02 }, y: { from: 'top', distance: 0, fraction: 0.25 } }
+    ]
+  },
+  {
+    id: 'french-cleat',
+    name: 'French Cleat',
+    anchors: [
+      { x: { from: 'left', distance: 0.05 }, y: { from: 'top', distance: 0.05 } },
+      { x: { from: 'center', distance: 0 }, y: { from: 'top', distance: 0.05 } },
+      { x: { from: 'right', distance: 0.05 }, y: { from: 'top', distance: 0.05 } }
+    ]
+  },
+  {
+    id: 'keyhole',
+    name: 'Keyholes',
+    anchors: [
+      { x: { from: 'left', distance: 0.03 }, y: { from: 'top', distance: 0.05 } },
+      { x: { from: 'right', distance: 0.03 }, y: { from: 'top', distance: 0.05 } }
+    ]
+  }
+];
+
+// Hardware an anchor can be fixed with, in the order the Anchor Placement menu cycles through them
+// Wire anchors have the type 'wire' (see createWireAnchor)
+const ANCHOR_TYPES = {
+  screw: { label: 'Screw' },
+  nail: { label: 'Nail' },
+  cleat: { label: 'Cleat' }
+};
+
+// Labels offered for anchors in the Anchor Placement menu (headsets have no keyboard)
+const ANCHOR_LABELS = ['Left', 'Right', 'Top', 'Bottom', 'Centre'];
+
+// Offsets within this distance of the center are stored as centered (meters)
+const CENTER_TOLERANCE = 0.002;
+
+// Wire length change per button press, per unit system (meters)
+const WIRE_LENGTH_STEPS = {
+  metric: 0.01,
+  imperial: 0.0127 // 1/2 in
+};
+
+// New wires are this much longer than the distance between their attachments
+const DEFAULT_WIRE_SLACK = 1.15;
+
+// Check one axis of a template anchor
+function isValidOffset(offset, edges) {
+  return !!offset && edges.includes(offset.from) &&
+    typeof offset.distance === 'number' && isFinite(offset.distance) &&
+    (offset.fraction === undefined || (typeof offset.fraction === 'number' && offset.fraction >= 0 && offset.fraction <= 1));
+}
+
+/**
+ * Check that a value is a usable anchor template
+ * @param {*} template - Value to check
+ * @returns {Boolean} True for { id, name, anchors } with at least one valid anchor
+ */
+function isValidAnchorTemplate(template) {
+  return !!template && typeof template.id === 'string' && template.id.length > 0 &&
+    typeof template.name === 'string' && template.name.length > 0 &&
+    Array.isArray(template.anchors) &&
+    template.anchors.length >= 1 &&
+    template.anchors.every(anchor => anchor &&
+      isValidOffset(anchor.x, ['left', 'right', 'center']) &&
+      isValidOffset(anchor.y, ['top', 'bottom', 'center']));
+}
+
+/**
+ * Check that a value is a list of user-defined anchor templates
+ * @param {*} templates - Value to check
+ * @returns {Boolean} True for an array of valid templates with distinct ids (may be empty)
+ */
+function isValidAnchorTemplates(templates) {
+  return Array.isArray(templates) &&
+    templates.every(isValidAnchorTemplate) &&
+    new Set(templates.map(template => template.id)).size === templates.length;
+}
+
+// Position along one axis: edges are at -size/2 (left/bottom) and +size/2 (right/top)
+function resolveOffset(offset, size, lowEdge, highEdge) {
+  const distance = offset.distance + (offset.fraction || 0) * size;
+  
+  switch (offset.from) {
+    case lowEdge:
+      return -size / 2 + distance;
+    case highEdge:
+      return size / 2 - distance;
+    default:
+      return distance;
+  }
+}
+
+/**
+ * Get the anchor positions of a template for an object size
+ * @param {Object} template - Anchor template
+ * @param {Number} width - Object width (meters)
+ * @param {Number} height - Object height (meters)
+ * @returns {Array<Object>} {x, y} positions relative to the object center
+ */
+function resolveAnchorTemplate(template, width, height) {
+  return template.anchors.map(anchor => ({
+    x: resolveOffset(anchor.x, width, 'left', 'right'),
+    y: resolveOffset(anchor.y, height, 'bottom', 'top')
+  }));
+}
+
+/**
+ * Create a template from anchors placed on an object
+ * Each anchor is measured from the nearest edge, so the template fits objects of other sizes
+ * @param {Array<Object>} positions - {x, y} anchor positions relative to the object center
+ * @param {Number} width - Object width (meters)
+ * @param {Number} height - Object height (meters)
+ * @param {Object} details - { id, name }
+ * @returns {Object} Anchor template
+ */
+function createAnchorTemplate(positions, width, height, details) {
+  const measure = (value, size, lowEdge, highEdge) => {
+    if (Math.abs(value) <= CENTER_TOLERANCE) return { from: 'center', distance: 0 };
+    return value < 0
+      ? { from: lowEdge, distance: value + size / 2 }
+      : { from: highEdge, distance: size / 2 - value };
+  };
+  
+  return {
+    ...details,
+    anchors: positions.map(position => ({
+      x: measure(position.x, width, 'left', 'right'),
+      y: measure(position.y, height, 'bottom', 'top')
+    }))
+  };
+}
+
+/**
+ * Get a starting wire length for two attachment points
+ * @param {Array<Object>} attachments - Two {x, y} attachment points on the back of the object
+ * @param {Number} step - Length the result is rounded up to (meters)
+ * @returns {Number} Wire length in meters
+ */
+function getDefaultWireLength(attachments, step = WIRE_LENGTH_STEPS.metric) {
+  const [a, b] = attachments;
+  const length = Math.hypot(b.x - a.x, b.y - a.y) * DEFAULT_WIRE_SLACK;
+  return Math.ceil(length / step - 1e-9) * step;
+}
+
+/**
+ * Calculate where a hanging wire meets its nail
+ * The object hangs with the nail midway between the attachments, so the hook is the
+ * point above their midpoint where the two wire segments add up to the wire length.
+ * @param {Array<Object>} attachments - Two {x, y} attachment points relative to the object center
+ * @param {Number} wireLength - Total wire length between the attachments (meters)
+ * @returns {Object|null} { x, y, rise } - hook point relative to the object center and its height
+ *   above the attachments' midpoint, or null when the wire is too short to reach between them
+ */
+function calculateWireHook(attachments, wireLength) {
+  const [a, b] = attachments;
+  const x = (a.x + b.x) / 2;
+  const middle = (a.y + b.y) / 2;
+  const lengthAt = y => Math.hypot(x - a.x, y - a.y) + Math.hypot(x - b.x, y - b.y);
+  
+  // The wire is straight at the midpoint - it needs some slack to hang from a nail
+  if (!(wireLength > lengthAt(middle) + 1e-6)) return null;
+  
+  // The length grows steadily above the midpoint, so halve the interval until it matches
+  let low = middle;
+  let high = middle + wireLength;
+  for (let i = 0; i < 60; i++) {
+    const y = (low + high) / 2;
+    if (lengthAt(y) < wireLength) {
+      low = y;
+    } else {
+      high = y;
+    }
+  }
+  
+  const y = (low + high) / 2;
+  return { x, y, rise: y - middle };
+}
+
+/**
+ * Calculate how far the top edge of an object hangs below the nail of its wire
+ * @param {Object} hook - Hook point {x, y} relative to the object center
+ * @param {Number} top - Height of the top edge above the object center (meters)
+ * @returns {Number} Distance the nail sits below the top edge (meters); negative when the
+ *   wire shows above the top edge
+ */
+function calculateWireDrop(hook, top) {
+  return top - hook.y;
+}
+
+/**
+ * Create a wire anchor: two attachment points joined by a wire that hangs from one nail
+ * Its position is the hook point, which is where the nail goes.
+ * @param {Array<Object>} attachments - Two {x, y, z} attachment points relative to the object center
+ * @param {Number} wireLength - Total wire length (meters)
+ * @param {Object} details - { id, objectId }
+ * @returns {Object|null} Anchor { id, objectId, type: 'wire', position, attachments, wireLength },
+ *   or null when the wire is too short
+ */
+function createWireAnchor(attachments, wireLength, details) {
+  const hook = calculateWireHook(attachments, wireLength);
+  if (!hook) return null;
+  
+  return {
+    ...details,
+    type: 'wire',
+    position: { x: hook.x, y: hook.y, z: attachments[0].z || 0 },
+    attachments: attachments.map(point => ({ x: point.x, y: point.y, z: point.z || 0 })),
+    wireLength
+  };
+}
+
+/**
+ * Check whether an anchor hangs the object on a wire
+ * @param {Object} anchor - Anchor data
+ * @returns {Boolean} True for wire anchors with two attachments and a length
+ */
+function isWireAnchor(anchor) {
+  return !!anchor && anchor.type === 'wire' &&
+    Array.isArray(anchor.attachments) && anchor.attachments.length === 2 &&
+    typeof anchor.wireLength === 'number' && anchor.wireLength > 0;
+}
+
+/**
+ * Move anchors along with their object when it is reshaped
+ * Wire anchors move their attachments and hang from a new hook; a wire that no longer
+ * reaches between its attachments gets the default length for them.
+ * @param {Array<Object>} anchors - Anchor data
+ * @param {Function} mapPoint - Takes an {x, y} position relative to the object center, returns the new {x, y}
+ * @returns {Array<Object>} Copies of the anchors at their new positions
+ */
+function transformAnchors(anchors, mapPoint) {
+  return anchors.map(anchor => {
+    if (isWireAnchor(anchor)) {
+      const { position: _position, attachments, wireLength, ...details } = anchor;
+      const moved = attachments.map(point => ({ ...mapPoint(point), z: point.z || 0 }));
+      return createWireAnchor(moved, wireLength, details) ||
+        createWireAnchor(moved, getDefaultWireLength(moved), details);
+    }
+    
+    return { ...anchor, position: { ...anchor.position, ...mapPoint(anchor.position) } };
+  });
+}
+
+/**
+ * Check an anchor's optional type
+ * @param {*} type - Value to check
+ * @returns {Boolean} True when missing, 'wire' or a key of ANCHOR_TYPES
+ */
+function isValidAnchorType(type) {
+  return type === undefined || type === 'wire' || Object.prototype.hasOwnProperty.call(ANCHOR_TYPES, type);
+}
+
+/**
+ * Get the name an anchor is shown with, e.g. "#2 Left (Screw)"
+ * @param {Object} anchor - Anchor data with optional label and type
+ * @param {Number} index - Position of the anchor in its object's list
+ * @returns {String} Number, label and type of the anchor
+ */
+function getAnchorName(anchor, index) {
+  const type = anchor.type === 'wire' ? 'Wire' : (ANCHOR_TYPES[anchor.type] || {}).label;
+  return [`#${index + 1}`, anchor.label, type && `(${type})`].filter(Boolean).join(' ');
+}
+
+export {
+  ANCHOR_TEMPLATES,
+  ANCHOR_TYPES,
+  ANCHOR_LABELS,
+  WIRE_LENGTH_STEPS,
+  isValidAnchorTemplate,
+  isValidAnchorTemplates,
+  resolveAnchorTemplate,
+  createAnchorTemplate,
+  getDefaultWireLength,
+  calculateWireHook,
+  calculateWireDrop,
+  createWireAnchor,
+  isWireAnchor,
+  transformAnchors,
+  isValidAnchorType,
+  getAnchorName
+};
@@ -16,7 +16,8 @@ const EVENTS = {
     DELETED: 'object-deleted',
     UPDATED: 'object-updated',
     ACTION: 'object-action',
-    STATUS: 'object-status'
+    STATUS: 'object-status',
+    DRAG: 'object-drag'
   },
   
   // Wall-related events
@@ -24,13 +25,16 @@ const EVENTS = {
     RESET: 'wall-reset',
     ADJUST_START: 'wall-adjust-start',
     CALIBRATION_COMPLETE: 'wall-calibration-complete',
-    ACTION: 'wall-calibration-action'
+    ACTION: 'wall-calibration-action',
+    GRAB: 'wall-grab'
   },
   
   // State management events
   STATE: {
     CHANGED: 'scene-state-changed',
-    UPDATE: 'scene-state-update'
+    UPDATE: 'scene-state-update',
+    RESTORING: 'scene-state-restoring',
+    RESTORED: 'scene-state-restored'
   },
   
   // Interaction events (standard A-Frame names)
@@ -41,6 +45,13 @@ const EVENTS = {
     PRESSED_ENDED: 'pressedended'
   },
   
+  // Unified hand and controller input (sent by input-source entities, bubbling to the scene)
+  INPUT: {
+    SELECT_STARTED: 'input-select-started',
+    DRAGGED: 'input-dragged',
+    SELECT_ENDED: 'input-select-ended'
+  },
+  
   // Menu events
   MENU: {
     ACTION: 'menu-action'
@@ -57,6 +68,29 @@ const EVENTS = {
     ACTION: 'anchor-action',
     STATUS: 'anchor-status',
     COMPLETED: 'anchor-completed'
+  },
+  
+  // Undo/redo history events
+  HISTORY: {
+    UNDO: 'history-undo',
+    REDO: 'history-redo',
+    CHANGED: 'history-changed'
+  },
+  
+  // Project export/import events
+  PROJECT: {
+    ACTION: 'project-action',
+    STATUS: 'project-status'
+  },
+  
+  // User settings events
+  SETTINGS: {
+    ACTION: 'settings-action'
+  },
+  
+  // WebXR spatial anchor events (walls and projected objects)
+  SPATIAL_ANCHOR: {
+    STATUS: 'spatial-anchor-status'
   }
 };
 
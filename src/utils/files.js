@@ -0,0 +1,64 @@
+/**
+ * Files Utility
+ *
+ * Helpers for moving data in and out of the browser as files
+ */
+
+/**
+ * Trigger a download of text content as a file
+ * @param {String} filename - Suggested file name
+ * @param {String} text - File content
+ * @param {String} mimeType - MIME type of the content
+ */
+function downloadTextFile(filename, text, mimeType = 'application/json') {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Let the user pick a file and read it as text
+ * @param {String} accept - Accepted file types for the file picker
+ * @returns {Promise<Object|null>} { name, text } or null if nothing was picked
+ */
+function pickTextFile(accept = '.json,application/json') {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.style.display = 'none';
+    
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      document.body.removeChild(input);
+      
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      
+      const reader = new FileReader();
+      reader.onload = () => resolve({ name: file.name, text: reader.result });
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    }, { once: true });
+    
+    document.body.appendChild(input);
+    input.click();
+  });
+}
+
+export {
+  downloadTextFile,
+  pickTextFile
+};
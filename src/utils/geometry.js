@@ -5,9 +5,17 @@
  * This module focuses on 3D math and coordinate operations.
  */
 
+import { transformAnchors } from './anchors.js';
+
 // Ensure THREE is accessible in this module
 const THREE = window.THREE;
 
+// World up direction - shapes on walls are kept upright relative to it
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// Edited objects are kept at least this wide and tall (meters)
+const MIN_OBJECT_SIZE = 0.01;
+
 /**
  * Convert a position object to THREE.Vector3
  * @param {Object|THREE.Vector3} position - Position object {x,y,z} or Vector3
@@ -60,6 +68,105 @@ function calculatePlaneFromPoints(p1, p2, p3) {
   };
 }
 
+// Eigen decomposition of a symmetric 3x3 matrix (cyclic Jacobi rotations)
+// Returns { value, vector } pairs sorted by ascending eigenvalue
+function symmetricEigen3(matrix) {
+  const a = matrix.map(row => row.slice());
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  const pairs = [[0, 1], [0, 2], [1, 2]];
+  
+  for (let sweep = 0; sweep < 32; sweep++) {
+    const offDiagonal = a[0][1] * a[0][1] + a[0][2] * a[0][2] + a[1][2] * a[1][2];
+    if (offDiagonal < 1e-24) break;
+    
+    pairs.forEach(([p, q]) => {
+      if (Math.abs(a[p][q]) < 1e-30) return;
+      
+      // Rotation that zeroes a[p][q]
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1);
+      const s = t * c;
+      
+      for (let k = 0; k < 3; k++) {
+        const akp = a[k][p];
+        const akq = a[k][q];
+        a[k][p] = c * akp - s * akq;
+        a[k][q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = a[p][k];
+        const aqk = a[q][k];
+        a[p][k] = c * apk - s * aqk;
+        a[q][k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = v[k][p];
+        const vkq = v[k][q];
+        v[k][p] = c * vkp - s * vkq;
+        v[k][q] = s * vkp + c * vkq;
+      }
+    });
+  }
+  
+  return [0, 1, 2]
+    .map(i => ({ value: a[i][i], vector: new THREE.Vector3(v[0][i], v[1][i], v[2][i]).normalize() }))
+    .sort((first, second) => first.value - second.value);
+}
+
+/**
+ * Fit a plane to three or more points by least squares
+ * The plane passes through the centroid; its normal is the direction in which the
+ * points vary least, so a single bad point only tilts the plane a little.
+ * @param {Array<THREE.Vector3|Object>} points - At least 3 points in world space
+ * @param {THREE.Vector3|Object} [viewpoint] - Position the normal faces (e.g. the camera); +Z is used when missing
+ * @returns {Object|null} { point, normal, deviations, rms, maxDeviation, worstIndex } or null for
+ *   fewer than 3 or collinear points. Deviations are signed distances of the points from the plane.
+ */
+function fitPlaneToPoints(points, viewpoint = null) {
+  if (points.length < 3) return null;
+  
+  const vertices = points.map(p => toVector3(p));
+  const centroid = vertices
+    .reduce((sum, p) => sum.add(p), new THREE.Vector3())
+    .divideScalar(vertices.length);
+  
+  // Covariance of the points around their centroid
+  const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  vertices.forEach(p => {
+    const d = [p.x - centroid.x, p.y - centroid.y, p.z - centroid.z];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        covariance[i][j] += d[i] * d[j];
+      }
+    }
+  });
+  
+  const eigen = symmetricEigen3(covariance);
+  
+  // Points on a line (or a single spot) don't define a plane
+  if (eigen[1].value < 1e-10) return null;
+  
+  const normal = eigen[0].vector;
+  const facing = viewpoint ? toVector3(viewpoint).sub(centroid) : new THREE.Vector3(0, 0, 1);
+  if (normal.dot(facing) < 0) {
+    normal.negate();
+  }
+  
+  const deviations = vertices.map(p => new THREE.Vector3().subVectors(p, centroid).dot(normal));
+  const absolute = deviations.map(Math.abs);
+  const maxDeviation = Math.max(...absolute);
+  
+  return {
+    point: centroid,
+    normal: normal,
+    deviations: deviations,
+    rms: Math.sqrt(deviations.reduce((sum, d) => sum + d * d, 0) / deviations.length),
+    maxDeviation: maxDeviation,
+    worstIndex: absolute.indexOf(maxDeviation)
+  };
+}
+
 /**
  * Calculate the fourth corner of a rectangle defined by three points
  * @param {THREE.Vector3|Object} p1 - Top-left point
@@ -161,21 +268,858 @@ function calculateRectangleOrientation(p1, p2, p3) {
 }
 
 /**
- * Converts measurement in meters to formatted centimeters string
- * @param {Number} meters - Measurement in meters
- * @param {Number} precision - Number of decimal places (default: 1)
- * @returns {String} Formatted centimeter value
+ * Calculate the normal of a (roughly planar) polygon using Newell's method
+ * @param {Array<THREE.Vector3|Object>} points - Polygon vertices in order
+ * @returns {THREE.Vector3} Unit normal (zero vector for collinear points)
+ */
+function calculatePolygonNormal(points) {
+  const vertices = points.map(p => toVector3(p));
+  const normal = new THREE.Vector3();
+  
+  vertices.forEach((current, i) => {
+    const next = vertices[(i + 1) % vertices.length];
+    normal.x += (current.y - next.y) * (current.z + next.z);
+    normal.y += (current.z - next.z) * (current.x + next.x);
+    normal.z += (current.x - next.x) * (current.y + next.y);
+  });
+  
+  if (normal.lengthSq() < 1e-12) {
+    return new THREE.Vector3();
+  }
+  
+  return normal.normalize();
+}
+
+/**
+ * Build an in-plane coordinate frame for a surface normal
+ * The up axis follows world up as closely as possible so shapes on walls stay upright
+ * @param {THREE.Vector3|Object} normal - Surface normal
+ * @returns {Object} Unit vectors { right, up, normal }
+ */
+function calculatePlaneBasis(normal) {
+  const n = toVector3(normal).normalize();
+  let right = new THREE.Vector3().crossVectors(WORLD_UP, n);
+  
+  // Horizontal surface - use world -Z as up on the surface
+  if (right.lengthSq() < 1e-6) {
+    right = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 0, -1), n);
+  }
+  right.normalize();
+  
+  const up = new THREE.Vector3().crossVectors(n, right).normalize();
+  
+  return { right, up, normal: n };
+}
+
+/**
+ * Convert a plane basis to a rotation for use with A-Frame
+ * @param {Object} basis - { right, up, normal } from calculatePlaneBasis
+ * @returns {Object} Rotation in degrees (A-Frame 'YXZ' order)
+ */
+function calculateBasisRotation(basis) {
+  const rotMatrix = new THREE.Matrix4().makeBasis(basis.right, basis.up, basis.normal);
+  const euler = new THREE.Euler().setFromRotationMatrix(rotMatrix, 'YXZ');
+  
+  return {
+    x: THREE.MathUtils.radToDeg(euler.x),
+    y: THREE.MathUtils.radToDeg(euler.y),
+    z: THREE.MathUtils.radToDeg(euler.z)
+  };
+}
+
+/**
+ * Build a transform matrix from a stored pose
+ * Rotations use A-Frame's convention: degrees, applied in YXZ order
+ * @param {Object} position - Position {x, y, z}
+ * @param {Object} rotation - Rotation in degrees {x, y, z}
+ * @returns {THREE.Matrix4} Pose matrix
+ */
+function poseToMatrix(position, rotation = { x: 0, y: 0, z: 0 }) {
+  const euler = new THREE.Euler(
+    THREE.MathUtils.degToRad(rotation.x),
+    THREE.MathUtils.degToRad(rotation.y),
+    THREE.MathUtils.degToRad(rotation.z),
+    'YXZ'
+  );
+  
+  return new THREE.Matrix4().compose(
+    toVector3(position),
+    new THREE.Quaternion().setFromEuler(euler),
+    new THREE.Vector3(1, 1, 1)
+  );
+}
+
+/**
+ * Split a transform matrix into a stored pose
+ * @param {THREE.Matrix4} matrix - Pose matrix
+ * @returns {Object} { position, rotation } with rotation in degrees (YXZ order)
+ */
+function matrixToPose(matrix) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  matrix.decompose(position, quaternion, new THREE.Vector3());
+  
+  const euler = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+  
+  return {
+    position: { x: position.x, y: position.y, z: position.z },
+    rotation: {
+      x: THREE.MathUtils.radToDeg(euler.x),
+      y: THREE.MathUtils.radToDeg(euler.y),
+      z: THREE.MathUtils.radToDeg(euler.z)
+    }
+  };
+}
+
+/**
+ * Move and turn a pose in its own coordinate frame
+ * @param {Object} position - Current position {x, y, z}
+ * @param {Object} rotation - Current rotation in degrees {x, y, z}
+ * @param {Object} translation - Local offset {x, y, z} in meters (x right, y up, z forward)
+ * @param {Object} angles - Local turn in degrees {x: pitch, y: yaw, z: roll}, about the pose origin
+ * @returns {Object} { position, rotation } with rotation in degrees
+ */
+function transformPoseLocal(position, rotation, translation = { x: 0, y: 0, z: 0 }, angles = { x: 0, y: 0, z: 0 }) {
+  const turn = new THREE.Euler(
+    THREE.MathUtils.degToRad(angles.x),
+    THREE.MathUtils.degToRad(angles.y),
+    THREE.MathUtils.degToRad(angles.z),
+    'YXZ'
+  );
+  const local = new THREE.Matrix4().compose(
+    toVector3(translation),
+    new THREE.Quaternion().setFromEuler(turn),
+    new THREE.Vector3(1, 1, 1)
+  );
+  
+  return matrixToPose(poseToMatrix(position, rotation).multiply(local));
+}
+
+/**
+ * Get the facing direction (local +Z) of a stored rotation
+ * @param {Object} rotation - Rotation in degrees {x, y, z} (A-Frame 'YXZ' order)
+ * @returns {THREE.Vector3} Unit normal
+ */
+function rotationToNormal(rotation = { x: 0, y: 0, z: 0 }) {
+  const euler = new THREE.Euler(
+    THREE.MathUtils.degToRad(rotation.x),
+    THREE.MathUtils.degToRad(rotation.y),
+    THREE.MathUtils.degToRad(rotation.z),
+    'YXZ'
+  );
+  
+  return new THREE.Vector3(0, 0, 1).applyEuler(euler);
+}
+
+/**
+ * Calculate the signed distances of points from a plane
+ * @param {Array<THREE.Vector3|Object>} points - Points in world space
+ * @param {THREE.Vector3|Object} planePoint - Any point on the plane
+ * @param {THREE.Vector3|Object} normal - Plane normal; points on its side get positive distances
+ * @returns {Array<Number>} Signed distances in meters
+ */
+function calculatePointDeviations(points, planePoint, normal) {
+  const origin = toVector3(planePoint);
+  const n = toVector3(normal).normalize();
+  
+  return points.map(p => toVector3(p).sub(origin).dot(n));
+}
+
+/**
+ * Move a pose onto a plane with the smallest possible change
+ * The position is projected onto the plane and the rotation is tilted from its
+ * current normal to the plane normal, so the in-plane orientation is kept.
+ * @param {Object} position - Current position {x, y, z}
+ * @param {Object} rotation - Current rotation in degrees {x, y, z}
+ * @param {THREE.Vector3|Object} planePoint - Any point on the plane
+ * @param {THREE.Vector3|Object} normal - Plane normal (flipped to the side the pose faces)
+ * @returns {Object} { position, rotation } with rotation in degrees
+ */
+function alignPoseToPlane(position, rotation, planePoint, normal) {
+  const currentNormal = rotationToNormal(rotation);
+  const targetNormal = toVector3(normal).normalize();
+  if (targetNormal.dot(currentNormal) < 0) {
+    targetNormal.negate();
+  }
+  
+  const pose = poseToMatrix(position, rotation);
+  const tilt = new THREE.Quaternion().setFromUnitVectors(currentNormal, targetNormal);
+  const quaternion = new THREE.Quaternion().setFromRotationMatrix(pose).premultiply(tilt);
+  
+  const center = toVector3(position);
+  const distance = new THREE.Vector3().subVectors(center, toVector3(planePoint)).dot(targetNormal);
+  center.sub(targetNormal.clone().multiplyScalar(distance));
+  
+  return matrixToPose(new THREE.Matrix4().compose(center, quaternion, new THREE.Vector3(1, 1, 1)));
+}
+
+/**
+ * Express points in the 2D coordinates of a plane
+ * @param {Array<THREE.Vector3|Object>} points - Points in world space
+ * @param {THREE.Vector3|Object} origin - Plane origin
+ * @param {Object} basis - { right, up } from calculatePlaneBasis
+ * @returns {Array<Object>} {x, y} points
+ */
+function projectPointsToPlane(points, origin, basis) {
+  const o = toVector3(origin);
+  
+  return points.map(p => {
+    const offset = toVector3(p).sub(o);
+    return { x: offset.dot(basis.right), y: offset.dot(basis.up) };
+  });
+}
+
+/**
+ * Calculate the area of a 2D polygon (shoelace formula)
+ * @param {Array<Object>} points2D - {x, y} vertices in order
+ * @returns {Number} Area (always positive)
+ */
+function calculatePolygonArea(points2D) {
+  let sum = 0;
+  
+  points2D.forEach((current, i) => {
+    const next = points2D[(i + 1) % points2D.length];
+    sum += current.x * next.y - next.x * current.y;
+  });
+  
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Calculate the area centroid of a 2D polygon
+ * Falls back to the vertex average for degenerate (zero-area) polygons
+ * @param {Array<Object>} points2D - {x, y} vertices in order
+ * @returns {Object} Centroid {x, y}
+ */
+function calculatePolygonCentroid(points2D) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  
+  points2D.forEach((current, i) => {
+    const next = points2D[(i + 1) % points2D.length];
+    const cross = current.x * next.y - next.x * current.y;
+    area += cross;
+    cx += (current.x + next.x) * cross;
+    cy += (current.y + next.y) * cross;
+  });
+  
+  if (Math.abs(area) < 1e-12) {
+    const count = points2D.length || 1;
+    return {
+      x: points2D.reduce((sum, p) => sum + p.x, 0) / count,
+      y: points2D.reduce((sum, p) => sum + p.y, 0) / count
+    };
+  }
+  
+  return {
+    x: cx / (3 * area),
+    y: cy / (3 * area)
+  };
+}
+
+/**
+ * Calculate the axis-aligned bounding box of 2D points
+ * @param {Array<Object>} points2D - {x, y} points
+ * @returns {Object} { minX, minY, maxX, maxY, width, height, center }
+ */
+function calculateBoundingBox(points2D) {
+  const xs = points2D.map(p => p.x);
+  const ys = points2D.map(p => p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  
+  return {
+    minX,
+    minY,
+    maxX,
+    maxY,
+    width: maxX - minX,
+    height: maxY - minY,
+    center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 }
+  };
+}
+
+/**
+ * Calculate polygon properties from vertices in world space
+ * @param {Array<THREE.Vector3|Object>} points - At least 3 vertices in order
+ * @param {THREE.Vector3|Object} [viewpoint] - Position the polygon faces (e.g. the camera), keeps the outline from being mirrored
+ * @returns {Object|null} { center, rotation, normal, width, height, area, outline } or null for collinear points.
+ *   The outline holds {x, y} vertices relative to the center in the polygon's plane.
+ */
+function calculatePolygonDimensions(points, viewpoint = null) {
+  if (points.length < 3) {
+    console.error('Not enough points to calculate polygon dimensions');
+    return null;
+  }
+  
+  const vertices = points.map(p => toVector3(p));
+  const normal = calculatePolygonNormal(vertices);
+  if (normal.lengthSq() === 0) return null;
+  
+  // Face the viewer so the outline reads the same way it was drawn
+  if (viewpoint && normal.dot(toVector3(viewpoint).sub(vertices[0])) < 0) {
+    normal.negate();
+  }
+  
+  const basis = calculatePlaneBasis(normal);
+  const points2D = projectPointsToPlane(vertices, vertices[0], basis);
+  const centroid = calculatePolygonCentroid(points2D);
+  
+  // Outline relative to the centroid
+  const outline = points2D.map(p => ({ x: p.x - centroid.x, y: p.y - centroid.y }));
+  const bounds = calculateBoundingBox(outline);
+  
+  const center = vertices[0].clone()
+    .add(basis.right.clone().multiplyScalar(centroid.x))
+    .add(basis.up.clone().multiplyScalar(centroid.y));
+  
+  return {
+    center,
+    rotation: calculateBasisRotation(basis),
+    normal,
+    width: bounds.width,
+    height: bounds.height,
+    area: calculatePolygonArea(outline),
+    outline
+  };
+}
+
+/**
+ * Calculate a circle from its center and a point on the rim
+ * @param {THREE.Vector3|Object} center - Center point
+ * @param {THREE.Vector3|Object} rimPoint - Point on the rim
+ * @returns {Object} { center, radius }
+ */
+function calculateCircleFromCenter(center, rimPoint) {
+  const c = toVector3(center);
+  
+  return {
+    center: c,
+    radius: c.distanceTo(toVector3(rimPoint))
+  };
+}
+
+/**
+ * Calculate the circle through three rim points
+ * @param {THREE.Vector3|Object} p1 - First rim point
+ * @param {THREE.Vector3|Object} p2 - Second rim point
+ * @param {THREE.Vector3|Object} p3 - Third rim point
+ * @returns {Object|null} { center, radius, normal } or null when the points are collinear
+ */
+function calculateCircleFromRimPoints(p1, p2, p3) {
+  p1 = toVector3(p1);
+  p2 = toVector3(p2);
+  p3 = toVector3(p3);
+  
+  const a = new THREE.Vector3().subVectors(p1, p3);
+  const b = new THREE.Vector3().subVectors(p2, p3);
+  const axb = new THREE.Vector3().crossVectors(a, b);
+  const denominator = 2 * axb.lengthSq();
+  
+  if (denominator < 1e-12) return null;
+  
+  // Circumcenter: p3 + ((|a|² b - |b|² a) × (a × b)) / (2 |a × b|²)
+  const offset = new THREE.Vector3()
+    .addScaledVector(b, a.lengthSq())
+    .addScaledVector(a, -b.lengthSq())
+    .cross(axb)
+    .divideScalar(denominator);
+  
+  const center = p3.clone().add(offset);
+  
+  return {
+    center,
+    radius: center.distanceTo(p1),
+    normal: axb.normalize()
+  };
+}
+
+/**
+ * Get the flat outline of an object relative to its center
+ * Rectangles and circles are generated from their dimensions, polygons use their stored outline
+ * @param {Object} object - Object data
+ * @param {Number} segments - Number of segments used to approximate circles
+ * @returns {Array<Object>} {x, y} vertices
+ */
+function getObjectOutline(object, segments = 32) {
+  switch (object.type) {
+    case 'circle': {
+      const radius = object.radius || object.width / 2;
+      const outline = [];
+      for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        outline.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+      }
+      return outline;
+    }
+      
+    case 'polygon':
+      if (Array.isArray(object.outline) && object.outline.length >= 3) {
+        return object.outline;
+      }
+      // Older data without an outline - derive it from the world points
+      return object.points && object.points.length >= 3
+        ? (calculatePolygonDimensions(object.points) || { outline: [] }).outline
+        : [];
+      
+    default: {
+      const halfWidth = object.width / 2;
+      const halfHeight = object.height / 2;
+      return [
+        { x: -halfWidth, y: halfHeight },
+        { x: halfWidth, y: halfHeight },
+        { x: halfWidth, y: -halfHeight },
+        { x: -halfWidth, y: -halfHeight }
+      ];
+    }
+  }
+}
+
+/**
+ * Calculate the area of an object
+ * @param {Object} object - Object data
+ * @returns {Number} Area in square meters
+ */
+function calculateObjectArea(object) {
+  switch (object.type) {
+    case 'circle': {
+      const radius = object.radius || object.width / 2;
+      return Math.PI * radius * radius;
+    }
+    case 'polygon':
+      return calculatePolygonArea(getObjectOutline(object));
+    default:
+      return object.width * object.height;
+  }
+}
+
+/**
+ * Calculate the bounding box of an object relative to its center
+ * @param {Object} object - Object data
+ * @returns {Object} Bounding box, see calculateBoundingBox
+ */
+function calculateObjectBoundingBox(object) {
+  if (object.type === 'circle') {
+    const radius = object.radius || object.width / 2;
+    return calculateBoundingBox([{ x: -radius, y: -radius }, { x: radius, y: radius }]);
+  }
+  
+  return calculateBoundingBox(getObjectOutline(object));
+}
+
+/**
+ * Calculate the bounding box of an object in the coordinates of its wall
+ * Objects take their wall's orientation, so this is the object's own bounding box
+ * moved to the object's center on the wall
+ * @param {Object} object - Object data with a world space center
+ * @param {Object} wall - Wall with position and rotation
+ * @returns {Object} Bounding box in wall coordinates, see calculateBoundingBox
+ */
+function calculateObjectWallBounds(object, wall) {
+  const center = toVector3(object.center).applyMatrix4(poseToMatrix(wall.position, wall.rotation).invert());
+  const bounds = calculateObjectBoundingBox(object);
+  
+  return calculateBoundingBox([
+    { x: center.x + bounds.minX, y: center.y + bounds.minY },
+    { x: center.x + bounds.maxX, y: center.y + bounds.maxY }
+  ]);
+}
+
+/**
+ * Calculate the spacing around an object on its wall
+ * Measures from the object's bounding box to each wall edge the object is inside of,
+ * from its center down to the floor (y = 0 of the local-floor reference space) and to
+ * the nearest neighbour on each side. Neighbours count when they overlap the object
+ * vertically (left/right) or horizontally (above/below).
+ * @param {Object} object - Object data with a world space center
+ * @param {Object} wall - Wall with position, rotation, width and height
+ * @param {Array<Object>} neighbours - Other objects on the same wall
+ * @returns {Array<Object>} Measurements { type: 'edge'|'floor'|'neighbour', side, start, end, distance }.
+ *   Start and end are {x, y} relative to the object center, along the wall's axes.
+ *   The floor distance is the height of the object center above the floor.
+ */
+function calculateObjectSpacing(object, wall, neighbours = []) {
+  const wallMatrix = poseToMatrix(wall.position, wall.rotation);
+  const origin = toVector3(object.center).applyMatrix4(wallMatrix.clone().invert());
+  const box = calculateObjectWallBounds(object, wall);
+  const { x: cx, y: cy } = box.center;
+  const measurements = [];
+  
+  const add = (type, side, start, end, distance) => {
+    measurements.push({
+      type,
+      side,
+      start: { x: start.x - origin.x, y: start.y - origin.y },
+      end: { x: end.x - origin.x, y: end.y - origin.y },
+      distance: distance !== undefined ? distance : Math.hypot(end.x - start.x, end.y - start.y)
+    });
+  };
+  
+  // Wall edges, along the object's center lines
+  const halfWidth = wall.width / 2;
+  const halfHeight = wall.height / 2;
+  if (box.minX > -halfWidth) add('edge', 'left', { x: box.minX, y: cy }, { x: -halfWidth, y: cy });
+  if (box.maxX < halfWidth) add('edge', 'right', { x: box.maxX, y: cy }, { x: halfWidth, y: cy });
+  if (box.maxY < halfHeight) add('edge', 'top', { x: cx, y: box.maxY }, { x: cx, y: halfHeight });
+  if (box.minY > -halfHeight) add('edge', 'bottom', { x: cx, y: box.minY }, { x: cx, y: -halfHeight });
+  
+  // Floor, straight down the wall from the center (skipped for walls lying down)
+  const xAxis = new THREE.Vector3();
+  const yAxis = new THREE.Vector3();
+  wallMatrix.extractBasis(xAxis, yAxis, new THREE.Vector3());
+  const centerHeight = wall.position.y + cx * xAxis.y + cy * yAxis.y;
+  if (yAxis.y > 0.5 && centerHeight > 0) {
+    add('floor', 'bottom', { x: cx, y: cy }, { x: cx, y: cy - centerHeight / yAxis.y }, centerHeight);
+  }
+  
+  // Nearest neighbour on each side
+  const nearest = {};
+  const consider = (side, start, end) => {
+    const distance = Math.hypot(end.x - start.x, end.y - start.y);
+    if (!nearest[side] || distance < nearest[side].distance) {
+      nearest[side] = { start, end, distance };
+    }
+  };
+  
+  neighbours.forEach(neighbour => {
+    const other = calculateObjectWallBounds(neighbour, wall);
+    
+    const overlapMinY = Math.max(box.minY, other.minY);
+    const overlapMaxY = Math.min(box.maxY, other.maxY);
+    if (overlapMinY < overlapMaxY) {
+      const y = (overlapMinY + overlapMaxY) / 2;
+      if (other.minX >= box.maxX) consider('right', { x: box.maxX, y }, { x: other.minX, y });
+      if (other.maxX <= box.minX) consider('left', { x: box.minX, y }, { x: other.maxX, y });
+    }
+    
+    const overlapMinX = Math.max(box.minX, other.minX);
+    const overlapMaxX = Math.min(box.maxX, other.maxX);
+    if (overlapMinX < overlapMaxX) {
+      const x = (overlapMinX + overlapMaxX) / 2;
+      if (other.minY >= box.maxY) consider('top', { x, y: box.maxY }, { x, y: other.minY });
+      if (other.maxY <= box.minY) consider('bottom', { x, y: box.minY }, { x, y: other.maxY });
+    }
+  });
+  
+  Object.keys(nearest).forEach(side => {
+    add('neighbour', side, nearest[side].start, nearest[side].end, nearest[side].distance);
+  });
+  
+  return measurements;
+}
+
+/**
+ * Calculate where to drill for each anchor of an object placed on a wall
+ * Anchors are stored relative to the object center along the object's axes,
+ * which match the wall's axes once the object is projected.
+ * @param {Object} object - Object data with a world space center and anchors
+ * @param {Object} wall - Wall with position, rotation, width and height
+ * @returns {Array<Object>} { id, index, world: {x, y, z}, wall: {x, y} in wall coordinates,
+ *   fromCorner: {x, y} measured from the wall's bottom-left corner,
+ *   height: above the floor (y = 0 of the local-floor reference space), null for walls lying down }
  */
-function metersToFormattedCm(meters, precision = 1) {
-  return (meters * 100).toFixed(precision);
+function calculateDrillPoints(object, wall) {
+  if (!object.center || !Array.isArray(object.anchors)) return [];
+  
+  const wallMatrix = poseToMatrix(wall.position, wall.rotation);
+  const center = toVector3(object.center).applyMatrix4(wallMatrix.clone().invert());
+  const upright = wallMatrix.elements[5] > 0.5; // World Y of the wall's up axis
+  const points = [];
+  
+  object.anchors.forEach((anchor, index) => {
+    if (!anchor || !anchor.position) return;
+    
+    const x = center.x + anchor.position.x;
+    const y = center.y + anchor.position.y;
+    const world = new THREE.Vector3(x, y, 0).applyMatrix4(wallMatrix);
+    
+    points.push({
+      id: anchor.id,
+      index,
+      world: { x: world.x, y: world.y, z: world.z },
+      wall: { x, y },
+      fromCorner: { x: x + wall.width / 2, y: y + wall.height / 2 },
+      height: upright ? world.y : null
+    });
+  });
+  
+  return points;
+}
+
+/**
+ * Place an object on a wall, facing the same way as the wall
+ * Rectangles and polygons get new corner points from their outline; circle rim points move with the center
+ * @param {Object} object - Object data
+ * @param {Object} wall - Wall with position and rotation
+ * @param {Object} position - {x, y} of the object center in wall coordinates
+ * @returns {Object} Copy of the object with a new world space center, rotation, points and wallId
+ */
+function placeObjectOnWall(object, wall, position) {
+  const wallMatrix = poseToMatrix(wall.position, wall.rotation);
+  const toWorld = (x, y) => {
+    const point = new THREE.Vector3(x, y, 0).applyMatrix4(wallMatrix);
+    return { x: point.x, y: point.y, z: point.z };
+  };
+  
+  const center = toWorld(position.x, position.y);
+  const points = object.points || [];
+  const outline = object.type === 'circle' ? [] : getObjectOutline(object);
+  
+  let newPoints;
+  if (outline.length > 0 && outline.length === points.length) {
+    newPoints = outline.map(vertex => toWorld(position.x + vertex.x, position.y + vertex.y));
+  } else {
+    const previous = object.center || center;
+    newPoints = points.map(point => ({
+      x: point.x + center.x - previous.x,
+      y: point.y + center.y - previous.y,
+      z: point.z + center.z - previous.z
+    }));
+  }
+  
+  return {
+    ...object,
+    center,
+    rotation: { ...wall.rotation },
+    points: newPoints,
+    wallId: wall.id
+  };
+}
+
+/**
+ * Get the frame an object's outline and anchors are measured in
+ * Rectangles that are not on a wall take it from their corner points, since their
+ * stored rotation uses another angle order; other objects use their center and rotation.
+ * @param {Object} object - Object data with a world space center
+ * @returns {THREE.Matrix4} Transform from object coordinates (X right, Y up, Z out of the face) to world space
+ */
+function getObjectMatrix(object) {
+  const points = object.points || [];
+  
+  if (object.type !== 'circle' && object.type !== 'polygon' && !object.projected && points.length >= 3) {
+    const [p1, p2, p3] = points.map(p => toVector3(p));
+    const right = new THREE.Vector3().subVectors(p2, p1).normalize();
+    const up = new THREE.Vector3().subVectors(p2, p3).normalize();
+    const normal = new THREE.Vector3().crossVectors(right, up);
+    
+    if (normal.lengthSq() > 1e-6) {
+      return new THREE.Matrix4()
+        .makeBasis(right, up, normal.normalize())
+        .setPosition(toVector3(object.center));
+    }
+  }
+  
+  return poseToMatrix(object.center, object.rotation);
+}
+
+/**
+ * Get the points an object is reshaped by in the object editor
+ * @param {Object} object - Object data
+ * @returns {Array<Object>} {x, y} relative to the object center: rectangle corners (top left,
+ *   top right, bottom right, bottom left), polygon vertices, or a single rim point for circles
+ */
+function getObjectHandles(object) {
+  if (object.type === 'circle') {
+    return [{ x: object.radius || object.width / 2, y: 0 }];
+  }
+  
+  return getObjectOutline(object).map(vertex => ({ x: vertex.x, y: vertex.y }));
+}
+
+// Copy of an object with a new shape in its own frame
+// shape holds the new dimensions and the new center relative to the old one;
+// mapPoint moves a point on the object (relative to the old center) with the shape
+function reshapeObject(object, shape, mapPoint) {
+  const matrix = getObjectMatrix(object);
+  const toWorld = (x, y, z = 0) => {
+    const point = new THREE.Vector3(x, y, z).applyMatrix4(matrix);
+    return { x: point.x, y: point.y, z: point.z };
+  };
+  
+  const { center, ...dimensions } = shape;
+  const reshaped = { ...object, ...dimensions, center: toWorld(center.x, center.y) };
+  
+  // Rectangle and polygon corners are rebuilt from the new outline, circle points follow the shape
+  if (object.type === 'circle') {
+    const toLocal = matrix.clone().invert();
+    reshaped.points = (object.points || []).map(point => {
+      const local = toVector3(point).applyMatrix4(toLocal);
+      const moved = mapPoint(local);
+      return toWorld(moved.x, moved.y, local.z);
+    });
+  } else {
+    const outline = getObjectOutline(reshaped);
+    const corners = object.type === 'polygon' ? outline : outline.slice(0, 3);
+    reshaped.points = corners.map(vertex => toWorld(center.x + vertex.x, center.y + vertex.y));
+  }
+  
+  // Anchors keep their place on the object, measured from the new center
+  if (Array.isArray(object.anchors)) {
+    reshaped.anchors = transformAnchors(object.anchors, point => {
+      const moved = mapPoint(point);
+      return { x: moved.x - center.x, y: moved.y - center.y };
+    });
+  }
+  
+  return reshaped;
+}
+
+/**
+ * Move one of an object's handles (see getObjectHandles)
+ * A rectangle corner stretches the object and its anchors away from the opposite corner,
+ * which stays in place; a polygon vertex moves on its own; a circle's rim point sets the radius.
+ * @param {Object} object - Object data with a world space center
+ * @param {Number} index - Handle index
+ * @param {Object} point - New {x, y} of the handle relative to the object center, in the object's frame
+ * @returns {Object|null} Copy of the object with new dimensions, center, points and anchors,
+ *   or null for an unknown handle or a polygon without area
+ */
+function moveObjectHandle(object, index, point) {
+  const handles = getObjectHandles(object);
+  if (!handles[index]) return null;
+  
+  if (object.type === 'circle') {
+    const radius = Math.max(MIN_OBJECT_SIZE / 2, Math.hypot(point.x, point.y));
+    const scale = radius / handles[0].x;
+    
+    return reshapeObject(object, { center: { x: 0, y: 0 }, radius, width: radius * 2, height: radius * 2 },
+      p => ({ x: p.x * scale, y: p.y * scale }));
+  }
+  
+  if (object.type === 'polygon') {
+    const outline = handles.map((vertex, i) => (i === index ? { x: point.x, y: point.y } : vertex));
+    if (calculatePolygonArea(outline) < MIN_OBJECT_SIZE * MIN_OBJECT_SIZE) return null;
+    
+    // The center stays the area centroid, so the outline is measured from the new one
+    const centroid = calculatePolygonCentroid(outline);
+    const centered = outline.map(vertex => ({ x: vertex.x - centroid.x, y: vertex.y - centroid.y }));
+    const bounds = calculateBoundingBox(centered);
+    
+    return reshapeObject(object, { center: centroid, outline: centered, width: bounds.width, height: bounds.height },
+      p => ({ x: p.x, y: p.y }));
+  }
+  
+  // The dragged corner can't cross the opposite one
+  const corner = handles[index];
+  const opposite = handles[(index + 2) % 4];
+  const signX = Math.sign(corner.x - opposite.x) || 1;
+  const signY = Math.sign(corner.y - opposite.y) || 1;
+  const width = Math.max(MIN_OBJECT_SIZE, signX * (point.x - opposite.x));
+  const height = Math.max(MIN_OBJECT_SIZE, signY * (point.y - opposite.y));
+  const scaleX = width / object.width;
+  const scaleY = height / object.height;
+  
+  return reshapeObject(object, {
+    center: { x: opposite.x + signX * width / 2, y: opposite.y + signY * height / 2 },
+    width,
+    height
+  }, p => ({
+    x: opposite.x + (p.x - opposite.x) * scaleX,
+    y: opposite.y + (p.y - opposite.y) * scaleY
+  }));
+}
+
+/**
+ * Resize an object to an exact width and height, keeping its center in place
+ * Polygon outlines and anchors are stretched with the object; circles take the width as their diameter
+ * @param {Object} object - Object data with a world space center
+ * @param {Number} width - New width (meters)
+ * @param {Number} height - New height (meters), ignored for circles
+ * @returns {Object|null} Copy of the object with new dimensions, points and anchors,
+ *   or null for sizes below MIN_OBJECT_SIZE
+ */
+function resizeObject(object, width, height) {
+  if (object.type === 'circle') {
+    if (!(width >= MIN_OBJECT_SIZE)) return null;
+    
+    const radius = width / 2;
+    const scale = radius / (object.radius || object.width / 2);
+    
+    return reshapeObject(object, { center: { x: 0, y: 0 }, radius, width, height: width },
+      p => ({ x: p.x * scale, y: p.y * scale }));
+  }
+  
+  if (!(width >= MIN_OBJECT_SIZE) || !(height >= MIN_OBJECT_SIZE)) return null;
+  
+  const scaleX = width / object.width;
+  const scaleY = height / object.height;
+  const mapPoint = p => ({ x: p.x * scaleX, y: p.y * scaleY });
+  const shape = { center: { x: 0, y: 0 }, width, height };
+  
+  // Stretching keeps the area centroid on the center
+  if (object.type === 'polygon') {
+    shape.outline = getObjectOutline(object).map(mapPoint);
+  }
+  
+  return reshapeObject(object, shape, mapPoint);
+}
+
+// Anchor labels that swap when an object is mirrored
+const MIRRORED_LABELS = { Left: 'Right', Right: 'Left' };
+
+/**
+ * Mirror an object horizontally, about its vertical center line
+ * Polygon outlines and anchors are flipped left to right; anchors labelled "Left"
+ * and "Right" swap labels so they still name their side.
+ * @param {Object} object - Object data with a world space center
+ * @returns {Object} Copy of the object with mirrored outline, points and anchors
+ */
+function mirrorObject(object) {
+  const mapPoint = p => ({ x: -p.x, y: p.y });
+  const shape = { center: { x: 0, y: 0 } };
+  
+  // Reversed, so the corners keep going round in the same direction
+  if (object.type === 'polygon') {
+    shape.outline = getObjectOutline(object).map(mapPoint).reverse();
+  }
+  
+  const mirrored = reshapeObject(object, shape, mapPoint);
+  if (Array.isArray(mirrored.anchors)) {
+    mirrored.anchors = mirrored.anchors.map(anchor =>
+      (MIRRORED_LABELS[anchor.label] ? { ...anchor, label: MIRRORED_LABELS[anchor.label] } : anchor));
+  }
+  
+  return mirrored;
 }
 
 // Export utility functions
 export {
+  MIN_OBJECT_SIZE,
   toVector3,
   calculatePlaneFromPoints,
+  fitPlaneToPoints,
   calculateFourthCorner,
   calculateRectangleDimensions,
   calculateRectangleOrientation,
-  metersToFormattedCm
+  calculatePolygonNormal,
+  calculatePlaneBasis,
+  calculateBasisRotation,
+  poseToMatrix,
+  matrixToPose,
+  transformPoseLocal,
+  rotationToNormal,
+  calculatePointDeviations,
+  alignPoseToPlane,
+  projectPointsToPlane,
+  calculatePolygonArea,
+  calculatePolygonCentroid,
+  calculateBoundingBox,
+  calculatePolygonDimensions,
+  calculateCircleFromCenter,
+  calculateCircleFromRimPoints,
+  getObjectOutline,
+  calculateObjectArea,
+  calculateObjectBoundingBox,
+  calculateObjectWallBounds,
+  calculateObjectSpacing,
+  calculateDrillPoints,
+  placeObjectOnWall,
+  getObjectMatrix,
+  getObjectHandles,
+  moveObjectHandle,
+  resizeObject,
+  mirrorObject
 };
\ No newline at end of file
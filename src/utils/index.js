@@ -4,16 +4,30 @@
  * Central export point for all utility modules
  */
 
+import * as anchors from './anchors.js';
 import * as events from './events.js';
+import * as files from './files.js';
 import * as geometry from './geometry.js';
 import * as interaction from './interaction.js';
+import * as layouts from './layouts.js';
+import * as library from './library.js';
 import * as uiElements from './ui-elements.js';
+import * as snapping from './snapping.js';
+import * as units from './units.js';
+import * as walls from './walls.js';
 import { Colors } from './constants.js';
 
 export {
+  anchors,
   events,
+  files,
   geometry,
   interaction,
+  layouts,
+  library,
   uiElements,
+  snapping,
+  units,
+  walls,
   Colors
 };
\ No newline at end of file
@@ -8,9 +8,41 @@
 // Ensure THREE is accessible in this module
 const THREE = window.THREE;
 
+// Where placed points are taken from: the pinching fingertip or the hit-test surface under the reticle
+const POINT_SOURCES = {
+  fingertip: { label: 'Finger' },
+  surface: { label: 'Surface' }
+};
+
 /**
- * Process a pinch event to get the world position
- * @param {Object} event - The pinch event
+ * Check that a value names a supported point source
+ * @param {String} pointSource - Point source id
+ * @returns {Boolean} True if supported
+ */
+function isValidPointSource(pointSource) {
+  return Object.prototype.hasOwnProperty.call(POINT_SOURCES, pointSource);
+}
+
+/**
+ * Get the hand ('left' or 'right') that triggered a pinch or input event
+ * @param {Object} event - The pinch or input event
+ * @returns {String|null} Hand or null if unknown
+ */
+function getEventHand(event) {
+  if (event.detail && event.detail.hand) {
+    return event.detail.hand;
+  }
+  
+  const controls = event.target && event.target.components
+    ? event.target.components['hand-tracking-controls']
+    : null;
+  
+  return controls ? controls.data.hand : null;
+}
+
+/**
+ * Process a pinch or input event to get the world position
+ * @param {Object} event - The pinch or input event
  * @returns {THREE.Vector3|null} World position or null if not found
  */
 function getPinchPosition(event) {
@@ -39,6 +71,33 @@ function getPinchPosition(event) {
   return worldPosition;
 }
 
+/**
+ * Get the position of a newly placed point for a pinch or input event
+ * Uses the hit-test reticle when surface placement is selected in scene-state,
+ * and falls back to the fingertip while no surface is detected
+ * @param {Object} event - The pinch event
+ * @param {Element} sceneEl - Scene element
+ * @returns {THREE.Vector3|null} World position or null if not found
+ */
+function getPlacementPosition(event, sceneEl) {
+  const sceneState = sceneEl.systems['scene-state'];
+  const pointSource = sceneState ? sceneState.getPointSource() : 'fingertip';
+  
+  if (pointSource === 'surface') {
+    const reticle = sceneEl.querySelector('[hit-test-reticle]');
+    const component = reticle ? reticle.components['hit-test-reticle'] : null;
+    const hitPosition = component ? component.getHitPosition(getEventHand(event)) : null;
+    
+    if (hitPosition) {
+      return hitPosition;
+    }
+    
+    console.warn('Interaction: No surface detected, using fingertip position');
+  }
+  
+  return getPinchPosition(event);
+}
+
 /**
  * Prevent multiple interactions in quick succession
  * @param {Number} lastInteractionTime - Last interaction timestamp
@@ -70,9 +129,35 @@ function getHandEntity(hand) {
   return null;
 }
 
+/**
+ * Get the hands and controllers that send input events
+ * @param {Element} sceneEl - Scene element
+ * @returns {Array<Object>} input-source components of the initialized sources
+ */
+function getInputSources(sceneEl) {
+  return Array.from(sceneEl.querySelectorAll('[input-source]'))
+    .map(el => el.components['input-source'])
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a keyboard event target is a text field, where keys are typed rather than used as shortcuts
+ * @param {Element} target - Event target
+ * @returns {Boolean} True for inputs, text areas and editable elements
+ */
+function isTextInput(target) {
+  return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || !!target.isContentEditable);
+}
+
 // Export utility functions
 export {
+  POINT_SOURCES,
+  isValidPointSource,
+  getEventHand,
   getPinchPosition,
+  getPlacementPosition,
   debounceInteraction,
   getHandEntity,
+  getInputSources,
+  isTextInput,
 };
\ No newline at end of file
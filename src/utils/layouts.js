@@ -0,0 +1,265 @@
+/**
+ * Layouts Utility
+ *
+ * Arranges several objects on a wall as a gallery: a grid, a salon-style
+ * cluster or a single row on a common centre line.
+ * All positions are in wall coordinates (X right, Y up, origin at the wall center).
+ */
+
+import { calculateObjectBoundingBox, calculateObjectWallBounds, poseToMatrix } from './geometry.js';
+
+// Available arrangements, in the order they are offered in the Gallery Layout menu
+const LAYOUT_TYPES = {
+  grid: { label: 'Grid' },
+  salon: { label: 'Salon' },
+  row: { label: 'Row' }
+};
+
+// Gaps between objects offered per unit system (meters)
+const LAYOUT_SPACINGS = {
+  metric: [0.05, 0.08, 0.1, 0.15],
+  imperial: [0.0508, 0.0762, 0.1016, 0.1524] // 2, 3, 4 and 6 in
+};
+
+// Heights of the layout centre above the floor offered per unit system (meters)
+// Galleries usually hang artwork with its centre at 145-150 cm (57-60 in)
+const LAYOUT_CENTER_HEIGHTS = {
+  metric: [1.35, 1.45, 1.5, 1.6],
+  imperial: [1.3716, 1.4478, 1.524, 1.6002] // 54, 57, 60 and 63 in
+};
+
+// Width to height ratio salon clusters grow towards
+const SALON_ASPECT = 1.5;
+
+// Most copies one array of an object can have
+const MAX_ARRAY_COPIES = 10;
+
+// Check whether two boxes come closer than the spacing
+function boxesTooClose(a, b, spacing) {
+  const gap = spacing - 1e-6;
+  return a.minX < b.maxX + gap && a.maxX > b.minX - gap &&
+    a.minY < b.maxY + gap && a.maxY > b.minY - gap;
+}
+
+// Box of the given size centred on a point
+function boxAt(item, x, y) {
+  return {
+    id: item.id,
+    x,
+    y,
+    minX: x - item.width / 2,
+    maxX: x + item.width / 2,
+    minY: y - item.height / 2,
+    maxY: y + item.height / 2
+  };
+}
+
+// Box around a set of boxes
+function unionBox(boxes) {
+  return {
+    minX: Math.min(...boxes.map(box => box.minX)),
+    maxX: Math.max(...boxes.map(box => box.maxX)),
+    minY: Math.min(...boxes.map(box => box.minY)),
+    maxY: Math.max(...boxes.map(box => box.maxY))
+  };
+}
+
+// Single row in the given order, all centres on y = 0
+function arrangeRow(items, spacing) {
+  const boxes = [];
+  let x = 0;
+  
+  items.forEach(item => {
+    boxes.push(boxAt(item, x + item.width / 2, 0));
+    x += item.width + spacing;
+  });
+  
+  return boxes;
+}
+
+// Rows of near-equal length; each column is as wide as its widest object
+// and each row as tall as its tallest, with objects centred in their cells
+function arrangeGrid(items, spacing) {
+  const columns = Math.ceil(Math.sqrt(items.length));
+  const rows = Math.ceil(items.length / columns);
+  const columnWidths = new Array(columns).fill(0);
+  const rowHeights = new Array(rows).fill(0);
+  
+  items.forEach((item, index) => {
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    columnWidths[column] = Math.max(columnWidths[column], item.width);
+    rowHeights[row] = Math.max(rowHeights[row], item.height);
+  });
+  
+  // Cell centres, columns left to right and rows top to bottom
+  const columnX = [];
+  let x = 0;
+  columnWidths.forEach(width => {
+    columnX.push(x + width / 2);
+    x += width + spacing;
+  });
+  
+  const rowY = [];
+  let y = 0;
+  rowHeights.forEach(height => {
+    rowY.push(y - height / 2);
+    y -= height + spacing;
+  });
+  
+  return items.map((item, index) => boxAt(item, columnX[index % columns], rowY[Math.floor(index / columns)]));
+}
+
+// Salon-style cluster: the largest object in the middle and each next one
+// beside, above or below a placed object where the cluster stays most compact
+function arrangeSalon(items, spacing) {
+  const sorted = items.slice().sort((a, b) => b.width * b.height - a.width * a.height);
+  const boxes = [boxAt(sorted[0], 0, 0)];
+  
+  sorted.slice(1).forEach(item => {
+    let best = null;
+    
+    boxes.forEach(box => {
+      const besideX = [box.maxX + spacing + item.width / 2, box.minX - spacing - item.width / 2];
+      const besideY = [(box.minY + box.maxY) / 2, box.maxY - item.height / 2, box.minY + item.height / 2];
+      const stackedY = [box.maxY + spacing + item.height / 2, box.minY - spacing - item.height / 2];
+      const stackedX = [(box.minX + box.maxX) / 2, box.minX + item.width / 2, box.maxX - item.width / 2];
+      
+      const candidates = [];
+      besideX.forEach(x => besideY.forEach(y => candidates.push(boxAt(item, x, y))));
+      stackedY.forEach(y => stackedX.forEach(x => candidates.push(boxAt(item, x, y))));
+      
+      candidates.forEach(candidate => {
+        if (boxes.some(placed => boxesTooClose(candidate, placed, spacing))) return;
+        
+        // Prefer a compact, slightly landscape cluster that stays around the first object
+        const union = unionBox(boxes.concat(candidate));
+        const score = Math.max((union.maxX - union.minX) / SALON_ASPECT, union.maxY - union.minY) +
+          0.25 * Math.hypot(candidate.x, candidate.y * SALON_ASPECT);
+        
+        if (!best || score < best.score - 1e-9) {
+          best = { box: candidate, score };
+        }
+      });
+    });
+    
+    boxes.push(best.box);
+  });
+  
+  return boxes;
+}
+
+/**
+ * Arrange boxes in a layout
+ * @param {Array<Object>} items - { id, width, height } of each object's bounding box
+ * @param {String} type - Key of LAYOUT_TYPES
+ * @param {Number} spacing - Gap between neighbouring boxes (meters)
+ * @returns {Object} { placements: [{ id, x, y }] box centres relative to the layout centre, width, height }
+ */
+function arrangeLayout(items, type, spacing) {
+  if (!items.length) {
+    return { placements: [], width: 0, height: 0 };
+  }
+  
+  let boxes;
+  switch (type) {
+    case 'row':
+      boxes = arrangeRow(items, spacing);
+      break;
+    case 'salon':
+      boxes = arrangeSalon(items, spacing);
+      break;
+    default:
+      boxes = arrangeGrid(items, spacing);
+  }
+  
+  // Centre the whole layout on the origin
+  const union = unionBox(boxes);
+  const offsetX = (union.minX + union.maxX) / 2;
+  const offsetY = (union.minY + union.maxY) / 2;
+  
+  return {
+    placements: boxes.map(box => ({ id: box.id, x: box.x - offsetX, y: box.y - offsetY })),
+    width: union.maxX - union.minX,
+    height: union.maxY - union.minY
+  };
+}
+
+/**
+ * Get the point of a wall at a height above the floor, on the wall's vertical center line
+ * @param {Object} wall - Wall with position, rotation and height
+ * @param {Number} height - Height above the floor (y = 0 of the local-floor reference space)
+ * @returns {Object} {x, y} in wall coordinates - the wall center for walls lying down
+ */
+function getWallPointAtHeight(wall, height) {
+  const upY = poseToMatrix(wall.position, wall.rotation).elements[5]; // World Y of the wall's up axis
+  return { x: 0, y: upY > 0.5 ? (height - wall.position.y) / upY : 0 };
+}
+
+/**
+ * Lay objects out on a wall around a centre height
+ * @param {Array<Object>} objects - Object data (see calculateObjectBoundingBox)
+ * @param {Object} wall - Wall with position, rotation, width and height
+ * @param {Object} options - { type: key of LAYOUT_TYPES, spacing, centerHeight: height of the layout centre above the floor }
+ * @returns {Object} { placements: [{ id, x, y }] object centres in wall coordinates, width, height,
+ *   fits: whether the layout lies within the wall }
+ */
+function layoutObjectsOnWall(objects, wall, options) {
+  const bounds = {};
+  const items = objects.map(object => {
+    bounds[object.id] = calculateObjectBoundingBox(object);
+    return { id: object.id, width: bounds[object.id].width, height: bounds[object.id].height };
+  });
+  
+  const layout = arrangeLayout(items, options.type, options.spacing);
+  const origin = getWallPointAtHeight(wall, options.centerHeight);
+  
+  // Boxes are placed by their centres - shapes like polygons are not centred in their box
+  const placements = layout.placements.map(placement => ({
+    id: placement.id,
+    x: origin.x + placement.x - bounds[placement.id].center.x,
+    y: origin.y + placement.y - bounds[placement.id].center.y
+  }));
+  
+  const fits = Math.abs(origin.x) + layout.width / 2 <= wall.width / 2 + 1e-6 &&
+    Math.abs(origin.y) + layout.height / 2 <= wall.height / 2 + 1e-6;
+  
+  return { placements, width: layout.width, height: layout.height, fits };
+}
+
+/**
+ * Place copies of an object in a row to the right of it, on the same center line
+ * @param {Object} object - The original object, with a world space center on the wall
+ * @param {Array<Object>} copies - Object data of the copies, in the order they are placed
+ * @param {Object} wall - Wall with position, rotation, width and height
+ * @param {Number} spacing - Gap between neighbouring objects (meters)
+ * @returns {Object} { placements: [{ id, x, y }] copy centres in wall coordinates,
+ *   fits: whether the copies lie within the wall }
+ */
+function placeCopiesBeside(object, copies, wall, spacing) {
+  const original = calculateObjectWallBounds(object, wall);
+  const y = original.minY - calculateObjectBoundingBox(object).minY;
+  
+  let right = original.maxX;
+  const placements = copies.map(copy => {
+    const bounds = calculateObjectBoundingBox(copy);
+    const x = right + spacing - bounds.minX;
+    right = x + bounds.maxX;
+    return { id: copy.id, x, y };
+  });
+  
+  const fits = right <= wall.width / 2 + 1e-6;
+  
+  return { placements, fits };
+}
+
+export {
+  LAYOUT_TYPES,
+  LAYOUT_SPACINGS,
+  LAYOUT_CENTER_HEIGHTS,
+  MAX_ARRAY_COPIES,
+  arrangeLayout,
+  getWallPointAtHeight,
+  layoutObjectsOnWall,
+  placeCopiesBeside
+};
@@ -0,0 +1,153 @@
+/**
+ * Library Utility
+ *
+ * Sorting, filtering and paging of the saved objects for the object library
+ * (View Objects menu), their display names, and copies of objects.
+ */
+
+import { calculateObjectArea } from './geometry.js';
+
+// Orders the library can be sorted in, in the order the Sort button cycles through them
+const LIBRARY_SORTS = {
+  newest: { label: 'Newest' },
+  oldest: { label: 'Oldest' },
+  largest: { label: 'Largest' },
+  smallest: { label: 'Smallest' },
+  name: { label: 'Name' }
+};
+
+// Short names of the object shapes, in the order the Type filter cycles through them
+const OBJECT_TYPE_LABELS = {
+  rectangle: 'Rect',
+  circle: 'Circle',
+  polygon: 'Poly'
+};
+
+// Longest name a copy gets, matching the object editor (characters)
+const NAME_MAX_LENGTH = 40;
+
+/**
+ * Get the name an object is listed with
+ * @param {Object} object - Object data with an optional name
+ * @param {Number} index - Position of the object in the stored list
+ * @returns {String} The object's name, or "Object <n>" for unnamed objects
+ */
+function getObjectTitle(object, index) {
+  return object.name || `Object ${index + 1}`;
+}
+
+/**
+ * Format an object's creation time as a date
+ * @param {String} createdAt - ISO 8601 timestamp
+ * @returns {String} Local date as YYYY-MM-DD, or an empty string when missing or invalid
+ */
+function formatObjectDate(createdAt) {
+  const date = new Date(createdAt);
+  if (!createdAt || isNaN(date.getTime())) return '';
+  
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Compare two library entries for a sort order; ties keep the stored order
+function compareEntries(a, b, sort) {
+  const created = entry => entry.object.createdAt || '';
+  const area = entry => calculateObjectArea(entry.object) || 0;
+  
+  switch (sort) {
+    case 'oldest':
+      return created(a).localeCompare(created(b)) || a.index - b.index;
+    case 'largest':
+      return area(b) - area(a) || a.index - b.index;
+    case 'smallest':
+      return area(a) - area(b) || a.index - b.index;
+    case 'name':
+      // Named objects first, alphabetically
+      if (!a.object.name || !b.object.name) {
+        return (a.object.name ? -1 : 0) + (b.object.name ? 1 : 0) || a.index - b.index;
+      }
+      return a.object.name.localeCompare(b.object.name, undefined, { sensitivity: 'base' }) || a.index - b.index;
+    default:
+      return created(b).localeCompare(created(a)) || b.index - a.index;
+  }
+}
+
+/**
+ * Filter and sort objects for the library
+ * @param {Array<Object>} objects - Stored objects
+ * @param {Object} options - { sort: key of LIBRARY_SORTS, wallId: wall to show or null for all,
+ *   type: object type to show or null for all, search: text the name must contain, ignoring
+ *   case, or '' for all - unnamed objects don't match a search }
+ * @returns {Array<Object>} { object, index } entries, index being the position in the stored list
+ */
+function queryObjects(objects, options = {}) {
+  const { sort = 'newest', wallId = null, type = null, search = '' } = options;
+  const text = search.trim().toLowerCase();
+  
+  return objects
+    .map((object, index) => ({ object, index }))
+    .filter(({ object }) =>
+      (!wallId || object.wallId === wallId) &&
+      (!type || (object.type || 'rectangle') === type) &&
+      (!text || (!!object.name && object.name.toLowerCase().includes(text))))
+    .sort((a, b) => compareEntries(a, b, sort));
+}
+
+/**
+ * Get one page of a list
+ * @param {Array} items - All items
+ * @param {Number} page - Requested page, starting at 0; clamped to the available pages
+ * @param {Number} pageSize - Items per page
+ * @returns {Object} { items, page, pageCount } - the items on the page, the page shown and
+ *   the number of pages (at least 1)
+ */
+function paginate(items, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const shown = Math.min(Math.max(0, Math.floor(page) || 0), pageCount - 1);
+  
+  return {
+    items: items.slice(shown * pageSize, (shown + 1) * pageSize),
+    page: shown,
+    pageCount
+  };
+}
+
+/**
+ * Copy an object with a new id
+ * The copy keeps the shape, position and anchors (with new ids) but is not projected
+ * and has no spatial anchor; named objects get "copy" added to the name.
+ * @param {Object} object - Object data
+ * @param {String} id - Id of the copy
+ * @returns {Object} The copy
+ */
+function copyObject(object, id) {
+  const copy = JSON.parse(JSON.stringify(object));
+  delete copy.spatialAnchor;
+  
+  copy.id = id;
+  copy.projected = false;
+  copy.createdAt = new Date().toISOString();
+  
+  if (copy.name) {
+    copy.name = `${copy.name} copy`.slice(0, NAME_MAX_LENGTH);
+  }
+  if (Array.isArray(copy.anchors)) {
+    copy.anchors = copy.anchors.map((anchor, index) => ({
+      ...anchor,
+      id: `anchor_${id}_${index}`,
+      objectId: id
+    }));
+  }
+  
+  return copy;
+}
+
+export {
+  LIBRARY_SORTS,
+  OBJECT_TYPE_LABELS,
+  getObjectTitle,
+  formatObjectDate,
+  queryObjects,
+  paginate,
+  copyObject
+};
@@ -0,0 +1,117 @@
+/**
+ * Snapping Utility
+ *
+ * Snaps objects dragged on a wall to the wall grid, to the edges and centers
+ * of other objects and to the wall's center lines.
+ * All positions are in wall coordinates (X right, Y up, origin at the wall center).
+ */
+
+// Things objects can snap to, in the order they are offered in the Settings menu
+const SNAP_TARGETS = {
+  grid: { label: 'Grid' },
+  objects: { label: 'Objects' },
+  center: { label: 'Center' }
+};
+
+// Snap targets used until the user changes them
+const DEFAULT_SNAP_TARGETS = ['objects', 'center'];
+
+// Distance within which an edge or center snaps (meters)
+const SNAP_DISTANCE = 0.02;
+
+/**
+ * Check that a value is a list of supported snap targets
+ * @param {*} targets - Value to check
+ * @returns {Boolean} True for an array of distinct SNAP_TARGETS keys (may be empty)
+ */
+function isValidSnapTargets(targets) {
+  return Array.isArray(targets) &&
+    targets.every(target => Object.prototype.hasOwnProperty.call(SNAP_TARGETS, target)) &&
+    new Set(targets).size === targets.length;
+}
+
+/**
+ * Collect the lines an object can snap to
+ * @param {Array<Object>} neighbourBounds - Bounding boxes of the other objects on the wall (see calculateBoundingBox)
+ * @param {Array<String>} targets - Enabled snap targets
+ * @returns {Object} { x: [{ value, type }], y: [{ value, type }] } - vertical lines (x) and horizontal lines (y)
+ */
+function getSnapLines(neighbourBounds, targets) {
+  const lines = { x: [], y: [] };
+  
+  if (targets.includes('center')) {
+    lines.x.push({ value: 0, type: 'center' });
+    lines.y.push({ value: 0, type: 'center' });
+  }
+  
+  if (targets.includes('objects')) {
+    neighbourBounds.forEach(bounds => {
+      [bounds.minX, bounds.center.x, bounds.maxX].forEach(value => lines.x.push({ value, type: 'objects' }));
+      [bounds.minY, bounds.center.y, bounds.maxY].forEach(value => lines.y.push({ value, type: 'objects' }));
+    });
+  }
+  
+  return lines;
+}
+
+// Find the closest line to any of the anchor values on one axis
+// Grid lines are at whole multiples of gridSpacing from gridOrigin
+function findAxisSnap(anchors, lines, gridSpacing, gridOrigin, distance) {
+  let best = null;
+  
+  const consider = (anchor, line) => {
+    const offset = line.value - anchor;
+    if (Math.abs(offset) <= distance && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+      best = { offset, value: line.value, type: line.type };
+    }
+  };
+  
+  anchors.forEach(anchor => {
+    lines.forEach(line => consider(anchor, line));
+    
+    if (gridSpacing > 0) {
+      const value = gridOrigin + Math.round((anchor - gridOrigin) / gridSpacing) * gridSpacing;
+      consider(anchor, { value, type: 'grid' });
+    }
+  });
+  
+  return best;
+}
+
+/**
+ * Snap an object's bounding box to the nearest lines
+ * Each axis snaps on its own: the object's left edge, center or right edge to the
+ * closest vertical line, and its bottom edge, center or top edge to the closest horizontal line.
+ * @param {Object} bounds - Bounding box of the dragged object (see calculateBoundingBox)
+ * @param {Object} lines - Snap lines from getSnapLines
+ * @param {Object} options - { grid: { spacing, origin: {x, y} } when snapping to the grid, distance: snap distance }
+ * @returns {Object} { offset: {x, y} to add to the object, guides: [{ axis: 'x'|'y', value, type }] }
+ */
+function snapBounds(bounds, lines, options = {}) {
+  const grid = options.grid || { spacing: 0, origin: { x: 0, y: 0 } };
+  const distance = options.distance !== undefined ? options.distance : SNAP_DISTANCE;
+  
+  const snapX = findAxisSnap([bounds.minX, bounds.center.x, bounds.maxX], lines.x, grid.spacing, grid.origin.x, distance);
+  const snapY = findAxisSnap([bounds.minY, bounds.center.y, bounds.maxY], lines.y, grid.spacing, grid.origin.y, distance);
+  
+  const guides = [];
+  if (snapX) guides.push({ axis: 'x', value: snapX.value, type: snapX.type });
+  if (snapY) guides.push({ axis: 'y', value: snapY.value, type: snapY.type });
+  
+  return {
+    offset: {
+      x: snapX ? snapX.offset : 0,
+      y: snapY ? snapY.offset : 0
+    },
+    guides
+  };
+}
+
+export {
+  SNAP_TARGETS,
+  DEFAULT_SNAP_TARGETS,
+  SNAP_DISTANCE,
+  isValidSnapTargets,
+  getSnapLines,
+  snapBounds
+};
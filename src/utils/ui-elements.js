@@ -5,9 +5,17 @@
  * These utilities help maintain consistency and reduce boilerplate code.
  */
 
+import { getObjectOutline } from './geometry.js';
+import { formatLength, getSceneUnits } from './units.js';
+import { Colors } from './constants.js';
+
 // Ensure THREE is accessible in this module
 const THREE = window.THREE;
 
+// Distance from a wall plane above which a point is shown as suspect, or as an outlier
+const DEVIATION_WARNING = 0.005; // 5 mm
+const DEVIATION_ERROR = 0.015; // 15 mm
+
 /**
  * Creates a marker at a point in 3D space
  * @param {Object|THREE.Vector3} position - Position for the marker
@@ -110,6 +118,40 @@ function createLine(start, end, color = '#FFFFFF', dashed = false, parent = null
   return line;
 }
 
+/**
+ * Creates a hanging wire: a line from each attachment point up to the hook
+ * @param {Array<Object>} attachments - Two {x, y} attachment points
+ * @param {Object} hook - {x, y} point where the wire meets the nail
+ * @param {Number} z - Distance in front of the parent's plane
+ * @param {String} color - Color for the wire
+ * @param {HTMLElement} [parent] - Optional parent to add the wire to
+ * @returns {HTMLElement} Entity holding the wire lines and attachment points
+ */
+function createWire(attachments, hook, z, color = Colors.WARNING, parent = null) {
+  const wire = document.createElement('a-entity');
+  wire.setAttribute('class', 'wire');
+  
+  attachments.forEach(point => {
+    createLine({ x: point.x, y: point.y, z }, { x: hook.x, y: hook.y, z }, color, false, wire);
+    
+    // Small dot where the wire is fixed to the object
+    const dot = document.createElement('a-circle');
+    dot.setAttribute('radius', 0.004);
+    dot.setAttribute('color', color);
+    dot.setAttribute('shader', 'flat');
+    dot.setAttribute('side', 'double');
+    dot.setAttribute('position', { x: point.x, y: point.y, z });
+    wire.appendChild(dot);
+  });
+  
+  // Add to parent if provided
+  if (parent) {
+    parent.appendChild(wire);
+  }
+  
+  return wire;
+}
+
 /**
  * Creates a text entity that faces the camera
  * @param {String} value - Text to display
@@ -157,16 +199,14 @@ function createFloatingText(value, position, options = {}, parent = null) {
  * Creates measurement text for an object dimension
  * @param {Number} measurement - Measurement in meters
  * @param {Object|THREE.Vector3} position - Position for the text
- * @param {String} unit - Unit to display (default: 'cm')
+ * @param {String} units - Unit system id (default: selected unit system)
  * @param {Object} options - Additional options
  * @param {HTMLElement} [parent] - Optional parent to add text to
  * @returns {HTMLElement} A-Frame text entity
  */
-function createMeasurementText(measurement, position, unit = 'cm', options = {}, parent = null) {
-  // Format the measurement (convert to cm by default)
-  const formattedValue = unit === 'cm' 
-    ? `${(measurement * 100).toFixed(1)} ${unit}`
-    : `${measurement.toFixed(2)} ${unit}`;
+function createMeasurementText(measurement, position, units = getSceneUnits(), options = {}, parent = null) {
+  // Format the measurement in the selected unit system
+  const formattedValue = formatLength(measurement, units);
   
   // Add default className for measurement texts if not specified
   if (!options.className) {
@@ -207,6 +247,58 @@ function createPlane(attributes = {}, parent = null) {
   return plane;
 }
 
+/**
+ * Get the geometry component data for an object's shape
+ * @param {Object} object - Object data with type and dimensions
+ * @returns {Object} Geometry data (plane, circle or polygon primitive)
+ */
+function getShapeGeometry(object) {
+  switch (object.type) {
+    case 'circle':
+      return { primitive: 'circle', radius: object.radius || object.width / 2, segments: 48 };
+    case 'polygon':
+      return { primitive: 'polygon', vertices: getObjectOutline(object) };
+    default:
+      return { primitive: 'plane', width: object.width, height: object.height };
+  }
+}
+
+/**
+ * Creates a flat filled shape matching an object's outline, centered on the object center
+ * @param {Object} object - Object data with type and dimensions (width/height, radius or outline)
+ * @param {Object} attributes - Extra attributes; color and opacity configure the material
+ * @param {HTMLElement} [parent] - Optional parent to add the shape to
+ * @returns {HTMLElement} A-Frame entity with class object-shape
+ */
+function createShape(object, attributes = {}, parent = null) {
+  const { color = '#42D544', opacity = 0.2, ...rest } = attributes;
+  
+  const shape = document.createElement('a-entity');
+  shape.setAttribute('geometry', getShapeGeometry(object));
+  shape.setAttribute('material', {
+    color: color,
+    opacity: opacity,
+    transparent: opacity < 1,
+    side: 'double'
+  });
+  
+  // Bounding box size for code that expects plane dimensions
+  shape.setAttribute('data-width', object.width);
+  shape.setAttribute('data-height', object.height);
+  
+  Object.entries(rest).forEach(([key, value]) => {
+    shape.setAttribute(key, value);
+  });
+  shape.classList.add('object-shape');
+  
+  // Add to parent if provided
+  if (parent) {
+    parent.appendChild(shape);
+  }
+  
+  return shape;
+}
+
 /**
  * Create and manage a visualization entity with cleanup support
  * @param {HTMLElement} oldVisual - Existing visualization to clean up (if any)
@@ -238,13 +330,32 @@ function createVisualizationEntity(oldVisual, parent, id = 'object-visualization
   return visualization;
 }
 
+/**
+ * Get the color for a point's distance from a wall plane
+ * @param {Number} deviation - Signed or absolute distance in meters
+ * @returns {String} Green when close, yellow when suspect, red for outliers
+ */
+function getDeviationColor(deviation) {
+  const distance = Math.abs(deviation);
+  
+  if (distance > DEVIATION_ERROR) return Colors.ERROR;
+  if (distance > DEVIATION_WARNING) return Colors.WARNING;
+  return Colors.SECONDARY;
+}
+
 // Export utility functions
 export {
+  DEVIATION_WARNING,
+  DEVIATION_ERROR,
+  getDeviationColor,
   createMarker,
   removeMarkers,
   createLine,
+  createWire,
   createFloatingText,
   createMeasurementText,
   createPlane,
+  getShapeGeometry,
+  createShape,
   createVisualizationEntity
 };
\ No newline at end of file
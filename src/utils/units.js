@@ -0,0 +1,242 @@
+/**
+ * Units Utility
+ *
+ * Single place where lengths and areas are turned into display text.
+ * Measurements are always stored in meters; labels and status messages
+ * format them in the unit system selected in the Settings menu.
+ */
+
+// Supported unit systems, in the order they are offered in the Settings menu
+const UNIT_SYSTEMS = {
+  mm: { label: 'Millimeters', short: 'mm', imperial: false },
+  cm: { label: 'Centimeters', short: 'cm', imperial: false },
+  m: { label: 'Meters', short: 'm', imperial: false },
+  in: { label: 'Inches', short: 'in', imperial: true },
+  'ft-in': { label: 'Feet & Inches', short: 'ft-in', imperial: true }
+};
+
+// Unit system used until the user picks another one
+const DEFAULT_UNITS = 'cm';
+
+const METERS_PER_INCH = 0.0254;
+const INCHES_PER_FOOT = 12;
+
+// Imperial lengths are rounded to 1/16 inch
+const INCH_FRACTION = 16;
+
+// Metric scale and default decimal places for lengths and areas
+const METRIC = {
+  mm: { factor: 1000, precision: 0, areaPrecision: 0 },
+  cm: { factor: 100, precision: 1, areaPrecision: 0 },
+  m: { factor: 1, precision: 3, areaPrecision: 2 }
+};
+
+/**
+ * Check that a value names a supported unit system
+ * @param {String} units - Unit system id
+ * @returns {Boolean} True if supported
+ */
+function isValidUnits(units) {
+  return Object.prototype.hasOwnProperty.call(UNIT_SYSTEMS, units);
+}
+
+/**
+ * Get the unit system selected in scene-state
+ * @param {Element} sceneEl - Scene element (defaults to the page's a-scene)
+ * @returns {String} Unit system id
+ */
+function getSceneUnits(sceneEl) {
+  const scene = sceneEl || (typeof document !== 'undefined' ? document.querySelector('a-scene') : null);
+  const sceneState = scene && scene.systems ? scene.systems['scene-state'] : null;
+  const units = sceneState ? sceneState.getUnits() : null;
+  
+  return isValidUnits(units) ? units : DEFAULT_UNITS;
+}
+
+/**
+ * Pick the value that suits a unit system, e.g. the step of a length button
+ * @param {Object} options - { metric, imperial } values
+ * @param {String} units - Unit system id (default: selected unit system)
+ * @returns {*} The imperial value for imperial unit systems, otherwise the metric one
+ */
+function pickForUnits(options, units = getSceneUnits()) {
+  return UNIT_SYSTEMS[units] && UNIT_SYSTEMS[units].imperial ? options.imperial : options.metric;
+}
+
+// Greatest common divisor, used to reduce inch fractions
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Split a length into whole feet, whole inches and sixteenths (all rounded together)
+function splitImperial(meters, useFeet) {
+  const sixteenths = Math.round(Math.abs(meters) / METERS_PER_INCH * INCH_FRACTION);
+  const perFoot = INCHES_PER_FOOT * INCH_FRACTION;
+  
+  const feet = useFeet ? Math.floor(sixteenths / perFoot) : 0;
+  const rest = sixteenths - feet * perFoot;
+  
+  return {
+    negative: meters < 0 && sixteenths > 0,
+    feet: feet,
+    inches: Math.floor(rest / INCH_FRACTION),
+    sixteenths: rest % INCH_FRACTION
+  };
+}
+
+/**
+ * Format whole inches and sixteenths as fractional inches
+ * @param {Number} inches - Whole inches
+ * @param {Number} sixteenths - Remaining sixteenths of an inch (0-15)
+ * @returns {String} Fractional inches, e.g. "12 5/16"
+ */
+function formatFractionalInches(inches, sixteenths) {
+  if (sixteenths === 0) {
+    return `${inches}`;
+  }
+  
+  const divisor = gcd(sixteenths, INCH_FRACTION);
+  const fraction = `${sixteenths / divisor}/${INCH_FRACTION / divisor}`;
+  
+  return inches > 0 ? `${inches} ${fraction}` : fraction;
+}
+
+/**
+ * Format a length
+ * @param {Number} meters - Length in meters
+ * @param {String} units - Unit system id (default: selected unit system)
+ * @param {Object} options - Metric only: { precision: decimal places, unit: append the unit (default: true) }
+ * @returns {String} Formatted length, e.g. "45.6 cm", "12 5/16\"" or "3' 4 1/2\""
+ */
+function formatLength(meters, units = getSceneUnits(), options = {}) {
+  if (units === 'in' || units === 'ft-in') {
+    const { negative, feet, inches, sixteenths } = splitImperial(meters, units === 'ft-in');
+    const sign = negative ? '-' : '';
+    const inchText = `${formatFractionalInches(inches, sixteenths)}"`;
+    
+    return feet > 0 ? `${sign}${feet}' ${inchText}` : `${sign}${inchText}`;
+  }
+  
+  const unitId = METRIC[units] ? units : DEFAULT_UNITS;
+  const precision = options.precision !== undefined ? options.precision : METRIC[unitId].precision;
+  const value = (meters * METRIC[unitId].factor).toFixed(precision);
+  
+  return options.unit === false ? value : `${value} ${unitId}`;
+}
+
+/**
+ * Format an area
+ * Imperial areas use square inches, or square feet for feet-inches
+ * @param {Number} squareMeters - Area in square meters
+ * @param {String} units - Unit system id (default: selected unit system)
+ * @returns {String} Formatted area, e.g. "2400 cm²" or "1.25 ft²"
+ */
+function formatArea(squareMeters, units = getSceneUnits()) {
+  if (units === 'in') {
+    return `${(squareMeters / (METERS_PER_INCH * METERS_PER_INCH)).toFixed(1)} in²`;
+  }
+  
+  if (units === 'ft-in') {
+    const metersPerFoot = METERS_PER_INCH * INCHES_PER_FOOT;
+    return `${(squareMeters / (metersPerFoot * metersPerFoot)).toFixed(2)} ft²`;
+  }
+  
+  const unitId = METRIC[units] ? units : DEFAULT_UNITS;
+  const metric = METRIC[unitId];
+  
+  return `${(squareMeters * metric.factor * metric.factor).toFixed(metric.areaPrecision)} ${unitId}²`;
+}
+
+/**
+ * Format a width and height pair
+ * Metric units are written once at the end, imperial lengths keep their own marks
+ * @param {Number} width - Width in meters
+ * @param {Number} height - Height in meters
+ * @param {String} units - Unit system id (default: selected unit system)
+ * @param {Object} options - Options passed to formatLength
+ * @returns {String} Formatted dimensions, e.g. "60.0×40.0 cm" or "23 5/8\" × 15 3/4\""
+ */
+function formatDimensions(width, height, units = getSceneUnits(), options = {}) {
+  if (UNIT_SYSTEMS[units] && UNIT_SYSTEMS[units].imperial) {
+    return `${formatLength(width, units)} × ${formatLength(height, units)}`;
+  }
+  
+  const unitId = METRIC[units] ? units : DEFAULT_UNITS;
+  const w = formatLength(width, unitId, { ...options, unit: false });
+  const h = formatLength(height, unitId, { ...options, unit: false });
+  
+  return `${w}×${h} ${unitId}`;
+}
+
+/**
+ * Format the size of an object for labels
+ * Circles show their diameter, other shapes their (bounding box) width and height
+ * @param {Object} object - Object data
+ * @param {String} units - Unit system id (default: selected unit system)
+ * @param {Object} options - Options passed to formatLength
+ * @returns {String} Formatted size, e.g. "60.0×40.0 cm" or "Ø 13 3/4\""
+ */
+function formatObjectSize(object, units = getSceneUnits(), options = {}) {
+  if (object.type === 'circle') {
+    const diameter = object.radius ? object.radius * 2 : object.width;
+    return `Ø ${formatLength(diameter, units, options)}`;
+  }
+  
+  return formatDimensions(object.width, object.height, units, options);
+}
+
+/**
+ * Get the unit lengths are typed in for a unit system
+ * Feet & inches are typed as decimal inches
+ * @param {String} units - Unit system id (default: selected unit system)
+ * @returns {Object} { short: unit label, factor: units per meter, precision: decimal places }
+ */
+function getInputUnit(units = getSceneUnits()) {
+  if (UNIT_SYSTEMS[units] && UNIT_SYSTEMS[units].imperial) {
+    return { short: 'in', factor: 1 / METERS_PER_INCH, precision: 2 };
+  }
+  
+  const unitId = METRIC[units] ? units : DEFAULT_UNITS;
+  return { short: unitId, factor: METRIC[unitId].factor, precision: METRIC[unitId].precision };
+}
+
+/**
+ * Format a length as a plain number in the input unit, for editing
+ * @param {Number} meters - Length in meters
+ * @param {String} units - Unit system id (default: selected unit system)
+ * @returns {String} Number without unit or trailing zeros, e.g. "60.5"
+ */
+function formatLengthInput(meters, units = getSceneUnits()) {
+  const { factor, precision } = getInputUnit(units);
+  return String(parseFloat((meters * factor).toFixed(precision)));
+}
+
+/**
+ * Read a typed length
+ * @param {String} text - Decimal number in the input unit (see getInputUnit)
+ * @param {String} units - Unit system id (default: selected unit system)
+ * @returns {Number|null} Length in meters, or null unless the text is a positive number
+ */
+function parseLength(text, units = getSceneUnits()) {
+  const value = String(text).trim();
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(value)) return null;
+  
+  const meters = parseFloat(value) / getInputUnit(units).factor;
+  return meters > 0 ? meters : null;
+}
+
+export {
+  UNIT_SYSTEMS,
+  DEFAULT_UNITS,
+  isValidUnits,
+  getSceneUnits,
+  pickForUnits,
+  formatFractionalInches,
+  formatLength,
+  formatArea,
+  formatDimensions,
+  formatObjectSize,
+  getInputUnit,
+  formatLengthInput,
+  parseLength
+};
@@ -0,0 +1,178 @@
+/**
+ * Walls Utility
+ * 
+ * Helpers for finding wall entities when several walls are calibrated,
+ * for the step sizes used when adjusting a wall and for the wall grid
+ */
+
+import { poseToMatrix } from './geometry.js';
+
+// Step sizes offered for wall adjustment: distance per move (meters) and angle per turn (degrees)
+const WALL_ADJUSTMENT_STEPS = [
+  { distance: 0.001, angle: 0.1 },
+  { distance: 0.005, angle: 0.25 },
+  { distance: 0.01, angle: 0.5 },
+  { distance: 0.02, angle: 1 },
+  { distance: 0.05, angle: 2 }
+];
+
+// Step used for walls without an adjustment factor
+const DEFAULT_ADJUSTMENT_STEP = 0.01;
+
+// Grid spacings offered in the Grid menu (meters) for metric and imperial units
+const GRID_SPACINGS = {
+  metric: [0.05, 0.1, 0.2, 0.5],
+  imperial: [0.0762, 0.1524, 0.3048, 0.6096] // 3", 6", 1', 2'
+};
+
+// Where grid coordinates are measured from
+const GRID_ORIGINS = {
+  center: { label: 'Center' }, // Wall center
+  corner: { label: 'Corner' }, // Bottom-left corner of the wall
+  floor: { label: 'Floor' } // Left edge of the wall at floor level
+};
+
+// Grid used until the user changes it
+const DEFAULT_GRID = {
+  spacing: 0.2, // Distance between lines (meters)
+  majorEvery: 5, // Every nth line is a major line with a coordinate label
+  origin: 'center',
+  labels: true
+};
+
+// Most lines drawn in either direction, keeps tiny spacings on big walls cheap
+const MAX_GRID_LINES = 400;
+
+/**
+ * Get the adjustment step closest to a distance
+ * @param {Number} distance - Move distance in meters (e.g. a wall's adjustmentFactor)
+ * @returns {Object} { distance, angle } from WALL_ADJUSTMENT_STEPS
+ */
+function getAdjustmentStep(distance = DEFAULT_ADJUSTMENT_STEP) {
+  return WALL_ADJUSTMENT_STEPS.reduce((best, step) =>
+    Math.abs(step.distance - distance) < Math.abs(best.distance - distance) ? step : best
+  );
+}
+
+/**
+ * Check that a value is a complete grid configuration
+ * @param {*} grid - Value to check
+ * @returns {Boolean} True for { spacing, majorEvery, origin, labels } with usable values
+ */
+function isValidGrid(grid) {
+  return !!grid && typeof grid === 'object' &&
+    typeof grid.spacing === 'number' && grid.spacing >= 0.01 && grid.spacing <= 2 &&
+    Number.isInteger(grid.majorEvery) && grid.majorEvery >= 1 && grid.majorEvery <= 20 &&
+    Object.prototype.hasOwnProperty.call(GRID_ORIGINS, grid.origin) &&
+    typeof grid.labels === 'boolean';
+}
+
+/**
+ * Get the grid origin of a wall in wall coordinates (X right, Y up, origin at the wall center)
+ * @param {Object} wall - Wall with position, rotation, width and height
+ * @param {String} origin - Key of GRID_ORIGINS
+ * @returns {Object} {x, y}
+ */
+function getGridOrigin(wall, origin) {
+  const width = wall.width || 0;
+  const height = wall.height || 0;
+  
+  switch (origin) {
+    case 'corner':
+      return { x: -width / 2, y: -height / 2 };
+      
+    case 'floor': {
+      // Where the wall's vertical center line meets y = 0 of the local-floor space
+      // Walls lying down have no floor line, use their bottom edge
+      const upY = poseToMatrix(wall.position, wall.rotation).elements[5]; // World Y of the wall's up axis
+      const floorY = upY > 0.5 ? -wall.position.y / upY : -height / 2;
+      return { x: -width / 2, y: floorY };
+    }
+      
+    default:
+      return { x: 0, y: 0 };
+  }
+}
+
+/**
+ * Get the grid lines that fall on a wall
+ * @param {Object} extent - { width, height } of the wall
+ * @param {Object} grid - { spacing, majorEvery }
+ * @param {Object} origin - Grid origin in wall coordinates, see getGridOrigin
+ * @returns {Object} { x: [...], y: [...] } of { value, index, major } - vertical lines (x) and
+ *   horizontal lines (y); value is in wall coordinates, index counts spacings from the origin
+ */
+function getGridLines(extent, grid, origin) {
+  const axisLines = (size, start) => {
+    const first = Math.ceil((-size / 2 - start) / grid.spacing - 1e-6);
+    const last = Math.floor((size / 2 - start) / grid.spacing + 1e-6);
+    const lines = [];
+    
+    for (let index = first; index <= last && lines.length < MAX_GRID_LINES; index++) {
+      lines.push({
+        value: start + index * grid.spacing,
+        index,
+        major: index % grid.majorEvery === 0
+      });
+    }
+    
+    return lines;
+  };
+  
+  return {
+    x: axisLines(extent.width, origin.x),
+    y: axisLines(extent.height, origin.y)
+  };
+}
+
+/**
+ * Find the wall-plane entity for a wall
+ * @param {String} wallId - Wall id from scene state (falls back to the active wall)
+ * @param {Element} sceneEl - Scene element used to look up the active wall
+ * @returns {Element|null} Wall entity or null if not found
+ */
+function getWallEntity(wallId, sceneEl) {
+  if (wallId) {
+    const wallEntity = document.querySelector(`[wall-plane][data-wall-id="${wallId}"]`);
+    if (wallEntity) return wallEntity;
+  }
+  
+  // Fall back to the active wall
+  const scene = sceneEl || document.querySelector('a-scene');
+  const sceneState = scene && scene.systems ? scene.systems['scene-state'] : null;
+  
+  if (sceneState) {
+    const activeWallId = sceneState.getActiveWallId();
+    const activeEntity = document.querySelector(`[wall-plane][data-wall-id="${activeWallId}"]`);
+    if (activeEntity) return activeEntity;
+  }
+  
+  return document.querySelector('[wall-plane]');
+}
+
+/**
+ * Get the wall id an entity or event refers to
+ * @param {Object} detail - Event detail that may contain a wallId
+ * @param {Element} sceneEl - Scene element used to look up the active wall
+ * @returns {String|null} Wall id (the active wall if none was given)
+ */
+function resolveWallId(detail, sceneEl) {
+  if (detail && detail.wallId) return detail.wallId;
+  
+  const sceneState = sceneEl && sceneEl.systems ? sceneEl.systems['scene-state'] : null;
+  return sceneState ? sceneState.getActiveWallId() : null;
+}
+
+export {
+  WALL_ADJUSTMENT_STEPS,
+  DEFAULT_ADJUSTMENT_STEP,
+  getAdjustmentStep,
+  GRID_SPACINGS,
+  GRID_ORIGINS,
+  DEFAULT_GRID,
+  isValidGrid,
+  getGridOrigin,
+  getGridLines,
+  getWallEntity,
+  resolveWallId
+};
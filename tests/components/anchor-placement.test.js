@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../../src/state/scene-state.js';
+import '../../src/components/controls/input-source.js';
+import '../../src/components/scene-understanding/anchor-placement.js';
+import { createScene, destroyScene } from '../harness/scene.js';
+import { replay } from '../harness/replay.js';
+import placeAnchors from '../fixtures/place-anchors.json';
+
+// The picture the anchors go on, as saved by object definition
+const PICTURE = {
+  id: 'object_1',
+  type: 'rectangle',
+  points: [{ x: -0.3, y: 1.7, z: -2 }, { x: 0.3, y: 1.7, z: -2 }, { x: 0.3, y: 1.3, z: -2 }],
+  width: 0.6,
+  height: 0.4,
+  center: { x: 0, y: 1.5, z: -2 },
+  rotation: { x: 0, y: 0, z: 0 },
+  wallId: 'wall_1',
+  visible: true
+};
+
+// Add the rendered object and its plane, as the object renderer does
+function addPictureEntity(sceneEl) {
+  const objectEl = document.createElement('a-entity');
+  objectEl.setAttribute('id', PICTURE.id);
+  objectEl.setAttribute('position', '0 1.5 -2');
+
+  const plane = document.createElement('a-plane');
+  plane.setAttribute('id', `plane-${PICTURE.id}`);
+  plane.setAttribute('width', PICTURE.width);
+  plane.setAttribute('height', PICTURE.height);
+  objectEl.appendChild(plane);
+
+  sceneEl.appendChild(objectEl);
+}
+
+describe('anchor-placement', () => {
+  let sceneEl;
+  let sceneState;
+  let statuses;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    sceneEl = createScene({ entities: ['anchor-placement'] });
+    sceneState = sceneEl.systems['scene-state'];
+    sceneState.updateState('objects', [JSON.parse(JSON.stringify(PICTURE))]);
+    addPictureEntity(sceneEl);
+
+    // The anchor placement menu activates the component when it opens
+    sceneEl.querySelector('#anchorPlacement').setAttribute('anchor-placement', 'active', true);
+
+    statuses = [];
+    sceneEl.addEventListener('anchor-status', event => statuses.push(event.detail.status));
+  });
+
+  afterEach(() => {
+    destroyScene(sceneEl);
+    vi.useRealTimers();
+  });
+
+  it('saves anchors placed with the laser relative to the object', async () => {
+    await replay(sceneEl, placeAnchors);
+
+    const [object] = sceneState.getState('objects');
+    expect(object.anchors).toHaveLength(2);
+    expect(object.anchors.map(anchor => anchor.objectId)).toEqual(['object_1', 'object_1']);
+
+    const [left, right] = object.anchors.map(anchor => anchor.position);
+    expect(left.x).toBeCloseTo(-0.2);
+    expect(left.y).toBeCloseTo(0.15);
+    expect(right.x).toBeCloseTo(0.2);
+    expect(right.y).toBeCloseTo(0.15);
+    expect(statuses).toContain('completed');
+  });
+
+  it('creates a laser for each hand', async () => {
+    await replay(sceneEl, placeAnchors.steps.slice(0, 1));
+
+    expect(sceneEl.querySelector('#leftHand #anchor-laser-leftHand')).not.toBeNull();
+    expect(sceneEl.querySelector('#rightHand #anchor-laser-rightHand')).not.toBeNull();
+  });
+
+  it('ignores pinches while the laser misses the object', async () => {
+    await replay(sceneEl, [
+      placeAnchors.steps[0],
+      { event: 'pinchstarted', hand: 'right', position: { x: 0, y: 1.2, z: -0.5 } }
+    ]);
+
+    expect(sceneEl.querySelector('#anchorPlacement').components['anchor-placement'].anchors).toEqual([]);
+  });
+
+  it('auto-places the requested number of anchors', async () => {
+    await replay(sceneEl, [
+      placeAnchors.steps[0],
+      { event: 'anchor-action', detail: { action: 'set-anchor-count', count: 3 } },
+      { event: 'anchor-action', detail: { action: 'auto-place-anchors', objectId: 'object_1' } },
+      { event: 'anchor-action', detail: { action: 'complete-anchor-placement', objectId: 'object_1' } }
+    ]);
+
+    const [object] = sceneState.getState('objects');
+    expect(object.anchors).toHaveLength(3);
+    object.anchors.forEach(anchor => {
+      expect(Math.abs(anchor.position.x)).toBeLessThanOrEqual(0.3);
+      expect(Math.abs(anchor.position.y)).toBeLessThanOrEqual(0.2);
+    });
+  });
+
+  it('keeps the saved anchors when too few are placed', async () => {
+    const [start, hit, pinchStarted, pinchEnded] = placeAnchors.steps;
+    await replay(sceneEl, [
+      start,
+      hit,
+      pinchStarted,
+      pinchEnded,
+      { event: 'anchor-action', detail: { action: 'complete-anchor-placement', objectId: 'object_1' } }
+    ]);
+
+    expect(statuses[statuses.length - 1]).toBe('error');
+    expect(sceneState.getState('objects')[0].anchors).toBeUndefined();
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../../src/state/scene-state.js';
+import '../../src/components/controls/input-source.js';
+import '../../src/components/controls/desktop-pointer.js';
+import '../../src/components/controls/desktop-mode.js';
+import '../../src/components/controls/menu-manager.js';
+import { createScene, destroyScene } from '../harness/scene.js';
+
+// Press a key in the browser window
+function pressKey(key) {
+  window.dispatchEvent(new KeyboardEvent('keydown', { key }));
+}
+
+describe('desktop-mode', () => {
+  let sceneEl;
+  let menuManager;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    sceneEl = createScene({ entities: ['menu-manager'] });
+    sceneEl.setAttribute('desktop-mode', '');
+    menuManager = sceneEl.querySelector('#menuManager').components['menu-manager'];
+  });
+
+  afterEach(() => {
+    destroyScene(sceneEl);
+    vi.useRealTimers();
+  });
+
+  it('opens menus from the keyboard', () => {
+    pressKey('s');
+
+    expect(menuManager.currentMenu).toBe('settings');
+    expect(menuManager.menuStack).toEqual(['main']);
+
+    pressKey('Escape');
+
+    expect(menuManager.currentMenu).toBe('main');
+    expect(menuManager.menuStack).toEqual([]);
+  });
+
+  it('does not stack a menu again when its shortcut is pressed while it is shown', () => {
+    pressKey('s');
+    pressKey('s');
+    pressKey('m');
+
+    expect(menuManager.currentMenu).toBe('main');
+    expect(menuManager.menuStack).toEqual([]);
+
+    pressKey('v');
+    pressKey('v');
+    pressKey('Escape');
+
+    expect(menuManager.currentMenu).toBe('main');
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../../src/state/scene-state.js';
+import '../../src/components/controls/input-source.js';
+import '../../src/components/scene-understanding/anchor-placement.js';
+import '../../src/components/scene-understanding/draggable-wall-object.js';
+import { poseToMatrix } from '../../src/utils/geometry.js';
+import { createScene, destroyScene } from '../harness/scene.js';
+import { replay } from '../harness/replay.js';
+
+// A 60 x 50 cm picture centered 1.5 m high on the wall 2 m away
+const PICTURE = {
+  id: 'object_1',
+  type: 'rectangle',
+  points: [{ x: -0.3, y: 1.75, z: -2 }, { x: 0.3, y: 1.75, z: -2 }, { x: 0.3, y: 1.25, z: -2 }],
+  width: 0.6,
+  height: 0.5,
+  center: { x: 0, y: 1.5, z: -2 },
+  rotation: { x: 0, y: 0, z: 0 },
+  wallId: 'wall_1',
+  visible: true
+};
+
+// Point the right hand's laser at the picture and pinch
+function placeAt(x, y) {
+  const position = { x: 0, y: 1.2, z: -0.5 };
+  return [
+    { event: 'raycaster-intersection', ray: '#anchor-laser-rightHand', target: '#plane-object_1', point: { x, y, z: -2 } },
+    { event: 'pinchstarted', hand: 'right', position },
+    { event: 'pinchended', hand: 'right', position }
+  ];
+}
+
+// Pitched, turned and rolled wall, where the order of the rotations matters
+const WALL = { position: { x: 0.2, y: 1.4, z: -2 }, rotation: { x: 5, y: 30, z: 2 } };
+
+// Where a point given in the wall's own coordinates is in the world
+function wallToWorld(wall, x, y) {
+  return new THREE.Vector3(x, y, 0).applyMatrix4(poseToMatrix(wall.position, wall.rotation));
+}
+
+// Where a world point is in the wall's own coordinates
+function worldToWall(wall, point) {
+  const inverse = poseToMatrix(wall.position, wall.rotation).invert();
+  return new THREE.Vector3(point.x, point.y, point.z).applyMatrix4(inverse);
+}
+
+// Input event with the right hand's ray pointing from eye height at a point
+function pointAt(eventName, target) {
+  const origin = new THREE.Vector3(0, 1.6, 0);
+  const direction = target.clone().sub(origin).normalize();
+  return [eventName, { hand: 'right', source: 'controller', ray: new THREE.Ray(origin, direction) }];
+}
+
+describe('draggable-wall-object', () => {
+  let sceneEl;
+  let sceneState;
+  let messages;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    sceneEl = createScene({ entities: ['anchor-placement'] });
+    sceneState = sceneEl.systems['scene-state'];
+    sceneState.updateState('objects', [JSON.parse(JSON.stringify(PICTURE))]);
+
+    const objectEl = document.createElement('a-entity');
+    objectEl.setAttribute('id', PICTURE.id);
+    objectEl.setAttribute('position', '0 1.5 -2');
+    const plane = document.createElement('a-plane');
+    plane.setAttribute('id', `plane-${PICTURE.id}`);
+    plane.setAttribute('width', PICTURE.width);
+    plane.setAttribute('height', PICTURE.height);
+    objectEl.appendChild(plane);
+    sceneEl.appendChild(objectEl);
+
+    sceneEl.querySelector('#anchorPlacement').setAttribute('anchor-placement', 'active', true);
+
+    messages = [];
+    sceneEl.addEventListener('anchor-status', event => messages.push(event.detail.message));
+  });
+
+  afterEach(() => {
+    destroyScene(sceneEl);
+    vi.useRealTimers();
+  });
+
+  it('shows the same wire drop as the anchor placement preview', async () => {
+    // Wire attachments 20 cm below the top edge: the nail goes below the top edge
+    await replay(sceneEl, [
+      { event: 'anchor-action', detail: { action: 'start-anchor-placement', objectId: 'object_1' } },
+      ...placeAt(-0.2, 1.55),
+      ...placeAt(0.2, 1.55),
+      { event: 'anchor-action', detail: { action: 'set-wire', enabled: true } }
+    ]);
+
+    const preview = messages[messages.length - 1].match(/nail (.+) below the top edge/);
+    expect(preview).not.toBeNull();
+
+    await replay(sceneEl, [
+      { event: 'anchor-action', detail: { action: 'complete-anchor-placement', objectId: 'object_1' } }
+    ]);
+    expect(sceneState.getState('objects')[0].anchors[0].type).toBe('wire');
+
+    // Project the object with its saved wire anchor
+    const projected = document.createElement('a-entity');
+    projected.setAttribute('draggable-wall-object', { objectId: 'object_1' });
+    sceneEl.appendChild(projected);
+
+    const label = projected.querySelector('.wire-drop-label');
+    expect(label.getAttribute('value')).toBe(`Drop ${preview[1]}`);
+  });
+
+  describe('on a turned wall', () => {
+    let wallEl;
+    let projected;
+
+    // Set the wall entity's pose as wall-plane does and tell the objects about it
+    function moveWall(pose) {
+      wallEl.setAttribute('position', pose.position);
+      wallEl.setAttribute('rotation', pose.rotation);
+      wallEl.emit('componentchanged', { name: 'rotation' });
+    }
+
+    beforeEach(() => {
+      wallEl = document.createElement('a-entity');
+      wallEl.setAttribute('wall-plane', '');
+      wallEl.setAttribute('data-wall-id', 'wall_1');
+      sceneEl.appendChild(wallEl);
+      moveWall(WALL);
+
+      projected = document.createElement('a-entity');
+      projected.setAttribute('draggable-wall-object', { objectId: 'object_1' });
+      sceneEl.appendChild(projected);
+
+      // The stub draws nothing, so give the drag plane a surface for the ray to hit
+      const dragPlane = projected.querySelector('.drag-plane');
+      dragPlane.setObject3D('mesh', new THREE.Mesh(
+        new THREE.PlaneGeometry(PICTURE.width, PICTURE.height),
+        new THREE.MeshBasicMaterial({ side: THREE.DoubleSide })
+      ));
+      sceneEl.object3D.updateMatrixWorld();
+    });
+
+    // Drag the object by its center to a point given in wall coordinates
+    function dragTo(wall, x, y) {
+      const object = sceneState.getState('objects')[0];
+      const center = new THREE.Vector3(object.center.x, object.center.y, object.center.z);
+      sceneEl.emit(...pointAt('input-select-started', center));
+      sceneEl.emit(...pointAt('input-dragged', wallToWorld(wall, x, y)));
+      sceneEl.emit(...pointAt('input-select-ended', wallToWorld(wall, x, y)));
+    }
+
+    // The stored object in wall coordinates
+    function storedOnWall(wall) {
+      const object = sceneState.getState('objects')[0];
+      return {
+        center: worldToWall(wall, object.center),
+        points: object.points.map(point => worldToWall(wall, point))
+      };
+    }
+
+    it('keeps a dragged object and its corners on a pitched wall', () => {
+      dragTo(WALL, 0.4, 0.2);
+
+      const { center, points } = storedOnWall(WALL);
+      expect(center.x).toBeCloseTo(0.4, 4);
+      expect(center.y).toBeCloseTo(0.2, 4);
+      expect(center.z).toBeCloseTo(0, 4);
+
+      // The corners lie on the wall around the center, as the object is drawn
+      expect(points.map(point => [point.x, point.y, point.z].map(n => +n.toFixed(4) || 0))).toEqual([
+        [0.1, 0.45, 0],
+        [0.7, 0.45, 0],
+        [0.7, -0.05, 0],
+        [0.1, -0.05, 0]
+      ]);
+    });
+
+    it('keeps its place on the wall when the wall is nudged', () => {
+      dragTo(WALL, 0.4, 0.2);
+
+      const nudged = { position: { x: 0.25, y: 1.38, z: -2.05 }, rotation: { x: 6, y: 31, z: 2 } };
+      moveWall(nudged);
+
+      const { center, points } = storedOnWall(nudged);
+      expect(center.x).toBeCloseTo(0.4, 4);
+      expect(center.y).toBeCloseTo(0.2, 4);
+      expect(center.z).toBeCloseTo(0, 4);
+      expect(points[0].x).toBeCloseTo(0.1, 4);
+      expect(points[0].y).toBeCloseTo(0.45, 4);
+      expect(points[0].z).toBeCloseTo(0, 4);
+
+      const position = projected.getAttribute('position');
+      const object = sceneState.getState('objects')[0];
+      expect(position.x).toBeCloseTo(object.center.x, 6);
+      expect(position.y).toBeCloseTo(object.center.y, 6);
+      ['x', 'y', 'z'].forEach(axis => expect(object.rotation[axis]).toBeCloseTo(nudged.rotation[axis], 6));
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../../src/state/scene-state.js';
+import '../../src/components/controls/input-source.js';
+import '../../src/components/scene-understanding/object-definition.js';
+import '../../src/components/scene-understanding/anchor-placement.js';
+import '../../src/components/controls/menu-manager.js';
+import { createScene, destroyScene } from '../harness/scene.js';
+import { replay, findButton } from '../harness/replay.js';
+import menuDefineObject from '../fixtures/menu-define-object.json';
+
+// Press and release a menu button
+function press(label) {
+  return [
+    { event: 'pressedstarted', button: label },
+    { event: 'pressedended', button: label }
+  ];
+}
+
+describe('menu-manager', () => {
+  let sceneEl;
+  let menuManager;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    sceneEl = createScene({ entities: ['object-definition', 'anchor-placement', 'menu-manager'] });
+    menuManager = sceneEl.querySelector('#menuManager').components['menu-manager'];
+  });
+
+  afterEach(() => {
+    destroyScene(sceneEl);
+    vi.useRealTimers();
+  });
+
+  it('starts on the main menu', () => {
+    expect(menuManager.currentMenu).toBe('main');
+    expect(menuManager.menuStack).toEqual([]);
+    expect(findButton(sceneEl, 'Object Definition')).toBeTruthy();
+  });
+
+  it('opens a menu from its main menu button and goes back to it', async () => {
+    await replay(sceneEl, press('Settings'));
+
+    expect(menuManager.currentMenu).toBe('settings');
+    expect(menuManager.menuStack).toEqual(['main']);
+
+    await replay(sceneEl, [{ event: 'menu-action', detail: { action: 'back-to-previous-menu' } }]);
+
+    expect(menuManager.currentMenu).toBe('main');
+    expect(menuManager.menuStack).toEqual([]);
+  });
+
+  it('clears the navigation stack when going back to the main menu', async () => {
+    await replay(sceneEl, [
+      { event: 'menu-action', detail: { action: 'settings' } },
+      { event: 'menu-action', detail: { action: 'grid-settings' } },
+      { event: 'menu-action', detail: { action: 'back-to-main-menu' } }
+    ]);
+
+    expect(menuManager.currentMenu).toBe('main');
+    expect(menuManager.menuStack).toEqual([]);
+  });
+
+  it('removes the buttons of the menu it leaves', async () => {
+    await replay(sceneEl, press('Object Definition'));
+
+    expect(() => findButton(sceneEl, 'Object Definition')).toThrow('No visible button');
+  });
+
+  it('defines an object through the object definition menu', async () => {
+    await replay(sceneEl, menuDefineObject);
+
+    const objects = sceneEl.systems['scene-state'].getState('objects');
+    expect(objects).toHaveLength(1);
+    expect(objects[0].width).toBeCloseTo(0.6);
+    expect(objects[0].height).toBeCloseTo(0.4);
+
+    // Ready for the next object
+    expect(menuManager.currentMenu).toBe('object-definition');
+    expect(findButton(sceneEl, 'Start')).toBeTruthy();
+  });
+
+  it('keeps Save & Exit disabled until the object has all its corners', async () => {
+    const steps = menuDefineObject.steps;
+    await replay(sceneEl, [...steps.slice(0, 7), ...press('Save & Exit')]);
+
+    expect(sceneEl.systems['scene-state'].getState('objects')).toEqual([]);
+    expect(findButton(sceneEl, 'Save & Exit').getAttribute('button').enabled).toBe(false);
+  });
+
+  it('searches the object library by name', async () => {
+    const sceneState = sceneEl.systems['scene-state'];
+    sceneState.updateState('calibration.walls.wall_1.isCalibrated', true);
+    sceneState.updateState('objects', ['Sunset Print', 'Mirror', 'Print Study'].map((name, index) => ({
+      id: `object_${index + 1}`,
+      type: 'rectangle',
+      name,
+      width: 0.4,
+      height: 0.3,
+      center: { x: 0, y: 1.5, z: -2 },
+      rotation: { x: 0, y: 0, z: 0 },
+      wallId: 'wall_1',
+      createdAt: `2025-01-0${index + 1}T10:00:00Z`
+    })));
+
+    await replay(sceneEl, [...press('View Objects'), ...press('Search'), ...press('P'), ...press('R'), ...press('I')]);
+
+    const subtitle = () => sceneEl.querySelector('#menuManager a-text[value$="objects"]').getAttribute('value');
+    expect(subtitle()).toBe('2 of 3 objects');
+
+    // Done shows the matching cards and keeps the search on its button
+    await replay(sceneEl, press('Done'));
+    const cards = sceneEl.querySelectorAll('#menuManager [data-object-id]');
+    expect(Array.from(cards, card => card.getAttribute('data-object-id'))).toEqual(['object_3', 'object_1']);
+    expect(findButton(sceneEl, '"Pri"')).toBeTruthy();
+
+    // Clear the search kept for the next visit
+    await replay(sceneEl, [...press('"Pri"'), ...press('Clear'), ...press('Done')]);
+    expect(subtitle()).toBe('3 saved objects');
+  });
+
+  it('leaves object definition with the back button', async () => {
+    await replay(sceneEl, [...press('Object Definition'), ...press('Start'), ...press('←')]);
+
+    expect(menuManager.currentMenu).toBe('main');
+    expect(sceneEl.querySelector('#objectDefinition').getAttribute('object-definition').active).toBe(false);
+  });
+});
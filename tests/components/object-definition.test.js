@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../../src/state/scene-state.js';
+import '../../src/components/controls/input-source.js';
+import '../../src/components/scene-understanding/object-definition.js';
+import { rotationToNormal } from '../../src/utils/geometry.js';
+import { createScene, destroyScene } from '../harness/scene.js';
+import { replay } from '../harness/replay.js';
+import defineRectangle from '../fixtures/define-rectangle.json';
+
+// Pinch once with the right hand at a point
+function pinch(x, y, z) {
+  const position = { x, y, z };
+  return [
+    { event: 'pinchstarted', hand: 'right', position },
+    { event: 'pinchended', hand: 'right', position }
+  ];
+}
+
+describe('object-definition', () => {
+  let sceneEl;
+  let sceneState;
+  let statuses;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-01-01T12:00:00Z'));
+
+    sceneEl = createScene({ entities: ['object-definition'] });
+    sceneState = sceneEl.systems['scene-state'];
+
+    // The object definition menu activates the component when it opens
+    sceneEl.querySelector('#objectDefinition').setAttribute('object-definition', 'active', true);
+
+    statuses = [];
+    sceneEl.addEventListener('object-status', event => statuses.push(event.detail.status));
+  });
+
+  afterEach(() => {
+    destroyScene(sceneEl);
+    vi.useRealTimers();
+  });
+
+  it('saves a rectangle from three pinched corners', async () => {
+    await replay(sceneEl, defineRectangle);
+
+    const objects = sceneState.getState('objects');
+    expect(objects).toHaveLength(1);
+
+    const [object] = objects;
+    expect(object.type).toBe('rectangle');
+    expect(object.width).toBeCloseTo(0.6);
+    expect(object.height).toBeCloseTo(0.4);
+    expect(object.center.y).toBeCloseTo(1.5);
+    expect(object.points).toHaveLength(3);
+    expect(object.wallId).toBe('wall_1');
+    expect(sceneState.getState('currentObjectId')).toBe(object.id);
+    expect(statuses).toEqual(['started', 'in-progress', 'in-progress', 'preview', 'completed']);
+  });
+
+  it('ignores a second pinch within a second', async () => {
+    await replay(sceneEl, [
+      { event: 'object-action', detail: { action: 'start-object-definition' } },
+      ...pinch(-0.3, 1.7, -2),
+      { wait: 300 },
+      ...pinch(0.3, 1.7, -2)
+    ]);
+
+    expect(sceneEl.querySelector('#objectDefinition').components['object-definition'].points).toHaveLength(1);
+  });
+
+  it('ignores pinches until started', async () => {
+    await replay(sceneEl, [...pinch(-0.3, 1.7, -2), { wait: 1100 }]);
+
+    expect(statuses).toEqual([]);
+  });
+
+  it('saves a circle from its center and a rim point', async () => {
+    await replay(sceneEl, [
+      { event: 'object-action', detail: { action: 'set-object-shape', shape: 'circle' } },
+      { event: 'object-action', detail: { action: 'start-object-definition' } },
+      ...pinch(0, 1.5, -2),
+      { wait: 1100 },
+      ...pinch(0.15, 1.5, -2),
+      { event: 'object-action', detail: { action: 'complete-object-definition' } }
+    ]);
+
+    const [object] = sceneState.getState('objects');
+    expect(object.type).toBe('circle');
+    expect(object.radius).toBeCloseTo(0.15);
+    expect(object.width).toBeCloseTo(0.3);
+  });
+
+  it('turns a circle to face the calibrated wall it is defined on', async () => {
+    // A wall turned about two axes, where the order of the rotations matters
+    const rotation = { x: 10, y: 30, z: 0 };
+    sceneState.updateState('calibration.walls.wall_1.rotation', rotation);
+    sceneState.updateState('calibration.walls.wall_1.isCalibrated', true);
+
+    await replay(sceneEl, [
+      { event: 'object-action', detail: { action: 'set-object-shape', shape: 'circle' } },
+      { event: 'object-action', detail: { action: 'start-object-definition' } },
+      ...pinch(0, 1.5, -2),
+      { wait: 1100 },
+      ...pinch(0.15, 1.5, -2),
+      { event: 'object-action', detail: { action: 'complete-object-definition' } }
+    ]);
+
+    const [object] = sceneState.getState('objects');
+    const normal = rotationToNormal(object.rotation);
+    const wallNormal = rotationToNormal(rotation);
+    expect(normal.angleTo(wallNormal)).toBeCloseTo(0, 4);
+  });
+
+  it('refuses to save before all corners are placed', async () => {
+    await replay(sceneEl, [
+      { event: 'object-action', detail: { action: 'start-object-definition' } },
+      ...pinch(-0.3, 1.7, -2),
+      { wait: 1100 },
+      ...pinch(0.3, 1.7, -2),
+      { event: 'object-action', detail: { action: 'complete-object-definition' } }
+    ]);
+
+    expect(statuses[statuses.length - 1]).toBe('error');
+    expect(sceneState.getState('objects')).toEqual([]);
+  });
+
+  it('drops the placed points when cancelled', async () => {
+    await replay(sceneEl, [
+      { event: 'object-action', detail: { action: 'start-object-definition' } },
+      ...pinch(-0.3, 1.7, -2),
+      { event: 'object-action', detail: { action: 'cancel-object-definition' } },
+      { wait: 1100 },
+      ...pinch(0.3, 1.7, -2)
+    ]);
+
+    const component = sceneEl.querySelector('#objectDefinition').components['object-definition'];
+    expect(component.points).toEqual([]);
+    expect(component.step).toBe(0);
+    expect(sceneState.getState('objects')).toEqual([]);
+  });
+});
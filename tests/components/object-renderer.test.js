@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../../src/state/scene-state.js';
+import '../../src/components/scene-understanding/draggable-wall-object.js';
+import '../../src/components/scene-understanding/object-renderer.js';
+import { createScene, destroyScene } from '../harness/scene.js';
+import { replay } from '../harness/replay.js';
+
+// A 60 x 50 cm picture in the library, not yet on the wall
+const PICTURE = {
+  id: 'object_1',
+  type: 'rectangle',
+  points: [{ x: -0.3, y: 1.75, z: -2 }, { x: 0.3, y: 1.75, z: -2 }, { x: 0.3, y: 1.25, z: -2 }],
+  width: 0.6,
+  height: 0.5,
+  center: { x: 0, y: 1.5, z: -2 },
+  rotation: { x: 0, y: 0, z: 0 },
+  wallId: 'wall_1'
+};
+
+describe('object-renderer', () => {
+  let sceneEl;
+  let sceneState;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    sceneEl = createScene();
+    sceneState = sceneEl.systems['scene-state'];
+    sceneState.updateState('objects', [JSON.parse(JSON.stringify(PICTURE))]);
+    sceneState.resetHistory();
+
+    const wallEl = document.createElement('a-entity');
+    wallEl.setAttribute('wall-plane', '');
+    wallEl.setAttribute('data-wall-id', 'wall_1');
+    wallEl.setAttribute('position', '0.5 1.4 -2');
+    sceneEl.appendChild(wallEl);
+
+    const rendererEl = document.createElement('a-entity');
+    rendererEl.setAttribute('object-renderer', '');
+    sceneEl.appendChild(rendererEl);
+  });
+
+  afterEach(() => {
+    destroyScene(sceneEl);
+    vi.useRealTimers();
+  });
+
+  const project = { event: 'object-action', detail: { action: 'project-on-wall', objectId: 'object_1' } };
+
+  it('stores a projection as one undo step', async () => {
+    await replay(sceneEl, [project]);
+
+    const [object] = sceneState.getState('objects');
+    expect(object).toMatchObject({ projected: true, visible: true, wallId: 'wall_1' });
+    expect(object.center).toEqual({ x: 0.5, y: 1.4, z: -2 });
+    expect(document.getElementById('wall-object-object_1')).not.toBeNull();
+    expect(sceneState.history.getStatus().undoLabel).toBe('Project object');
+
+    sceneState.undo();
+
+    expect(sceneState.getState('objects')[0].projected).toBeUndefined();
+    expect(sceneState.getState('objects')[0].center).toEqual(PICTURE.center);
+    expect(document.getElementById('wall-object-object_1')).toBeNull();
+  });
+
+  it('keeps the projection when a later edit is undone', async () => {
+    await replay(sceneEl, [project]);
+    sceneState.updateObject('object_1', { name: 'Sunset' }, 'Rename object');
+
+    sceneState.undo();
+
+    const [object] = sceneState.getState('objects');
+    expect(object.name).toBeUndefined();
+    expect(object.projected).toBe(true);
+    expect(document.getElementById('wall-object-object_1')).not.toBeNull();
+  });
+});
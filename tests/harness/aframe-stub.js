@@ -0,0 +1,607 @@
+/**
+ * A-Frame Stub
+ *
+ * Just enough of A-Frame to boot the app's systems and components under jsdom:
+ * the register functions, component schemas and lifecycle (init, update, tick,
+ * remove), entity helpers (object3D, emit, components, sceneEl) and the built-in
+ * position, rotation, scale and visible attributes. Components initialize when
+ * their entity is attached to a loaded scene, like in A-Frame. Nothing is rendered.
+ */
+
+// Attributes every entity has, kept in sync with its object3D
+const VECTOR_ATTRIBUTES = ['position', 'rotation', 'scale'];
+
+// A-Frame's component base: lifecycle methods a definition may leave out
+const COMPONENT_BASE = {
+  init: function() {},
+  update: function() {},
+  remove: function() {},
+  play: function() {},
+  pause: function() {}
+};
+
+let THREE = null;
+
+// Native DOM methods, called by the patched versions
+const native = {};
+
+/**
+ * Parse a vector from a string ("1 2 3") or an object
+ * @param {String|Object} value - Value to parse
+ * @param {Array<String>} keys - Vector components
+ * @returns {Object} Vector as a plain object
+ */
+function parseVector(value, keys) {
+  const numbers = typeof value === 'string'
+    ? value.trim().split(/\s+/).map(parseFloat)
+    : keys.map(key => (value ? parseFloat(value[key]) : NaN));
+
+  return keys.reduce((vector, key, index) => {
+    vector[key] = Number.isFinite(numbers[index]) ? numbers[index] : 0;
+    return vector;
+  }, {});
+}
+
+/**
+ * Guess a property type from its default, as A-Frame does for untyped properties
+ * @param {Object} property - Schema property
+ * @returns {String} Property type
+ */
+function getPropertyType(property) {
+  if (property.type) return property.type;
+
+  const value = property.default;
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (Array.isArray(value)) return 'array';
+  if (value && typeof value === 'object') {
+    return 'w' in value ? 'vec4' : 'z' in value ? 'vec3' : 'vec2';
+  }
+  return 'string';
+}
+
+/**
+ * Parse a single schema property value
+ * @param {Object} property - Schema property
+ * @param {*} value - Raw value from setAttribute
+ * @returns {*} Parsed value
+ */
+function parseProperty(property, value) {
+  if (property.parse) return property.parse(value);
+
+  switch (getPropertyType(property)) {
+    case 'number':
+      return parseFloat(value);
+    case 'int':
+      return parseInt(value, 10);
+    case 'boolean':
+      return value !== false && value !== 'false';
+    case 'vec2':
+      return parseVector(value, ['x', 'y']);
+    case 'vec3':
+      return parseVector(value, ['x', 'y', 'z']);
+    case 'vec4':
+      return parseVector(value, ['x', 'y', 'z', 'w']);
+    case 'array':
+      return Array.isArray(value) ? value.slice() : String(value).split(',').map(item => item.trim()).filter(Boolean);
+    case 'selector':
+      return typeof value === 'string' ? document.querySelector(value) : value;
+    case 'selectorAll':
+      return typeof value === 'string' ? Array.from(document.querySelectorAll(value)) : value;
+    default:
+      return value === null || value === undefined ? '' : String(value);
+  }
+}
+
+/**
+ * Copy a default so components can't change each other's defaults
+ * @param {*} value - Default value
+ * @returns {*} Copy of the value
+ */
+function cloneDefault(value) {
+  if (Array.isArray(value)) return value.slice();
+  if (value && typeof value === 'object' && !(value instanceof Element)) return { ...value };
+  return value;
+}
+
+/**
+ * Check whether a schema describes a single value rather than named properties
+ * @param {Object} schema - Component schema
+ * @returns {Boolean} True for single property schemas
+ */
+function isSingleProperty(schema) {
+  return typeof schema.type === 'string' || 'default' in schema;
+}
+
+/**
+ * Split an A-Frame style attribute string ("a: 1; b: 2") into properties
+ * @param {String} value - Attribute string
+ * @returns {Object} Raw property values
+ */
+function parseStyleString(value) {
+  return value.split(';').reduce((properties, declaration) => {
+    const index = declaration.indexOf(':');
+    if (index > 0) {
+      properties[declaration.slice(0, index).trim()] = declaration.slice(index + 1).trim();
+    }
+    return properties;
+  }, {});
+}
+
+/**
+ * Get the default data of a schema
+ * @param {Object} schema - Component schema
+ * @returns {*} Default data
+ */
+function getDefaultData(schema) {
+  if (isSingleProperty(schema)) return cloneDefault(schema.default);
+
+  return Object.keys(schema).reduce((data, key) => {
+    data[key] = cloneDefault(schema[key].default);
+    return data;
+  }, {});
+}
+
+/**
+ * Parse setAttribute arguments into changed properties
+ * @param {Object} schema - Component schema
+ * @param {*} value - Attribute value, or the property name when propertyValue is given
+ * @param {*} [propertyValue] - Value of a single property
+ * @returns {*} Parsed changes (the whole value for single property schemas)
+ */
+function parseChanges(schema, value, propertyValue) {
+  if (isSingleProperty(schema)) {
+    return parseProperty(schema, value === undefined ? schema.default : value);
+  }
+
+  let raw = value;
+  if (propertyValue !== undefined) {
+    raw = { [value]: propertyValue };
+  } else if (typeof value === 'string') {
+    raw = parseStyleString(value);
+  }
+
+  return Object.keys(raw || {}).reduce((changes, key) => {
+    // Unknown properties are ignored, as A-Frame warns and drops them
+    if (schema[key]) {
+      changes[key] = parseProperty(schema[key], raw[key]);
+    }
+    return changes;
+  }, {});
+}
+
+/**
+ * Write component data back as an attribute string, for selectors like [input-source]
+ * @param {*} data - Component data
+ * @returns {String} Attribute string
+ */
+function stringifyData(data) {
+  if (data === null || data === undefined) return '';
+  if (typeof data !== 'object') return String(data);
+  if ('x' in data && 'y' in data) return Object.values(data).join(' ');
+
+  return Object.keys(data)
+    .map(key => `${key}: ${data[key] && typeof data[key] === 'object' ? stringifyData(data[key]) : data[key]}`)
+    .join('; ');
+}
+
+/**
+ * Get the registered component an attribute name refers to ("sound__2" is "sound")
+ * @param {String} name - Attribute name
+ * @returns {Object|undefined} Component definition
+ */
+function getComponentDefinition(name) {
+  return window.AFRAME.components[name.split('__')[0]];
+}
+
+/**
+ * Find the loaded scene an element is part of
+ * @param {Element} el - Element
+ * @returns {Element|null} Scene element once it has loaded
+ */
+function getLoadedScene(el) {
+  const sceneEl = el.isConnected ? el.closest('a-scene') : null;
+  return sceneEl && sceneEl.hasLoaded ? sceneEl : null;
+}
+
+/**
+ * Create, update or queue a component on an entity
+ * @param {Element} el - Entity
+ * @param {String} name - Component name
+ * @param {*} value - Attribute value or property name
+ * @param {*} [propertyValue] - Value of a single property
+ */
+function setComponent(el, name, value, propertyValue) {
+  const definition = getComponentDefinition(name);
+  const changes = parseChanges(definition.schema, value, propertyValue);
+  const component = el.components[name];
+
+  if (component) {
+    const oldData = isSingleProperty(definition.schema) ? component.data : { ...component.data };
+    component.data = isSingleProperty(definition.schema) ? changes : Object.assign(component.data, changes);
+    native.setAttribute.call(el, name, stringifyData(component.data));
+    component.update(oldData);
+    return;
+  }
+
+  // Not initialized yet - collect the data until the entity is attached
+  const pending = el.pendingComponents;
+  pending[name] = isSingleProperty(definition.schema)
+    ? changes
+    : Object.assign(pending[name] || getDefaultData(definition.schema), changes);
+  native.setAttribute.call(el, name, stringifyData(pending[name]));
+
+  if (getLoadedScene(el)) {
+    initComponent(el, name);
+  }
+}
+
+/**
+ * Initialize a queued component: init, then update with empty old data
+ * @param {Element} el - Entity
+ * @param {String} name - Component name
+ */
+function initComponent(el, name) {
+  const definition = getComponentDefinition(name);
+  const component = Object.create(definition);
+
+  component.el = el;
+  component.name = name.split('__')[0];
+  component.attrName = name;
+  component.id = name.includes('__') ? name.split('__')[1] : undefined;
+  component.data = el.pendingComponents[name];
+  component.system = el.sceneEl.systems[component.name];
+
+  delete el.pendingComponents[name];
+  el.components[name] = component;
+
+  component.init();
+  component.update(isSingleProperty(definition.schema) ? undefined : {});
+}
+
+/**
+ * Remove a component, calling its remove handler
+ * @param {Element} el - Entity
+ * @param {String} name - Component name
+ * @param {Boolean} keepData - Queue the data again, so the component returns when the entity is reattached
+ */
+function removeComponent(el, name, keepData) {
+  const component = el.components[name];
+  if (!component) return;
+
+  component.remove();
+  delete el.components[name];
+
+  if (keepData) {
+    el.pendingComponents[name] = component.data;
+  }
+}
+
+/**
+ * Initialize the queued components of an entity and its descendants
+ * Children first, as A-Frame loads children before their parent.
+ * @param {Element} el - Root entity
+ */
+function attachEntity(el) {
+  Array.from(el.children).forEach(attachEntity);
+
+  // Components may already have been initialized while the children were attached
+  Object.keys(el.pendingComponents).forEach(name => {
+    if (el.pendingComponents[name] !== undefined && !el.components[name] && getLoadedScene(el)) {
+      initComponent(el, name);
+    }
+  });
+}
+
+/**
+ * Remove the components of an entity and its descendants, keeping their data
+ * @param {Element} el - Root entity
+ */
+function detachEntity(el) {
+  Array.from(el.children).forEach(detachEntity);
+  Object.keys(el.components).forEach(name => removeComponent(el, name, true));
+}
+
+/**
+ * Patch the DOM so elements behave like A-Frame entities
+ */
+function patchElements() {
+  const proto = Element.prototype;
+
+  native.setAttribute = proto.setAttribute;
+  native.getAttribute = proto.getAttribute;
+  native.removeAttribute = proto.removeAttribute;
+  native.appendChild = Node.prototype.appendChild;
+  native.removeChild = Node.prototype.removeChild;
+
+  Object.defineProperties(proto, {
+    object3D: {
+      configurable: true,
+      get: function() {
+        if (!this._object3D) {
+          this._object3D = this.tagName === 'A-SCENE' ? new THREE.Scene() : new THREE.Group();
+          this._object3D.el = this;
+        }
+        return this._object3D;
+      }
+    },
+    components: {
+      configurable: true,
+      get: function() {
+        if (!this._components) this._components = {};
+        return this._components;
+      }
+    },
+    pendingComponents: {
+      configurable: true,
+      get: function() {
+        if (!this._pendingComponents) this._pendingComponents = {};
+        return this._pendingComponents;
+      }
+    },
+    objectAttributes: {
+      configurable: true,
+      get: function() {
+        if (!this._objectAttributes) this._objectAttributes = {};
+        return this._objectAttributes;
+      }
+    },
+    sceneEl: {
+      configurable: true,
+      get: function() {
+        return this.closest('a-scene');
+      }
+    },
+    isEntity: {
+      configurable: true,
+      get: function() {
+        return this.tagName.startsWith('A-');
+      }
+    }
+  });
+
+  // Emit a bubbling event with a detail, like entity.emit
+  proto.emit = function(name, detail, bubbles = true) {
+    this.dispatchEvent(new CustomEvent(name, { detail: detail, bubbles: bubbles }));
+  };
+
+  // Entity states ('vr-mode', 'cursor-hovered', ...)
+  proto.is = function(state) {
+    return !!this._states && this._states.includes(state);
+  };
+
+  proto.addState = function(state) {
+    this._states = (this._states || []).filter(existing => existing !== state).concat(state);
+  };
+
+  proto.removeState = function(state) {
+    this._states = (this._states || []).filter(existing => existing !== state);
+  };
+
+  // Named object3D children (meshes made by components)
+  proto.getObject3D = function(type) {
+    return this.object3DMap ? this.object3DMap[type] : undefined;
+  };
+
+  proto.setObject3D = function(type, object) {
+    this.removeObject3D(type);
+    this.object3DMap = this.object3DMap || {};
+    this.object3DMap[type] = object;
+    object.el = this;
+    this.object3D.add(object);
+  };
+
+  proto.removeObject3D = function(type) {
+    const object = this.getObject3D(type);
+    if (!object) return;
+
+    this.object3D.remove(object);
+    delete this.object3DMap[type];
+  };
+
+  // Built-in attributes go to the object3D, component attributes to the component
+  proto.setAttribute = function(name, value, propertyValue) {
+    if (VECTOR_ATTRIBUTES.includes(name)) {
+      const vector = propertyValue !== undefined
+        ? { ...this.getAttribute(name), [value]: parseFloat(propertyValue) }
+        : parseVector(value, ['x', 'y', 'z']);
+
+      if (name === 'rotation') {
+        this.object3D.rotation.set(
+          THREE.MathUtils.degToRad(vector.x),
+          THREE.MathUtils.degToRad(vector.y),
+          THREE.MathUtils.degToRad(vector.z),
+          'YXZ'
+        );
+      } else {
+        this.object3D[name].set(vector.x, vector.y, vector.z);
+      }
+      native.setAttribute.call(this, name, stringifyData(vector));
+      return;
+    }
+
+    if (name === 'visible') {
+      this.object3D.visible = value !== false && value !== 'false';
+      native.setAttribute.call(this, name, String(this.object3D.visible));
+      return;
+    }
+
+    if (getComponentDefinition(name)) {
+      setComponent(this, name, value, propertyValue);
+      return;
+    }
+
+    // Other objects (geometry, material, animation...) are kept as given
+    if (value && typeof value === 'object') {
+      this.objectAttributes[name] = propertyValue !== undefined
+        ? { ...this.objectAttributes[name], [value]: propertyValue }
+        : value;
+      native.setAttribute.call(this, name, stringifyData(this.objectAttributes[name]));
+      return;
+    }
+
+    delete this.objectAttributes[name];
+    native.setAttribute.call(this, name, value);
+  };
+
+  proto.getAttribute = function(name) {
+    if (VECTOR_ATTRIBUTES.includes(name) && this.isEntity) {
+      const source = this.object3D[name];
+      const toValue = name === 'rotation' ? THREE.MathUtils.radToDeg : (n => n);
+      return { x: toValue(source.x), y: toValue(source.y), z: toValue(source.z) };
+    }
+
+    if (name === 'visible' && this.isEntity) {
+      return this.object3D.visible;
+    }
+
+    if (this.components[name]) {
+      return this.components[name].data;
+    }
+
+    if (this.pendingComponents[name] !== undefined) {
+      return this.pendingComponents[name];
+    }
+
+    if (name in this.objectAttributes) {
+      return this.objectAttributes[name];
+    }
+
+    return native.getAttribute.call(this, name);
+  };
+
+  proto.removeAttribute = function(name) {
+    removeComponent(this, name, false);
+    delete this.pendingComponents[name];
+    delete this.objectAttributes[name];
+    native.removeAttribute.call(this, name);
+  };
+
+  // Attaching an entity to a loaded scene initializes its components
+  Node.prototype.appendChild = function(child) {
+    const result = native.appendChild.call(this, child);
+
+    if (child instanceof Element && this instanceof Element) {
+      this.object3D.add(child.object3D);
+      if (getLoadedScene(child)) {
+        attachEntity(child);
+      }
+    }
+
+    return result;
+  };
+
+  // Detaching it removes them
+  Node.prototype.removeChild = function(child) {
+    if (child instanceof Element && this instanceof Element) {
+      detachEntity(child);
+      this.object3D.remove(child.object3D);
+    }
+
+    return native.removeChild.call(this, child);
+  };
+}
+
+/**
+ * Stand-in for A-Frame's raycaster component
+ * Nothing is cast: tests set the intersections, as the raycaster would after a frame.
+ */
+const RAYCASTER_STUB = {
+  schema: {
+    objects: { type: 'string', default: '' },
+    origin: { type: 'vec3', default: { x: 0, y: 0, z: 0 } },
+    direction: { type: 'vec3', default: { x: 0, y: 0, z: -1 } },
+    far: { type: 'number', default: 1000 },
+    enabled: { type: 'boolean', default: true },
+    showLine: { type: 'boolean', default: false },
+    lineColor: { type: 'color', default: 'white' },
+    lineOpacity: { type: 'number', default: 1 }
+  },
+
+  init: function() {
+    this.intersections = [];
+    this.intersectedEls = [];
+  },
+
+  // Replace the current intersections and report them like A-Frame does
+  setIntersections: function(intersections) {
+    this.intersections = intersections;
+    this.intersectedEls = intersections.map(intersection => intersection.object.el);
+    this.el.emit('raycaster-intersection', { els: this.intersectedEls, intersections: intersections });
+  }
+};
+
+/**
+ * Throttle a tick handler, like AFRAME.utils.throttleTick
+ * @param {Function} fn - Handler called with (time, delta)
+ * @param {Number} minimumInterval - Minimum time between calls (ms)
+ * @param {Object} [context] - this for the handler
+ * @returns {Function} Throttled handler
+ */
+function throttleTick(fn, minimumInterval, context) {
+  const handler = context ? fn.bind(context) : fn;
+  let lastTime;
+
+  return function(time, delta) {
+    const sinceLast = lastTime === undefined ? delta : time - lastTime;
+    if (lastTime !== undefined && sinceLast < minimumInterval) return;
+
+    lastTime = time;
+    handler(time, sinceLast);
+  };
+}
+
+/**
+ * Install the AFRAME global and patch the DOM
+ * @param {Object} three - The THREE module
+ * @returns {Object} The AFRAME stub
+ */
+function installAframeStub(three) {
+  THREE = three;
+
+  const AFRAME = {
+    THREE: three,
+    components: {},
+    systems: {},
+    geometries: {},
+    scenes: [],
+
+    registerComponent: function(name, definition) {
+      const component = Object.assign(Object.create(COMPONENT_BASE), definition);
+      component.schema = definition.schema || {};
+      this.components[name] = component;
+      return component;
+    },
+
+    registerSystem: function(name, definition) {
+      const system = Object.assign(Object.create(COMPONENT_BASE), definition);
+      system.schema = definition.schema || {};
+      this.systems[name] = system;
+      return system;
+    },
+
+    registerGeometry: function(name, definition) {
+      this.geometries[name] = definition;
+      return definition;
+    },
+
+    utils: {
+      throttleTick: throttleTick
+    }
+  };
+
+  window.AFRAME = AFRAME;
+  globalThis.AFRAME = AFRAME;
+
+  patchElements();
+  AFRAME.registerComponent('raycaster', RAYCASTER_STUB);
+
+  return AFRAME;
+}
+
+export {
+  installAframeStub,
+  attachEntity,
+  getDefaultData,
+  parseChanges
+};
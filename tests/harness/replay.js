@@ -0,0 +1,183 @@
+/**
+ * Input Replay
+ *
+ * Plays back a recorded input sequence against a test scene. A recording is a
+ * list of steps, each one an event as the headset or the app would send it:
+ *
+ *   { "event": "pinchstarted", "hand": "right", "position": { "x": 0, "y": 1.5, "z": -1 } }
+ *     Pinch events (pinchstarted, pinchmoved, pinchended) go to that hand's entity.
+ *   { "event": "pressedstarted", "button": "Start" }
+ *     Press events (pressedstarted, pressedended) go to the visible button with that
+ *     label, the first one if there are several.
+ *   { "event": "raycaster-intersection", "ray": "#anchor-laser-rightHand",
+ *     "target": "#plane-object_1", "point": { "x": 0, "y": 1.5, "z": -1 } }
+ *     The raycaster on "ray" now hits "target" at "point".
+ *   { "event": "menu-action", "detail": { "action": "object-definition" } }
+ *     Any other event is emitted on the scene (or on "target") with its detail.
+ *   { "wait": 1100 }
+ *     Time passes: timers run (when faked) and the scene ticks once.
+ *
+ * Like real input, every step runs in its own task: pending microtasks (such as
+ * the undo history closing its automatic group) finish before the next step.
+ */
+
+import { vi } from 'vitest';
+import { tickScene } from './scene.js';
+
+// Events sent by the hand tracking controls
+const PINCH_EVENTS = ['pinchstarted', 'pinchmoved', 'pinchended'];
+
+// Events sent by pressable to the button under the finger or laser
+const PRESS_EVENTS = ['pressedstarted', 'pressedended'];
+
+/**
+ * Check whether an entity and all its parents are visible
+ * @param {Element} el - Entity
+ * @returns {Boolean} True when shown
+ */
+function isShown(el) {
+  for (let node = el; node && node.isEntity; node = node.parentElement) {
+    if (!node.object3D.visible) return false;
+  }
+  return true;
+}
+
+/**
+ * Find the hand entity a pinch comes from
+ * @param {Element} sceneEl - Scene
+ * @param {String} hand - 'left' or 'right'
+ * @returns {Element} Hand entity
+ */
+function findHand(sceneEl, hand) {
+  const handEl = Array.from(sceneEl.querySelectorAll('[input-source]')).find(el => {
+    const source = el.components['input-source'];
+    return source && source.kind === 'hand' && source.data.hand === hand;
+  });
+
+  if (!handEl) {
+    throw new Error(`Replay: No ${hand} hand in the scene`);
+  }
+  return handEl;
+}
+
+/**
+ * Find a visible button by its label
+ * @param {Element} sceneEl - Scene
+ * @param {String} label - Button label
+ * @returns {Element} Button entity
+ */
+function findButton(sceneEl, label) {
+  const buttonEl = Array.from(sceneEl.querySelectorAll('[button]')).find(el => {
+    const button = el.components.button;
+    return button && button.data.label === label && isShown(el);
+  });
+
+  if (!buttonEl) {
+    throw new Error(`Replay: No visible button labeled "${label}"`);
+  }
+  return buttonEl;
+}
+
+/**
+ * Find an element that a step refers to
+ * @param {Element} sceneEl - Scene
+ * @param {String} selector - CSS selector
+ * @returns {Element} Element
+ */
+function findElement(sceneEl, selector) {
+  const el = sceneEl.querySelector(selector);
+
+  if (!el) {
+    throw new Error(`Replay: Nothing matches ${selector}`);
+  }
+  return el;
+}
+
+/**
+ * Let time pass in the scene
+ * @param {Element} sceneEl - Scene
+ * @param {Number} ms - Time to pass (ms)
+ */
+function wait(sceneEl, ms) {
+  if (vi.isFakeTimers()) {
+    vi.advanceTimersByTime(ms);
+  }
+
+  sceneEl.replayTime = (sceneEl.replayTime || 0) + ms;
+  tickScene(sceneEl, sceneEl.replayTime, ms);
+}
+
+/**
+ * Play a single recorded step
+ * @param {Element} sceneEl - Scene
+ * @param {Object} step - Recorded step
+ */
+function playStep(sceneEl, step) {
+  // Input arrives between frames, after the last one rendered
+  sceneEl.object3D.updateMatrixWorld();
+
+  if (step.wait !== undefined) {
+    wait(sceneEl, step.wait);
+    return;
+  }
+
+  const { event } = step;
+
+  if (PINCH_EVENTS.includes(event)) {
+    findHand(sceneEl, step.hand).emit(event, {
+      hand: step.hand,
+      position: step.position ? new THREE.Vector3(step.position.x, step.position.y, step.position.z) : undefined
+    });
+    return;
+  }
+
+  if (PRESS_EVENTS.includes(event)) {
+    findButton(sceneEl, step.button).emit(event, {}, false);
+    return;
+  }
+
+  if (event === 'raycaster-intersection') {
+    const raycaster = findElement(sceneEl, step.ray).components.raycaster;
+    const targetEl = findElement(sceneEl, step.target);
+    const point = new THREE.Vector3(step.point.x, step.point.y, step.point.z);
+
+    raycaster.setIntersections([{
+      object: targetEl.object3D,
+      point: point,
+      distance: point.distanceTo(raycaster.el.object3D.getWorldPosition(new THREE.Vector3()))
+    }]);
+    return;
+  }
+
+  // The app keeps what it receives, so every replay gets its own copy of the detail
+  const targetEl = step.target ? findElement(sceneEl, step.target) : sceneEl;
+  targetEl.emit(event, JSON.parse(JSON.stringify(step.detail || {})));
+}
+
+/**
+ * Play a recorded input sequence
+ * @param {Element} sceneEl - Scene created with createScene
+ * @param {Object|Array<Object>} recording - { steps: [...] } or the steps themselves
+ * @returns {Promise} Resolves once every step has been played
+ */
+async function replay(sceneEl, recording) {
+  const steps = Array.isArray(recording) ? recording : recording.steps;
+
+  for (const [index, step] of steps.entries()) {
+    try {
+      playStep(sceneEl, step);
+    } catch (error) {
+      error.message = `Step ${index + 1} (${step.event || 'wait'}): ${error.message}`;
+      throw error;
+    }
+
+    await Promise.resolve();
+  }
+}
+
+export {
+  replay,
+  playStep,
+  findButton,
+  findHand
+};
@@ -0,0 +1,133 @@
+/**
+ * Test Scene
+ *
+ * Builds an <a-scene> on the stubbed AFRAME the way index.html and main.js do:
+ * the registered systems, a camera at eye height, both hands as input sources
+ * and the app entities (menu manager, object definition, anchor placement...)
+ * for whichever components the test file imported.
+ */
+
+import { attachEntity } from './aframe-stub.js';
+
+// App entities created by main.js, by component name
+const APP_ENTITIES = {
+  'menu-manager': { id: 'menuManager', data: { width: 0.25, height: 0.20, grabbable: true } },
+  'object-definition': { id: 'objectDefinition', data: { active: false } },
+  'anchor-placement': { id: 'anchorPlacement', data: { active: false, objectId: '' } }
+};
+
+/**
+ * Create and load a scene
+ * @param {Object} [options]
+ * @param {Object} [options.systems] - System data by name, e.g. { 'scene-state': { historyLimit: 5 } }.
+ *   scene-state does not persist unless asked to.
+ * @param {Array<String>} [options.entities] - App entities to add (keys of APP_ENTITIES)
+ * @param {Boolean} [options.hands] - Add #leftHand and #rightHand input sources (default true)
+ * @returns {Element} The loaded scene
+ */
+function createScene(options = {}) {
+  const { systems = {}, entities = [], hands = true } = options;
+
+  const sceneEl = document.createElement('a-scene');
+  sceneEl.systems = {};
+  sceneEl.hasLoaded = false;
+  document.body.appendChild(sceneEl);
+
+  // The camera the app reads the user's viewpoint from
+  sceneEl.camera = new THREE.PerspectiveCamera(80, 1, 0.01, 100);
+  sceneEl.camera.position.set(0, 1.6, 0);
+  sceneEl.object3D.add(sceneEl.camera);
+
+  // Systems start before any component, as in A-Frame
+  const systemData = { 'scene-state': { persist: false }, ...systems };
+  Object.keys(AFRAME.systems).forEach(name => {
+    const definition = AFRAME.systems[name];
+    const system = Object.create(definition);
+    system.el = sceneEl;
+    system.sceneEl = sceneEl;
+    system.name = name;
+    system.data = { ...getSchemaDefaults(definition.schema), ...systemData[name] };
+    sceneEl.systems[name] = system;
+  });
+  Object.values(sceneEl.systems).forEach(system => system.init());
+
+  if (hands) {
+    ['left', 'right'].forEach(hand => {
+      const handEl = document.createElement('a-entity');
+      handEl.setAttribute('id', `${hand}Hand`);
+      handEl.setAttribute('hand-tracking-controls', `hand: ${hand}`);
+      handEl.setAttribute('input-source', { hand });
+      sceneEl.appendChild(handEl);
+    });
+  }
+
+  entities.forEach(name => {
+    const { id, data } = APP_ENTITIES[name];
+    const el = document.createElement('a-entity');
+    el.setAttribute(name, data);
+    el.setAttribute('id', id);
+    sceneEl.appendChild(el);
+  });
+
+  // Load: components initialize, then the scene reports it is ready
+  sceneEl.hasLoaded = true;
+  AFRAME.scenes = [sceneEl];
+  attachEntity(sceneEl);
+  sceneEl.emit('loaded', {}, false);
+
+  return sceneEl;
+}
+
+/**
+ * Get the defaults of a system schema
+ * @param {Object} schema - System schema
+ * @returns {Object} Default data
+ */
+function getSchemaDefaults(schema) {
+  return Object.keys(schema || {}).reduce((data, key) => {
+    data[key] = schema[key].default;
+    return data;
+  }, {});
+}
+
+/**
+ * Run one frame: the tick of every system and component in the scene, then the
+ * world matrix update done by the renderer
+ * @param {Element} sceneEl - Scene
+ * @param {Number} time - Scene time (ms)
+ * @param {Number} delta - Time since the last frame (ms)
+ */
+function tickScene(sceneEl, time, delta) {
+  Object.values(sceneEl.systems).forEach(system => {
+    if (system.tick) system.tick(time, delta);
+  });
+
+  [sceneEl, ...sceneEl.querySelectorAll('*')].forEach(el => {
+    Object.values(el.components).forEach(component => {
+      // Components removed earlier in this frame are skipped
+      if (component.tick && el.components[component.attrName] === component) {
+        component.tick(time, delta);
+      }
+    });
+  });
+
+  // The renderer updates world matrices every frame
+  sceneEl.object3D.updateMatrixWorld();
+}
+
+/**
+ * Remove a scene and everything in it
+ * @param {Element} sceneEl - Scene
+ */
+function destroyScene(sceneEl) {
+  if (sceneEl && sceneEl.parentNode) {
+    sceneEl.parentNode.removeChild(sceneEl);
+  }
+  AFRAME.scenes = [];
+}
+
+export {
+  createScene,
+  tickScene,
+  destroyScene
+};
@@ -0,0 +1,14 @@
+/**
+ * Test Setup
+ *
+ * Runs before every test file: makes the real THREE and a stubbed AFRAME
+ * global, the way the app's modules expect them from the A-Frame script.
+ */
+
+import * as THREE from 'three';
+import { installAframeStub } from './harness/aframe-stub.js';
+
+window.THREE = THREE;
+globalThis.THREE = THREE;
+
+installAframeStub(THREE);
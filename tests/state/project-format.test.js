@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PROJECT_FORMAT,
+  PROJECT_FORMAT_VERSION,
+  createProject,
+  getProjectVersion,
+  migrateProject,
+  validateProject,
+  parseProject,
+  stringifyProject
+} from '../../src/state/project-format.js';
+import projectV1 from '../fixtures/project-v1.json';
+import projectV2 from '../fixtures/project-v2.json';
+
+// A valid project in the current version, with its v2 wall as the only wall
+function currentProject() {
+  return migrateProject(projectV2);
+}
+
+describe('project-format', () => {
+  describe('migrations', () => {
+    it('reads a bare objects array as version 0', () => {
+      const objects = projectV1.objects;
+      expect(getProjectVersion(objects)).toBe(0);
+
+      const project = migrateProject(objects);
+
+      expect(project.format).toBe(PROJECT_FORMAT);
+      expect(project.version).toBe(PROJECT_FORMAT_VERSION);
+      expect(project.units).toBe('m');
+      expect(project.calibration).toEqual({ walls: {} });
+      expect(project.objects.map(obj => obj.wallId)).toEqual(['wall_1']);
+      expect(validateProject(project)).toEqual([]);
+    });
+
+    it('keeps the calibration of unversioned { calibration, objects } data', () => {
+      const { version: _version, savedAt: _savedAt, ...unversioned } = projectV1;
+
+      const project = migrateProject(unversioned);
+
+      expect(project.exportedAt).toBeNull();
+      expect(project.calibration.walls.wall_1.position).toEqual(projectV1.calibration.wall.position);
+    });
+
+    it('turns a version 1 session snapshot into a project', () => {
+      const project = migrateProject(projectV1);
+
+      expect(project.format).toBe(PROJECT_FORMAT);
+      expect(project.exportedAt).toBe(projectV1.savedAt);
+      expect(project.savedAt).toBeUndefined();
+      expect(project.objects[0].anchors).toEqual(projectV1.objects[0].anchors);
+      expect(validateProject(project)).toEqual([]);
+    });
+
+    it('makes the single version 2 wall the first named wall', () => {
+      const project = migrateProject(projectV2);
+
+      expect(project.version).toBe(3);
+      expect(project.name).toBe('Hallway');
+      expect(project.calibration).toEqual({
+        activeWallId: 'wall_1',
+        walls: { wall_1: { ...projectV2.calibration.wall, id: 'wall_1', name: 'Wall 1' } }
+      });
+      expect(project.objects.map(obj => obj.wallId)).toEqual(['wall_1', 'wall_1']);
+    });
+
+    it('keeps the wall of objects that already have one', () => {
+      const data = { ...projectV2, objects: [{ ...projectV2.objects[0], wallId: 'wall_2' }] };
+
+      expect(migrateProject(data).objects[0].wallId).toBe('wall_2');
+    });
+
+    it('leaves current projects and the input data unchanged', () => {
+      const before = JSON.stringify(projectV2);
+      const project = currentProject();
+
+      expect(migrateProject(project)).toEqual(project);
+      expect(migrateProject(project)).not.toBe(project);
+      expect(JSON.stringify(projectV2)).toBe(before);
+    });
+  });
+
+  describe('validation', () => {
+    it('rejects projects from a newer version of the app', () => {
+      const { project, errors } = parseProject({ ...currentProject(), version: PROJECT_FORMAT_VERSION + 1 });
+
+      expect(project).toBeNull();
+      expect(errors).toEqual([`Project version ${PROJECT_FORMAT_VERSION + 1} is newer than supported version ${PROJECT_FORMAT_VERSION}`]);
+    });
+
+    it('rejects text that is not JSON or not an object', () => {
+      expect(parseProject('{ "version": ').errors[0]).toMatch(/^Invalid JSON/);
+      expect(parseProject('42').errors).toEqual(['Project must be a JSON object']);
+    });
+
+    it('rejects wire anchors without two attachments and a wire length', () => {
+      const project = currentProject();
+      const wire = project.objects[1].anchors[0];
+      wire.attachments = [wire.attachments[0]];
+      wire.wireLength = 0;
+
+      expect(validateProject(project)).toEqual([
+        'objects[1].anchors[0].attachments must be two {x, y, z} vectors',
+        'objects[1].anchors[0].wireLength must be a positive number'
+      ]);
+    });
+
+    it('rejects anchors of an unknown type', () => {
+      const project = currentProject();
+      project.objects[1].anchors[0].type = 'glue';
+
+      expect(validateProject(project)).toEqual(["objects[1].anchors[0].type 'glue' is not a known anchor type"]);
+    });
+
+    it('rejects objects on a wall the project does not have', () => {
+      const project = currentProject();
+      project.objects[0].wallId = 'wall_2';
+
+      expect(validateProject(project)).toEqual(["objects[0].wallId 'wall_2' does not match a wall"]);
+    });
+
+    it('rejects wall ids that match no wall or the wrong one', () => {
+      const project = currentProject();
+      project.calibration.walls.wall_1.id = 'wall_9';
+      project.calibration.activeWallId = 'wall_2';
+
+      expect(validateProject(project)).toEqual([
+        'calibration.walls.wall_1.id must match its key',
+        "calibration.activeWallId 'wall_2' does not match a wall"
+      ]);
+    });
+
+    it('rejects objects with a repeated id or too few points', () => {
+      const project = currentProject();
+      project.objects[1].id = 'object_1';
+      project.objects[1].points = project.objects[1].points.slice(0, 2);
+
+      expect(validateProject(project)).toEqual([
+        "objects[1].id 'object_1' is used more than once",
+        'objects[1].points must be an array of at least 3 {x, y, z} vectors'
+      ]);
+    });
+
+    it('reads back an exported project', () => {
+      const exported = createProject(currentProject(), { name: 'Hallway' });
+
+      const { project, errors } = parseProject(stringifyProject(exported));
+
+      expect(errors).toEqual([]);
+      expect(project).toEqual(exported);
+    });
+  });
+});
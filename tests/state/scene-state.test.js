@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import '../../src/state/scene-state.js';
+import { createScene, destroyScene } from '../harness/scene.js';
+import { replay } from '../harness/replay.js';
+import stateEdits from '../fixtures/state-edits.json';
+
+// Resolve once the scene has sent an event
+function nextEvent(sceneEl, name) {
+  return new Promise(resolve => sceneEl.addEventListener(name, resolve, { once: true }));
+}
+
+describe('scene-state', () => {
+  let sceneEl;
+  let sceneState;
+
+  beforeEach(() => {
+    sceneEl = createScene({ hands: false });
+    sceneState = sceneEl.systems['scene-state'];
+  });
+
+  afterEach(() => {
+    destroyScene(sceneEl);
+    localStorage.clear();
+  });
+
+  it('starts with one uncalibrated wall, no objects and the default settings', () => {
+    expect(sceneState.getActiveWallId()).toBe('wall_1');
+    expect(sceneState.getWall('wall_1').isCalibrated).toBe(false);
+    expect(sceneState.getState('objects')).toEqual([]);
+    expect(sceneState.getUnits()).toBe('cm');
+  });
+
+  it('reads and writes dot-notation paths and reports each change', () => {
+    const changes = [];
+    sceneEl.addEventListener('scene-state-changed', event => changes.push(event.detail.path));
+
+    sceneState.updateState('calibration.walls.wall_1.width', 3.5);
+
+    expect(sceneState.getState('calibration.walls.wall_1.width')).toBe(3.5);
+    expect(sceneState.getState('calibration.walls.missing')).toBeNull();
+    expect(changes).toEqual(['calibration.walls.wall_1.width']);
+  });
+
+  it('replays recorded edits into the expected state', async () => {
+    await replay(sceneEl, stateEdits);
+
+    const objects = sceneState.getState('objects');
+    expect(objects.map(object => object.id)).toEqual(['object_1', 'object_2']);
+    expect(objects[1].anchors).toHaveLength(1);
+    expect(sceneState.getState('currentObjectId')).toBe('object_2');
+    expect(sceneState.getUnits()).toBe('in');
+  });
+
+  it('undoes edits step by step, but not settings', async () => {
+    await replay(sceneEl, stateEdits);
+
+    // Anchors, then the second object (the undone first edit was redone)
+    sceneEl.emit('history-undo');
+    expect(sceneState.getState('objects')[1].anchors).toBeUndefined();
+
+    sceneEl.emit('history-undo');
+    expect(sceneState.getState('objects')).toHaveLength(1);
+
+    sceneEl.emit('history-redo');
+    expect(sceneState.getState('objects')).toHaveLength(2);
+    expect(sceneState.getUnits()).toBe('in');
+  });
+
+  it('groups changes into a single undo step', () => {
+    sceneState.beginHistoryGroup('Drag');
+    sceneState.updateState('calibration.walls.wall_1.position', { x: 0, y: 1, z: -2.1 });
+    sceneState.updateState('calibration.walls.wall_1.position', { x: 0, y: 1, z: -2.2 });
+    sceneState.endHistoryGroup();
+
+    expect(sceneState.undo()).toBe(true);
+    expect(sceneState.getWall('wall_1').position.z).toBe(-2);
+    expect(sceneState.undo()).toBe(false);
+  });
+
+  it('rejects invalid settings', () => {
+    sceneEl.emit('settings-action', { action: 'set-units', units: 'furlongs' });
+
+    expect(sceneState.getUnits()).toBe('cm');
+  });
+
+  it('ignores anchors for unknown objects', () => {
+    sceneEl.emit('anchor-completed', { objectId: 'object_9', anchors: [{ id: 'anchor_1', position: { x: 0, y: 0, z: 0 } }] });
+
+    expect(sceneState.getState('objects')).toEqual([]);
+  });
+
+  it('restores saved objects and settings in the next session', async () => {
+    destroyScene(sceneEl);
+
+    const systems = { 'scene-state': { persist: true, storage: 'localstorage', saveDelay: 0 } };
+    sceneEl = createScene({ hands: false, systems });
+    await nextEvent(sceneEl, 'scene-state-restored');
+
+    await replay(sceneEl, stateEdits);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    destroyScene(sceneEl);
+
+    sceneEl = createScene({ hands: false, systems });
+    const restored = sceneEl.systems['scene-state'];
+    await nextEvent(sceneEl, 'scene-state-restored');
+
+    expect(restored.getState('objects').map(object => object.id)).toEqual(['object_1', 'object_2']);
+    expect(restored.getUnits()).toBe('in');
+
+    // A restored session starts without undo steps
+    expect(restored.undo()).toBe(false);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { calculateWireHook, calculateWireDrop, getDefaultWireLength } from '../../src/utils/anchors.js';
+
+describe('anchors', () => {
+  describe('wire hanging', () => {
+    // Attachments 20 cm below the top edge of a 50 cm tall object
+    const attachments = [{ x: -0.2, y: 0.05 }, { x: 0.2, y: 0.05 }];
+
+    it('puts the hook above the attachments with the wire slack', () => {
+      const length = getDefaultWireLength(attachments);
+      const hook = calculateWireHook(attachments, length);
+
+      expect(length).toBeGreaterThan(0.4);
+      expect(hook.x).toBeCloseTo(0);
+      expect(Math.hypot(0.2, hook.rise) * 2).toBeCloseTo(length);
+    });
+
+    it('refuses a wire that is too short to hang', () => {
+      expect(calculateWireHook(attachments, 0.4)).toBeNull();
+    });
+
+    it('measures the drop down from the nail to the top edge', () => {
+      const hook = calculateWireHook(attachments, getDefaultWireLength(attachments));
+
+      // The nail is below the top edge: the object hangs lower than the nail
+      expect(calculateWireDrop(hook, 0.25)).toBeCloseTo(0.25 - hook.y);
+      expect(calculateWireDrop(hook, 0.25)).toBeGreaterThan(0);
+
+      // A long wire shows above the top edge
+      expect(calculateWireDrop({ x: 0, y: 0.3 }, 0.25)).toBeCloseTo(-0.05);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toVector3,
+  fitPlaneToPoints,
+  calculateFourthCorner,
+  calculateRectangleDimensions,
+  calculatePolygonDimensions,
+  calculatePolygonArea,
+  calculateCircleFromCenter,
+  calculateCircleFromRimPoints,
+  calculateObjectArea,
+  poseToMatrix,
+  matrixToPose,
+  transformPoseLocal,
+  rotationToNormal,
+  resizeObject,
+  mirrorObject,
+  MIN_OBJECT_SIZE
+} from '../../src/utils/geometry.js';
+
+// Compare {x, y, z} objects and vectors component by component
+function expectVector(actual, expected, digits = 6) {
+  expect(actual.x).toBeCloseTo(expected.x, digits);
+  expect(actual.y).toBeCloseTo(expected.y, digits);
+  expect(actual.z).toBeCloseTo(expected.z, digits);
+}
+
+// A 60 x 40 cm picture on a wall 2 m in front of the user
+const TOP_LEFT = { x: -0.3, y: 1.7, z: -2 };
+const TOP_RIGHT = { x: 0.3, y: 1.7, z: -2 };
+const BOTTOM_RIGHT = { x: 0.3, y: 1.3, z: -2 };
+
+describe('geometry', () => {
+  describe('toVector3', () => {
+    it('converts plain objects and copies vectors', () => {
+      const vector = new THREE.Vector3(1, 2, 3);
+
+      expect(toVector3({ x: 1, y: 2, z: 3 })).toBeInstanceOf(THREE.Vector3);
+      expect(toVector3(vector)).not.toBe(vector);
+      expectVector(toVector3(vector), vector);
+    });
+  });
+
+  describe('rectangles', () => {
+    it('completes the rectangle from three corners', () => {
+      expectVector(calculateFourthCorner(TOP_LEFT, TOP_RIGHT, BOTTOM_RIGHT), { x: -0.3, y: 1.3, z: -2 });
+    });
+
+    it('measures width, height, center and area', () => {
+      const rectangle = calculateRectangleDimensions([TOP_LEFT, TOP_RIGHT, BOTTOM_RIGHT]);
+
+      expect(rectangle.width).toBeCloseTo(0.6);
+      expect(rectangle.height).toBeCloseTo(0.4);
+      expect(rectangle.area).toBeCloseTo(0.24);
+      expectVector(rectangle.center, { x: 0, y: 1.5, z: -2 });
+    });
+
+    it('needs three corners', () => {
+      expect(calculateRectangleDimensions([TOP_LEFT, TOP_RIGHT])).toBeNull();
+    });
+  });
+
+  describe('polygons', () => {
+    it('uses the shoelace formula for the area', () => {
+      expect(calculatePolygonArea([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 1 }, { x: 0, y: 1 }])).toBeCloseTo(2);
+      expect(calculatePolygonArea([{ x: 0, y: 0 }, { x: 0, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 0 }])).toBeCloseTo(2);
+    });
+
+    it('centers a wall triangle and keeps its outline in the wall plane', () => {
+      const polygon = calculatePolygonDimensions([
+        { x: 0, y: 1, z: -2 },
+        { x: 0.6, y: 1, z: -2 },
+        { x: 0, y: 1.6, z: -2 }
+      ], { x: 0, y: 1.6, z: 0 });
+
+      expect(polygon.area).toBeCloseTo(0.18);
+      expect(polygon.width).toBeCloseTo(0.6);
+      expect(polygon.height).toBeCloseTo(0.6);
+      expectVector(polygon.center, { x: 0.2, y: 1.2, z: -2 });
+      expectVector(polygon.normal, { x: 0, y: 0, z: 1 });
+      expect(polygon.outline).toHaveLength(3);
+    });
+
+    it('rejects points on a line', () => {
+      expect(calculatePolygonDimensions([
+        { x: 0, y: 1, z: -2 },
+        { x: 0.5, y: 1, z: -2 },
+        { x: 1, y: 1, z: -2 }
+      ])).toBeNull();
+    });
+  });
+
+  describe('circles', () => {
+    it('takes the radius from a rim point', () => {
+      const circle = calculateCircleFromCenter({ x: 0, y: 1.5, z: -2 }, { x: 0.25, y: 1.5, z: -2 });
+
+      expect(circle.radius).toBeCloseTo(0.25);
+    });
+
+    it('finds the circle through three rim points', () => {
+      const circle = calculateCircleFromRimPoints(
+        { x: 0.2, y: 1.5, z: -2 },
+        { x: 0, y: 1.7, z: -2 },
+        { x: -0.2, y: 1.5, z: -2 }
+      );
+
+      expect(circle.radius).toBeCloseTo(0.2);
+      expectVector(circle.center, { x: 0, y: 1.5, z: -2 });
+    });
+
+    it('returns null for collinear rim points', () => {
+      expect(calculateCircleFromRimPoints(
+        { x: 0, y: 1, z: -2 }, { x: 0.1, y: 1, z: -2 }, { x: 0.2, y: 1, z: -2 }
+      )).toBeNull();
+    });
+  });
+
+  describe('fitPlaneToPoints', () => {
+    it('fits a wall plane facing the viewer and reports deviations', () => {
+      const fit = fitPlaneToPoints([
+        { x: -1, y: 1, z: -2 },
+        { x: 1, y: 1, z: -2 },
+        { x: 1, y: 2, z: -2 },
+        { x: -1, y: 2, z: -2 },
+        { x: 0, y: 1.5, z: -1.98 }
+      ], { x: 0, y: 1.6, z: 0 });
+
+      expect(fit.normal.z).toBeGreaterThan(0.99);
+      expect(fit.worstIndex).toBe(4);
+      expect(fit.maxDeviation).toBeGreaterThan(0.005);
+      expect(fit.maxDeviation).toBeLessThan(0.02);
+    });
+
+    it('needs at least three points off a line', () => {
+      expect(fitPlaneToPoints([{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }])).toBeNull();
+      expect(fitPlaneToPoints([{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }])).toBeNull();
+    });
+  });
+
+  describe('poses', () => {
+    it('round-trips a pose through a matrix', () => {
+      const pose = { position: { x: 0.5, y: 1.2, z: -2 }, rotation: { x: 10, y: -30, z: 5 } };
+      const result = matrixToPose(poseToMatrix(pose.position, pose.rotation));
+
+      expectVector(result.position, pose.position);
+      expectVector(result.rotation, pose.rotation, 4);
+    });
+
+    it('moves a pose along its own axes', () => {
+      // A wall turned to face +X: its local forward is world +X
+      const result = transformPoseLocal({ x: 0, y: 1, z: 0 }, { x: 0, y: 90, z: 0 }, { x: 0, y: 0, z: 0.1 });
+
+      expectVector(result.position, { x: 0.1, y: 1, z: 0 });
+    });
+
+    it('turns the facing direction with the rotation', () => {
+      expectVector(rotationToNormal({ x: 0, y: 0, z: 0 }), { x: 0, y: 0, z: 1 });
+      expectVector(rotationToNormal({ x: 0, y: 90, z: 0 }), { x: 1, y: 0, z: 0 });
+    });
+  });
+
+  describe('objects', () => {
+    const rectangle = {
+      id: 'object_1',
+      type: 'rectangle',
+      width: 0.6,
+      height: 0.4,
+      center: { x: 0, y: 1.5, z: -2 },
+      rotation: { x: 0, y: 0, z: 0 },
+      anchors: [{ id: 'anchor_1', label: 'Left', position: { x: -0.2, y: 0.15, z: 0.001 } }]
+    };
+
+    it('calculates the area of each shape', () => {
+      expect(calculateObjectArea(rectangle)).toBeCloseTo(0.24);
+      expect(calculateObjectArea({ type: 'circle', radius: 0.1, width: 0.2, height: 0.2 })).toBeCloseTo(Math.PI * 0.01);
+    });
+
+    it('scales anchors with the object when resized', () => {
+      const resized = resizeObject(rectangle, 1.2, 0.8);
+
+      expect(resized.width).toBeCloseTo(1.2);
+      expect(resized.height).toBeCloseTo(0.8);
+      expect(resized.anchors[0].position.x).toBeCloseTo(-0.4);
+      expect(resized.anchors[0].position.y).toBeCloseTo(0.3);
+      expect(rectangle.width).toBe(0.6);
+    });
+
+    it('refuses sizes below the minimum', () => {
+      expect(resizeObject(rectangle, MIN_OBJECT_SIZE / 2, 0.4)).toBeNull();
+    });
+
+    it('mirrors anchors and swaps their side labels', () => {
+      const mirrored = mirrorObject(rectangle);
+
+      expect(mirrored.anchors[0].position.x).toBeCloseTo(0.2);
+      expect(mirrored.anchors[0].label).toBe('Right');
+    });
+  });
+});
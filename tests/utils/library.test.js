@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { queryObjects, paginate } from '../../src/utils/library.js';
+
+const OBJECTS = [
+  { id: 'object_1', type: 'rectangle', name: 'Sunset Print', width: 0.6, height: 0.4, wallId: 'wall_1', createdAt: '2025-01-01T10:00:00Z' },
+  { id: 'object_2', type: 'circle', name: 'Mirror', radius: 0.2, width: 0.4, height: 0.4, wallId: 'wall_2', createdAt: '2025-01-02T10:00:00Z' },
+  { id: 'object_3', type: 'rectangle', width: 1.2, height: 0.8, wallId: 'wall_1', createdAt: '2025-01-03T10:00:00Z' },
+  { id: 'object_4', type: 'rectangle', name: 'Print Study', width: 0.3, height: 0.3, wallId: 'wall_1', createdAt: '2025-01-04T10:00:00Z' }
+];
+
+// Ids of the listed objects
+const ids = entries => entries.map(entry => entry.object.id);
+
+describe('library', () => {
+  describe('queryObjects', () => {
+    it('lists the newest objects first with their stored position', () => {
+      const entries = queryObjects(OBJECTS);
+
+      expect(ids(entries)).toEqual(['object_4', 'object_3', 'object_2', 'object_1']);
+      expect(entries[0].index).toBe(3);
+    });
+
+    it('sorts by size', () => {
+      expect(ids(queryObjects(OBJECTS, { sort: 'largest' }))[0]).toBe('object_3');
+    });
+
+    it('filters by wall and shape', () => {
+      expect(ids(queryObjects(OBJECTS, { wallId: 'wall_2' }))).toEqual(['object_2']);
+      expect(ids(queryObjects(OBJECTS, { wallId: 'wall_1', type: 'circle' }))).toEqual([]);
+    });
+
+    it('searches names ignoring case and skips unnamed objects', () => {
+      expect(ids(queryObjects(OBJECTS, { search: 'print' }))).toEqual(['object_4', 'object_1']);
+      expect(ids(queryObjects(OBJECTS, { search: ' MIRROR ', wallId: 'wall_1' }))).toEqual([]);
+      expect(queryObjects(OBJECTS, { search: '' })).toHaveLength(4);
+    });
+  });
+
+  describe('paginate', () => {
+    it('clamps the page to the available pages', () => {
+      expect(paginate([1, 2, 3, 4], 5, 3)).toEqual({ items: [4], page: 1, pageCount: 2 });
+      expect(paginate([], 0, 3)).toEqual({ items: [], page: 0, pageCount: 1 });
+    });
+  });
+});
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { pickForUnits } from '../../src/utils/units.js';
+import { GRID_SPACINGS } from '../../src/utils/walls.js';
+
+describe('units', () => {
+  describe('pickForUnits', () => {
+    it('picks the imperial values for inches and feet & inches', () => {
+      expect(pickForUnits(GRID_SPACINGS, 'in')).toBe(GRID_SPACINGS.imperial);
+      expect(pickForUnits(GRID_SPACINGS, 'ft-in')).toBe(GRID_SPACINGS.imperial);
+    });
+
+    it('picks the metric values for metric and unknown unit systems', () => {
+      expect(pickForUnits(GRID_SPACINGS, 'mm')).toBe(GRID_SPACINGS.metric);
+      expect(pickForUnits(GRID_SPACINGS, 'm')).toBe(GRID_SPACINGS.metric);
+      expect(pickForUnits(GRID_SPACINGS, 'furlongs')).toBe(GRID_SPACINGS.metric);
+    });
+  });
+});
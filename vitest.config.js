@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config'
+
+// Kept apart from vite.config.js so the tests don't start the HTTPS certificate plugin
+export default defineConfig({
+  test: {
+    environment: 'jsdom',
+    include: ['tests/**/*.test.js'],
+    setupFiles: ['tests/setup.js'],
+    // The app logs every step - only show warnings and errors
+    onConsoleLog: (log, type) => type === 'stderr'
+  }
+})